@@ -0,0 +1,839 @@
+// The server itself: API routes and static files behind one fetch-style handler, which every
+// entrypoint mounts with the SQLite connection for its runtime (server-sqlite.ts for Deno,
+// server-node.js for Node, server.ts for Elide)
+
+import { readFile } from "node:fs/promises";
+import { fileURLToPath } from "node:url";
+import {
+  openDatabase,
+  DEFAULT_COMPANY_ID,
+  listCompanies,
+  getCompany,
+  createCompany,
+  deleteCompany,
+  getCapTable,
+  saveCapTable,
+  getLedger,
+  getRound,
+  saveRound,
+  deleteRound,
+  getAllocation,
+  saveAllocation,
+  deleteAllocation,
+  splitStock,
+  recordRevision,
+  listRevisions,
+  getRevision,
+  restoreRevision,
+  countUsers,
+  listUsers,
+  getUser,
+  getUserCredentials,
+  createUser,
+  updateUser,
+  deleteUser,
+  createSession,
+  getSessionUser,
+  deleteSession,
+  recordAuditEntries,
+  listAuditLog,
+  getCapTableVersion,
+  bumpCapTableVersion,
+  listScenarios,
+  getScenario,
+  hasScenarioNamed,
+  getScenarioByShareToken,
+  createScenario,
+  updateScenario,
+  setScenarioShareToken,
+  deleteScenario,
+  initializeSampleData,
+} from "./db.ts";
+import type { Allocation, CapTable, Role, Round, User } from "./db.ts";
+import type { SqlDatabase } from "./sqlite.ts";
+import { validateAllocation, validateCapTable, validateRound } from "./public/cap-table-validator.js";
+import { calculateHolderPortfolio } from "./public/holder-portfolio.js";
+import { auditChanges } from "./audit.ts";
+import { broadcast, broadcastAll, openEventStream } from "./events.ts";
+import {
+  ROLES,
+  SESSION_DAYS,
+  hashPassword,
+  verifyPassword,
+  newToken,
+  sessionToken,
+  sessionCookie,
+  clearedSessionCookie,
+  authorize,
+} from "./auth.ts";
+
+// Serve static files from public/
+const publicDir = fileURLToPath(new URL("./public/", import.meta.url));
+
+interface FieldError {
+  field: string;
+  message: string;
+}
+
+type Body = Record<string, unknown>;
+
+function json(body: unknown, status = 200, headers: Record<string, string> = {}): Response {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { "Content-Type": "application/json", ...headers },
+  });
+}
+
+// Error body: { error, details: [{ field, message }] }
+function errorResponse(status: number, error: string, details: FieldError[] = []): Response {
+  return json({ error, details }, status);
+}
+
+// Parse a JSON object body (null if missing, malformed or not an object)
+async function readBody(request: Request): Promise<Body | null> {
+  try {
+    const body = await request.json();
+    return body && typeof body === "object" && !Array.isArray(body) ? body : null;
+  } catch {
+    return null;
+  }
+}
+
+// URI-decoded text, or the text as given if it isn't valid URI encoding (a malformed path
+// segment then matches no id and gets a 404 instead of throwing)
+function decodeText(text: string): string {
+  try {
+    return decodeURIComponent(text);
+  } catch {
+    return text;
+  }
+}
+
+// Text sent in a URI-encoded header (undefined when absent)
+function headerText(request: Request, name: string): string | undefined {
+  const value = request.headers.get(name);
+  return value ? decodeText(value) : undefined;
+}
+
+// Author (the signed-in user) and optional message for the revision a change creates
+function revisionMeta(request: Request, user: User): { author?: string; message?: string } {
+  return { author: user.username, message: headerText(request, "X-Revision-Message") };
+}
+
+// Actor (the signed-in user) and optional reason for the audit log entries a change creates
+function auditMeta(request: Request, user: User): { actor?: string; reason?: string } {
+  return { actor: user.username, reason: headerText(request, "X-Change-Reason") };
+}
+
+// A cap table version as an ETag
+function capTableETag(version: number): string {
+  return `"${version}"`;
+}
+
+// Whether an If-Match header lists this version (or "*")
+function matchesVersion(ifMatch: string, version: number): boolean {
+  return ifMatch.split(",").some((tag) => {
+    const value = tag.trim().replace(/^W\//, "");
+    return value === "*" || value === capTableETag(version);
+  });
+}
+
+// 409 for a write made to an older version: the body carries the current cap table and its
+// version, so the client can merge its changes into it instead of losing either side
+function versionConflict(companyId: string, version: number): Response {
+  return json(
+    {
+      error: "The cap table was changed by someone else since you loaded it",
+      details: [],
+      version,
+      capTable: getCapTable(companyId),
+    },
+    409,
+    { ETag: capTableETag(version) },
+  );
+}
+
+// Company writes run one at a time, so nothing can change the cap table between a write's
+// If-Match check and its own change (handlers await, e.g. while reading the body)
+let pendingWrite: Promise<unknown> = Promise.resolve();
+function queueWrite<T>(write: () => Promise<T>): Promise<T> {
+  const result = pendingWrite.then(write);
+  pendingWrite = result.catch(() => {});
+  return result;
+}
+
+// Whether a database error is a UNIQUE constraint failure (same message from every SQLite driver)
+function isUniqueViolation(error: unknown): boolean {
+  return error instanceof Error && error.message.includes("UNIQUE constraint failed");
+}
+
+const MIN_PASSWORD_LENGTH = 8;
+
+// Check a user account payload; passwords are required when creating
+function validateUser(body: Body, { requirePassword }: { requirePassword: boolean }): FieldError[] {
+  const errors: FieldError[] = [];
+  if (body.username !== undefined && !(typeof body.username === "string" && body.username.trim())) {
+    errors.push({ field: "username", message: "Username is required" });
+  }
+  if (body.password !== undefined || requirePassword) {
+    if (!(typeof body.password === "string" && body.password.length >= MIN_PASSWORD_LENGTH)) {
+      errors.push({ field: "password", message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+  }
+  if (body.role !== undefined && !ROLES.includes(body.role as Role)) {
+    errors.push({ field: "role", message: `Role must be one of ${ROLES.join(", ")}` });
+  }
+  if (body.holderName !== undefined && body.holderName !== null && typeof body.holderName !== "string") {
+    errors.push({ field: "holderName", message: "Holder name must be text" });
+  }
+  return errors;
+}
+
+// 401 body; setupRequired tells the sign-in screen to offer creating the first admin instead
+function signInRequired(): Response {
+  return json({ error: "Sign in required", details: [], setupRequired: countUsers() === 0 }, 401);
+}
+
+// Start a session for a user: the response sets the session cookie
+function signIn(user: User, status = 200): Response {
+  const token = newToken();
+  createSession(token, user.id, SESSION_DAYS);
+  return json(user, status, { "Set-Cookie": sessionCookie(token) });
+}
+
+// Sign-in endpoints under /api/auth (the only API routes that don't need a session)
+async function handleAuthApi(request: Request, path: string): Promise<Response> {
+  if (path === "/api/auth/me" && request.method === "GET") {
+    const token = sessionToken(request);
+    const user = token ? getSessionUser(token) : null;
+    if (!user) return signInRequired();
+    return json(user);
+  }
+
+  if (path === "/api/auth/login" && request.method === "POST") {
+    const body = await readBody(request);
+    const credentials = typeof body?.username === "string" ? getUserCredentials(body.username.trim()) : null;
+    if (!credentials || !(await verifyPassword(String(body?.password ?? ""), credentials.passwordHash))) {
+      return errorResponse(401, "Invalid username or password");
+    }
+    return signIn(credentials.user);
+  }
+
+  // The first account is created from the sign-in screen and is always an admin
+  if (path === "/api/auth/setup" && request.method === "POST") {
+    if (countUsers() > 0) return errorResponse(409, "An admin account already exists");
+    const body = await readBody(request);
+    if (!body) return errorResponse(400, "Request body must be a JSON object");
+    const errors = validateUser({ ...body, username: body.username ?? "" }, { requirePassword: true });
+    if (errors.length > 0) return errorResponse(400, "Invalid account", errors);
+    const passwordHash = await hashPassword(body.password as string);
+    // Checked again once hashed: another setup request may have finished in the meantime
+    return queueWrite(async () => {
+      if (countUsers() > 0) return errorResponse(409, "An admin account already exists");
+      return signIn(createUser((body.username as string).trim(), passwordHash, "admin"), 201);
+    });
+  }
+
+  if (path === "/api/auth/logout" && request.method === "POST") {
+    const token = sessionToken(request);
+    if (token) deleteSession(token);
+    return json({ success: true }, 200, { "Set-Cookie": clearedSessionCookie() });
+  }
+
+  return errorResponse(404, "Not found");
+}
+
+// Admins manage accounts under /api/users
+async function handleUsersApi(request: Request, path: string, currentUser: User): Promise<Response | null> {
+  const isLastAdmin = (user: User) => user.role === "admin" && listUsers().filter((u) => u.role === "admin").length === 1;
+
+  if (path === "/api/users") {
+    if (request.method === "GET") {
+      return json(listUsers());
+    }
+    if (request.method === "POST") {
+      const body = await readBody(request);
+      if (!body) return errorResponse(400, "Request body must be a JSON object");
+      const errors = validateUser({ ...body, username: body.username ?? "", role: body.role ?? "" }, { requirePassword: true });
+      if (errors.length > 0) return errorResponse(400, "Invalid user", errors);
+      const username = (body.username as string).trim();
+      const taken = () => errorResponse(409, `User ${username} already exists`, [{ field: "username", message: "Username is already taken" }]);
+      if (getUserCredentials(username)) return taken();
+      const passwordHash = await hashPassword(body.password as string);
+      return queueWrite(async () => {
+        try {
+          return json(createUser(username, passwordHash, body.role as Role, body.holderName as string | undefined), 201);
+        } catch (error) {
+          // Created by another request while the password was hashed
+          if (isUniqueViolation(error)) return taken();
+          throw error;
+        }
+      });
+    }
+    return errorResponse(405, `Method ${request.method} not allowed`);
+  }
+
+  const match = path.match(/^\/api\/users\/(\d+)$/);
+  if (!match) return null;
+  const user = getUser(Number(match[1]));
+  if (!user) return errorResponse(404, `User ${match[1]} not found`);
+
+  if (request.method === "PATCH") {
+    const body = await readBody(request);
+    if (!body) return errorResponse(400, "Request body must be a JSON object");
+    if (body.username !== undefined && body.username !== user.username) {
+      return errorResponse(400, "Username cannot be changed", [{ field: "username", message: "Username cannot be changed" }]);
+    }
+    const errors = validateUser(body, { requirePassword: false });
+    if (errors.length > 0) return errorResponse(400, "Invalid user", errors);
+    if (body.role !== undefined && body.role !== "admin" && isLastAdmin(user)) {
+      return errorResponse(409, "Can't remove the last admin", [{ field: "role", message: "At least one admin is required" }]);
+    }
+    return json(updateUser(user.id, {
+      role: body.role as Role | undefined,
+      holderName: body.holderName as string | null | undefined,
+      passwordHash: body.password !== undefined ? await hashPassword(body.password as string) : undefined,
+    }));
+  }
+  if (request.method === "DELETE") {
+    if (user.id === currentUser.id) return errorResponse(409, "You can't delete your own account");
+    if (isLastAdmin(user)) return errorResponse(409, "Can't remove the last admin");
+    deleteUser(user.id);
+    return json({ success: true });
+  }
+  return errorResponse(405, `Method ${request.method} not allowed`);
+}
+
+// Resource API for one company's rounds and allocations; path is relative to the company
+// (null if the path isn't one of its routes)
+async function handleResourceApi(request: Request, path: string, companyId: string): Promise<Response | null> {
+  const method = request.method;
+  let match: RegExpMatchArray | null;
+
+  // /rounds
+  if (path === "/rounds") {
+    if (method === "GET") {
+      return json(getCapTable(companyId)?.rounds ?? []);
+    }
+    if (method === "POST") {
+      const body = await readBody(request);
+      if (!body) return errorResponse(400, "Request body must be a JSON object");
+      const allocations = (Array.isArray(body.allocations) ? body.allocations : []) as Body[];
+      const errors = [
+        ...validateRound({ ...body, allocations }),
+        ...allocations.flatMap((a, i) => validateAllocation(a, null, { prefix: `allocations[${i}].` })),
+      ];
+      if (errors.length > 0) return errorResponse(400, "Invalid round", errors);
+      if (getRound(companyId, body.id as string)) {
+        return errorResponse(409, `Round ${body.id} already exists`, [{ field: "id", message: "Round id is already in use" }]);
+      }
+      const taken = allocations.find((a) => getAllocation(companyId, a.id as string));
+      if (taken) {
+        return errorResponse(409, `Allocation ${taken.id} already exists`, [{ field: "allocations", message: "Allocation id is already in use" }]);
+      }
+      saveRound(companyId, { ...body, allocations } as unknown as Round);
+      return json(getRound(companyId, body.id as string), 201);
+    }
+    return errorResponse(405, `Method ${method} not allowed`);
+  }
+
+  // /rounds/:id/allocations
+  if ((match = path.match(/^\/rounds\/([^/]+)\/allocations$/))) {
+    const roundId = decodeText(match[1]);
+    const round = getRound(companyId, roundId);
+    if (!round) return errorResponse(404, `Round ${roundId} not found`);
+    if (method === "GET") {
+      return json(round.allocations);
+    }
+    if (method === "POST") {
+      const body = await readBody(request);
+      if (!body) return errorResponse(400, "Request body must be a JSON object");
+      const errors = validateAllocation(body, round);
+      if (errors.length > 0) return errorResponse(400, "Invalid allocation", errors);
+      if (getAllocation(companyId, body.id as string)) {
+        return errorResponse(409, `Allocation ${body.id} already exists`, [{ field: "id", message: "Allocation id is already in use" }]);
+      }
+      saveAllocation(companyId, roundId, body as unknown as Allocation);
+      return json({ ...getAllocation(companyId, body.id as string)!.allocation, roundId }, 201);
+    }
+    return errorResponse(405, `Method ${method} not allowed`);
+  }
+
+  // /rounds/:id
+  if ((match = path.match(/^\/rounds\/([^/]+)$/))) {
+    const roundId = decodeText(match[1]);
+    const round = getRound(companyId, roundId);
+    if (!round) return errorResponse(404, `Round ${roundId} not found`);
+    if (method === "GET") {
+      return json(round);
+    }
+    if (method === "PATCH") {
+      const body = await readBody(request);
+      if (!body) return errorResponse(400, "Request body must be a JSON object");
+      if (body.id !== undefined && body.id !== roundId) {
+        return errorResponse(400, "Round id cannot be changed", [{ field: "id", message: "Round id cannot be changed" }]);
+      }
+      // Terms only: allocations are managed through their own endpoints
+      const { allocations: _ignored, ...terms } = body;
+      const updated: Body = { ...round, ...terms, id: roundId };
+      const errors = validateRound(updated);
+      if (errors.length > 0) return errorResponse(400, "Invalid round", errors);
+      saveRound(companyId, { ...updated, allocations: [] } as unknown as Round);
+      return json(getRound(companyId, roundId));
+    }
+    if (method === "DELETE") {
+      deleteRound(companyId, roundId);
+      return json({ success: true });
+    }
+    return errorResponse(405, `Method ${method} not allowed`);
+  }
+
+  // /allocations/:id
+  if ((match = path.match(/^\/allocations\/([^/]+)$/))) {
+    const allocationId = decodeText(match[1]);
+    const position = getAllocation(companyId, allocationId);
+    if (!position) return errorResponse(404, `Allocation ${allocationId} not found`);
+    if (method === "GET") {
+      return json({ ...position.allocation, roundId: position.roundId });
+    }
+    if (method === "PATCH") {
+      const body = await readBody(request);
+      if (!body) return errorResponse(400, "Request body must be a JSON object");
+      if (body.id !== undefined && body.id !== allocationId) {
+        return errorResponse(400, "Allocation id cannot be changed", [{ field: "id", message: "Allocation id cannot be changed" }]);
+      }
+      // roundId moves the allocation to another round
+      const { roundId: targetRoundId = position.roundId, ...changes } = body;
+      const targetRound = getRound(companyId, targetRoundId as string);
+      if (!targetRound) {
+        return errorResponse(404, `Round ${targetRoundId} not found`);
+      }
+      const updated: Body = { ...position.allocation, ...changes, id: allocationId };
+      const errors = validateAllocation(updated, targetRound);
+      if (errors.length > 0) return errorResponse(400, "Invalid allocation", errors);
+      saveAllocation(companyId, targetRoundId as string, updated as unknown as Allocation);
+      return json({ ...getAllocation(companyId, allocationId)!.allocation, roundId: targetRoundId });
+    }
+    if (method === "DELETE") {
+      deleteAllocation(companyId, allocationId);
+      return json({ success: true });
+    }
+    return errorResponse(405, `Method ${method} not allowed`);
+  }
+
+  return null;
+}
+
+// Check a scenario payload ({ name, capTable }); when updating, either may be left out
+function validateScenario(body: Body, { partial }: { partial: boolean }): FieldError[] {
+  const errors: FieldError[] = [];
+  if (body.name !== undefined || !partial) {
+    if (!(typeof body.name === "string" && body.name.trim())) {
+      errors.push({ field: "name", message: "Scenario name is required" });
+    } else if (body.name.trim() === "current") {
+      errors.push({ field: "name", message: '"current" is reserved for live data' });
+    }
+  }
+  if (body.capTable !== undefined || !partial) {
+    const capTable = body.capTable;
+    if (!capTable || typeof capTable !== "object" || Array.isArray(capTable)) {
+      errors.push({ field: "capTable", message: "Cap table is required" });
+    } else {
+      errors.push(...validateCapTable(capTable as Body).map((e) => ({ ...e, field: `capTable.${e.field}` })));
+    }
+  }
+  return errors;
+}
+
+// Saved scenarios under /api/companies/:id/scenarios; path is relative to the company. Everyone
+// sees and changes only their own: list/create, get/update/delete one, and share it by link
+// (POST/DELETE /scenarios/:id/share). Updates may send the version they were made to, and get a
+// 409 with the saved scenario if it has changed since
+async function handleScenarioApi(request: Request, path: string, companyId: string, user: User): Promise<Response> {
+  const method = request.method;
+
+  if (path === "/scenarios") {
+    if (method === "GET") {
+      return json(listScenarios(companyId, user.id));
+    }
+    if (method === "POST") {
+      const body = await readBody(request);
+      if (!body) return errorResponse(400, "Request body must be a JSON object");
+      const errors = validateScenario(body, { partial: false });
+      if (errors.length > 0) return errorResponse(400, "Invalid scenario", errors);
+      const name = (body.name as string).trim();
+      if (hasScenarioNamed(companyId, user.id, name)) {
+        return errorResponse(409, `Scenario ${name} already exists`, [{ field: "name", message: "You already have a scenario with this name" }]);
+      }
+      return json(createScenario(companyId, user.id, name, body.capTable as CapTable), 201);
+    }
+    return errorResponse(405, `Method ${method} not allowed`);
+  }
+
+  const match = path.match(/^\/scenarios\/(\d+)(\/share)?$/);
+  if (!match) return errorResponse(404, `No API route for ${method} ${path}`);
+  const found = getScenario(Number(match[1]));
+  if (!found || found.userId !== user.id || found.scenario.companyId !== companyId) {
+    return errorResponse(404, `Scenario ${match[1]} not found`);
+  }
+  const { scenario } = found;
+
+  if (match[2]) {
+    if (method === "POST") {
+      return json(scenario.shareToken ? scenario : setScenarioShareToken(scenario.id, newToken()));
+    }
+    if (method === "DELETE") {
+      return json(setScenarioShareToken(scenario.id, null));
+    }
+    return errorResponse(405, `Method ${method} not allowed`);
+  }
+
+  if (method === "GET") {
+    return json(scenario);
+  }
+  if (method === "PATCH") {
+    const body = await readBody(request);
+    if (!body) return errorResponse(400, "Request body must be a JSON object");
+    const errors = validateScenario(body, { partial: true });
+    if (errors.length > 0) return errorResponse(400, "Invalid scenario", errors);
+    if (body.version !== undefined && body.version !== scenario.version) {
+      return json({ error: `Scenario ${scenario.name} was changed since you opened it`, details: [], scenario }, 409);
+    }
+    const name = typeof body.name === "string" ? body.name.trim() : undefined;
+    if (name !== undefined && hasScenarioNamed(companyId, user.id, name, scenario.id)) {
+      return errorResponse(409, `Scenario ${name} already exists`, [{ field: "name", message: "You already have a scenario with this name" }]);
+    }
+    return json(updateScenario(scenario.id, { name, capTable: body.capTable as CapTable | undefined }));
+  }
+  if (method === "DELETE") {
+    deleteScenario(scenario.id);
+    return json({ success: true });
+  }
+  return errorResponse(405, `Method ${method} not allowed`);
+}
+
+// Writes the company API takes: path, methods, and the record the path names (if any), so a
+// write that can't reach a route is answered before its If-Match is checked
+const COMPANY_WRITES: Array<{ pattern: RegExp; methods: string[]; label?: string; find?: (companyId: string, id: string) => unknown }> = [
+  { pattern: /^\/captable$/, methods: ["POST"] },
+  { pattern: /^\/rounds$/, methods: ["POST"] },
+  { pattern: /^\/rounds\/([^/]+)\/allocations$/, methods: ["POST"], label: "Round", find: getRound },
+  { pattern: /^\/rounds\/([^/]+)$/, methods: ["PATCH", "DELETE"], label: "Round", find: getRound },
+  { pattern: /^\/allocations\/([^/]+)$/, methods: ["PATCH", "DELETE"], label: "Allocation", find: getAllocation },
+  { pattern: /^\/revisions$/, methods: ["POST"] },
+  { pattern: /^\/revisions\/(\d+)\/restore$/, methods: ["POST"], label: "Revision", find: (companyId, id) => getRevision(companyId, Number(id)) },
+  { pattern: /^\/split$/, methods: ["POST"] },
+];
+
+// 404 for a write to a missing company, path or record and 405 for a method the path doesn't
+// take; null if the write reaches a route
+function unroutableWrite(request: Request, path: string, companyId: string): Response | null {
+  if (!getCompany(companyId)) return errorResponse(404, `Company ${companyId} not found`);
+  const route = COMPANY_WRITES.find((r) => r.pattern.test(path));
+  if (!route) return errorResponse(404, "Not found");
+  if (!route.methods.includes(request.method)) return errorResponse(405, `Method ${request.method} not allowed`);
+  const id = decodeText(path.match(route.pattern)![1] ?? "");
+  if (route.find && !route.find(companyId, id)) return errorResponse(404, `${route.label} ${id} not found`);
+  return null;
+}
+
+// Company-scoped API under /api/companies/:id; path is relative to the company.
+// Writes that reach a route must send the cap table's ETag as If-Match (428 without it, 409 with
+// the current cap table if it has changed since), and their responses carry the new ETag. Changes are broadcast
+// to everyone viewing the company, tagged with the writer's X-Client-Id so it can skip its own.
+// Every successful change goes into the audit log field by field, and is recorded as a revision
+// (restores record their own), unless the client batches several requests with X-Revision-Defer
+// and then POSTs /revisions once
+async function handleCompanyApi(request: Request, url: URL, path: string, companyId: string, user: User): Promise<Response | null> {
+  if (request.method === "GET") {
+    return routeCompanyApi(request, url, path, companyId, user, revisionMeta(request, user));
+  }
+
+  return queueWrite(async () => {
+    const unroutable = unroutableWrite(request, path, companyId);
+    if (unroutable) return unroutable;
+
+    const version = getCapTableVersion(companyId);
+    if (version !== null) {
+      const ifMatch = request.headers.get("If-Match");
+      if (!ifMatch) {
+        return errorResponse(428, "If-Match header required", [
+          { field: "If-Match", message: "Send the ETag of the cap table the change was made to" },
+        ]);
+      }
+      if (!matchesVersion(ifMatch, version)) return versionConflict(companyId, version);
+    }
+
+    // Work out what the change is recorded with first: nothing may fail once it's made
+    const audit = auditMeta(request, user);
+    const revision = revisionMeta(request, user);
+    const before = getCapTable(companyId);
+    const response = await routeCompanyApi(request, url, path, companyId, user, revision);
+    if (response?.ok) {
+      const changes = auditChanges(before, getCapTable(companyId));
+      recordAuditEntries(companyId, changes, audit);
+      if (!path.startsWith("/revisions") && !request.headers.has("X-Revision-Defer")) {
+        recordRevision(companyId, revision);
+      }
+      if (changes.length > 0) {
+        const newVersion = bumpCapTableVersion(companyId);
+        broadcast(companyId, "change", {
+          version: newVersion,
+          etag: capTableETag(newVersion),
+          actor: user.username,
+          clientId: request.headers.get("X-Client-Id"),
+          capTable: getCapTable(companyId),
+          changes,
+        });
+      }
+      const current = getCapTableVersion(companyId);
+      if (current !== null) response.headers.set("ETag", capTableETag(current));
+    }
+    return response;
+  });
+}
+
+// revision is the author and message of any revision the route records (from revisionMeta)
+async function routeCompanyApi(request: Request, url: URL, path: string, companyId: string, user: User, revision: { author?: string; message?: string }): Promise<Response | null> {
+  // Companies are only made through POST /api/companies
+  if (!getCompany(companyId)) {
+    return errorResponse(404, `Company ${companyId} not found`);
+  }
+
+  if (path === "/captable") {
+    if (request.method === "GET") {
+      const capTable = getCapTable(companyId);
+      if (!capTable) {
+        return errorResponse(404, "No data found");
+      }
+      return json(capTable, 200, { ETag: capTableETag(getCapTableVersion(companyId)!) });
+    } else if (request.method === "POST") {
+      const capTable = await readBody(request);
+      if (!capTable) return errorResponse(400, "Request body must be a JSON object");
+      const errors = validateCapTable(capTable);
+      if (errors.length > 0) return errorResponse(400, "Invalid cap table", errors);
+      saveCapTable(companyId, capTable as unknown as CapTable);
+      return json({ success: true });
+    }
+  }
+
+  // Live changes and presence (server-sent events)
+  if (path === "/events" && request.method === "GET") {
+    return openEventStream(companyId, user);
+  }
+
+  // Stock ledger history (optionally for one round or allocation)
+  if (path === "/ledger" && request.method === "GET") {
+    return json(getLedger(companyId, {
+      roundId: url.searchParams.get("roundId") || undefined,
+      allocationId: url.searchParams.get("allocationId") || undefined,
+    }));
+  }
+
+  // One holder's portfolio (?holder=name, plus any number of ?exitValue= what-ifs and an optional
+  // ?changeOfControl=YYYY-MM-DD that triggers vesting acceleration).
+  // Stakeholders always get their own, whatever they ask for
+  if (path === "/holdings" && request.method === "GET") {
+    const holderName = user.role === "stakeholder" ? user.holderName : url.searchParams.get("holder")?.trim();
+    if (!holderName) {
+      return user.role === "stakeholder"
+        ? errorResponse(404, "No holder name is set for your account - ask an admin to set one")
+        : errorResponse(400, "Missing holder", [{ field: "holder", message: "Holder name is required" }]);
+    }
+    const changeOfControlDate = url.searchParams.get("changeOfControl")?.trim() || undefined;
+    if (changeOfControlDate && !/^\d{4}-\d{2}-\d{2}$/.test(changeOfControlDate)) {
+      return errorResponse(400, "Invalid change of control date", [{ field: "changeOfControl", message: "Date must be YYYY-MM-DD" }]);
+    }
+    const exitValues = url.searchParams.getAll("exitValue").map(Number);
+    const portfolio = calculateHolderPortfolio(getCapTable(companyId)!, holderName, { changeOfControlDate, exitValues });
+    if (!portfolio) return errorResponse(404, `No holdings found for ${holderName}`);
+    return json(portfolio);
+  }
+
+  // Audit log, newest first, optionally filtered by ?holder=, ?roundId=, ?from= and ?to= (YYYY-MM-DD)
+  if (path === "/audit" && request.method === "GET") {
+    const param = (name: string) => url.searchParams.get(name)?.trim() || undefined;
+    const dates = { from: param("from"), to: param("to") };
+    const errors = Object.entries(dates)
+      .filter(([, date]) => date && !/^\d{4}-\d{2}-\d{2}$/.test(date))
+      .map(([field]) => ({ field, message: "Date must be YYYY-MM-DD" }));
+    if (errors.length > 0) return errorResponse(400, "Invalid audit log filter", errors);
+    return json(listAuditLog(companyId, { holder: param("holder"), roundId: param("roundId"), ...dates }));
+  }
+
+  // Revision history: list, record the current cap table, one revision's cap table, and restore
+  if (path === "/revisions") {
+    if (request.method === "GET") {
+      return json(listRevisions(companyId));
+    }
+    if (request.method === "POST") {
+      const revisionId = recordRevision(companyId, revision);
+      return json({ id: revisionId }, revisionId ? 201 : 200);
+    }
+    return errorResponse(405, `Method ${request.method} not allowed`);
+  }
+  let match: RegExpMatchArray | null;
+  if ((match = path.match(/^\/revisions\/(\d+)(\/restore)?$/))) {
+    const revisionId = Number(match[1]);
+    if (!match[2] && request.method === "GET") {
+      const revision = getRevision(companyId, revisionId);
+      if (!revision) return errorResponse(404, `Revision ${revisionId} not found`);
+      return json(revision);
+    }
+    if (match[2] && request.method === "POST") {
+      const capTable = restoreRevision(companyId, revisionId, revision);
+      if (!capTable) return errorResponse(404, `Revision ${revisionId} not found`);
+      return json(capTable);
+    }
+    return errorResponse(405, `Method ${request.method} not allowed`);
+  }
+
+  // Stock split: every position times the ratio (below 1 for a reverse split); returns the cap table
+  if (path === "/split") {
+    if (request.method !== "POST") return errorResponse(405, `Method ${request.method} not allowed`);
+    const body = await readBody(request);
+    if (!body) return errorResponse(400, "Request body must be a JSON object");
+    const ratio = body.ratio;
+    if (!(typeof ratio === "number" && Number.isFinite(ratio) && ratio > 0 && ratio !== 1)) {
+      return errorResponse(400, "Invalid split", [{ field: "ratio", message: "Ratio must be a number greater than 0, other than 1" }]);
+    }
+    splitStock(companyId, ratio);
+    return json(getCapTable(companyId));
+  }
+
+  return handleResourceApi(request, path, companyId);
+}
+
+// Tell everyone viewing a company that one was added or deleted (tagged with the writer's X-Client-Id)
+function broadcastCompanyChange(action: "create" | "delete", companyId: string, name: string, request: Request, user: User): void {
+  broadcastAll("companies", { action, companyId, name, actor: user.username, clientId: request.headers.get("X-Client-Id") });
+}
+
+// API routes for a signed-in user (null if the path isn't one of them)
+async function handleApi(request: Request, url: URL, path: string, user: User): Promise<Response | null> {
+  // Company workspaces
+  if (path === "/api/companies") {
+    if (request.method === "GET") {
+      return json(listCompanies());
+    }
+    if (request.method === "POST") {
+      // Body is a cap table: { companyName, authorizedShares, rounds? }
+      const body = await readBody(request);
+      if (!body) return errorResponse(400, "Request body must be a JSON object");
+      const capTable: Body = { ...body, rounds: body.rounds ?? [] };
+      const errors = validateCapTable(capTable);
+      if (errors.length > 0) return errorResponse(400, "Invalid company", errors);
+      return queueWrite(async () => {
+        const audit = auditMeta(request, user);
+        const revision = { ...revisionMeta(request, user), message: "Company created" };
+        const company = createCompany(capTable.companyName as string, capTable.authorizedShares as number);
+        saveCapTable(company.id, capTable as unknown as CapTable);
+        recordAuditEntries(company.id, auditChanges(null, getCapTable(company.id)), audit);
+        recordRevision(company.id, revision);
+        broadcastCompanyChange("create", company.id, company.name, request, user);
+        return json(company, 201);
+      });
+    }
+    return errorResponse(405, `Method ${request.method} not allowed`);
+  }
+
+  let match = path.match(/^\/api\/companies\/([^/]+)(\/.*)?$/);
+  if (match) {
+    const companyId = decodeText(match[1]);
+    if (!match[2]) {
+      const company = getCompany(companyId);
+      if (!company) return errorResponse(404, `Company ${companyId} not found`);
+      if (request.method === "GET") return json(company);
+      if (request.method === "DELETE") {
+        return queueWrite(async () => {
+          const audit = auditMeta(request, user);
+          const capTable = getCapTable(companyId);
+          deleteCompany(companyId);
+          recordAuditEntries(companyId, auditChanges(capTable, null), audit);
+          broadcastCompanyChange("delete", companyId, company.name, request, user);
+          return json({ success: true });
+        });
+      }
+      return errorResponse(405, `Method ${request.method} not allowed`);
+    }
+    // Scenarios aren't the cap table: no If-Match, audit log or revisions
+    if (match[2].startsWith("/scenarios")) {
+      if (!getCompany(companyId)) return errorResponse(404, `Company ${companyId} not found`);
+      return handleScenarioApi(request, match[2], companyId, user);
+    }
+    const response = await handleCompanyApi(request, url, match[2], companyId, user);
+    if (response) return response;
+  }
+
+  // A scenario shared by link: anyone signed in can open it read-only (or save a copy of their own)
+  match = path.match(/^\/api\/shared-scenarios\/([^/]+)$/);
+  if (match && request.method === "GET") {
+    const scenario = getScenarioByShareToken(decodeText(match[1]));
+    if (!scenario) return errorResponse(404, "This scenario link is no longer shared");
+    return json(scenario);
+  }
+
+  // Routes from before workspaces act on the first company
+  match = path.match(/^\/api(\/(?:captable|ledger|rounds|allocations)(?:\/.*)?)$/);
+  if (match) {
+    const companyId = listCompanies()[0]?.id ?? DEFAULT_COMPANY_ID;
+    const response = await handleCompanyApi(request, url, match[1], companyId, user);
+    if (response) return response;
+  }
+
+  return handleUsersApi(request, path, user);
+}
+
+async function handleRequest(request: Request): Promise<Response> {
+  const url = new URL(request.url);
+  const path = url.pathname;
+
+  if (path.startsWith("/api/")) {
+    if (path.startsWith("/api/auth/")) return handleAuthApi(request, path);
+
+    // Every other API route needs a signed-in user whose role allows the request
+    const token = sessionToken(request);
+    const user = token ? getSessionUser(token) : null;
+    if (!user) return signInRequired();
+    const refusal = authorize(user, request.method, path);
+    if (refusal) return errorResponse(403, refusal);
+
+    const response = await handleApi(request, url, path, user);
+    if (response) return response;
+    return errorResponse(404, `No API route for ${request.method} ${path}`);
+  }
+
+  // Serve static files
+  const filePath = path === "/" ? "/index.html" : path;
+  try {
+    const file = await readFile(publicDir + filePath.slice(1));
+    return new Response(file, {
+      headers: { "Content-Type": getContentType(filePath), "Cache-Control": "no-cache" },
+    });
+  } catch {
+    return new Response("Not Found", { status: 404 });
+  }
+}
+
+/**
+ * Open the database (migrating it and adding sample data to an empty one) and return the
+ * handler for every request: API routes under /api/, static files from public/ otherwise
+ * @param database - SQLite connection for the runtime (jsr:@db/sqlite on Deno, node:sqlite on Node)
+ */
+export function createApp(database: SqlDatabase): { fetch(request: Request): Promise<Response> } {
+  openDatabase(database);
+  initializeSampleData();
+  return { fetch: handleRequest };
+}
+
+function getContentType(path: string): string {
+  if (path.endsWith(".html")) return "text/html";
+  if (path.endsWith(".js")) return "application/javascript";
+  if (path.endsWith(".css")) return "text/css";
+  if (path.endsWith(".json")) return "application/json";
+  if (path.endsWith(".png")) return "image/png";
+  if (path.endsWith(".jpg") || path.endsWith(".jpeg")) return "image/jpeg";
+  if (path.endsWith(".svg")) return "image/svg+xml";
+  return "text/plain";
+}
+
@@ -0,0 +1,100 @@
+// Audit log entries for the server, worked out by comparing a company's cap table before
+// and after each API write - so every route is covered, whatever it changed
+
+import type { Allocation, AuditChange, CapTable, Round } from "./db.ts";
+import { diffCapTables } from "./public/cap-table-diff.js";
+
+const NO_CAP_TABLE = { rounds: [] };
+
+// Result of diffCapTables (cap-table-diff.js is plain JS, so its shape is declared here)
+type FieldChange = { field: string; before: unknown; after: unknown };
+interface CapTableDiff {
+  company: FieldChange[];
+  roundsAdded: Round[];
+  roundsRemoved: Round[];
+  roundsChanged: {
+    round: Round;
+    terms: FieldChange[];
+    allocationsAdded: Allocation[];
+    allocationsRemoved: Allocation[];
+    allocationsChanged: { allocation: Allocation; changes: FieldChange[] }[];
+  }[];
+}
+
+// Round fields without its allocations (those get entries of their own)
+function roundTerms(round: Round): Omit<Round, "allocations"> {
+  const { allocations: _allocations, ...terms } = round;
+  return terms;
+}
+
+function roundChange(action: AuditChange["action"], round: Round, values: Partial<AuditChange>): AuditChange {
+  return { action, entity: "round", entityId: round.id, roundId: round.id, roundName: round.name, ...values };
+}
+
+function allocationChange(action: AuditChange["action"], round: Round, allocation: Allocation, values: Partial<AuditChange>): AuditChange {
+  return {
+    action,
+    entity: "allocation",
+    entityId: allocation.id,
+    roundId: round.id,
+    roundName: round.name,
+    holderName: allocation.holderName,
+    ...values,
+  };
+}
+
+/**
+ * Field-level changes between two versions of a company's cap table: one entry per changed
+ * field, and one per round or allocation created or deleted (with the whole record)
+ * @param before - Cap table before the write (null if the company didn't exist)
+ * @param after - Cap table after it (null if the company was deleted)
+ */
+export function auditChanges(before: CapTable | null, after: CapTable | null): AuditChange[] {
+  const changes: AuditChange[] = [];
+  const companyFields = (capTable: CapTable) => ({ companyName: capTable.companyName, authorizedShares: capTable.authorizedShares });
+  const diff = diffCapTables(before ?? NO_CAP_TABLE, after ?? NO_CAP_TABLE) as CapTableDiff;
+
+  if (!before && after) {
+    changes.push({ action: "create", entity: "company", after: companyFields(after) });
+  } else if (before && !after) {
+    changes.push({ action: "delete", entity: "company", before: companyFields(before) });
+  } else {
+    for (const { field, before: from, after: to } of diff.company) {
+      changes.push({ action: "update", entity: "company", field, before: from, after: to });
+    }
+  }
+
+  for (const round of diff.roundsAdded) {
+    changes.push(roundChange("create", round, { after: roundTerms(round) }));
+    for (const allocation of round.allocations) {
+      changes.push(allocationChange("create", round, allocation, { after: allocation }));
+    }
+  }
+
+  for (const round of diff.roundsRemoved) {
+    for (const allocation of round.allocations) {
+      changes.push(allocationChange("delete", round, allocation, { before: allocation }));
+    }
+    changes.push(roundChange("delete", round, { before: roundTerms(round) }));
+  }
+
+  for (const change of diff.roundsChanged) {
+    const { round } = change;
+    for (const { field, before: from, after: to } of change.terms) {
+      changes.push(roundChange("update", round, { field, before: from, after: to }));
+    }
+    for (const allocation of change.allocationsAdded) {
+      changes.push(allocationChange("create", round, allocation, { after: allocation }));
+    }
+    for (const allocation of change.allocationsRemoved) {
+      changes.push(allocationChange("delete", round, allocation, { before: allocation }));
+    }
+    for (const { allocation, changes: fields } of change.allocationsChanged) {
+      for (const { field, before: from, after: to } of fields) {
+        changes.push(allocationChange("update", round, allocation, { field, before: from, after: to }));
+      }
+    }
+  }
+
+  return changes;
+}
@@ -0,0 +1,91 @@
+// Authentication and role-based access for the server
+// Passwords are PBKDF2-hashed; signed-in users get a session cookie backed by the sessions table
+
+import type { Role, User } from "./db.ts";
+
+export const ROLES: Role[] = ["admin", "editor", "viewer", "stakeholder"];
+
+const SESSION_COOKIE = "session";
+export const SESSION_DAYS = 30;
+
+const PBKDF2_ITERATIONS = 210000;
+
+const toBase64 = (bytes: Uint8Array) => btoa(String.fromCharCode(...bytes));
+const fromBase64 = (text: string) => Uint8Array.from(atob(text), (c) => c.charCodeAt(0));
+
+async function deriveKey(password: string, salt: Uint8Array<ArrayBuffer>, iterations: number): Promise<Uint8Array> {
+  const key = await crypto.subtle.importKey("raw", new TextEncoder().encode(password), "PBKDF2", false, ["deriveBits"]);
+  const bits = await crypto.subtle.deriveBits({ name: "PBKDF2", hash: "SHA-256", salt, iterations }, key, 256);
+  return new Uint8Array(bits);
+}
+
+// Stored as "pbkdf2$<iterations>$<salt>$<hash>" (base64), so the cost can be raised later
+export async function hashPassword(password: string): Promise<string> {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const hash = await deriveKey(password, salt, PBKDF2_ITERATIONS);
+  return `pbkdf2$${PBKDF2_ITERATIONS}$${toBase64(salt)}$${toBase64(hash)}`;
+}
+
+export async function verifyPassword(password: string, stored: string): Promise<boolean> {
+  const [scheme, iterations, salt, expected] = stored.split("$");
+  if (scheme !== "pbkdf2") return false;
+  const hash = await deriveKey(password, fromBase64(salt), Number(iterations));
+  const expectedBytes = fromBase64(expected);
+  if (hash.length !== expectedBytes.length) return false;
+  // Compare every byte so the time taken doesn't reveal how much matched
+  let difference = 0;
+  for (let i = 0; i < hash.length; i++) difference |= hash[i] ^ expectedBytes[i];
+  return difference === 0;
+}
+
+// Random URL-safe token (session cookies and scenario share links)
+export function newToken(): string {
+  return toBase64(crypto.getRandomValues(new Uint8Array(32))).replace(/[+/=]/g, (c) => ({ "+": "-", "/": "_", "=": "" })[c]!);
+}
+
+// Session token from the request's cookie (null if there isn't one)
+export function sessionToken(request: Request): string | null {
+  const cookies = request.headers.get("Cookie") ?? "";
+  for (const cookie of cookies.split(";")) {
+    const [name, ...value] = cookie.trim().split("=");
+    if (name === SESSION_COOKIE) return value.join("=") || null;
+  }
+  return null;
+}
+
+export function sessionCookie(token: string): string {
+  return `${SESSION_COOKIE}=${token}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${SESSION_DAYS * 24 * 60 * 60}`;
+}
+
+export function clearedSessionCookie(): string {
+  return `${SESSION_COOKIE}=; Path=/; HttpOnly; SameSite=Strict; Max-Age=0`;
+}
+
+// API paths a stakeholder may read: the company list and their own holdings (the /holdings
+// route only ever returns the signed-in stakeholder's)
+const STAKEHOLDER_PATHS = [
+  /^\/api\/companies(\/[^/]+)?$/,
+  /^\/api\/companies\/[^/]+\/holdings$/,
+];
+
+// Saved scenarios, which editors change too (only their own - the routes check ownership)
+const SCENARIO_PATH = /^\/api\/companies\/[^/]+\/scenarios(\/|$)/;
+
+/**
+ * Check a request against the user's role: admins can do everything; editors and viewers read
+ * everything, and editors save scenarios; stakeholders only read the company list and their own
+ * holdings
+ * @returns Why the request is refused, or null if it's allowed
+ */
+export function authorize(user: User, method: string, path: string): string | null {
+  if (user.role === "admin") return null;
+  if (path.startsWith("/api/users")) return "Only admins can manage users";
+  if (method !== "GET" && SCENARIO_PATH.test(path)) {
+    return user.role === "editor" ? null : "Only admins and editors can save scenarios";
+  }
+  if (method !== "GET") return "Only admins can change the cap table";
+  if (user.role === "stakeholder" && !STAKEHOLDER_PATHS.some((pattern) => pattern.test(path))) {
+    return "Stakeholders can only see their own holdings";
+  }
+  return null;
+}
@@ -1,39 +1,19 @@
 // SQLite database for cap table persistence
-import { Database } from "jsr:@db/sqlite@0.11";
+import type { SqlDatabase } from "./sqlite.ts";
 
-const db = new Database("captable.db");
+// Connection supplied by the entrypoint for its runtime (see openDatabase)
+let db: SqlDatabase;
 
-// Initialize schema
-db.exec(`
-  CREATE TABLE IF NOT EXISTS company (
-    id INTEGER PRIMARY KEY CHECK (id = 1),
-    name TEXT NOT NULL,
-    authorized_shares INTEGER NOT NULL
-  );
+// The schema is created and upgraded by the versioned migrations at the end of this file
 
-  CREATE TABLE IF NOT EXISTS rounds (
-    id TEXT PRIMARY KEY,
-    name TEXT NOT NULL,
-    type TEXT NOT NULL DEFAULT 'priced',
-    price_per_share REAL,
-    valuation_cap REAL,
-    date TEXT NOT NULL,
-    color TEXT NOT NULL
-  );
+// The workspace single-company databases are migrated into
+export const DEFAULT_COMPANY_ID = "default";
 
-  CREATE TABLE IF NOT EXISTS allocations (
-    id TEXT PRIMARY KEY,
-    round_id TEXT NOT NULL,
-    holder_name TEXT NOT NULL,
-    shares INTEGER NOT NULL,
-    type TEXT NOT NULL,
-    vesting_schedule TEXT,
-    notes TEXT,
-    FOREIGN KEY (round_id) REFERENCES rounds(id) ON DELETE CASCADE
-  );
-
-  CREATE INDEX IF NOT EXISTS idx_allocations_round ON allocations(round_id);
-`);
+export interface Company {
+  id: string;
+  name: string;
+  authorizedShares: number;
+}
 
 export interface CapTable {
   companyName: string;
@@ -44,9 +24,30 @@ export interface CapTable {
 export interface Round {
   id: string;
   name: string;
-  type?: "priced" | "safe" | "equity-pool";
+  type?: "common" | "priced" | "safe" | "convertible-note" | "equity-pool";
   pricePerShare?: number;
   valuationCap?: number;
+  safeType?: "pre-money" | "post-money" | "discount-only" | "mfn";
+  discountRate?: number;
+  interestRate?: number;
+  interestType?: "simple" | "compound";
+  maturityDate?: string;
+  entryMode?: "price" | "valuation";
+  preMoneyValuation?: number;
+  preMoneyIncludesPool?: boolean;
+  preMoneyIncludesConverting?: boolean;
+  liquidationPreference?: number;
+  seniority?: number;
+  participation?: "non-participating" | "full" | "capped";
+  participationCap?: number;
+  antiDilution?: "none" | "broad-based" | "narrow-based" | "full-ratchet";
+  moneyRaised?: number;
+  investmentAmount?: number;
+  authorizedShares?: number;
+  converted?: boolean;
+  conversionPrice?: number;
+  conversionMethod?: string;
+  conversionDate?: string;
   date: string;
   allocations: Allocation[];
   color: string;
@@ -58,65 +59,472 @@ export interface Allocation {
   shares: number;
   type: "common" | "preferred" | "option" | "rsu";
   vestingSchedule?: string;
+  vesting?: VestingSchedule;
   notes?: string;
+  investmentAmount?: number;
+  convertedFrom?: string;
+  originalShares?: number;
+  conversionPrice?: number;
+  accruedInterest?: number;
+}
+
+export interface VestingSchedule {
+  grantDate?: string;
+  vestingStartDate?: string;
+  durationMonths: number;
+  cliffMonths?: number;
+  frequency?: "monthly" | "quarterly" | "annually";
+  acceleration?: "none" | "single" | "double";
+  terminationDate?: string;
+}
+
+export type TransactionType =
+  | "issuance" // shares issued to an allocation (creates it on first issuance)
+  | "transfer" // shares move to another holder (whole position, or to details.toAllocationId)
+  | "cancellation" // shares cancelled (the allocation disappears at zero)
+  | "exercise" // options/RSUs become common stock
+  | "conversion" // a SAFE/note position converts to (or, with details.reverted, back from) issued shares
+  | "split" // every position is multiplied by ratio (below 1 for a reverse split)
+  | "amendment"; // allocation terms change (vesting, notes, as-if shares); no shares move
+
+export interface LedgerTransaction {
+  seq?: number;
+  companyId?: string;
+  type: TransactionType;
+  roundId?: string;
+  allocationId?: string;
+  holderName?: string;
+  fromHolder?: string;
+  shares?: number;
+  ratio?: number;
+  details?: Record<string, unknown>;
+  effectiveDate: string;
+  recordedAt?: string;
+}
+
+export type Role = "admin" | "editor" | "viewer" | "stakeholder";
+
+export interface User {
+  id: number;
+  username: string;
+  role: Role;
+  holderName?: string; // Stakeholders see allocations held under this name
+}
+
+export interface Revision {
+  id: number;
+  author?: string;
+  message?: string;
+  createdAt: string;
+  capTable?: CapTable; // Only when a single revision is requested
+}
+
+// A what-if version of a company's cap table, saved by one user and shareable by link
+export interface Scenario {
+  id: number;
+  companyId: string;
+  name: string;
+  owner: string; // Username of the user who saved it
+  version: number; // Counts up from 1 with every update
+  shareToken?: string; // Set while it's shared
+  capTable: CapTable;
+  updatedAt: string;
+}
+
+// One change in the audit log: a field of the company, a round or an allocation updated, or a
+// whole round or allocation created or deleted
+export interface AuditChange {
+  action: "create" | "update" | "delete";
+  entity: "company" | "round" | "allocation";
+  entityId?: string;
+  roundId?: string;
+  roundName?: string;
+  holderName?: string; // Allocation changes only
+  field?: string; // Updates only; creates and deletes carry the whole record in before/after
+  before?: unknown;
+  after?: unknown;
+}
+
+export interface AuditEntry extends AuditChange {
+  id: number;
+  actor?: string;
+  reason?: string;
+  createdAt: string;
+}
+
+export interface LedgerPosition {
+  roundId: string;
+  allocation: Allocation;
+}
+
+// Allocation fields carried in transaction details (everything but id, holder and shares)
+const ALLOCATION_ATTRIBUTES = [
+  "type",
+  "vestingSchedule",
+  "vesting",
+  "notes",
+  "investmentAmount",
+  "convertedFrom",
+  "originalShares",
+  "conversionPrice",
+  "accruedInterest",
+] as const;
+
+function today(): string {
+  return new Date().toISOString().split("T")[0];
+}
+
+function isConvertibleRound(round: Round): boolean {
+  return round.type === "safe" || round.type === "convertible-note";
+}
+
+function allocationAttributes(allocation: Allocation): Record<string, unknown> {
+  const attributes: Record<string, unknown> = {};
+  for (const key of ALLOCATION_ATTRIBUTES) {
+    if (allocation[key] !== undefined) attributes[key] = allocation[key];
+  }
+  return attributes;
+}
+
+// Attributes that differ between two versions of an allocation (null = cleared)
+function changedAttributes(before: Allocation, after: Allocation): Record<string, unknown> {
+  const changes: Record<string, unknown> = {};
+  for (const key of ALLOCATION_ATTRIBUTES) {
+    if (JSON.stringify(before[key]) !== JSON.stringify(after[key])) {
+      changes[key] = after[key] ?? null;
+    }
+  }
+  return changes;
+}
+
+// Apply attribute updates from transaction details; null removes an attribute and
+// non-attribute keys (reason, toAllocationId, ...) are ignored
+function applyAttributes(allocation: Allocation, details: Record<string, unknown> = {}): void {
+  const target = allocation as unknown as Record<string, unknown>;
+  for (const key of ALLOCATION_ATTRIBUTES) {
+    if (!(key in details)) continue;
+    if (details[key] === null) delete target[key];
+    else target[key] = details[key];
+  }
+}
+
+export function appendTransaction(companyId: string, transaction: LedgerTransaction): number {
+  positionsCache.delete(companyId);
+  db.prepare(`
+    INSERT INTO transactions (company_id, type, round_id, allocation_id, holder_name, from_holder, shares, ratio, details, effective_date)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    companyId,
+    transaction.type,
+    transaction.roundId ?? null,
+    transaction.allocationId ?? null,
+    transaction.holderName ?? null,
+    transaction.fromHolder ?? null,
+    transaction.shares ?? null,
+    transaction.ratio ?? null,
+    transaction.details ? JSON.stringify(transaction.details) : null,
+    transaction.effectiveDate
+  );
+  return db.lastInsertRowId;
+}
+
+export function getLedger(companyId: string, filter: { roundId?: string; allocationId?: string } = {}): LedgerTransaction[] {
+  const rows = db.prepare(`
+    SELECT seq, company_id, type, round_id, allocation_id, holder_name, from_holder, shares, ratio, details, effective_date, recorded_at
+    FROM transactions
+    WHERE company_id = ? AND (? IS NULL OR round_id = ?) AND (? IS NULL OR allocation_id = ?)
+    ORDER BY seq
+  `).all(
+    companyId,
+    filter.roundId ?? null,
+    filter.roundId ?? null,
+    filter.allocationId ?? null,
+    filter.allocationId ?? null
+  ) as Array<{
+    seq: number;
+    company_id: string;
+    type: TransactionType;
+    round_id: string | null;
+    allocation_id: string | null;
+    holder_name: string | null;
+    from_holder: string | null;
+    shares: number | null;
+    ratio: number | null;
+    details: string | null;
+    effective_date: string;
+    recorded_at: string;
+  }>;
+
+  return rows.map((row) => ({
+    seq: row.seq,
+    companyId: row.company_id,
+    type: row.type,
+    roundId: row.round_id ?? undefined,
+    allocationId: row.allocation_id ?? undefined,
+    holderName: row.holder_name ?? undefined,
+    fromHolder: row.from_holder ?? undefined,
+    shares: row.shares ?? undefined,
+    ratio: row.ratio ?? undefined,
+    details: row.details ? JSON.parse(row.details) : undefined,
+    effectiveDate: row.effective_date,
+    recordedAt: row.recorded_at,
+  }));
+}
+
+/**
+ * Replay one company's ledger transactions (in seq order) into the current allocation positions
+ * @returns Map of allocation id to its round and allocation
+ */
+export function replayLedger(transactions: LedgerTransaction[]): Map<string, LedgerPosition> {
+  const positions = new Map<string, LedgerPosition>();
+
+  // Move shares out of a position: in place when the whole position moves under its own id,
+  // otherwise into details.toAllocationId (created from the source's terms if new)
+  const move = (transaction: LedgerTransaction, update: (allocation: Allocation) => void) => {
+    const source = positions.get(transaction.allocationId!);
+    if (!source) return;
+    const targetId = (transaction.details?.toAllocationId as string | undefined) || transaction.allocationId!;
+    if (targetId === transaction.allocationId) {
+      update(source.allocation);
+      return;
+    }
+
+    const moved = Math.min(transaction.shares ?? source.allocation.shares, source.allocation.shares);
+    source.allocation.shares -= moved;
+    if (source.allocation.shares <= 0) positions.delete(transaction.allocationId!);
+
+    const target = positions.get(targetId);
+    if (target) {
+      target.allocation.shares += moved;
+    } else {
+      const allocation = { ...structuredClone(source.allocation), id: targetId, shares: moved };
+      update(allocation);
+      positions.set(targetId, { roundId: source.roundId, allocation });
+    }
+  };
+
+  for (const transaction of transactions) {
+    const position = transaction.allocationId ? positions.get(transaction.allocationId) : undefined;
+
+    switch (transaction.type) {
+      case "issuance":
+        if (position) {
+          position.allocation.shares += transaction.shares ?? 0;
+          applyAttributes(position.allocation, transaction.details);
+        } else if (transaction.allocationId && transaction.roundId) {
+          const allocation: Allocation = {
+            id: transaction.allocationId,
+            holderName: transaction.holderName ?? "",
+            shares: transaction.shares ?? 0,
+            type: "common",
+          };
+          applyAttributes(allocation, transaction.details);
+          positions.set(transaction.allocationId, { roundId: transaction.roundId, allocation });
+        }
+        break;
+
+      case "cancellation":
+        if (position) {
+          position.allocation.shares -= transaction.shares ?? position.allocation.shares;
+          if (position.allocation.shares <= 0) positions.delete(transaction.allocationId!);
+        }
+        break;
+
+      case "transfer":
+        move(transaction, (allocation) => {
+          allocation.holderName = transaction.holderName ?? allocation.holderName;
+        });
+        break;
+
+      case "exercise":
+        move(transaction, (allocation) => {
+          applyAttributes(allocation, { type: "common", ...transaction.details });
+        });
+        break;
+
+      case "conversion":
+        if (position) {
+          position.allocation.shares = transaction.shares ?? position.allocation.shares;
+          applyAttributes(position.allocation, transaction.details);
+        }
+        break;
+
+      case "split": {
+        // Share counts scale by the ratio, and prices per share by its inverse
+        const ratio = transaction.ratio ?? 1;
+        for (const { allocation } of positions.values()) {
+          allocation.shares = Math.round(allocation.shares * ratio);
+          if (allocation.originalShares != null) allocation.originalShares = Math.round(allocation.originalShares * ratio);
+          if (allocation.conversionPrice != null) allocation.conversionPrice /= ratio;
+        }
+        break;
+      }
+
+      case "amendment":
+        if (position) {
+          if (transaction.shares != null) position.allocation.shares = transaction.shares;
+          applyAttributes(position.allocation, transaction.details);
+        }
+        break;
+    }
+  }
+
+  return positions;
 }
 
-export function getCapTable(): CapTable | null {
+// Replayed positions by company, with the last transaction they include. Appending drops a
+// company's entry, and a different latest seq (rows rolled back) replays it again
+const positionsCache = new Map<string, { seq: number; positions: Map<string, LedgerPosition> }>();
+
+// Current allocation positions of one company (the ledger is replayed once per change, not per read)
+function getPositions(companyId: string): Map<string, LedgerPosition> {
+  const { seq } = db.prepare("SELECT COALESCE(MAX(seq), 0) AS seq FROM transactions WHERE company_id = ?").get(companyId) as { seq: number };
+  let cached = positionsCache.get(companyId);
+  if (!cached || cached.seq !== seq) {
+    cached = { seq, positions: replayLedger(getLedger(companyId)) };
+    positionsCache.set(companyId, cached);
+  }
+  // Callers may change what they get
+  return structuredClone(cached.positions);
+}
+
+export function listCompanies(): Company[] {
+  const rows = db.prepare("SELECT id, name, authorized_shares FROM companies ORDER BY created_at, id").all() as Array<{
+    id: string;
+    name: string;
+    authorized_shares: number;
+  }>;
+  return rows.map((row) => ({ id: row.id, name: row.name, authorizedShares: row.authorized_shares }));
+}
+
+export function getCompany(id: string): Company | null {
+  return listCompanies().find((c) => c.id === id) ?? null;
+}
+
+// Whether a company id is in use or belonged to a deleted company (its ledger and audit log
+// entries are kept, so the id is never handed out again)
+function isCompanyIdTaken(id: string): boolean {
+  return !!getCompany(id) || !!db.prepare("SELECT 1 FROM deleted_companies WHERE id = ?").get(id);
+}
+
+// Create an empty company workspace; its id is a URL-friendly slug of the name
+export function createCompany(name: string, authorizedShares: number): Company {
+  const base = name.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || "company";
+  let id = base;
+  for (let n = 2; isCompanyIdTaken(id); n++) id = `${base}-${n}`;
+
+  db.prepare("INSERT INTO companies (id, name, authorized_shares) VALUES (?, ?, ?)").run(id, name, authorizedShares);
+  return { id, name, authorizedShares };
+}
+
+// Delete a company: its open positions are cancelled in the ledger, its rounds, revisions and company
+// row removed, and its id retired
+export function deleteCompany(id: string): boolean {
+  if (!getCompany(id)) return false;
+
+  db.transaction(() => {
+    for (const [allocationId, { roundId, allocation }] of getPositions(id)) {
+      appendTransaction(id, {
+        type: "cancellation",
+        roundId,
+        allocationId,
+        holderName: allocation.holderName,
+        shares: allocation.shares,
+        details: { reason: "company deleted" },
+        effectiveDate: today(),
+      });
+    }
+    db.prepare("DELETE FROM rounds WHERE company_id = ?").run(id);
+    db.prepare("DELETE FROM revisions WHERE company_id = ?").run(id);
+    db.prepare("DELETE FROM scenarios WHERE company_id = ?").run(id);
+    db.prepare("DELETE FROM companies WHERE id = ?").run(id);
+    db.prepare("INSERT INTO deleted_companies (id) VALUES (?)").run(id);
+  })();
+  return true;
+}
+
+export function getCapTable(companyId: string): CapTable | null {
   // Get company info
-  const companyRow = db.prepare("SELECT name, authorized_shares FROM company WHERE id = 1").get();
-  
-  if (!companyRow) {
+  const company = getCompany(companyId);
+
+  if (!company) {
     return null;
   }
 
-  const company = companyRow as { name: string; authorized_shares: number };
-
   // Get all rounds
   const roundRows = db.prepare(`
-    SELECT id, name, type, price_per_share, valuation_cap, date, color
+    SELECT id, name, type, price_per_share, valuation_cap, safe_type, discount_rate, interest_rate, interest_type, maturity_date, entry_mode, pre_money_valuation, pre_money_includes_pool, pre_money_includes_converting, liquidation_preference, seniority, participation, participation_cap, anti_dilution, money_raised, investment_amount, authorized_shares, converted, conversion_price, conversion_method, conversion_date, date, color
     FROM rounds
+    WHERE company_id = ?
     ORDER BY date
-  `).all() as Array<{
+  `).all(companyId) as Array<{
     id: string;
     name: string;
     type: string;
     price_per_share: number | null;
     valuation_cap: number | null;
+    safe_type: string | null;
+    discount_rate: number | null;
+    interest_rate: number | null;
+    interest_type: string | null;
+    maturity_date: string | null;
+    entry_mode: string | null;
+    pre_money_valuation: number | null;
+    pre_money_includes_pool: number | null;
+    pre_money_includes_converting: number | null;
+    liquidation_preference: number | null;
+    seniority: number | null;
+    participation: string | null;
+    participation_cap: number | null;
+    anti_dilution: string | null;
+    money_raised: number | null;
+    investment_amount: number | null;
+    authorized_shares: number | null;
+    converted: number | null;
+    conversion_price: number | null;
+    conversion_method: string | null;
+    conversion_date: string | null;
     date: string;
     color: string;
   }>;
 
+  // Allocations are derived from the ledger
+  const allocationsByRound = new Map<string, Allocation[]>();
+  for (const { roundId, allocation } of getPositions(companyId).values()) {
+    if (!allocationsByRound.has(roundId)) allocationsByRound.set(roundId, []);
+    allocationsByRound.get(roundId)!.push(allocation);
+  }
+
   const rounds: Round[] = roundRows.map((row) => {
-    // Get allocations for this round
-    const allocationRows = db.prepare(`
-      SELECT id, holder_name, shares, type, vesting_schedule, notes
-      FROM allocations
-      WHERE round_id = ?
-      ORDER BY shares DESC
-    `).all(row.id) as Array<{
-      id: string;
-      holder_name: string;
-      shares: number;
-      type: string;
-      vesting_schedule: string | null;
-      notes: string | null;
-    }>;
-
-    const allocations: Allocation[] = allocationRows.map((a) => ({
-      id: a.id,
-      holderName: a.holder_name,
-      shares: a.shares,
-      type: a.type as "common" | "preferred" | "option" | "rsu",
-      vestingSchedule: a.vesting_schedule || undefined,
-      notes: a.notes || undefined,
-    }));
+    const allocations = (allocationsByRound.get(row.id) || []).sort((a, b) => b.shares - a.shares);
 
     return {
       id: row.id,
       name: row.name,
-      type: row.type as "priced" | "safe" | "equity-pool",
+      type: row.type as Round["type"],
       pricePerShare: row.price_per_share || undefined,
       valuationCap: row.valuation_cap || undefined,
+      safeType: (row.safe_type as Round["safeType"]) || undefined,
+      discountRate: row.discount_rate || undefined,
+      interestRate: row.interest_rate || undefined,
+      interestType: (row.interest_type as Round["interestType"]) || undefined,
+      maturityDate: row.maturity_date || undefined,
+      entryMode: (row.entry_mode as Round["entryMode"]) || undefined,
+      preMoneyValuation: row.pre_money_valuation || undefined,
+      preMoneyIncludesPool: row.pre_money_includes_pool == null ? undefined : row.pre_money_includes_pool === 1,
+      preMoneyIncludesConverting: row.pre_money_includes_converting == null ? undefined : row.pre_money_includes_converting === 1,
+      liquidationPreference: row.liquidation_preference ?? undefined,
+      seniority: row.seniority ?? undefined,
+      participation: (row.participation as Round["participation"]) || undefined,
+      participationCap: row.participation_cap ?? undefined,
+      antiDilution: (row.anti_dilution as Round["antiDilution"]) || undefined,
+      moneyRaised: row.money_raised ?? undefined,
+      investmentAmount: row.investment_amount ?? undefined,
+      authorizedShares: row.authorized_shares ?? undefined,
+      converted: row.converted ? true : undefined,
+      conversionPrice: row.conversion_price ?? undefined,
+      conversionMethod: row.conversion_method || undefined,
+      conversionDate: row.conversion_date || undefined,
       date: row.date,
       color: row.color,
       allocations,
@@ -125,65 +533,976 @@ export function getCapTable(): CapTable | null {
 
   return {
     companyName: company.name,
-    authorizedShares: company.authorized_shares,
+    authorizedShares: company.authorizedShares,
     rounds,
   };
 }
 
-export function saveCapTable(capTable: CapTable): void {
+// Append the transactions that turn a ledger position into the submitted allocation
+function recordAllocationChanges(companyId: string, round: Round, previous: LedgerPosition | undefined, allocation: Allocation): void {
+  const base = { roundId: round.id, allocationId: allocation.id, holderName: allocation.holderName };
+
+  if (!previous || previous.roundId !== round.id) {
+    if (previous) {
+      // Moved between rounds: cancel in the old round, reissue in the new one
+      appendTransaction(companyId, {
+        type: "cancellation",
+        roundId: previous.roundId,
+        allocationId: allocation.id,
+        holderName: previous.allocation.holderName,
+        shares: previous.allocation.shares,
+        details: { reason: `moved to round ${round.id}` },
+        effectiveDate: today(),
+      });
+    }
+    appendTransaction(companyId, {
+      ...base,
+      type: "issuance",
+      shares: allocation.shares,
+      details: allocationAttributes(allocation),
+      effectiveDate: previous ? today() : round.date || today(),
+    });
+    return;
+  }
+
+  const before = previous.allocation;
+  const attributes = changedAttributes(before, allocation);
+
+  if (before.holderName !== allocation.holderName) {
+    appendTransaction(companyId, { ...base, type: "transfer", fromHolder: before.holderName, shares: before.shares, effectiveDate: today() });
+  }
+
+  if ((before.type === "option" || before.type === "rsu") && allocation.type === "common") {
+    appendTransaction(companyId, { ...base, type: "exercise", shares: before.shares, details: { type: "common" }, effectiveDate: today() });
+    delete attributes.type;
+  }
+
+  const converted = !!allocation.convertedFrom;
+  if (isConvertibleRound(round) && !!before.convertedFrom !== converted) {
+    appendTransaction(companyId, {
+      ...base,
+      type: "conversion",
+      shares: allocation.shares,
+      details: converted ? attributes : { ...attributes, reverted: true },
+      effectiveDate: (converted && round.conversionDate) || today(),
+    });
+    return;
+  }
+
+  const delta = allocation.shares - before.shares;
+  if (delta !== 0 && isConvertibleRound(round) && !converted) {
+    // As-if shares of unconverted SAFEs/notes are re-solved as the table changes; nothing is issued
+    appendTransaction(companyId, {
+      ...base,
+      type: "amendment",
+      shares: allocation.shares,
+      details: { ...attributes, reason: "as-if shares re-solved" },
+      effectiveDate: today(),
+    });
+    return;
+  }
+
+  if (delta > 0) {
+    appendTransaction(companyId, { ...base, type: "issuance", shares: delta, effectiveDate: today() });
+  } else if (delta < 0) {
+    appendTransaction(companyId, { ...base, type: "cancellation", shares: -delta, effectiveDate: today() });
+  }
+
+  if (Object.keys(attributes).length > 0) {
+    appendTransaction(companyId, { ...base, type: "amendment", details: attributes, effectiveDate: today() });
+  }
+}
+
+// Upsert a round's terms (allocations live in the ledger)
+function writeRound(companyId: string, round: Round): void {
+  db.prepare(`
+    INSERT OR REPLACE INTO rounds (company_id, id, name, type, price_per_share, valuation_cap, safe_type, discount_rate, interest_rate, interest_type, maturity_date, entry_mode, pre_money_valuation, pre_money_includes_pool, pre_money_includes_converting, liquidation_preference, seniority, participation, participation_cap, anti_dilution, money_raised, investment_amount, authorized_shares, converted, conversion_price, conversion_method, conversion_date, date, color)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    companyId,
+    round.id,
+    round.name,
+    round.type || "priced",
+    round.pricePerShare || null,
+    round.valuationCap || null,
+    round.safeType || null,
+    round.discountRate || null,
+    round.interestRate || null,
+    round.interestType || null,
+    round.maturityDate || null,
+    round.entryMode || null,
+    round.preMoneyValuation || null,
+    round.preMoneyIncludesPool == null ? null : (round.preMoneyIncludesPool ? 1 : 0),
+    round.preMoneyIncludesConverting == null ? null : (round.preMoneyIncludesConverting ? 1 : 0),
+    round.liquidationPreference ?? null,
+    round.seniority ?? null,
+    round.participation || null,
+    round.participationCap ?? null,
+    round.antiDilution || null,
+    round.moneyRaised ?? null,
+    round.investmentAmount ?? null,
+    round.authorizedShares ?? null,
+    round.converted ? 1 : 0,
+    round.conversionPrice ?? null,
+    round.conversionMethod || null,
+    round.conversionDate || null,
+    round.date,
+    round.color
+  );
+}
+
+/**
+ * Save a full cap table: round terms are upserted, and allocation differences against the
+ * replayed ledger are appended as transactions (nothing in the ledger is overwritten)
+ */
+export function saveCapTable(companyId: string, capTable: CapTable): void {
   db.transaction(() => {
     // Upsert company
     db.prepare(`
-      INSERT INTO company (id, name, authorized_shares)
-      VALUES (1, ?, ?)
+      INSERT INTO companies (id, name, authorized_shares)
+      VALUES (?, ?, ?)
       ON CONFLICT(id) DO UPDATE SET
         name = excluded.name,
         authorized_shares = excluded.authorized_shares
-    `).run(capTable.companyName, capTable.authorizedShares);
+    `).run(companyId, capTable.companyName, capTable.authorizedShares);
 
-    // Delete all existing rounds and allocations (cascade will handle allocations)
-    db.prepare("DELETE FROM rounds").run();
+    const positions = getPositions(companyId);
+    const submitted = new Set<string>();
 
-    // Insert rounds and allocations
-    const insertRound = db.prepare(`
-      INSERT INTO rounds (id, name, type, price_per_share, valuation_cap, date, color)
-      VALUES (?, ?, ?, ?, ?, ?, ?)
-    `);
+    for (const round of capTable.rounds) {
+      writeRound(companyId, round);
 
-    const insertAllocation = db.prepare(`
-      INSERT INTO allocations (id, round_id, holder_name, shares, type, vesting_schedule, notes)
-      VALUES (?, ?, ?, ?, ?, ?, ?)
-    `);
+      for (const allocation of round.allocations) {
+        submitted.add(allocation.id);
+        recordAllocationChanges(companyId, round, positions.get(allocation.id), allocation);
+      }
+    }
 
-    for (const round of capTable.rounds) {
-      insertRound.run(
-        round.id,
-        round.name,
-        round.type || "priced",
-        round.pricePerShare || null,
-        round.valuationCap || null,
-        round.date,
-        round.color
+    // Allocations missing from the payload are cancelled
+    for (const [id, { roundId, allocation }] of positions) {
+      if (submitted.has(id)) continue;
+      appendTransaction(companyId, {
+        type: "cancellation",
+        roundId,
+        allocationId: id,
+        holderName: allocation.holderName,
+        shares: allocation.shares,
+        details: { reason: "removed" },
+        effectiveDate: today(),
+      });
+    }
+
+    // Remove terms of deleted rounds (their ledger history stays)
+    const roundIds = capTable.rounds.map((r) => r.id);
+    db.prepare(`DELETE FROM rounds WHERE company_id = ? AND id NOT IN (${roundIds.map(() => "?").join(", ")})`).run(companyId, ...roundIds);
+  })();
+}
+
+export function getRound(companyId: string, id: string): Round | null {
+  return getCapTable(companyId)?.rounds.find((r) => r.id === id) ?? null;
+}
+
+/**
+ * Create or update one round: its terms are upserted and any allocations it carries are
+ * recorded against the ledger (allocations it omits are left alone)
+ */
+export function saveRound(companyId: string, round: Round): void {
+  db.transaction(() => {
+    writeRound(companyId, round);
+    const positions = getPositions(companyId);
+    for (const allocation of round.allocations) {
+      recordAllocationChanges(companyId, round, positions.get(allocation.id), allocation);
+    }
+  })();
+}
+
+// Delete a round: its allocations are cancelled in the ledger and its terms removed
+export function deleteRound(companyId: string, id: string): boolean {
+  const round = getRound(companyId, id);
+  if (!round) return false;
+
+  db.transaction(() => {
+    for (const allocation of round.allocations) {
+      appendTransaction(companyId, {
+        type: "cancellation",
+        roundId: id,
+        allocationId: allocation.id,
+        holderName: allocation.holderName,
+        shares: allocation.shares,
+        details: { reason: "round deleted" },
+        effectiveDate: today(),
+      });
+    }
+    db.prepare("DELETE FROM rounds WHERE company_id = ? AND id = ?").run(companyId, id);
+  })();
+  return true;
+}
+
+/**
+ * Split a company's stock (a ratio below 1 is a reverse split): every position is multiplied in
+ * the ledger, and the company's and pools' authorized shares and rounds' prices per share are
+ * restated per new share. Dollar amounts (investments, valuations, caps) don't change
+ */
+export function splitStock(companyId: string, ratio: number): void {
+  db.transaction(() => {
+    appendTransaction(companyId, { type: "split", ratio, details: { reason: "stock split" }, effectiveDate: today() });
+    db.prepare(`
+      UPDATE rounds SET
+        price_per_share = price_per_share / ?,
+        conversion_price = conversion_price / ?,
+        authorized_shares = ROUND(authorized_shares * ?)
+      WHERE company_id = ?
+    `).run(ratio, ratio, ratio, companyId);
+    db.prepare("UPDATE companies SET authorized_shares = ROUND(authorized_shares * ?) WHERE id = ?").run(ratio, companyId);
+  })();
+}
+
+export function getAllocation(companyId: string, id: string): LedgerPosition | null {
+  return getPositions(companyId).get(id) ?? null;
+}
+
+// Create or update one allocation in a round (moving it there if it was elsewhere)
+export function saveAllocation(companyId: string, roundId: string, allocation: Allocation): void {
+  const round = getRound(companyId, roundId);
+  if (!round) {
+    throw new Error(`Round ${roundId} not found`);
+  }
+  db.transaction(() => {
+    recordAllocationChanges(companyId, round, getPositions(companyId).get(allocation.id), allocation);
+  })();
+}
+
+export function deleteAllocation(companyId: string, id: string): boolean {
+  const position = getAllocation(companyId, id);
+  if (!position) return false;
+
+  appendTransaction(companyId, {
+    type: "cancellation",
+    roundId: position.roundId,
+    allocationId: id,
+    holderName: position.allocation.holderName,
+    shares: position.allocation.shares,
+    details: { reason: "deleted" },
+    effectiveDate: today(),
+  });
+  return true;
+}
+
+/**
+ * Record the company's current cap table as a revision (skipped when nothing changed since
+ * the latest one)
+ * @returns The new revision's id, or null if it matched the latest revision
+ */
+export function recordRevision(companyId: string, meta: { author?: string; message?: string } = {}): number | null {
+  const capTable = getCapTable(companyId);
+  if (!capTable) return null;
+
+  const snapshot = JSON.stringify(capTable);
+  const latest = db.prepare("SELECT snapshot FROM revisions WHERE company_id = ? ORDER BY id DESC LIMIT 1").get(companyId) as
+    | { snapshot: string }
+    | undefined;
+  if (latest && latest.snapshot === snapshot) return null;
+
+  db.prepare("INSERT INTO revisions (company_id, snapshot, author, message) VALUES (?, ?, ?, ?)").run(
+    companyId,
+    snapshot,
+    meta.author || null,
+    meta.message || null
+  );
+  return db.lastInsertRowId;
+}
+
+// Revisions of a company, newest first (without their snapshots)
+export function listRevisions(companyId: string): Revision[] {
+  const rows = db.prepare(`
+    SELECT id, author, message, created_at
+    FROM revisions
+    WHERE company_id = ?
+    ORDER BY id DESC
+  `).all(companyId) as Array<{ id: number; author: string | null; message: string | null; created_at: string }>;
+
+  return rows.map((row) => ({
+    id: row.id,
+    author: row.author ?? undefined,
+    message: row.message ?? undefined,
+    createdAt: row.created_at,
+  }));
+}
+
+export function getRevision(companyId: string, id: number): Revision | null {
+  const row = db.prepare("SELECT id, author, message, snapshot, created_at FROM revisions WHERE company_id = ? AND id = ?").get(companyId, id) as
+    | { id: number; author: string | null; message: string | null; snapshot: string; created_at: string }
+    | undefined;
+  if (!row) return null;
+
+  return {
+    id: row.id,
+    author: row.author ?? undefined,
+    message: row.message ?? undefined,
+    createdAt: row.created_at,
+    capTable: JSON.parse(row.snapshot),
+  };
+}
+
+/**
+ * Restore a company to an earlier revision: the snapshot is saved like any other cap table
+ * (so the ledger records the differences) and becomes a new revision
+ */
+export function restoreRevision(companyId: string, id: number, meta: { author?: string; message?: string } = {}): CapTable | null {
+  const revision = getRevision(companyId, id);
+  if (!revision) return null;
+
+  saveCapTable(companyId, revision.capTable!);
+  recordRevision(companyId, { author: meta.author, message: meta.message || `Restored revision ${id}` });
+  return getCapTable(companyId);
+}
+
+// Version of a company's cap table, counting up from 1 with every change (null if the company
+// doesn't exist). The API sends it as the ETag and checks writes' If-Match against it
+export function getCapTableVersion(companyId: string): number | null {
+  const row = db.prepare("SELECT version FROM companies WHERE id = ?").get(companyId) as { version: number } | undefined;
+  return row?.version ?? null;
+}
+
+// Move a company's cap table to its next version; returns the new version
+export function bumpCapTableVersion(companyId: string): number {
+  db.prepare("UPDATE companies SET version = version + 1 WHERE id = ?").run(companyId);
+  return getCapTableVersion(companyId)!;
+}
+
+/**
+ * Append changes to a company's audit log with who made them and why. Entries can't be changed
+ * or deleted afterwards (the table's triggers refuse), and outlive the company itself
+ */
+export function recordAuditEntries(companyId: string, changes: AuditChange[], meta: { actor?: string; reason?: string } = {}): void {
+  const toJson = (value: unknown) => (value === undefined ? null : JSON.stringify(value));
+  db.transaction(() => {
+    for (const change of changes) {
+      db.prepare(`
+        INSERT INTO audit_log (company_id, actor, reason, action, entity, entity_id, round_id, round_name, holder_name, field, before_value, after_value)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(
+        companyId,
+        meta.actor || null,
+        meta.reason || null,
+        change.action,
+        change.entity,
+        change.entityId ?? null,
+        change.roundId ?? null,
+        change.roundName ?? null,
+        change.holderName ?? null,
+        change.field ?? null,
+        toJson(change.before),
+        toJson(change.after)
       );
+    }
+  })();
+}
 
-      for (const allocation of round.allocations) {
-        insertAllocation.run(
+/**
+ * A company's audit log, newest first
+ * @param filter - holder (any case), roundId, and from/to dates (YYYY-MM-DD, both inclusive)
+ */
+export function listAuditLog(companyId: string, filter: { holder?: string; roundId?: string; from?: string; to?: string } = {}): AuditEntry[] {
+  const rows = db.prepare(`
+    SELECT id, actor, reason, action, entity, entity_id, round_id, round_name, holder_name, field, before_value, after_value, created_at
+    FROM audit_log
+    WHERE company_id = ?
+      AND (? IS NULL OR holder_name = ? COLLATE NOCASE)
+      AND (? IS NULL OR round_id = ?)
+      AND (? IS NULL OR created_at >= ?)
+      AND (? IS NULL OR created_at < date(?, '+1 day'))
+    ORDER BY id DESC
+  `).all(
+    companyId,
+    filter.holder?.trim() || null,
+    filter.holder?.trim() || null,
+    filter.roundId ?? null,
+    filter.roundId ?? null,
+    filter.from ?? null,
+    filter.from ?? null,
+    filter.to ?? null,
+    filter.to ?? null
+  ) as Array<{
+    id: number;
+    actor: string | null;
+    reason: string | null;
+    action: AuditChange["action"];
+    entity: AuditChange["entity"];
+    entity_id: string | null;
+    round_id: string | null;
+    round_name: string | null;
+    holder_name: string | null;
+    field: string | null;
+    before_value: string | null;
+    after_value: string | null;
+    created_at: string;
+  }>;
+
+  return rows.map((row) => ({
+    id: row.id,
+    actor: row.actor ?? undefined,
+    reason: row.reason ?? undefined,
+    action: row.action,
+    entity: row.entity,
+    entityId: row.entity_id ?? undefined,
+    roundId: row.round_id ?? undefined,
+    roundName: row.round_name ?? undefined,
+    holderName: row.holder_name ?? undefined,
+    field: row.field ?? undefined,
+    before: row.before_value === null ? undefined : JSON.parse(row.before_value),
+    after: row.after_value === null ? undefined : JSON.parse(row.after_value),
+    createdAt: row.created_at,
+  }));
+}
+
+type UserRow = { id: number; username: string; role: Role; holder_name: string | null };
+
+const toUser = (row: UserRow): User => ({
+  id: row.id,
+  username: row.username,
+  role: row.role,
+  holderName: row.holder_name ?? undefined,
+});
+
+export function countUsers(): number {
+  return (db.prepare("SELECT COUNT(*) AS count FROM users").get() as { count: number }).count;
+}
+
+export function listUsers(): User[] {
+  const rows = db.prepare("SELECT id, username, role, holder_name FROM users ORDER BY username").all() as UserRow[];
+  return rows.map(toUser);
+}
+
+export function getUser(id: number): User | null {
+  const row = db.prepare("SELECT id, username, role, holder_name FROM users WHERE id = ?").get(id) as UserRow | undefined;
+  return row ? toUser(row) : null;
+}
+
+// A user and their stored password hash, for signing in
+export function getUserCredentials(username: string): { user: User; passwordHash: string } | null {
+  const row = db.prepare("SELECT id, username, role, holder_name, password_hash FROM users WHERE username = ?").get(username) as
+    | (UserRow & { password_hash: string })
+    | undefined;
+  return row ? { user: toUser(row), passwordHash: row.password_hash } : null;
+}
+
+export function createUser(username: string, passwordHash: string, role: Role, holderName?: string): User {
+  db.prepare("INSERT INTO users (username, password_hash, role, holder_name) VALUES (?, ?, ?, ?)").run(
+    username,
+    passwordHash,
+    role,
+    holderName || null
+  );
+  return getUser(db.lastInsertRowId)!;
+}
+
+export function updateUser(id: number, changes: { role?: Role; holderName?: string | null; passwordHash?: string }): User | null {
+  if (!getUser(id)) return null;
+  if (changes.role !== undefined) {
+    db.prepare("UPDATE users SET role = ? WHERE id = ?").run(changes.role, id);
+  }
+  if (changes.holderName !== undefined) {
+    db.prepare("UPDATE users SET holder_name = ? WHERE id = ?").run(changes.holderName || null, id);
+  }
+  if (changes.passwordHash !== undefined) {
+    // A new password signs the user out everywhere
+    db.prepare("UPDATE users SET password_hash = ? WHERE id = ?").run(changes.passwordHash, id);
+    db.prepare("DELETE FROM sessions WHERE user_id = ?").run(id);
+  }
+  return getUser(id);
+}
+
+export function deleteUser(id: number): boolean {
+  if (!getUser(id)) return false;
+  db.transaction(() => {
+    db.prepare("DELETE FROM sessions WHERE user_id = ?").run(id);
+    db.prepare("DELETE FROM scenarios WHERE user_id = ?").run(id);
+    db.prepare("DELETE FROM users WHERE id = ?").run(id);
+  })();
+  return true;
+}
+
+export function createSession(token: string, userId: number, lifetimeDays: number): void {
+  db.prepare("INSERT INTO sessions (token, user_id, expires_at) VALUES (?, ?, datetime('now', ?))").run(
+    token,
+    userId,
+    `+${lifetimeDays} days`
+  );
+}
+
+// The user a session token belongs to (null if unknown or expired)
+export function getSessionUser(token: string): User | null {
+  const row = db.prepare(`
+    SELECT u.id, u.username, u.role, u.holder_name
+    FROM sessions s JOIN users u ON u.id = s.user_id
+    WHERE s.token = ? AND s.expires_at > datetime('now')
+  `).get(token) as UserRow | undefined;
+  return row ? toUser(row) : null;
+}
+
+export function deleteSession(token: string): void {
+  db.prepare("DELETE FROM sessions WHERE token = ?").run(token);
+}
+
+type ScenarioRow = {
+  id: number;
+  company_id: string;
+  user_id: number;
+  name: string;
+  username: string;
+  version: number;
+  share_token: string | null;
+  cap_table: string;
+  updated_at: string;
+};
+
+const SCENARIO_COLUMNS = `
+  SELECT s.id, s.company_id, s.user_id, s.name, u.username, s.version, s.share_token, s.cap_table, s.updated_at
+  FROM scenarios s JOIN users u ON u.id = s.user_id
+`;
+
+const toScenario = (row: ScenarioRow): Scenario => ({
+  id: row.id,
+  companyId: row.company_id,
+  name: row.name,
+  owner: row.username,
+  version: row.version,
+  shareToken: row.share_token ?? undefined,
+  capTable: JSON.parse(row.cap_table),
+  updatedAt: row.updated_at,
+});
+
+// A user's scenarios for a company, by name
+export function listScenarios(companyId: string, userId: number): Scenario[] {
+  const rows = db.prepare(`${SCENARIO_COLUMNS} WHERE s.company_id = ? AND s.user_id = ? ORDER BY s.name`).all(companyId, userId) as ScenarioRow[];
+  return rows.map(toScenario);
+}
+
+// One scenario with the id of the user it belongs to
+export function getScenario(id: number): { scenario: Scenario; userId: number } | null {
+  const row = db.prepare(`${SCENARIO_COLUMNS} WHERE s.id = ?`).get(id) as ScenarioRow | undefined;
+  return row ? { scenario: toScenario(row), userId: row.user_id } : null;
+}
+
+// Whether a user already has a scenario with this name for the company (other than excludeId)
+export function hasScenarioNamed(companyId: string, userId: number, name: string, excludeId?: number): boolean {
+  return !!db.prepare("SELECT 1 FROM scenarios WHERE company_id = ? AND user_id = ? AND name = ? AND id != ?").get(
+    companyId,
+    userId,
+    name,
+    excludeId ?? 0
+  );
+}
+
+export function getScenarioByShareToken(token: string): Scenario | null {
+  const row = db.prepare(`${SCENARIO_COLUMNS} WHERE s.share_token = ?`).get(token) as ScenarioRow | undefined;
+  return row ? toScenario(row) : null;
+}
+
+export function createScenario(companyId: string, userId: number, name: string, capTable: CapTable): Scenario {
+  db.prepare("INSERT INTO scenarios (company_id, user_id, name, cap_table) VALUES (?, ?, ?, ?)").run(
+    companyId,
+    userId,
+    name,
+    JSON.stringify(capTable)
+  );
+  return getScenario(db.lastInsertRowId)!.scenario;
+}
+
+// Rename a scenario and/or replace its cap table; moves it to its next version
+export function updateScenario(id: number, changes: { name?: string; capTable?: CapTable }): Scenario | null {
+  if (!getScenario(id)) return null;
+  db.transaction(() => {
+    if (changes.name !== undefined) {
+      db.prepare("UPDATE scenarios SET name = ? WHERE id = ?").run(changes.name, id);
+    }
+    if (changes.capTable !== undefined) {
+      db.prepare("UPDATE scenarios SET cap_table = ? WHERE id = ?").run(JSON.stringify(changes.capTable), id);
+    }
+    db.prepare("UPDATE scenarios SET version = version + 1, updated_at = datetime('now') WHERE id = ?").run(id);
+  })();
+  return getScenario(id)!.scenario;
+}
+
+// Share a scenario under a link token, or stop sharing it (null)
+export function setScenarioShareToken(id: number, token: string | null): Scenario | null {
+  db.prepare("UPDATE scenarios SET share_token = ? WHERE id = ?").run(token, id);
+  return getScenario(id)?.scenario ?? null;
+}
+
+export function deleteScenario(id: number): boolean {
+  if (!getScenario(id)) return false;
+  db.prepare("DELETE FROM scenarios WHERE id = ?").run(id);
+  return true;
+}
+
+// Add a column if it isn't there yet (databases from before versioned migrations may already have it)
+function ensureColumn(table: string, column: string, definition: string): void {
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all() as Array<{ name: string }>;
+  if (!columns.some((c) => c.name === column)) {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
+
+interface Migration {
+  version: number;
+  description: string;
+  up: () => void;
+}
+
+// Ordered schema migrations. Each runs once, inside a transaction, and is recorded in
+// schema_version. Only append new ones: applied migrations must never change.
+// Allocation fields need no columns - they live in the ledger's transaction details.
+const MIGRATIONS: Migration[] = [
+  {
+    version: 1,
+    description: "Company and rounds tables",
+    up: () => db.exec(`
+      CREATE TABLE IF NOT EXISTS company (
+        id INTEGER PRIMARY KEY CHECK (id = 1),
+        name TEXT NOT NULL,
+        authorized_shares INTEGER NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS rounds (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        type TEXT NOT NULL DEFAULT 'priced',
+        price_per_share REAL,
+        valuation_cap REAL,
+        date TEXT NOT NULL,
+        color TEXT NOT NULL
+      );
+    `),
+  },
+  {
+    version: 2,
+    description: "SAFE, note, valuation entry, preference and anti-dilution round terms",
+    up: () => {
+      ensureColumn("rounds", "safe_type", "TEXT");
+      ensureColumn("rounds", "discount_rate", "REAL");
+      ensureColumn("rounds", "interest_rate", "REAL");
+      ensureColumn("rounds", "interest_type", "TEXT");
+      ensureColumn("rounds", "maturity_date", "TEXT");
+      ensureColumn("rounds", "entry_mode", "TEXT");
+      ensureColumn("rounds", "pre_money_valuation", "REAL");
+      ensureColumn("rounds", "pre_money_includes_pool", "INTEGER");
+      ensureColumn("rounds", "pre_money_includes_converting", "INTEGER");
+      ensureColumn("rounds", "liquidation_preference", "REAL");
+      ensureColumn("rounds", "seniority", "INTEGER");
+      ensureColumn("rounds", "participation", "TEXT");
+      ensureColumn("rounds", "participation_cap", "REAL");
+      ensureColumn("rounds", "anti_dilution", "TEXT");
+    },
+  },
+  {
+    version: 3,
+    description: "Append-only stock ledger (replaces the allocations table)",
+    up: () => {
+      db.exec(`
+        -- Allocations are derived by replaying the ledger in seq order.
+        -- Rows are never updated or deleted (deleted rounds keep their history).
+        CREATE TABLE IF NOT EXISTS transactions (
+          seq INTEGER PRIMARY KEY AUTOINCREMENT,
+          type TEXT NOT NULL CHECK (type IN ('issuance', 'transfer', 'cancellation', 'exercise', 'conversion', 'split', 'amendment')),
+          round_id TEXT,
+          allocation_id TEXT,
+          holder_name TEXT,
+          from_holder TEXT,
+          shares INTEGER,
+          ratio REAL,
+          details TEXT,
+          effective_date TEXT NOT NULL,
+          recorded_at TEXT NOT NULL DEFAULT (datetime('now'))
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_transactions_allocation ON transactions(allocation_id);
+        CREATE INDEX IF NOT EXISTS idx_transactions_round ON transactions(round_id);
+      `);
+
+      // Older databases kept allocations in their own table: record them as opening issuances
+      const legacy = db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'allocations'").get();
+      if (!legacy) return;
+
+      const rows = db.prepare(`
+        SELECT a.*, r.date AS round_date
+        FROM allocations a
+        LEFT JOIN rounds r ON r.id = a.round_id
+        ORDER BY r.date, a.rowid
+      `).all() as Array<Record<string, string | number | null>>;
+
+      for (const row of rows) {
+        const allocation: Allocation = {
+          id: row.id as string,
+          holderName: row.holder_name as string,
+          shares: row.shares as number,
+          type: row.type as Allocation["type"],
+          vestingSchedule: (row.vesting_schedule as string) || undefined,
+          vesting: row.vesting_months == null ? undefined : {
+            grantDate: (row.grant_date as string) || undefined,
+            vestingStartDate: (row.vesting_start_date as string) || undefined,
+            durationMonths: row.vesting_months as number,
+            cliffMonths: (row.cliff_months as number) ?? undefined,
+            frequency: (row.vesting_frequency as VestingSchedule["frequency"]) || undefined,
+            acceleration: (row.acceleration as VestingSchedule["acceleration"]) || undefined,
+            terminationDate: (row.termination_date as string) || undefined,
+          },
+          notes: (row.notes as string) || undefined,
+        };
+        db.prepare(`
+          INSERT INTO transactions (type, round_id, allocation_id, holder_name, shares, details, effective_date)
+          VALUES ('issuance', ?, ?, ?, ?, ?, ?)
+        `).run(
+          row.round_id,
           allocation.id,
-          round.id,
           allocation.holderName,
           allocation.shares,
-          allocation.type,
-          allocation.vestingSchedule || null,
-          allocation.notes || null
+          JSON.stringify({ ...allocationAttributes(allocation), reason: "migrated from allocations table" }),
+          (row.round_date as string) || today()
         );
       }
-    }
-  })();
+
+      db.exec("DROP TABLE allocations");
+    },
+  },
+  {
+    version: 4,
+    description: "Round money raised, investment target, pool size and conversion state",
+    up: () => {
+      ensureColumn("rounds", "money_raised", "REAL");
+      ensureColumn("rounds", "investment_amount", "REAL");
+      ensureColumn("rounds", "authorized_shares", "INTEGER");
+      ensureColumn("rounds", "converted", "INTEGER NOT NULL DEFAULT 0");
+      ensureColumn("rounds", "conversion_price", "REAL");
+      ensureColumn("rounds", "conversion_method", "TEXT");
+      ensureColumn("rounds", "conversion_date", "TEXT");
+    },
+  },
+  {
+    version: 5,
+    description: "Multiple companies (existing data becomes the default workspace)",
+    up: () => {
+      // SQLite can't drop the single-row CHECK or change a primary key in place, so the
+      // company and rounds tables are rebuilt with company-scoped keys
+      db.exec(`
+        CREATE TABLE companies (
+          id TEXT PRIMARY KEY,
+          name TEXT NOT NULL,
+          authorized_shares INTEGER NOT NULL,
+          created_at TEXT NOT NULL DEFAULT (datetime('now'))
+        );
+        INSERT INTO companies (id, name, authorized_shares)
+          SELECT '${DEFAULT_COMPANY_ID}', name, authorized_shares FROM company;
+        DROP TABLE company;
+
+        CREATE TABLE rounds_scoped (
+          company_id TEXT NOT NULL,
+          id TEXT NOT NULL,
+          name TEXT NOT NULL,
+          type TEXT NOT NULL DEFAULT 'priced',
+          price_per_share REAL,
+          valuation_cap REAL,
+          safe_type TEXT,
+          discount_rate REAL,
+          interest_rate REAL,
+          interest_type TEXT,
+          maturity_date TEXT,
+          entry_mode TEXT,
+          pre_money_valuation REAL,
+          pre_money_includes_pool INTEGER,
+          pre_money_includes_converting INTEGER,
+          liquidation_preference REAL,
+          seniority INTEGER,
+          participation TEXT,
+          participation_cap REAL,
+          anti_dilution TEXT,
+          money_raised REAL,
+          investment_amount REAL,
+          authorized_shares INTEGER,
+          converted INTEGER NOT NULL DEFAULT 0,
+          conversion_price REAL,
+          conversion_method TEXT,
+          conversion_date TEXT,
+          date TEXT NOT NULL,
+          color TEXT NOT NULL,
+          PRIMARY KEY (company_id, id)
+        );
+        INSERT INTO rounds_scoped
+          SELECT '${DEFAULT_COMPANY_ID}', id, name, type, price_per_share, valuation_cap, safe_type, discount_rate, interest_rate, interest_type, maturity_date, entry_mode, pre_money_valuation, pre_money_includes_pool, pre_money_includes_converting, liquidation_preference, seniority, participation, participation_cap, anti_dilution, money_raised, investment_amount, authorized_shares, converted, conversion_price, conversion_method, conversion_date, date, color
+          FROM rounds;
+        DROP TABLE rounds;
+        ALTER TABLE rounds_scoped RENAME TO rounds;
+
+        ALTER TABLE transactions ADD COLUMN company_id TEXT NOT NULL DEFAULT '${DEFAULT_COMPANY_ID}';
+        DROP INDEX idx_transactions_allocation;
+        DROP INDEX idx_transactions_round;
+        CREATE INDEX idx_transactions_allocation ON transactions(company_id, allocation_id);
+        CREATE INDEX idx_transactions_round ON transactions(company_id, round_id);
+      `);
+    },
+  },
+  {
+    version: 6,
+    description: "Cap table revision history",
+    up: () => {
+      db.exec(`
+        -- Full cap table snapshot after each save, for history, diffs and restore
+        CREATE TABLE revisions (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          company_id TEXT NOT NULL,
+          snapshot TEXT NOT NULL,
+          author TEXT,
+          message TEXT,
+          created_at TEXT NOT NULL DEFAULT (datetime('now'))
+        );
+        CREATE INDEX idx_revisions_company ON revisions(company_id, id);
+      `);
+      // Existing companies get their first revision once every migration has run (startRevisionHistories)
+    },
+  },
+  {
+    version: 7,
+    description: "User accounts and sessions",
+    up: () => db.exec(`
+      CREATE TABLE users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        username TEXT NOT NULL UNIQUE,
+        password_hash TEXT NOT NULL,
+        role TEXT NOT NULL CHECK (role IN ('admin', 'editor', 'viewer', 'stakeholder')),
+        holder_name TEXT,
+        created_at TEXT NOT NULL DEFAULT (datetime('now'))
+      );
+
+      CREATE TABLE sessions (
+        token TEXT PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id),
+        expires_at TEXT NOT NULL,
+        created_at TEXT NOT NULL DEFAULT (datetime('now'))
+      );
+      CREATE INDEX idx_sessions_user ON sessions(user_id);
+    `),
+  },
+  {
+    version: 8,
+    description: "Append-only audit log",
+    up: () => db.exec(`
+      -- Field-level record of every change made through the API: who, what, from/to, when and why
+      CREATE TABLE audit_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        company_id TEXT NOT NULL,
+        actor TEXT,
+        reason TEXT,
+        action TEXT NOT NULL CHECK (action IN ('create', 'update', 'delete')),
+        entity TEXT NOT NULL CHECK (entity IN ('company', 'round', 'allocation')),
+        entity_id TEXT,
+        round_id TEXT,
+        round_name TEXT,
+        holder_name TEXT,
+        field TEXT,
+        before_value TEXT,
+        after_value TEXT,
+        created_at TEXT NOT NULL DEFAULT (datetime('now'))
+      );
+      CREATE INDEX idx_audit_log_company ON audit_log(company_id, id);
+
+      CREATE TRIGGER audit_log_no_update BEFORE UPDATE ON audit_log
+      BEGIN
+        SELECT RAISE(ABORT, 'audit_log is append-only');
+      END;
+      CREATE TRIGGER audit_log_no_delete BEFORE DELETE ON audit_log
+      BEGIN
+        SELECT RAISE(ABORT, 'audit_log is append-only');
+      END;
+    `),
+  },
+  {
+    version: 9,
+    description: "Cap table versions for optimistic concurrency",
+    up: () => db.exec("ALTER TABLE companies ADD COLUMN version INTEGER NOT NULL DEFAULT 1"),
+  },
+  {
+    version: 10,
+    description: "Saved scenarios with share links",
+    up: () => db.exec(`
+      CREATE TABLE scenarios (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        company_id TEXT NOT NULL,
+        user_id INTEGER NOT NULL REFERENCES users(id),
+        name TEXT NOT NULL,
+        cap_table TEXT NOT NULL,
+        version INTEGER NOT NULL DEFAULT 1,
+        share_token TEXT UNIQUE,
+        created_at TEXT NOT NULL DEFAULT (datetime('now')),
+        updated_at TEXT NOT NULL DEFAULT (datetime('now')),
+        UNIQUE (company_id, user_id, name)
+      );
+    `),
+  },
+  {
+    version: 11,
+    description: "Index the ledger by company",
+    up: () => db.exec("CREATE INDEX idx_transactions_company ON transactions(company_id, seq);"),
+  },
+  {
+    version: 12,
+    description: "Retire the ids of deleted companies",
+    up: () => db.exec(`
+      CREATE TABLE deleted_companies (
+        id TEXT PRIMARY KEY,
+        deleted_at TEXT NOT NULL DEFAULT (datetime('now'))
+      );
+      -- Companies deleted before this still have ledger and audit log entries
+      INSERT INTO deleted_companies (id)
+        SELECT company_id FROM transactions WHERE company_id NOT IN (SELECT id FROM companies)
+        UNION
+        SELECT company_id FROM audit_log WHERE company_id NOT IN (SELECT id FROM companies);
+    `),
+  },
+];
+
+// Bring the database up to the latest schema version
+function migrate(): void {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_version (
+      version INTEGER PRIMARY KEY,
+      description TEXT NOT NULL,
+      applied_at TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+  `);
+  const current = (db.prepare("SELECT MAX(version) AS version FROM schema_version").get() as { version: number | null }).version ?? 0;
+
+  for (const migration of MIGRATIONS) {
+    if (migration.version <= current) continue;
+    db.transaction(() => {
+      migration.up();
+      db.prepare("INSERT INTO schema_version (version, description) VALUES (?, ?)").run(migration.version, migration.description);
+    })();
+    console.log(`Applied schema migration ${migration.version}: ${migration.description}`);
+  }
+}
+
+/**
+ * Use this connection for everything in this module, bringing its schema up to date
+ * (called once at startup, before any other function here)
+ */
+export function openDatabase(database: SqlDatabase): void {
+  db = database;
+  migrate();
+  startRevisionHistories();
+}
+
+// Start the history of companies without revisions (those that existed before revisions were added)
+// from their current cap table. Runs after the migrations, so it reads the schema as it is now
+function startRevisionHistories(): void {
+  const rows = db.prepare("SELECT id FROM companies WHERE id NOT IN (SELECT company_id FROM revisions)").all() as Array<{ id: string }>;
+  for (const { id } of rows) {
+    recordRevision(id, { message: "Revision history started" });
+  }
 }
 
 export function initializeSampleData(): void {
-  const existing = getCapTable();
-  if (existing) {
+  if (listCompanies().length > 0) {
     return; // Already has data
   }
 
@@ -247,7 +1566,12 @@ export function initializeSampleData(): void {
     ],
   };
 
-  saveCapTable(sampleData);
+  // If every company was deleted, the sample goes in a fresh workspace (the default id is retired)
+  const companyId = isCompanyIdTaken(DEFAULT_COMPANY_ID)
+    ? createCompany(sampleData.companyName, sampleData.authorizedShares).id
+    : DEFAULT_COMPANY_ID;
+  saveCapTable(companyId, sampleData);
+  recordRevision(companyId, { message: "Sample data" });
 }
 
 export { db };
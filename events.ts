@@ -0,0 +1,75 @@
+// Live updates over server-sent events: everyone viewing a company gets its cap table changes
+// as they're saved, and the list of who else is viewing it
+
+import type { User } from "./db.ts";
+
+interface Viewer {
+  username: string;
+  send(chunk: string): void;
+}
+
+// Open event streams by company id
+const viewers = new Map<string, Set<Viewer>>();
+
+// Comments every so often keep proxies from closing an idle stream
+const HEARTBEAT_MS = 25_000;
+// How long browsers wait before reconnecting a dropped stream
+const RETRY_MS = 3_000;
+
+const encoder = new TextEncoder();
+
+function formatEvent(event: string, data: unknown): string {
+  return `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+/**
+ * Send an event to everyone viewing a company
+ * @param event - "change" ({ version, etag, actor, clientId, capTable, changes }), "presence" ({ viewers })
+ *   or "companies" ({ action: "create" | "delete", companyId, name, actor, clientId })
+ */
+export function broadcast(companyId: string, event: string, data: unknown): void {
+  const chunk = formatEvent(event, data);
+  for (const viewer of viewers.get(companyId) ?? []) viewer.send(chunk);
+}
+
+// Send an event to everyone viewing any company (e.g. "companies" when one is added or deleted)
+export function broadcastAll(event: string, data: unknown): void {
+  for (const companyId of viewers.keys()) broadcast(companyId, event, data);
+}
+
+// Tell a company's viewers who is viewing it (each user once, however many tabs they have open)
+function broadcastPresence(companyId: string): void {
+  const usernames = [...new Set([...viewers.get(companyId) ?? []].map((v) => v.username))].sort();
+  broadcast(companyId, "presence", { viewers: usernames });
+}
+
+/**
+ * Event stream for a user viewing a company: "change" events for every change saved to its
+ * cap table, and "presence" events whenever someone starts or stops viewing it
+ */
+export function openEventStream(companyId: string, user: User): Response {
+  let viewer: Viewer;
+  let heartbeat: ReturnType<typeof setInterval>;
+
+  const stream = new ReadableStream<Uint8Array>({
+    start(controller) {
+      viewer = { username: user.username, send: (chunk) => controller.enqueue(encoder.encode(chunk)) };
+      if (!viewers.has(companyId)) viewers.set(companyId, new Set());
+      viewers.get(companyId)!.add(viewer);
+      viewer.send(`retry: ${RETRY_MS}\n\n`);
+      heartbeat = setInterval(() => viewer.send(": keep-alive\n\n"), HEARTBEAT_MS);
+      broadcastPresence(companyId);
+    },
+    // The browser went away
+    cancel() {
+      clearInterval(heartbeat);
+      viewers.get(companyId)?.delete(viewer);
+      if (viewers.get(companyId)?.size === 0) viewers.delete(companyId);
+      broadcastPresence(companyId);
+    },
+  });
+
+  return new Response(stream, {
+    headers: { "Content-Type": "text/event-stream", "Cache-Control": "no-cache" },
+  });
+}
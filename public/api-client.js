@@ -0,0 +1,378 @@
+// REST client for the cap table resource API (rounds and allocations of one company)
+// Lets edits go to the server one resource at a time instead of replacing the whole document
+
+/**
+ * Error returned by the API: HTTP status plus field-level details ({ field, message })
+ */
+export class ApiError extends Error {
+  constructor(status, body = {}, etag = null) {
+    super(body.error || `Request failed (${status})`);
+    this.name = 'ApiError';
+    this.status = status;
+    this.details = body.details || [];
+    // Version conflicts (409 to a stale If-Match) carry the server's current cap table and its ETag
+    this.conflict = status === 409 && body.capTable ? { etag, capTable: body.capTable } : null;
+    // Scenario version conflicts carry the scenario as it's saved now
+    this.scenario = status === 409 && body.scenario ? body.scenario : null;
+  }
+}
+
+// Why the next changes are being saved: the message is recorded with the revision they create,
+// the reason with their audit log entries (the server records the signed-in user as the author)
+let revisionMessage = '';
+let changeReason = '';
+let deferRevision = false; // Set while syncCapTableChanges batches requests into one revision
+// Identifies this browser tab's writes in the server's live change events, so it can skip its own
+const clientId = Math.random().toString(36).slice(2) + Date.now().toString(36);
+// ETag of the open company's cap table as last seen from the server; writes send it as If-Match
+let capTableETag = null;
+
+export function setRevisionMessage(message = '') {
+  revisionMessage = message;
+}
+
+export function setChangeReason(reason = '') {
+  changeReason = reason;
+}
+
+/**
+ * Headers carrying the revision message, change reason and this tab's client id (for requests
+ * made outside this module)
+ * @returns {Object} Header name → URI-encoded value (empty fields are left out)
+ */
+export function changeHeaders() {
+  const headers = { 'X-Client-Id': clientId };
+  if (revisionMessage) headers['X-Revision-Message'] = encodeURIComponent(revisionMessage);
+  if (changeReason) headers['X-Change-Reason'] = encodeURIComponent(changeReason);
+  if (deferRevision) headers['X-Revision-Defer'] = '1';
+  return headers;
+}
+
+// Track the ETag of the cap table writes are made to (from GET /captable and every write's response)
+export function setCapTableETag(etag) {
+  capTableETag = etag || null;
+}
+
+// Whether a live change event is already reflected here: one of this tab's own writes, or no newer
+// than the cap table it has (the server's ETags are quoted version numbers)
+export function isKnownChange(event) {
+  return event.clientId === clientId || (capTableETag !== null && event.version <= Number(capTableETag.replace(/"/g, '')));
+}
+
+// If-Match header for a cap table write (empty before the cap table has come from the server)
+export function versionHeaders() {
+  return capTableETag ? { 'If-Match': capTableETag } : {};
+}
+
+async function request(method, path, body) {
+  const headers = method === 'GET' ? {} : changeHeaders();
+  if (method !== 'GET' && path.startsWith('/api/companies/')) Object.assign(headers, versionHeaders());
+  if (body !== undefined) headers['Content-Type'] = 'application/json';
+  const response = await fetch(path, {
+    method,
+    headers,
+    body: body !== undefined ? JSON.stringify(body) : undefined
+  });
+  const etag = response.headers.get('ETag');
+  const text = await response.text();
+  // Error pages from proxies (or a crashed server) aren't JSON
+  let data = null;
+  try {
+    data = text ? JSON.parse(text) : null;
+  } catch {
+    throw new ApiError(response.status, response.ok ? { error: 'Unexpected response from the server' } : {}, etag);
+  }
+  if (!response.ok) {
+    throw new ApiError(response.status, data || {}, etag);
+  }
+  if (etag) capTableETag = etag;
+  return data;
+}
+
+/**
+ * Who is signed in
+ * @returns {Promise<Object>} { user } when signed in; { signedOut: true, setupRequired } when the
+ *   server needs a sign-in first; { local: true } without the auth API (full access in this browser)
+ */
+export async function getSession() {
+  try {
+    const response = await fetch('/api/auth/me');
+    if (response.ok) {
+      return { user: await response.json() };
+    }
+    if (response.status === 401) {
+      const body = await response.json();
+      return { signedOut: true, setupRequired: !!body.setupRequired };
+    }
+  } catch (error) {
+    console.warn('API not available, using local access:', error);
+  }
+  return { local: true };
+}
+
+// Sign in (the server sets a session cookie); returns the user
+export function signIn(username, password) {
+  return request('POST', '/api/auth/login', { username, password });
+}
+
+// Create the first admin account and sign in as it
+export function setupAdmin(username, password) {
+  return request('POST', '/api/auth/setup', { username, password });
+}
+
+export function signOut() {
+  return request('POST', '/api/auth/logout');
+}
+
+// User accounts (admins only): [{ id, username, role, holderName }]
+export function listUsers() {
+  return request('GET', '/api/users');
+}
+
+export function createUser(user) {
+  return request('POST', '/api/users', user);
+}
+
+// Change a user's role, holder name or password
+export function updateUser(userId, changes) {
+  return request('PATCH', `/api/users/${userId}`, changes);
+}
+
+export function deleteUser(userId) {
+  return request('DELETE', `/api/users/${userId}`);
+}
+
+const companyPath = (companyId) => `/api/companies/${encodeURIComponent(companyId)}`;
+const roundPath = (companyId, id) => `${companyPath(companyId)}/rounds/${encodeURIComponent(id)}`;
+const allocationPath = (companyId, id) => `${companyPath(companyId)}/allocations/${encodeURIComponent(id)}`;
+
+export function listRounds(companyId) {
+  return request('GET', `${companyPath(companyId)}/rounds`);
+}
+
+export function getRound(companyId, roundId) {
+  return request('GET', roundPath(companyId, roundId));
+}
+
+// Create a round, including any allocations it already has
+export function createRound(companyId, round) {
+  return request('POST', `${companyPath(companyId)}/rounds`, round);
+}
+
+// Update round terms (allocations are updated through their own endpoints)
+export function updateRound(companyId, roundId, changes) {
+  return request('PATCH', roundPath(companyId, roundId), changes);
+}
+
+export function deleteRound(companyId, roundId) {
+  return request('DELETE', roundPath(companyId, roundId));
+}
+
+export function listAllocations(companyId, roundId) {
+  return request('GET', `${roundPath(companyId, roundId)}/allocations`);
+}
+
+export function createAllocation(companyId, roundId, allocation) {
+  return request('POST', `${roundPath(companyId, roundId)}/allocations`, allocation);
+}
+
+export function updateAllocation(companyId, allocationId, changes) {
+  return request('PATCH', allocationPath(companyId, allocationId), changes);
+}
+
+export function deleteAllocation(companyId, allocationId) {
+  return request('DELETE', allocationPath(companyId, allocationId));
+}
+
+// A company's cap table (its ETag becomes the one writes are made against)
+export function getCapTable(companyId) {
+  return request('GET', `${companyPath(companyId)}/captable`);
+}
+
+// Revision history, newest first: [{ id, author, message, createdAt }]
+export function listRevisions(companyId) {
+  return request('GET', `${companyPath(companyId)}/revisions`);
+}
+
+// Record the current cap table as a revision (null id if nothing changed since the last one)
+export function recordRevision(companyId) {
+  return request('POST', `${companyPath(companyId)}/revisions`);
+}
+
+// One revision, including its cap table
+export function getRevision(companyId, revisionId) {
+  return request('GET', `${companyPath(companyId)}/revisions/${revisionId}`);
+}
+
+// Make a revision's cap table current again (recorded as a new revision); returns the cap table
+export function restoreRevision(companyId, revisionId) {
+  return request('POST', `${companyPath(companyId)}/revisions/${revisionId}/restore`);
+}
+
+/**
+ * Audit log, newest first
+ * @param {string} companyId - Company
+ * @param {Object} filter - { holder, roundId, from, to } (dates as YYYY-MM-DD; empty values are ignored)
+ * @returns {Promise<Array>} [{ id, createdAt, actor, reason, action, entity, entityId, roundId, roundName, holderName, field, before, after }]
+ */
+export function getAuditLog(companyId, filter = {}) {
+  const params = new URLSearchParams(Object.entries(filter).filter(([, value]) => value));
+  return request('GET', `${companyPath(companyId)}/audit?${params}`);
+}
+
+// One holder's portfolio (see calculateHolderPortfolio); stakeholders always get their own.
+// changeOfControlDate (YYYY-MM-DD) vests accelerated grants as if the company changed control then
+export function getHoldings(companyId, holderName, exitValues = [], changeOfControlDate = null) {
+  const params = new URLSearchParams();
+  if (holderName) params.set('holder', holderName);
+  if (changeOfControlDate) params.set('changeOfControl', changeOfControlDate);
+  exitValues.forEach(value => params.append('exitValue', String(value)));
+  return request('GET', `${companyPath(companyId)}/holdings?${params}`);
+}
+
+// Split the company's stock (ratio below 1 for a reverse split); returns the cap table
+export function splitStock(companyId, ratio) {
+  return request('POST', `${companyPath(companyId)}/split`, { ratio });
+}
+
+// The signed-in user's saved scenarios: [{ id, companyId, name, owner, version, shareToken, capTable, updatedAt }]
+export function listScenarios(companyId) {
+  return request('GET', `${companyPath(companyId)}/scenarios`);
+}
+
+export function createScenario(companyId, name, capTable) {
+  return request('POST', `${companyPath(companyId)}/scenarios`, { name, capTable });
+}
+
+/**
+ * Update a saved scenario
+ * @param {Object} changes - { name, capTable, version } (with version, a 409 ApiError means it was
+ *   changed since; its .scenario is the saved one)
+ */
+export function updateScenario(companyId, scenarioId, changes) {
+  return request('PATCH', `${companyPath(companyId)}/scenarios/${scenarioId}`, changes);
+}
+
+export function deleteScenario(companyId, scenarioId) {
+  return request('DELETE', `${companyPath(companyId)}/scenarios/${scenarioId}`);
+}
+
+// Turn a scenario's share link on (keeping its token if it has one) or off; returns the scenario
+export function shareScenario(companyId, scenarioId) {
+  return request('POST', `${companyPath(companyId)}/scenarios/${scenarioId}/share`);
+}
+
+export function unshareScenario(companyId, scenarioId) {
+  return request('DELETE', `${companyPath(companyId)}/scenarios/${scenarioId}/share`);
+}
+
+// A scenario someone shared by link (any signed-in user with the token can read it)
+export function getSharedScenario(token) {
+  return request('GET', `/api/shared-scenarios/${encodeURIComponent(token)}`);
+}
+
+// Round fields without its allocations
+function roundTerms(round) {
+  const { allocations, ...terms } = round;
+  return terms;
+}
+
+// Fields of `current` that differ from `previous` (removed fields are sent as null)
+function changedFields(previous, current) {
+  const changes = {};
+  new Set([...Object.keys(previous), ...Object.keys(current)]).forEach(key => {
+    if (JSON.stringify(previous[key]) !== JSON.stringify(current[key])) {
+      changes[key] = current[key] === undefined ? null : current[key];
+    }
+  });
+  return changes;
+}
+
+/**
+ * Send the differences between two versions of a cap table as resource requests. Deletions and
+ * moves go first, so an allocation that moved rounds is never created while it still exists:
+ * deleted allocations; new rounds (with their new allocations); changed round terms; changed
+ * and moved allocations (PATCH with roundId); deleted rounds; then the other new allocations.
+ * Untouched rounds and allocations aren't sent. The requests are recorded together as one revision.
+ * The requests aren't atomic: if one fails, the ones before it have been applied.
+ * @param {string} companyId - Company the cap table belongs to
+ * @param {Object} previous - Cap table as last synced with the server
+ * @param {Object} current - Cap table with local edits
+ * @returns {Promise<number>} Number of requests made
+ */
+export async function syncCapTableChanges(companyId, previous, current) {
+  const previousRounds = new Map(previous.rounds.map(r => [r.id, r]));
+  const currentIds = new Set(current.rounds.map(r => r.id));
+  // Allocation id → { allocation, roundId } in each version
+  const positions = (capTable) => new Map(capTable.rounds.flatMap(r => r.allocations.map(a => [a.id, { allocation: a, roundId: r.id }])));
+  const previousAllocations = positions(previous);
+  const currentAllocations = positions(current);
+  let requests = 0;
+
+  deferRevision = true;
+  try {
+    for (const [id] of previousAllocations) {
+      if (!currentAllocations.has(id)) {
+        await deleteAllocation(companyId, id);
+        requests++;
+      }
+    }
+
+    for (const round of current.rounds) {
+      if (!previousRounds.has(round.id)) {
+        // Allocations moved in from other rounds follow below
+        await createRound(companyId, { ...round, allocations: round.allocations.filter(a => !previousAllocations.has(a.id)) });
+        requests++;
+        continue;
+      }
+      const termChanges = changedFields(roundTerms(previousRounds.get(round.id)), roundTerms(round));
+      if (Object.keys(termChanges).length > 0) {
+        await updateRound(companyId, round.id, termChanges);
+        requests++;
+      }
+    }
+
+    for (const [id, { allocation, roundId }] of currentAllocations) {
+      const before = previousAllocations.get(id);
+      if (!before) continue;
+      const changes = changedFields(before.allocation, allocation);
+      if (roundId !== before.roundId) changes.roundId = roundId;
+      if (Object.keys(changes).length > 0) {
+        await updateAllocation(companyId, id, changes);
+        requests++;
+      }
+    }
+
+    for (const round of previous.rounds) {
+      if (!currentIds.has(round.id)) {
+        await deleteRound(companyId, round.id);
+        requests++;
+      }
+    }
+
+    for (const [id, { allocation, roundId }] of currentAllocations) {
+      if (!previousAllocations.has(id) && previousRounds.has(roundId)) {
+        await createAllocation(companyId, roundId, allocation);
+        requests++;
+      }
+    }
+  } catch (error) {
+    deferRevision = false;
+    // Still one revision for what was applied before the failed request, without hiding the failure
+    if (requests > 0) await recordSyncRevision(companyId);
+    throw error;
+  }
+  deferRevision = false;
+  if (requests > 0) await recordSyncRevision(companyId);
+
+  return requests;
+}
+
+// Record the revision for a sync; the changes are saved either way, so a failure is only logged
+async function recordSyncRevision(companyId) {
+  try {
+    await recordRevision(companyId);
+  } catch (error) {
+    console.warn('Could not record a revision for the saved changes:', error);
+  }
+}
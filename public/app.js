@@ -1,8 +1,24 @@
 import * as d3 from "https://cdn.jsdelivr.net/npm/d3@7/+esm";
-import { exportToCSV, parseCSV, downloadCSVTemplate } from "./csv-handler.js";
+import { exportToCSV, exportAuditLogCSV, parseCSV, downloadCSVTemplate } from "./csv-handler.js";
 import { renderTreemap as renderTreemapModule } from "./treemap-renderer.js";
 import * as ScenarioManager from "./scenario-manager.js";
-import { calculateDilution, formatOwnership, formatCurrency, convertSAFEs } from "./dilution-calculator.js";
+import * as CompanyManager from "./company-manager.js";
+import * as UndoManager from "./undo-manager.js";
+import { ApiError, getCapTable, syncCapTableChanges, setRevisionMessage, setChangeReason, changeHeaders, setCapTableETag, versionHeaders, isKnownChange, getSharedScenario, splitStock, getAuditLog, listRevisions, getRevision, restoreRevision, getSession, signIn, setupAdmin, signOut, listUsers, createUser, updateUser, deleteUser, getHoldings } from "./api-client.js";
+import { diffCapTables } from "./cap-table-diff.js";
+import { mergeCapTables } from "./cap-table-merge.js";
+import { renderMergeConflicts, readMergeChoices } from "./merge-dialog.js";
+import { connectLiveUpdates, changedIds, renderPresence } from "./live-updates.js";
+import { renderHistoryList, renderDiff, formatRevisionDate } from "./history-panel.js";
+import { renderAuditLog } from "./audit-log.js";
+import { renderUsersList, ROLE_LABELS } from "./user-manager.js";
+import { calculateHolderPortfolio, listHolders } from "./holder-portfolio.js";
+import { renderHolderPortfolio } from "./holder-portal.js";
+import { calculateDilution, formatOwnership, formatCurrency, convertSAFEs, calculateAntiDilutionAdjustments, getAsConvertedShares, getSAFEAsIfShares, isConvertible, calculateAccruedInterest, solveOptionPoolShuffle, solveSAFEConversions, solvePriceFromPreMoney, getCapTableAsOf, getEffectivePricePerShare, calculateFullyDilutedShares } from "./dilution-calculator.js";
+import { calculateWaterfall, calculateConversionBreakEven } from "./waterfall-calculator.js";
+import { parseVestingSchedule, formatVestingSchedule, getVestingSchedule, calculateAllocationVesting, calculateVestedShares } from "./vesting-calculator.js";
+import { validateRound, validateAllocation } from "./cap-table-validator.js";
+import { escapeHtml } from "./escape-html.js";
 
 // State
 let capTable = null;
@@ -12,7 +28,24 @@ let currentZoomNode = null;
 let editingRound = null;
 let editingAllocation = null;
 let editingRoundId = null;
+let serverCapTable = null; // Cap table as last synced with the API (null = API unavailable)
+let viewAsOfDate = null; // ISO date the treemap/stats/legend show the cap table at (null = live)
+let timelineTimer = null;
+let changeOfControlDate = null; // What-if change of control (ISO date) that triggers vesting acceleration (null = none)
+let revisions = []; // Server revision history of the open company, newest first
+let viewingRevisionId = null;
+let auditEntries = []; // Audit log entries shown in the audit log modal (as filtered)
+let pendingMerge = null; // { base, conflict, conflicts } while the merge dialog is open
+let stopLiveUpdates = null; // Closes the open company's live update stream
+const recentChanges = new Map(); // Round/allocation id → when someone else changed it (outlined in the treemap)
+const RECENT_CHANGE_MS = 5000;
+let currentUser = null; // Signed-in user { id, username, role, holderName } (null = no auth server, full access)
+let loginSetupMode = false; // Sign-in modal is creating the first admin
+let holderView = null; // Holder shown in the holder view in place of the treemap (null = treemap)
+let holderExitValues = []; // What-if exit values added in the holder view
 let eventListenersInitialized = false;
+// Share link the page was opened with: { token, copy, scenario } (scenario once fetched after sign-in)
+let pendingSharedLink = readSharedLink();
 
 // Initialize event listeners (only once)
 function initEventListeners() {
@@ -27,18 +60,63 @@ function initEventListeners() {
   document.getElementById("toggle-stats").addEventListener("click", toggleStatsModal);
   document.getElementById("toggle-sidebar").addEventListener("click", toggleSidebar);
   document.getElementById("reset-zoom").addEventListener("click", resetZoom);
+  document.getElementById("undo").addEventListener("click", undoChange);
+  document.getElementById("redo").addEventListener("click", redoChange);
+  document.getElementById("timeline-slider").addEventListener("input", onTimelineInput);
+  document.getElementById("timeline-play").addEventListener("click", toggleTimelinePlayback);
+  document.getElementById("change-of-control").addEventListener("change", (e) => setChangeOfControlDate(e.target.value || null));
   document.getElementById("save-company").addEventListener("click", saveCompanyInfo);
+  document.getElementById("company-switcher").addEventListener("change", onCompanySwitcherChange);
+  document.getElementById("delete-company").addEventListener("click", deleteCurrentCompany);
+  document.getElementById("split-stock").addEventListener("click", splitCurrentStock);
+  document.getElementById("sign-out").addEventListener("click", signOutUser);
+  document.getElementById("login-save").addEventListener("click", submitLogin);
+  document.getElementById("add-user").addEventListener("click", addUser);
+  document.getElementById("holder-view-toggle").addEventListener("click", toggleHolderView);
+  document.getElementById("portal-close").addEventListener("click", closeHolderView);
+  document.getElementById("portal-holder").addEventListener("change", (e) => openHolderView(e.target.value));
+  document.getElementById("portal-exit-value").addEventListener("change", addHolderExitValue);
 
   // Stats modal
   document.getElementById("stats-modal-close").addEventListener("click", closeStatsModal);
   document.getElementById("stats-done").addEventListener("click", closeStatsModal);
   document.getElementById("add-round").addEventListener("click", () => openRoundModal());
+  document.getElementById("waterfall-exit-value").addEventListener("input", updateWaterfall);
 
   // Keyboard shortcuts modal
   document.getElementById("keyboard-help").addEventListener("click", openKeyboardShortcutsModal);
   document.getElementById("keyboard-shortcuts-close").addEventListener("click", closeKeyboardShortcutsModal);
   document.getElementById("keyboard-shortcuts-done").addEventListener("click", closeKeyboardShortcutsModal);
 
+  // Revision history - the message applies to the next save only
+  const revisionMessage = document.getElementById("revision-message");
+  revisionMessage.addEventListener("input", () => setRevisionMessage(revisionMessage.value.trim()));
+  document.getElementById("revision-modal-close").addEventListener("click", closeRevisionModal);
+  document.getElementById("revision-cancel").addEventListener("click", closeRevisionModal);
+  document.getElementById("revision-restore").addEventListener("click", restoreViewedRevision);
+
+  // Merge dialog (a save hit changes someone else made)
+  document.getElementById("merge-modal-close").addEventListener("click", closeMergeModal);
+  document.getElementById("merge-cancel").addEventListener("click", closeMergeModal);
+  document.getElementById("merge-save").addEventListener("click", saveMergeDialog);
+
+  // Scenario share links
+  document.getElementById("share-scenario").addEventListener("click", openShareModal);
+  document.getElementById("share-modal-close").addEventListener("click", closeShareModal);
+  document.getElementById("share-done").addEventListener("click", closeShareModal);
+  document.getElementById("share-revoke").addEventListener("click", revokeShareLinks);
+  document.getElementById("copy-share-read-only").addEventListener("click", (e) => copyShareLink(e.target, "share-link-read-only"));
+  document.getElementById("copy-share-copy").addEventListener("click", (e) => copyShareLink(e.target, "share-link-copy"));
+
+  // Audit log
+  document.getElementById("open-audit-log").addEventListener("click", openAuditModal);
+  document.getElementById("audit-modal-close").addEventListener("click", closeAuditModal);
+  document.getElementById("audit-done").addEventListener("click", closeAuditModal);
+  document.getElementById("audit-export").addEventListener("click", () => exportAuditLogCSV(auditEntries, capTable.companyName));
+  ["audit-holder", "audit-round", "audit-from", "audit-to"].forEach(id => {
+    document.getElementById(id).addEventListener("change", refreshAuditLog);
+  });
+
   // Legal disclaimer modal
   document.getElementById("legal-disclaimer").addEventListener("click", openLegalDisclaimerModal);
   document.getElementById("legal-disclaimer-close").addEventListener("click", closeLegalDisclaimerModal);
@@ -49,10 +127,25 @@ function initEventListeners() {
   document.getElementById("round-cancel").addEventListener("click", closeRoundModal);
   document.getElementById("round-save").addEventListener("click", saveRound);
   document.getElementById("round-type").addEventListener("change", toggleRoundTypeFields);
+  document.getElementById("round-participation").addEventListener("change", toggleParticipationCapField);
+  document.getElementById("round-safe-type").addEventListener("change", toggleRoundTypeFields);
 
   // Dilution preview - update when price or money raised changes
   document.getElementById("round-price").addEventListener("input", updateDilutionPreview);
   document.getElementById("round-money-raised").addEventListener("input", updateDilutionPreview);
+  document.getElementById("round-date").addEventListener("change", updateDilutionPreview);
+
+  // Round designer - solve price and pool top-up as the term sheet inputs change
+  document.getElementById("round-designer-mode").addEventListener("change", toggleRoundTypeFields);
+  document.getElementById("designer-pre-money").addEventListener("input", updateDilutionPreview);
+  document.getElementById("designer-investment").addEventListener("input", updateDilutionPreview);
+  document.getElementById("designer-pool-pct").addEventListener("input", updateDilutionPreview);
+
+  // Pre-money valuation entry - derive price per share from the pre-money capitalization
+  document.getElementById("round-entry-mode").addEventListener("change", toggleRoundTypeFields);
+  document.getElementById("round-pre-money").addEventListener("input", updateDilutionPreview);
+  document.getElementById("round-pre-money-pool").addEventListener("change", updateDilutionPreview);
+  document.getElementById("round-pre-money-converting").addEventListener("change", updateDilutionPreview);
 
   // Allocations list modal
   document.getElementById("allocations-list-close").addEventListener("click", closeAllocationsListModal);
@@ -79,8 +172,29 @@ function initEventListeners() {
   document.getElementById("allocation-shares").addEventListener("input", onSharesInput);
   document.getElementById("allocation-fd-pct").addEventListener("input", onFdPctInput);
 
+  // Free-text vesting fills in the structured vesting fields
+  document.getElementById("allocation-vesting").addEventListener("change", onVestingTextChange);
+
   // Global keyboard shortcuts
   document.addEventListener("keydown", (e) => {
+    // Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS) to undo/redo cap table changes
+    if ((e.ctrlKey || e.metaKey) && (e.key === "z" || e.key === "Z")) {
+      // Leave text fields their own undo, and don't change data behind an open modal
+      if (document.activeElement && (document.activeElement.tagName === "INPUT" || document.activeElement.tagName === "TEXTAREA")) {
+        return;
+      }
+      if (document.querySelectorAll(".modal.visible").length > 0 || !canEdit()) {
+        return;
+      }
+      e.preventDefault();
+      if (e.shiftKey) {
+        redoChange();
+      } else {
+        undoChange();
+      }
+      return;
+    }
+
     // ESC to close modals
     if (e.key === "Escape") {
       const visibleModals = document.querySelectorAll(".modal.visible");
@@ -125,7 +239,7 @@ function initEventListeners() {
       }
       // Only if no modal is open
       const visibleModals = document.querySelectorAll(".modal.visible");
-      if (visibleModals.length === 0) {
+      if (visibleModals.length === 0 && canEdit()) {
         document.getElementById("add-round").click();
       }
     }
@@ -160,45 +274,107 @@ function initEventListeners() {
 
   // Custom events from treemap (double-click handlers)
   window.addEventListener('editRound', (e) => {
-    openRoundModal(e.detail.roundId);
+    if (canEdit()) openRoundModal(e.detail.roundId);
   });
   window.addEventListener('editAllocation', (e) => {
-    openAllocationModal(e.detail.roundId, e.detail.allocationId);
+    if (canEdit()) openAllocationModal(e.detail.roundId, e.detail.allocationId);
   });
 
   // Scenario management
   document.getElementById("scenario-select").addEventListener("change", async (e) => {
-    const scenarioName = e.target.value;
+    const scenarioName = ScenarioManager.getOptionScenario(e.target.selectedOptions[0]);
     const loadedCapTable = await ScenarioManager.loadScenario(scenarioName, init);
     if (loadedCapTable) {
       capTable = loadedCapTable;
+      applyAntiDilution();
+      // Undo history belongs to the data it was recorded on
+      UndoManager.clear();
+      updateUndoButtons();
+      updateAccessControls();
       refreshUI();
     }
   });
-  document.getElementById("save-scenario-quick").addEventListener("click", () => {
-    ScenarioManager.quickSaveScenario(capTable);
+  document.getElementById("save-scenario-quick").addEventListener("click", async () => {
+    await ScenarioManager.quickSaveScenario(capTable);
+    updateAccessControls();
   });
-  document.getElementById("save-scenario").addEventListener("click", () => {
-    ScenarioManager.saveScenario(capTable);
+  document.getElementById("save-scenario").addEventListener("click", async () => {
+    await ScenarioManager.saveScenario(capTable);
+    updateAccessControls();
   });
   document.getElementById("delete-scenario").addEventListener("click", () => {
     ScenarioManager.deleteScenario(init);
   });
 
+  // Other tabs saving scenarios or local data
+  window.addEventListener("storage", onStorageChange);
+
   // Window resize
   window.addEventListener("resize", () => renderTreemap());
 }
 
 // Initialize
 async function init() {
+  // Initialize event listeners (only once)
+  initEventListeners();
+
+  // The server needs a signed-in user; sign-in calls init again
+  const session = await getSession();
+  if (session.signedOut) {
+    openLoginModal(session.setupRequired);
+    return;
+  }
+  currentUser = session.user || null;
+  updateAccessControls();
+
+  // A share link opens its scenario in that scenario's company (stakeholders only see their holdings)
+  if (pendingSharedLink && !pendingSharedLink.scenario) {
+    try {
+      if (isStakeholder()) throw new Error("stakeholders can only see their own holdings");
+      pendingSharedLink.scenario = await getSharedScenario(pendingSharedLink.token);
+    } catch (error) {
+      pendingSharedLink = null;
+      alert(`❌ Could not open the shared scenario: ${error.message}`);
+    }
+  }
+  if (pendingSharedLink && pendingSharedLink.scenario.companyId !== CompanyManager.getCurrentCompanyId()) {
+    await switchCompany(pendingSharedLink.scenario.companyId);
+    return;
+  }
+
+  // Open the remembered company, or the first one if it no longer exists
+  CompanyManager.migrateLegacyStorage();
+  const companies = await CompanyManager.listCompanies();
+  if (companies.length > 0 && !companies.some(c => c.id === CompanyManager.getCurrentCompanyId())) {
+    CompanyManager.setCurrentCompanyId(companies[0].id);
+  }
+  const companyId = CompanyManager.getCurrentCompanyId();
+
+  // Stakeholders never get the cap table - only their own holdings, worked out by the server
+  if (isStakeholder()) {
+    capTable = null;
+    serverCapTable = null;
+    setCapTableETag(null);
+    startLiveUpdates(companyId);
+    const companyName = companies.find(c => c.id === companyId)?.name ?? "";
+    document.getElementById("company-name").textContent = companyName || "Cap Table Visualizer";
+    CompanyManager.renderCompanySwitcher(companies, companyName, false);
+    await openHolderView(currentUser.holderName);
+    return;
+  }
+
   // Load data from API (SQLite backend) with localStorage fallback
+  let loadedFromApi = false;
+  setCapTableETag(null);
   try {
-    const response = await fetch("/api/captable");
+    const response = await fetch(`/api/companies/${encodeURIComponent(companyId)}/captable`);
     if (response.ok) {
       capTable = await response.json();
+      setCapTableETag(response.headers.get("ETag"));
+      loadedFromApi = true;
     } else {
       // Fallback to localStorage
-      const saved = localStorage.getItem("capTable");
+      const saved = localStorage.getItem(CompanyManager.storageKey("capTable"));
       if (saved) {
         capTable = JSON.parse(saved);
       } else {
@@ -209,7 +385,7 @@ async function init() {
   } catch (error) {
     console.warn("API not available, using localStorage:", error);
     // Fallback to localStorage
-    const saved = localStorage.getItem("capTable");
+    const saved = localStorage.getItem(CompanyManager.storageKey("capTable"));
     if (saved) {
       capTable = JSON.parse(saved);
     } else {
@@ -218,23 +394,262 @@ async function init() {
     }
   }
 
+  // Anti-dilution conversion prices are derived, not persisted - recompute on load
+  applyAntiDilution();
+  if (loadedFromApi) {
+    serverCapTable = structuredClone(capTable);
+  }
+  startLiveUpdates(companyId);
+  UndoManager.clear();
+  updateUndoButtons();
+
   // Set company name
   document.getElementById("company-name").textContent = capTable.companyName;
   document.getElementById("input-company-name").value = capTable.companyName;
+  CompanyManager.renderCompanySwitcher(companies, capTable.companyName, canEditLiveData());
 
-  // Initialize event listeners (only once)
-  initEventListeners();
-
-  // Render
+  // Render (another company's holders aren't this one's, so leave the holder view)
   updateStats();
   updateLegend();
-  renderTreemap();
+  if (holderView) {
+    closeHolderView();
+  } else {
+    renderTreemap();
+  }
 
-  // Load scenarios list
+  // Load scenarios list (saved on the server when it's available)
+  await ScenarioManager.syncScenarios(loadedFromApi);
   ScenarioManager.loadScenariosList();
 
   // Render rounds list
   renderRoundsList();
+
+  await refreshHistory();
+  await refreshUsers();
+
+  if (pendingSharedLink) await openPendingSharedLink();
+}
+
+// ?scenario=<token> (and &copy=1 to save a copy) from a share link, taken out of the address bar
+// so reloading doesn't open it again
+function readSharedLink() {
+  const params = new URLSearchParams(location.search);
+  const token = params.get("scenario");
+  if (!token) return null;
+  history.replaceState(null, "", location.pathname);
+  return { token, copy: params.get("copy") === "1", scenario: null };
+}
+
+// Open the scenario from a share link: read-only, or as a copy for users who save scenarios
+async function openPendingSharedLink() {
+  const { scenario, copy } = pendingSharedLink;
+  pendingSharedLink = null;
+  if (copy && canEditScenarios()) {
+    try {
+      capTable = await ScenarioManager.saveSharedScenarioCopy(scenario);
+    } catch (error) {
+      alert(`❌ Could not save a copy of "${scenario.name}": ${error.message}`);
+      return;
+    }
+  } else {
+    if (copy) alert(`⚠️ Your role can't save scenarios, so "${scenario.name}" opens read-only`);
+    capTable = ScenarioManager.openSharedScenario(scenario);
+  }
+  applyAntiDilution();
+  UndoManager.clear();
+  updateUndoButtons();
+  updateAccessControls();
+  refreshUI();
+}
+
+// Share the open scenario: its read-only and copy links, turning sharing on if it's off
+async function openShareModal() {
+  const saved = ScenarioManager.getCurrentSavedScenario();
+  if (!saved) {
+    alert("❌ Open one of your saved scenarios to share it (scenarios are shared through the server)");
+    return;
+  }
+  let links;
+  try {
+    links = await ScenarioManager.shareCurrentScenario();
+  } catch (error) {
+    alert(`❌ Could not share scenario "${saved.name}": ${error.message}`);
+    return;
+  }
+  document.getElementById("share-summary").textContent =
+    `Anyone who can sign in here can open "${saved.name}" with these links, as you last saved it. ` +
+    `The first shows it read-only; the second saves them a copy of their own to change.`;
+  document.getElementById("share-link-read-only").value = links.readOnly;
+  document.getElementById("share-link-copy").value = links.copy;
+  document.getElementById("share-modal").classList.add("visible");
+}
+
+function closeShareModal() {
+  document.getElementById("share-modal").classList.remove("visible");
+}
+
+async function copyShareLink(button, inputId) {
+  const input = document.getElementById(inputId);
+  input.select();
+  try {
+    await navigator.clipboard.writeText(input.value);
+  } catch {
+    return; // Left selected to copy by hand
+  }
+  button.textContent = "✓ Copied";
+  setTimeout(() => { button.textContent = "Copy"; }, 1500);
+}
+
+async function revokeShareLinks() {
+  const { name } = ScenarioManager.getCurrentSavedScenario();
+  if (!confirm(`Stop sharing "${name}"? Both links stop working (copies already saved from them are kept).`)) return;
+  try {
+    await ScenarioManager.unshareCurrentScenario();
+  } catch (error) {
+    alert(`❌ Could not stop sharing "${name}": ${error.message}`);
+    return;
+  }
+  closeShareModal();
+}
+
+// Admins (and everyone when there's no auth server) change live data
+function canEditLiveData() {
+  return !currentUser || currentUser.role === "admin";
+}
+
+function canEditScenarios() {
+  return canEditLiveData() || currentUser.role === "editor";
+}
+
+// Whether what's on screen can be edited: live data by admins, a loaded scenario by editors too
+// (a scenario someone shared by link is read-only - saving it makes a copy)
+function canEdit() {
+  if (ScenarioManager.isViewingSharedScenario()) return false;
+  return canEditLiveData() || (canEditScenarios() && ScenarioManager.getCurrentScenario() !== "current");
+}
+
+function isStakeholder() {
+  return !!currentUser && currentUser.role === "stakeholder";
+}
+
+// Show only the controls the signed-in user's role allows (see the role classes in index.html)
+function updateAccessControls() {
+  const classes = document.body.classList;
+  classes.toggle("read-only", !canEdit());
+  classes.toggle("no-live-edit", !canEditLiveData());
+  classes.toggle("no-scenarios", !canEditScenarios());
+  classes.toggle("no-history", isStakeholder());
+  classes.toggle("user-admin", !!currentUser && currentUser.role === "admin");
+  classes.toggle("signed-in", !!currentUser);
+  classes.toggle("holder-only", isStakeholder());
+  document.getElementById("current-user").textContent = currentUser
+    ? `${currentUser.username} (${ROLE_LABELS[currentUser.role]})`
+    : "";
+}
+
+const LOGIN_FIELD_INPUTS = { username: "login-username", password: "login-password" };
+
+// Sign-in modal; with setupRequired it creates the first admin account instead
+function openLoginModal(setupRequired) {
+  loginSetupMode = setupRequired;
+  document.getElementById("login-title").textContent = setupRequired ? "🔒 Create Admin Account" : "🔒 Sign In";
+  document.getElementById("login-setup-note").style.display = setupRequired ? "block" : "none";
+  document.getElementById("login-save").textContent = setupRequired ? "Create Account" : "Sign In";
+  clearFieldErrors("login-modal");
+  document.getElementById("login-modal").classList.add("visible");
+  document.getElementById("login-username").focus();
+}
+
+async function submitLogin() {
+  const username = document.getElementById("login-username").value.trim();
+  const password = document.getElementById("login-password").value;
+  clearFieldErrors("login-modal");
+
+  try {
+    currentUser = loginSetupMode ? await setupAdmin(username, password) : await signIn(username, password);
+  } catch (error) {
+    const details = error instanceof ApiError && error.details.length > 0
+      ? error.details
+      : [{ field: "password", message: error.message }];
+    showFieldErrors("login-modal", details, LOGIN_FIELD_INPUTS);
+    return;
+  }
+
+  document.getElementById("login-password").value = "";
+  document.getElementById("login-modal").classList.remove("visible");
+  await init();
+}
+
+// Sign out and start over from the sign-in screen (nothing of the last user's view is kept)
+async function signOutUser() {
+  try {
+    await signOut();
+  } finally {
+    window.location.reload();
+  }
+}
+
+// Admins' users list
+async function refreshUsers() {
+  if (!currentUser || currentUser.role !== "admin") return;
+  try {
+    renderUsersList(await listUsers(), currentUser.id, {
+      onRoleChange: (user, role) => changeUser(user, { role }),
+      onHolderName: (user) => {
+        const holderName = prompt(`Holder name for ${user.username} (as it appears on allocations):`, user.holderName || "");
+        if (holderName !== null) changeUser(user, { holderName: holderName.trim() || null });
+      },
+      onResetPassword: (user) => {
+        const password = prompt(`New password for ${user.username}:`);
+        if (password) changeUser(user, { password });
+      },
+      onDelete: async (user) => {
+        if (!confirm(`Delete user ${user.username}?`)) return;
+        try {
+          await deleteUser(user.id);
+        } catch (error) {
+          alertSaveErrors(error.message, error.details);
+        }
+        await refreshUsers();
+      }
+    });
+  } catch (error) {
+    console.warn("Could not load users:", error);
+  }
+}
+
+async function changeUser(user, changes) {
+  try {
+    await updateUser(user.id, changes);
+  } catch (error) {
+    alertSaveErrors(error.message, error.details);
+  }
+  await refreshUsers();
+}
+
+async function addUser() {
+  const fields = {
+    username: document.getElementById("new-user-username").value.trim(),
+    password: document.getElementById("new-user-password").value,
+    role: document.getElementById("new-user-role").value
+  };
+  const holderName = document.getElementById("new-user-holder").value.trim();
+  if (holderName) fields.holderName = holderName;
+  if (fields.role === "stakeholder" && !holderName) {
+    alert("❌ Stakeholders need a holder name - it's how their allocations are found");
+    return;
+  }
+
+  try {
+    await createUser(fields);
+  } catch (error) {
+    alertSaveErrors(error.message, error.details);
+    return;
+  }
+  ["new-user-username", "new-user-password", "new-user-holder"].forEach(id => {
+    document.getElementById(id).value = "";
+  });
+  await refreshUsers();
 }
 
 // Refresh all UI elements
@@ -245,6 +660,7 @@ function refreshUI() {
   updateLegend();
   renderTreemap();
   renderRoundsList();
+  if (holderView) refreshHolderView();
 }
 
 // CSV Import Handler
@@ -267,19 +683,21 @@ function handleCSVImport(event) {
         }
 
         // Import first scenario as current
+        const before = structuredClone(capTable);
         capTable.rounds = firstScenario.data.rounds;
         capTable.companyName = firstScenario.data.companyName;
         document.getElementById("company-name").textContent = capTable.companyName;
         document.getElementById("input-company-name").value = capTable.companyName;
         await saveData();
+        recordUndo("Import CSV", before);
 
-        // Save remaining scenarios
+        // Save remaining scenarios (CSV files don't carry authorized shares - they keep the company's)
         const savedScenarios = {};
         for (let i = 1; i < scenarios.length; i++) {
           const scenario = scenarios[i];
-          savedScenarios[scenario.name] = JSON.stringify(scenario.data);
+          savedScenarios[scenario.name] = JSON.stringify({ authorizedShares: capTable.authorizedShares, ...scenario.data });
         }
-        localStorage.setItem("scenarios", JSON.stringify(savedScenarios));
+        await ScenarioManager.replaceAllScenarios(savedScenarios);
 
         ScenarioManager.loadScenariosList();
         renderRoundsList();
@@ -295,11 +713,13 @@ function handleCSVImport(event) {
         const companyName = importedData.companyName || capTable.companyName;
 
         if (confirm(`Import ${rounds.length} rounds? This will replace existing rounds.`)) {
+          const before = structuredClone(capTable);
           capTable.rounds = rounds;
           capTable.companyName = companyName;
           document.getElementById("company-name").textContent = companyName;
           document.getElementById("input-company-name").value = companyName;
           await saveData();
+          recordUndo("Import CSV", before);
           renderRoundsList();
           updateStats();
           updateLegend();
@@ -374,118 +794,617 @@ function toggleSidebar() {
   setTimeout(() => renderTreemap(), 100);
 }
 
-// Save company info
-async function saveCompanyInfo() {
-  capTable.companyName = document.getElementById("input-company-name").value;
-  document.getElementById("company-name").textContent = capTable.companyName;
-  await saveData();
-  updateStats();
-  renderTreemap();
+// Save company info
+async function saveCompanyInfo() {
+  const before = structuredClone(capTable);
+  capTable.companyName = document.getElementById("input-company-name").value;
+  document.getElementById("company-name").textContent = capTable.companyName;
+  await saveData();
+  recordUndo("Edit company info", before);
+  CompanyManager.renderCompanySwitcher(await CompanyManager.listCompanies(), capTable.companyName, canEditLiveData());
+  updateStats();
+  renderTreemap();
+}
+
+// Open another company (or create one from the "New company" option)
+async function onCompanySwitcherChange(e) {
+  const value = e.target.value;
+  if (value !== CompanyManager.NEW_COMPANY_OPTION) {
+    await switchCompany(value);
+    return;
+  }
+
+  const name = (prompt("New company name:") || "").trim();
+  if (!name) {
+    e.target.value = CompanyManager.getCurrentCompanyId();
+    return;
+  }
+  const company = await CompanyManager.createCompany(name);
+  await switchCompany(company.id);
+}
+
+async function switchCompany(companyId) {
+  stopTimelinePlayback();
+  viewAsOfDate = null;
+  currentZoomNode = null;
+  serverCapTable = null;
+  ScenarioManager.closeSharedScenario();
+  ScenarioManager.setCurrentScenario("current");
+  CompanyManager.setCurrentCompanyId(companyId);
+  await init();
+}
+
+async function deleteCurrentCompany() {
+  const companies = await CompanyManager.listCompanies();
+  const others = companies.filter(c => c.id !== CompanyManager.getCurrentCompanyId());
+  if (others.length === 0) {
+    alert("❌ Can't delete the only company - create another one first");
+    return;
+  }
+  if (!confirm(`Delete ${capTable.companyName} and all its rounds and scenarios?`)) return;
+
+  await CompanyManager.deleteCompany(CompanyManager.getCurrentCompanyId());
+  await switchCompany(others[0].id);
+}
+
+// Split (or reverse split) live data's stock: recorded in the server's ledger like any other share movement
+async function splitCurrentStock() {
+  if (!serverCapTable) {
+    alert("❌ Stock splits are recorded in the server's ledger, which isn't available");
+    return;
+  }
+  if (ScenarioManager.getCurrentScenario() !== "current") {
+    alert("❌ Open live data to split its stock");
+    return;
+  }
+  const input = prompt("New shares for each existing share (2 for a 2-for-1 split, 0.1 for a 1-for-10 reverse split):");
+  if (input === null) return;
+  const ratio = Number(input);
+  if (!(ratio > 0) || ratio === 1) {
+    alert("❌ Enter a number greater than 0, other than 1");
+    return;
+  }
+  if (!confirm(`Multiply every position and the authorized shares by ${ratio}, and divide prices per share by it?`)) return;
+
+  try {
+    capTable = await splitStock(CompanyManager.getCurrentCompanyId(), ratio);
+  } catch (error) {
+    if (error instanceof ApiError && error.conflict) {
+      capTable = structuredClone(error.conflict.capTable);
+      setCapTableETag(error.conflict.etag);
+      alert("❌ Someone else saved changes since you loaded this cap table. Their version is shown now - split it again if you still want to.");
+    } else {
+      alertSaveErrors(error.message, error.details);
+      return;
+    }
+  }
+
+  applyAntiDilution();
+  serverCapTable = structuredClone(capTable);
+  localStorage.setItem(CompanyManager.storageKey("capTable"), JSON.stringify(capTable));
+  // Undoing would restate the positions one by one instead of recording a reverse split
+  UndoManager.clear();
+  updateUndoButtons();
+  refreshUI();
+  await onRevisionSaved();
+}
+
+// Recompute anti-dilution adjusted conversion prices from the current rounds
+function applyAntiDilution() {
+  const { updatedRounds } = calculateAntiDilutionAdjustments(capTable);
+  capTable.rounds = updatedRounds;
+}
+
+// Store the jointly solved as-if shares on unconverted SAFE/note allocations, so allocation
+// lists and exports match the stats and treemap
+function syncAsIfShares() {
+  const asIf = solveSAFEConversions(capTable);
+  capTable.rounds.forEach(round => {
+    const conversion = asIf.rounds.get(round.id);
+    if (!conversion) return;
+    round.allocations.forEach((alloc, i) => {
+      alloc.shares = Math.round(conversion.allocations[i].shares);
+    });
+  });
+}
+
+// Save to API (SQLite) with localStorage fallback
+async function saveData() {
+  // Every mutation goes through here, so keep derived terms in sync before persisting
+  applyAntiDilution();
+  syncAsIfShares();
+  // Edits to a loaded scenario are saved to it, never to live data (whatever the role)
+  if (ScenarioManager.getCurrentScenario() !== "current") {
+    await ScenarioManager.quickSaveScenario(capTable);
+    return;
+  }
+  if (!canEditLiveData()) return;
+
+  // Keep a local copy whatever happens to the request
+  localStorage.setItem(CompanyManager.storageKey("capTable"), JSON.stringify(capTable));
+
+  let response;
+  try {
+    response = await fetch(`/api/companies/${encodeURIComponent(CompanyManager.getCurrentCompanyId())}/captable`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...changeHeaders(), ...versionHeaders() },
+      body: JSON.stringify(capTable),
+    });
+  } catch (error) {
+    console.warn("API not available, using localStorage only:", error);
+    return;
+  }
+
+  if (!response.ok) {
+    // Served as static files (no accounts and nothing ever loaded from the API): the local copy is the data
+    if (!currentUser && !serverCapTable) return;
+    // Rejected (validation, role, expired session, stale or missing version) or failed: say why
+    const body = await response.json().catch(() => ({}));
+    if (response.status === 409 && body.capTable) {
+      await mergeConflictingSave({ etag: response.headers.get("ETag"), capTable: body.capTable });
+      return;
+    }
+    alertSaveErrors(body.error || `Request failed (${response.status})`, body.details);
+    return;
+  }
+  serverCapTable = structuredClone(capTable);
+  setCapTableETag(response.headers.get("ETag"));
+  await onRevisionSaved();
+}
+
+// saveChanges, with the reason recorded in the audit log for what it sends
+async function saveChangesWithReason(reason) {
+  setChangeReason(reason);
+  try {
+    await saveChanges();
+  } finally {
+    setChangeReason("");
+  }
+}
+
+// Explain a save the server rejected ({ error, details: [{ field, message }] })
+function alertSaveErrors(message, details = []) {
+  const lines = details.map(d => `• ${d.field}: ${d.message}`).join("\n");
+  alert(`❌ Could not save to server: ${message}${lines ? "\n\n" + lines : ""}`);
+}
+
+// Save round/allocation edits through the resource API, sending only what changed since the
+// last sync so other people's edits to untouched rounds aren't overwritten
+async function saveChanges() {
+  if (!serverCapTable) {
+    // Never synced with the API (localStorage mode) - save the whole document as before
+    await saveData();
+    return;
+  }
+
+  applyAntiDilution();
+  syncAsIfShares();
+  if (ScenarioManager.getCurrentScenario() !== "current") {
+    await ScenarioManager.quickSaveScenario(capTable);
+    return;
+  }
+  if (!canEditLiveData()) return;
+  localStorage.setItem(CompanyManager.storageKey("capTable"), JSON.stringify(capTable));
+
+  try {
+    await syncCapTableChanges(CompanyManager.getCurrentCompanyId(), serverCapTable, capTable);
+  } catch (error) {
+    if (error instanceof ApiError && error.conflict) {
+      await mergeConflictingSave(error.conflict);
+      return;
+    }
+    // Requests before the failed one were applied: sync against what the server has now, so the
+    // next save doesn't send them again
+    await reloadServerCapTable();
+    if (error instanceof ApiError) {
+      alertSaveErrors(error.message, error.details);
+    } else {
+      console.warn("API not available, using localStorage only:", error);
+    }
+    return;
+  }
+  serverCapTable = structuredClone(capTable);
+  await onRevisionSaved();
+}
+
+// Take the server's cap table as the synced copy (keeps the last one if the server can't be reached)
+async function reloadServerCapTable() {
+  try {
+    serverCapTable = toServerCapTable(await getCapTable(CompanyManager.getCurrentCompanyId()));
+  } catch (error) {
+    console.warn("Could not reload the cap table from the server:", error);
+  }
+}
+
+// A save was rejected because someone else saved first ({ etag, capTable } from the server):
+// merge the local changes into their version. Changes that don't overlap are combined and saved
+// straight away; rounds and allocations both sides changed go to the merge dialog
+async function mergeConflictingSave(conflict) {
+  const base = serverCapTable || conflict.capTable;
+  const { capTable: merged, conflicts } = mergeCapTables(base, capTable, conflict.capTable);
+  if (conflicts.length === 0) {
+    await saveMerged(conflict, merged);
+    return;
+  }
+
+  pendingMerge = { base, conflict, conflicts };
+  document.getElementById("merge-summary").textContent =
+    `Someone else saved changes to this cap table while you were editing. Everything that doesn't overlap has been combined; ` +
+    `choose which version to keep for ${conflicts.length === 1 ? "this round or allocation" : `these ${conflicts.length} rounds and allocations`}. ` +
+    `"Not Now" keeps your changes on screen without saving them.`;
+  renderMergeConflicts(conflicts);
+  document.getElementById("merge-modal").classList.add("visible");
+}
+
+function closeMergeModal() {
+  document.getElementById("merge-modal").classList.remove("visible");
+  pendingMerge = null;
+}
+
+async function saveMergeDialog() {
+  if (!pendingMerge) return;
+  const { base, conflict, conflicts } = pendingMerge;
+  const { capTable: merged } = mergeCapTables(base, capTable, conflict.capTable, readMergeChoices(conflicts));
+  closeMergeModal();
+  await saveMerged(conflict, merged);
+}
+
+// A cap table from the server as the synced copy: with derived conversion prices, like the local
+// copy, so only real edits are sent
+function toServerCapTable(table) {
+  const copy = structuredClone(table);
+  return { ...copy, rounds: calculateAntiDilutionAdjustments(copy).updatedRounds };
+}
+
+// Save a merge over the server's version, which becomes the one local changes are synced against
+async function saveMerged(conflict, merged) {
+  serverCapTable = toServerCapTable(conflict.capTable);
+  setCapTableETag(conflict.etag);
+  const companyChanged = serverCapTable.companyName !== merged.companyName || serverCapTable.authorizedShares !== merged.authorizedShares;
+  capTable = merged;
+  // Undo snapshots predate the other changes - stepping back to one would revert those too
+  UndoManager.clear();
+  updateUndoButtons();
+
+  // Company fields aren't part of the resource API, so those changes save the whole document
+  if (companyChanged) {
+    await saveData();
+    CompanyManager.renderCompanySwitcher(await CompanyManager.listCompanies(), capTable.companyName, canEditLiveData());
+  } else {
+    await saveChanges();
+  }
+  refreshUI();
+}
+
+// Follow the open company's changes and viewers (only when its cap table came from the server)
+function startLiveUpdates(companyId) {
+  stopLiveUpdates?.();
+  stopLiveUpdates = null;
+  recentChanges.clear();
+  renderPresence([], null);
+  if (!serverCapTable || typeof EventSource === "undefined") return;
+
+  stopLiveUpdates = connectLiveUpdates(companyId, {
+    onChange: applyRemoteChange,
+    onPresence: usernames => renderPresence(usernames, currentUser?.username),
+    onCompanies: applyCompanyChange
+  });
+}
+
+// Someone else added or deleted a company: update the switcher, and leave the open one if it's gone
+async function applyCompanyChange(event) {
+  if (isKnownChange(event)) return;
+  const companies = await CompanyManager.listCompanies();
+  if (event.action === "delete" && event.companyId === CompanyManager.getCurrentCompanyId() && companies.length > 0) {
+    alert(`⚠️ ${event.actor} deleted ${event.name}. Opening ${companies[0].name} instead.`);
+    await switchCompany(companies[0].id);
+    return;
+  }
+  CompanyManager.renderCompanySwitcher(companies, capTable.companyName, canEditLiveData());
+}
+
+// Someone else saved a change: show it straight away, with local edits still on their way to the
+// server merged in, and outline what changed in the treemap for a few seconds
+async function applyRemoteChange(event) {
+  if (!serverCapTable || isKnownChange(event)) return;
+
+  const { capTable: merged } = mergeCapTables(serverCapTable, capTable, event.capTable);
+  serverCapTable = toServerCapTable(event.capTable);
+  setCapTableETag(event.etag);
+  // Undo snapshots don't have the change - stepping back to one would revert it
+  UndoManager.clear();
+  updateUndoButtons();
+
+  const changedAt = Date.now();
+  changedIds(event.changes).forEach(id => recentChanges.set(id, changedAt));
+  setTimeout(() => renderTreemap(), RECENT_CHANGE_MS);
+
+  // A saved scenario on screen stays as it is (going back to live data reloads it)
+  if (ScenarioManager.getCurrentScenario() === "current") {
+    capTable = merged;
+    applyAntiDilution();
+    localStorage.setItem(CompanyManager.storageKey("capTable"), JSON.stringify(capTable));
+    refreshUI();
+    if (event.changes.some(c => c.entity === "company")) {
+      CompanyManager.renderCompanySwitcher(await CompanyManager.listCompanies(), capTable.companyName, canEditLiveData());
+    }
+  }
+  await refreshHistory();
+}
+
+// Another tab of this browser changed saved data (storage events only reach the other tabs):
+// keep the scenario list, the live cap table and the company switcher in step with it
+async function onStorageChange(e) {
+  if (e.storageArea !== localStorage || !e.key || !capTable) return;
+
+  if (e.key === CompanyManager.storageKey("scenarios")) {
+    await ScenarioManager.refreshScenarios();
+    ScenarioManager.loadScenariosList();
+    const scenarioName = ScenarioManager.getCurrentScenario();
+    const change = ScenarioManager.getCurrentScenarioChange();
+    if (change === "deleted") {
+      alert(`⚠️ Scenario "${scenarioName}" was deleted in another tab. It stays on screen here - save it to keep it.`);
+    } else if (change === "changed") {
+      if (confirm(`⚠️ Scenario "${scenarioName}" was changed in another tab.\n\nOK shows that version; Cancel keeps yours on screen (saving it will ask before replacing theirs).`)) {
+        capTable = await ScenarioManager.loadScenario(scenarioName);
+        applyAntiDilution();
+        UndoManager.clear();
+        updateUndoButtons();
+        refreshUI();
+      }
+    }
+    return;
+  }
+
+  // Live data kept in this browser only (with the server, live updates bring other tabs' saves)
+  if (e.key === CompanyManager.storageKey("capTable")) {
+    if (serverCapTable || ScenarioManager.getCurrentScenario() !== "current" || e.newValue === null) return;
+    capTable = JSON.parse(e.newValue);
+    applyAntiDilution();
+    // Undo snapshots don't have the other tab's changes - stepping back to one would revert them
+    UndoManager.clear();
+    updateUndoButtons();
+    refreshUI();
+    CompanyManager.renderCompanySwitcher(await CompanyManager.listCompanies(), capTable.companyName, canEditLiveData());
+    return;
+  }
+
+  // A company added or removed in another tab
+  if (e.key.startsWith("capTable:") && (e.oldValue === null || e.newValue === null)) {
+    CompanyManager.renderCompanySwitcher(await CompanyManager.listCompanies(), capTable.companyName, canEditLiveData());
+  }
+}
+
+// Ids of rounds and allocations someone else changed in the last few seconds
+function recentChangeIds() {
+  const cutoff = Date.now() - RECENT_CHANGE_MS;
+  recentChanges.forEach((changedAt, id) => {
+    if (changedAt <= cutoff) recentChanges.delete(id);
+  });
+  return new Set(recentChanges.keys());
+}
+
+// A save reached the server: its message was used up, and there's a new revision to list
+async function onRevisionSaved() {
+  const revisionMessage = document.getElementById("revision-message");
+  if (revisionMessage.value) {
+    revisionMessage.value = "";
+    revisionMessage.dispatchEvent(new Event("input"));
+  }
+  await refreshHistory();
+}
+
+// Reload the history panel (revisions are only kept by the server)
+async function refreshHistory() {
+  if (!serverCapTable) {
+    revisions = [];
+    renderHistoryList(null, openRevisionModal);
+    return;
+  }
+  try {
+    revisions = await listRevisions(CompanyManager.getCurrentCompanyId());
+    renderHistoryList(revisions, openRevisionModal);
+  } catch (error) {
+    console.warn("Could not load revision history:", error);
+    revisions = [];
+    renderHistoryList(null, openRevisionModal);
+  }
+}
+
+// Show what a revision changed compared with the one before it
+async function openRevisionModal(revisionId) {
+  const companyId = CompanyManager.getCurrentCompanyId();
+  const index = revisions.findIndex(r => r.id === revisionId);
+  const previousMeta = revisions[index + 1];
+
+  try {
+    const [revision, previous] = await Promise.all([
+      getRevision(companyId, revisionId),
+      previousMeta ? getRevision(companyId, previousMeta.id) : null
+    ]);
+    // The first revision is compared with an empty cap table
+    const before = previous ? previous.capTable : { rounds: [] };
+
+    viewingRevisionId = revisionId;
+    document.getElementById("revision-modal-title").textContent = `🕘 ${revision.message || `Revision ${revision.id}`}`;
+    document.getElementById("revision-meta").textContent =
+      `#${revision.id} • ${formatRevisionDate(revision.createdAt)} • ${revision.author || "anonymous"}` +
+      (previous ? ` • changes since #${previous.id}` : " • first revision");
+    document.getElementById("revision-diff").innerHTML = renderDiff(diffCapTables(before, revision.capTable));
+    // The newest revision is what's already live
+    document.getElementById("revision-restore").style.display = index === 0 ? "none" : "";
+    document.getElementById("revision-modal").classList.add("visible");
+  } catch (error) {
+    alert(`❌ Could not load revision ${revisionId}: ${error.message}`);
+  }
+}
+
+function closeRevisionModal() {
+  document.getElementById("revision-modal").classList.remove("visible");
+  viewingRevisionId = null;
+}
+
+function openAuditModal() {
+  const roundSelect = document.getElementById("audit-round");
+  const selectedRound = roundSelect.value;
+  roundSelect.replaceChildren(new Option("All rounds", ""), ...capTable.rounds.map(r => new Option(r.name, r.id)));
+  roundSelect.value = capTable.rounds.some(r => r.id === selectedRound) ? selectedRound : "";
+  document.getElementById("audit-holders").replaceChildren(...listHolders(capTable).map(name => new Option("", name)));
+
+  document.getElementById("audit-modal").classList.add("visible");
+  refreshAuditLog();
+}
+
+function closeAuditModal() {
+  document.getElementById("audit-modal").classList.remove("visible");
+}
+
+// Reload the audit log with the modal's filters (it's only kept by the server)
+async function refreshAuditLog() {
+  if (!serverCapTable) {
+    auditEntries = [];
+    renderAuditLog(null);
+    return;
+  }
+  try {
+    auditEntries = await getAuditLog(CompanyManager.getCurrentCompanyId(), {
+      holder: document.getElementById("audit-holder").value.trim(),
+      roundId: document.getElementById("audit-round").value,
+      from: document.getElementById("audit-from").value,
+      to: document.getElementById("audit-to").value
+    });
+    renderAuditLog(auditEntries);
+  } catch (error) {
+    auditEntries = [];
+    document.getElementById("audit-log-list").innerHTML = `<div class="field-error">❌ Could not load the audit log: ${escapeHtml(error.message)}</div>`;
+  }
+}
+
+// Make the viewed revision current again (the server records the restore as a new revision)
+async function restoreViewedRevision() {
+  const revisionId = viewingRevisionId;
+  if (revisionId === null) return;
+  if (!confirm(`Restore revision #${revisionId}? The current cap table is kept in the history.`)) return;
+
+  const before = structuredClone(capTable);
+  try {
+    capTable = await restoreRevision(CompanyManager.getCurrentCompanyId(), revisionId);
+  } catch (error) {
+    if (error instanceof ApiError && error.conflict) {
+      // Restoring over changes nobody here has seen would throw them away: show them first
+      capTable = structuredClone(error.conflict.capTable);
+      applyAntiDilution();
+      serverCapTable = structuredClone(capTable);
+      setCapTableETag(error.conflict.etag);
+      localStorage.setItem(CompanyManager.storageKey("capTable"), JSON.stringify(capTable));
+      UndoManager.clear();
+      updateUndoButtons();
+      closeRevisionModal();
+      refreshUI();
+      await refreshHistory();
+      alert(`❌ Someone else saved changes since you loaded this cap table. Their version is shown now - review it and restore revision #${revisionId} again if you still want to.`);
+    } else if (error instanceof ApiError) {
+      alertSaveErrors(error.message, error.details);
+    } else {
+      alert(`❌ Could not restore revision ${revisionId}: ${error.message}`);
+    }
+    return;
+  }
+
+  applyAntiDilution();
+  serverCapTable = structuredClone(capTable);
+  localStorage.setItem(CompanyManager.storageKey("capTable"), JSON.stringify(capTable));
+  ScenarioManager.setCurrentScenario("current");
+  ScenarioManager.loadScenariosList();
+  recordUndo(`Restore revision #${revisionId}`, before);
+  closeRevisionModal();
+  refreshUI();
+  await onRevisionSaved();
+}
+
+// Remember a change for undo; `before` is a copy of the cap table taken before it was made
+function recordUndo(label, before) {
+  UndoManager.recordChange(label, before, structuredClone(capTable));
+  updateUndoButtons();
 }
 
-// Save to API (SQLite) with localStorage fallback
-async function saveData() {
-  try {
-    const response = await fetch("/api/captable", {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify(capTable),
-    });
+// Header undo/redo buttons: enabled when there's something to step to, titled with what it is
+function updateUndoButtons() {
+  const { undo, redo } = UndoManager.peek();
+  const undoButton = document.getElementById("undo");
+  const redoButton = document.getElementById("redo");
+  undoButton.disabled = !undo;
+  redoButton.disabled = !redo;
+  undoButton.title = undo ? `Undo: ${undo} (Ctrl+Z)` : "Nothing to undo";
+  redoButton.title = redo ? `Redo: ${redo} (Ctrl+Shift+Z)` : "Nothing to redo";
+}
 
-    if (!response.ok) {
-      throw new Error("API save failed");
-    }
+async function undoChange() {
+  const entry = UndoManager.undo();
+  if (entry) await applyUndoSnapshot(entry.before);
+}
 
-    // Also save to localStorage as backup
-    localStorage.setItem("capTable", JSON.stringify(capTable));
-  } catch (error) {
-    console.warn("API not available, using localStorage only:", error);
-    localStorage.setItem("capTable", JSON.stringify(capTable));
-  }
+async function redoChange() {
+  const entry = UndoManager.redo();
+  if (entry) await applyUndoSnapshot(entry.after);
 }
 
-// Calculate effective price per share based on latest round
-function getEffectivePricePerShare() {
-  const totalIssued = capTable.rounds
-    .filter(r => r.type !== 'safe' || r.converted)
-    .reduce((sum, round) => sum + round.allocations.reduce((s, a) => s + a.shares, 0), 0);
+// Put a cap table from the undo history back and save it like any other edit
+async function applyUndoSnapshot(snapshot) {
+  const companyChanged = capTable.companyName !== snapshot.companyName || capTable.authorizedShares !== snapshot.authorizedShares;
+  capTable = structuredClone(snapshot);
+  updateUndoButtons();
 
-  // Find the most recent priced round
-  const pricedRounds = capTable.rounds.filter(r => r.type === 'priced' && r.pricePerShare);
-  if (pricedRounds.length > 0) {
-    // Use the last priced round's price
-    const lastPricedRound = pricedRounds[pricedRounds.length - 1];
-    return lastPricedRound.pricePerShare;
+  // Company fields aren't part of the resource API, so those changes save the whole document
+  if (companyChanged) {
+    await saveData();
+    CompanyManager.renderCompanySwitcher(await CompanyManager.listCompanies(), capTable.companyName, canEditLiveData());
   } else {
-    // No priced rounds yet - use SAFE valuation cap if available
-    const safeRounds = capTable.rounds.filter(r => r.type === 'safe' && r.valuationCap);
-    if (safeRounds.length > 0) {
-      // Use the highest SAFE valuation cap as proxy
-      const highestCap = Math.max(...safeRounds.map(r => r.valuationCap));
-      return totalIssued > 0 ? highestCap / totalIssued : 0;
-    }
+    await saveChanges();
   }
-  return 0;
+  refreshUI();
 }
 
-/**
- * Calculate true fully diluted shares:
- * = All issued shares (common + priced rounds)
- * + All equity pool shares (allocated + unallocated reserved)
- * + All SAFE shares as if converted at their cap
- */
-function calculateFullyDilutedShares() {
-  let fullyDiluted = 0;
-
-  capTable.rounds.forEach(round => {
-    if (round.type === 'equity-pool') {
-      // For equity pools, count the full authorized amount (allocated + unallocated)
-      fullyDiluted += round.authorizedShares || 0;
-    } else if (round.type === 'safe') {
-      // For SAFEs, count shares as if converted at cap
-      // Formula: (investmentAmount / valuationCap) * totalIssuedExcludingSAFEs
-      // But we need to calculate this iteratively since SAFEs affect each other
-      // For now, just count the current shares (which are calculated correctly)
-      fullyDiluted += round.allocations.reduce((sum, a) => sum + a.shares, 0);
-    } else {
-      // For priced rounds and common stock, count issued shares
-      fullyDiluted += round.allocations.reduce((sum, a) => sum + a.shares, 0);
-    }
-  });
-
-  return fullyDiluted;
+// Dollar amount a convertible allocation is priced on before conversion
+// (notes add the interest accrued to today)
+function getAsIfConversionAmount(round, principal) {
+  return round.type === 'convertible-note'
+    ? principal + calculateAccruedInterest(round, principal, new Date())
+    : principal;
 }
 
-// If there are no priced rounds left, revert any SAFE conversions back to as-if shares
+// If there are no priced rounds left, revert any SAFE/note conversions back to as-if shares
 function revertSAFEConversionsIfNoPricedRounds() {
   const hasPriced = capTable.rounds.some(r => r.type === 'priced');
   if (hasPriced) return false;
 
-  // Base for SAFE as-if shares = non-SAFE issued shares PLUS authorized equity pool
-  const nonPoolIssued = capTable.rounds
-    .filter(r => r.type !== 'safe' && r.type !== 'equity-pool')
-    .reduce((sum, r) => sum + r.allocations.reduce((s, a) => s + a.shares, 0), 0);
-  const poolAuthorized = capTable.rounds
-    .filter(r => r.type === 'equity-pool')
-    .reduce((sum, r) => sum + (r.authorizedShares || 0), 0);
-  const baseCapShares = nonPoolIssued + poolAuthorized;
+  // Price as-if shares against the cap table as it looks with every SAFE unconverted
+  const asIfTable = {
+    ...capTable,
+    rounds: capTable.rounds.map(r => (isConvertible(r) && r.converted ? { ...r, converted: false } : r)),
+  };
+
+  const asIf = solveSAFEConversions(asIfTable);
 
   let changed = false;
   capTable.rounds.forEach(r => {
-    if (r.type === 'safe' && r.converted) {
-      r.allocations = r.allocations.map(a => {
-        const invest = a.investmentAmount || 0;
-        const recalculated = Math.round((invest / (r.valuationCap || 1)) * baseCapShares);
+    if (isConvertible(r) && r.converted) {
+      const conversion = asIf.rounds.get(r.id);
+      r.allocations = r.allocations.map((a, i) => {
+        const recalculated = Math.round(conversion.allocations[i].shares);
         return {
           ...a,
           shares: recalculated,
           conversionPrice: undefined,
           convertedFrom: undefined,
           originalShares: undefined,
+          accruedInterest: undefined,
         };
       });
       r.converted = false;
       r.conversionPrice = undefined;
+      r.conversionMethod = undefined;
+      r.conversionDate = undefined;
       changed = true;
     }
   });
@@ -523,9 +1442,9 @@ function gatherChronologyWarnings(cap) {
   });
 
   const priced = rounds.filter(r => r.type === 'priced');
-  const safes = rounds.filter(r => r.type === 'safe');
+  const safes = rounds.filter(r => isConvertible(r));
   const pools = rounds.filter(r => r.type === 'equity-pool');
-  const nonPoolNonSafe = rounds.filter(r => r.type !== 'equity-pool' && r.type !== 'safe' && r.type !== 'priced');
+  const nonPoolNonSafe = rounds.filter(r => r.type !== 'equity-pool' && !isConvertible(r) && r.type !== 'priced');
 
   priced.forEach(p => {
     const pt = toTime(p && p.date);
@@ -580,28 +1499,43 @@ function showChronologyWarnings() {
 
 // Update statistics
 function updateStats() {
-  const totalIssued = capTable.rounds
-    .filter(r => r.type !== 'safe' || r.converted)
+  // Stats follow the timeline: the cap table as it stood on the selected date
+  const table = getViewCapTable();
+  const asOf = viewAsOfDate ? new Date(viewAsOfDate) : new Date();
+  document.getElementById("stats-as-of").textContent = viewAsOfDate ? `as of ${viewAsOfDate}` : "";
+
+  const totalIssued = table.rounds
+    .filter(r => !isConvertible(r) || r.converted)
     .reduce((sum, round) => sum + round.allocations.reduce((s, a) => s + a.shares, 0), 0);
-  const fullyDiluted = calculateFullyDilutedShares();
+  const fullyDiluted = calculateFullyDilutedShares(table);
 
   // Auto-calculate authorized shares: fully diluted + 20% buffer for future rounds
   const authorized = Math.ceil(fullyDiluted * 1.2);
-  capTable.authorizedShares = authorized;
+  table.authorizedShares = authorized;
 
   const remaining = authorized - fullyDiluted;
   const remainingPct = ((remaining / authorized) * 100).toFixed(2);
-  const totalHolders = capTable.rounds.reduce((sum, round) => sum + round.allocations.length, 0);
+  const totalHolders = table.rounds.reduce((sum, round) => sum + round.allocations.length, 0);
 
   // Calculate current effective valuation and price per share
-  const effectivePricePerShare = getEffectivePricePerShare();
+  const effectivePricePerShare = getEffectivePricePerShare(table);
   const effectiveValuation = totalIssued * effectivePricePerShare;
 
   document.getElementById("stat-allocated").textContent = formatNumber(totalIssued);
   document.getElementById("stat-fully-diluted").textContent = formatNumber(fullyDiluted);
+
+  // Convergence of the joint SAFE/note as-if conversion behind the fully diluted count
+  const asIf = solveSAFEConversions(table, { date: asOf });
+  let asIfNote = "No unconverted SAFEs or notes";
+  if (asIf.rounds.size > 0) {
+    asIfNote = asIf.converged
+      ? `Incl. ${formatNumber(Math.round(asIf.convertingShares))} SAFE/note as-if shares (solved in ${asIf.iterations} iteration${asIf.iterations === 1 ? "" : "s"})`
+      : `⚠️ SAFE/note as-if shares did not converge (off by ${formatNumber(Math.round(asIf.residual))} shares)`;
+  }
+  document.getElementById("stat-fully-diluted-note").textContent = asIfNote;
   document.getElementById("stat-unallocated").textContent = formatNumber(remaining);
   document.getElementById("stat-unallocated-pct").textContent = `${remainingPct}% of authorized cap`;
-  document.getElementById("stat-rounds").textContent = capTable.rounds.length;
+  document.getElementById("stat-rounds").textContent = table.rounds.length;
   document.getElementById("stat-holders").textContent = totalHolders;
   document.getElementById("stat-valuation").textContent = effectiveValuation > 0
     ? `$${formatNumber(Math.round(effectiveValuation))}`
@@ -610,6 +1544,54 @@ function updateStats() {
     ? `$${effectivePricePerShare.toFixed(4)}`
     : 'N/A';
 
+  // Outstanding convertible notes: principal plus interest accrued to the viewed date
+  let notePrincipal = 0;
+  let noteInterest = 0;
+  let maturedNotes = 0;
+  table.rounds
+    .filter(r => r.type === 'convertible-note' && !r.converted)
+    .forEach(r => {
+      r.allocations.forEach(a => {
+        notePrincipal += a.investmentAmount || 0;
+        noteInterest += calculateAccruedInterest(r, a.investmentAmount || 0, asOf);
+      });
+      if (r.maturityDate && new Date(r.maturityDate) <= asOf) maturedNotes++;
+    });
+  document.getElementById("stat-notes-outstanding").textContent = notePrincipal > 0
+    ? `$${formatNumber(Math.round(notePrincipal + noteInterest))}`
+    : 'N/A';
+  let notesDetail = notePrincipal > 0
+    ? `${formatCurrency(notePrincipal)} principal + ${formatCurrency(noteInterest)} interest`
+    : 'No unconverted notes';
+  if (maturedNotes > 0) {
+    notesDetail += ` • ${maturedNotes} past maturity`;
+  }
+  document.getElementById("stat-notes-detail").textContent = notesDetail;
+
+  // Vesting grants as of the viewed date
+  let vestingShares = 0;
+  let vestedShares = 0;
+  let forfeitedShares = 0;
+  table.rounds.forEach(r => {
+    r.allocations.forEach(a => {
+      const status = calculateAllocationVesting(r, a, asOf, { changeOfControlDate });
+      if (!status || !status.vesting.durationMonths) return;
+      vestingShares += a.shares;
+      vestedShares += status.vested;
+      forfeitedShares += status.forfeited;
+    });
+  });
+  document.getElementById("stat-vested").textContent = vestingShares > 0
+    ? `${((vestedShares / vestingShares) * 100).toFixed(1)}%`
+    : 'N/A';
+  let vestedDetail = vestingShares > 0
+    ? `${formatNumber(vestedShares)} of ${formatNumber(vestingShares)} granted shares`
+    : 'No vesting schedules';
+  if (forfeitedShares > 0) {
+    vestedDetail += ` • ${formatNumber(forfeitedShares)} forfeited`;
+  }
+  document.getElementById("stat-vested-detail").textContent = vestedDetail;
+
   // Store globally for treemap renderer
   window._effectivePricePerShare = effectivePricePerShare;
   window._fullyDilutedShares = fullyDiluted;
@@ -624,10 +1606,72 @@ function toggleStatsModal() {
     closeStatsModal();
   } else {
     updateStats(); // Refresh stats before showing
+    updateWaterfall();
     modal.classList.add("visible");
   }
 }
 
+// Render exit waterfall for the exit value entered in the stats modal
+function updateWaterfall() {
+  const exitStr = document.getElementById("waterfall-exit-value").value.trim();
+  const contentDiv = document.getElementById("waterfall-content");
+
+  const exitValue = parseFloat(exitStr);
+  if (!exitStr || isNaN(exitValue) || exitValue <= 0) {
+    contentDiv.innerHTML = '<div style="color: #9ca3af;">Enter an exit value to see what each holder receives</div>';
+    return;
+  }
+
+  const table = getViewCapTable();
+  const waterfall = calculateWaterfall(table, exitValue);
+
+  const lines = [];
+  lines.push(`<div style="display: grid; grid-template-columns: 1fr 1fr; gap: 8px; margin-bottom: 8px;">`);
+  lines.push(`  <div><strong>Total Preference:</strong> ${formatCurrency(waterfall.totalPreference)}</div>`);
+  lines.push(`  <div><strong>Common Price/Share:</strong> $${waterfall.commonPricePerShare.toFixed(4)}</div>`);
+  lines.push(`</div>`);
+
+  if (waterfall.series.length > 0) {
+    lines.push(`<div style="font-weight: bold; margin-bottom: 4px;">Preferred Series:</div>`);
+    [...waterfall.series]
+      .sort((a, b) => a.seniority - b.seniority)
+      .forEach(s => {
+        let decision = s.decision === 'convert' ? 'converts to common' : `takes ${s.multiple}x preference`;
+        if (s.decision !== 'convert' && s.participation === 'full') {
+          decision += ' + participates';
+        } else if (s.decision !== 'convert' && s.participation === 'capped') {
+          decision += ` + participates to ${s.participationCap}x cap`;
+        }
+        lines.push(`<div style="display: flex; justify-content: space-between; margin-bottom: 2px;">`);
+        lines.push(`  <span>${escapeHtml(s.roundName)} <span style="opacity: 0.7;">(rank ${s.seniority}, ${decision})</span></span>`);
+        lines.push(`  <span>${formatCurrency(s.payout)}</span>`);
+        lines.push(`</div>`);
+
+        // Break-even: exit value above which the series is better off converting to common
+        const breakEven = calculateConversionBreakEven(table, s.roundId);
+        if (breakEven !== null) {
+          lines.push(`<div style="opacity: 0.7; margin: 0 0 4px 8px;">Converts to common above ${formatCurrency(breakEven)} exit</div>`);
+        }
+      });
+  }
+
+  const topHolders = Array.from(waterfall.payouts.entries())
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, 8);
+
+  if (topHolders.length > 0) {
+    lines.push(`<div style="font-weight: bold; margin: 8px 0 4px;">Top Payouts:</div>`);
+    topHolders.forEach(([holder, payout]) => {
+      lines.push(`<div style="display: flex; justify-content: space-between; margin-bottom: 2px;">`);
+      lines.push(`  <span>${escapeHtml(holder)}:</span>`);
+      lines.push(`  <span>${formatCurrency(payout)} (${formatOwnership((payout / exitValue) * 100)})</span>`);
+      lines.push(`</div>`);
+    });
+  }
+
+  contentDiv.innerHTML = lines.join('');
+}
+
 // Close stats modal
 function closeStatsModal() {
   document.getElementById("stats-modal").classList.remove("visible");
@@ -671,13 +1715,16 @@ function updateLegend() {
   const legendItems = document.getElementById("legend-items");
   legendItems.innerHTML = "";
 
-  getRoundsSortedByDate(capTable.rounds).forEach((round) => {
+  getRoundsSortedByDate(getViewCapTable().rounds).forEach((round) => {
     const item = document.createElement("div");
     item.className = "legend-item";
-    item.innerHTML = `
-      <div class="legend-color" style="background: ${round.color}"></div>
-      <div class="legend-label">${round.name}</div>
-    `;
+    const color = document.createElement("div");
+    color.className = "legend-color";
+    color.style.background = round.color;
+    const label = document.createElement("div");
+    label.className = "legend-label";
+    label.textContent = round.name;
+    item.append(color, label);
     legendItems.appendChild(item);
   });
 
@@ -691,12 +1738,212 @@ function updateLegend() {
   legendItems.appendChild(unallocatedItem);
 }
 
+// Holder view: one holder's allocations, ownership, vesting and exit payouts in place of the treemap
+async function openHolderView(holderName) {
+  if (holderName !== holderView) holderExitValues = [];
+  holderView = holderName;
+  document.getElementById("treemap-container").style.display = "none";
+  document.getElementById("holder-portal").style.display = "";
+  document.body.classList.add("holder-view");
+  await refreshHolderView();
+}
+
+function closeHolderView() {
+  holderView = null;
+  holderExitValues = [];
+  document.getElementById("holder-portal").style.display = "none";
+  document.getElementById("treemap-container").style.display = "";
+  document.body.classList.remove("holder-view");
+  renderTreemap();
+}
+
+function toggleHolderView() {
+  if (holderView) {
+    closeHolderView();
+    return;
+  }
+  const holders = listHolders(capTable);
+  if (holders.length === 0) {
+    alert("❌ No holders yet - add an allocation first");
+    return;
+  }
+  openHolderView(holders[0]);
+}
+
+async function refreshHolderView() {
+  const content = document.getElementById("portal-content");
+  document.getElementById("portal-title").textContent = isStakeholder() ? "Your Holdings" : `Holdings of ${holderView}`;
+
+  let portfolio = null;
+  if (isStakeholder()) {
+    if (!holderView) {
+      content.innerHTML = '<p style="color: #94a3b8;">No holder name is set for your account - ask an admin to set one.</p>';
+      return;
+    }
+    try {
+      portfolio = await getHoldings(CompanyManager.getCurrentCompanyId(), null, holderExitValues, changeOfControlDate);
+    } catch (error) {
+      if (!(error instanceof ApiError && error.status === 404)) {
+        content.innerHTML = `<p style="color: #f87171;">❌ Could not load your holdings: ${escapeHtml(error.message)}</p>`;
+        return;
+      }
+    }
+  } else {
+    // Everyone else already has the whole cap table (possibly a scenario), so work it out here
+    const select = document.getElementById("portal-holder");
+    select.replaceChildren(...listHolders(capTable).map(name => new Option(name, name)));
+    select.value = holderView;
+    portfolio = calculateHolderPortfolio(capTable, holderView, { changeOfControlDate, exitValues: holderExitValues });
+  }
+
+  content.innerHTML = portfolio
+    ? renderHolderPortfolio(portfolio)
+    : `<p style="color: #94a3b8;">No holdings found for ${escapeHtml(holderView)} in this company.</p>`;
+}
+
+function addHolderExitValue(e) {
+  const exitValue = parseFloat(e.target.value);
+  if (!(exitValue > 0)) return;
+  holderExitValues.push(exitValue);
+  e.target.value = "";
+  refreshHolderView();
+}
+
 // Render treemap
 function renderTreemap() {
-  renderTreemapModule(capTable, currentViewMode, currentZoomNode, zoomToNode, currentUnallocColorMode);
+  // Hidden behind the holder view (stakeholders have no cap table to draw at all)
+  if (holderView || !capTable) return;
+  updateTimeline();
+  renderTreemapModule(
+    getViewCapTable(),
+    currentViewMode,
+    currentZoomNode,
+    zoomToNode,
+    currentUnallocColorMode,
+    viewAsOfDate ? new Date(viewAsOfDate) : new Date(),
+    recentChangeIds(),
+    { changeOfControlDate }
+  );
   updateBreadcrumb();
 }
 
+// Cap table as shown in the treemap, stats and legend: live, or as it stood on the timeline date
+function getViewCapTable() {
+  return viewAsOfDate ? getCapTableAsOf(capTable, viewAsOfDate) : capTable;
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Timeline runs from the first round date to today (or the last round, if later);
+// the right end is the live cap table
+function getTimelineRange() {
+  const times = capTable.rounds.map(r => toTime(r.date)).filter(t => !isNaN(t));
+  const today = toTime(new Date().toISOString().split("T")[0]);
+  if (times.length === 0) return null;
+  return { start: Math.min(...times), end: Math.max(today, ...times) };
+}
+
+// Sync the header slider, tick marks and label with the rounds and the viewed date
+function updateTimeline() {
+  const slider = document.getElementById("timeline-slider");
+  const label = document.getElementById("timeline-label");
+  const range = getTimelineRange();
+  if (!range) {
+    document.getElementById("timeline").style.visibility = "hidden";
+    return;
+  }
+  document.getElementById("timeline").style.visibility = "visible";
+
+  const maxDays = Math.round((range.end - range.start) / DAY_MS);
+  slider.max = maxDays;
+  slider.value = viewAsOfDate
+    ? Math.min(maxDays, Math.round((toTime(viewAsOfDate) - range.start) / DAY_MS))
+    : maxDays;
+
+  const ticks = document.getElementById("timeline-ticks");
+  ticks.replaceChildren(...getRoundsSortedByDate(capTable.rounds)
+    .filter(r => !isNaN(toTime(r.date)))
+    .map(r => {
+      const option = new Option("", Math.round((toTime(r.date) - range.start) / DAY_MS));
+      option.label = r.name;
+      return option;
+    }));
+
+  if (!viewAsOfDate) {
+    label.textContent = "Today (live)";
+    return;
+  }
+  // Name the latest round on or before the viewed date
+  const latest = getRoundsSortedByDate(capTable.rounds)
+    .filter(r => toTime(r.date) <= toTime(viewAsOfDate))
+    .pop();
+  label.textContent = latest ? `${viewAsOfDate} · ${latest.name}` : viewAsOfDate;
+}
+
+// Re-render everything that follows the timeline
+function setViewAsOfDate(date) {
+  viewAsOfDate = date;
+  updateStats();
+  updateLegend();
+  renderTreemap();
+  if (document.getElementById("stats-modal").classList.contains("visible")) {
+    updateWaterfall();
+  }
+}
+
+// Re-render everything that shows vested shares
+function setChangeOfControlDate(date) {
+  changeOfControlDate = date;
+  if (holderView) refreshHolderView();
+  if (!capTable) return;
+  updateStats();
+  renderTreemap();
+}
+
+function onTimelineInput() {
+  stopTimelinePlayback();
+  const slider = document.getElementById("timeline-slider");
+  const range = getTimelineRange();
+  if (!range || parseInt(slider.value) >= parseInt(slider.max)) {
+    setViewAsOfDate(null);
+    return;
+  }
+  const date = new Date(range.start + parseInt(slider.value) * DAY_MS).toISOString().split("T")[0];
+  setViewAsOfDate(date);
+}
+
+// Animate through each round date, ending on the live cap table
+function toggleTimelinePlayback() {
+  if (timelineTimer) {
+    stopTimelinePlayback();
+    return;
+  }
+  const stops = [...new Set(
+    getRoundsSortedByDate(capTable.rounds)
+      .map(r => r.date)
+      .filter(d => !isNaN(toTime(d)))
+  )];
+  if (stops.length === 0) return;
+  stops.push(null);
+
+  let index = 0;
+  currentZoomNode = null;
+  document.getElementById("timeline-play").textContent = "⏸";
+  setViewAsOfDate(stops[index]);
+  timelineTimer = setInterval(() => {
+    index++;
+    setViewAsOfDate(stops[index]);
+    if (index >= stops.length - 1) stopTimelinePlayback();
+  }, 1500);
+}
+
+function stopTimelinePlayback() {
+  if (!timelineTimer) return;
+  clearInterval(timelineTimer);
+  timelineTimer = null;
+  document.getElementById("timeline-play").textContent = "▶";
+}
+
 // Zoom to node or edit allocation
 function zoomToNode(node) {
   // If it's a round with children - zoom in
@@ -758,10 +2005,10 @@ function showTooltip(event, d) {
 
   let html = "";
   if (d.data.round) {
-    html += `<div class="tooltip-row"><span class="tooltip-label">Round:</span> <span>${d.data.round}</span></div>`;
+    html += `<div class="tooltip-row"><span class="tooltip-label">Round:</span> <span>${escapeHtml(d.data.round)}</span></div>`;
   }
   if (d.data.type) {
-    html += `<div class="tooltip-row"><span class="tooltip-label">Type:</span> <span>${d.data.type}</span></div>`;
+    html += `<div class="tooltip-row"><span class="tooltip-label">Type:</span> <span>${escapeHtml(d.data.type)}</span></div>`;
   }
 
   // Shares
@@ -769,7 +2016,7 @@ function showTooltip(event, d) {
   html += `<div class="tooltip-row"><span class="tooltip-label">Shares:</span> <span>${formatNumber(shares)}</span></div>`;
 
   // Percentage
-  const total = calculateFullyDilutedShares();
+  const total = calculateFullyDilutedShares(capTable);
   html += `<div class="tooltip-row"><span class="tooltip-label">Ownership:</span> <span>${calculatePercentage(shares, total)}</span></div>`;
 
   // Value (if in value mode or has price)
@@ -779,7 +2026,7 @@ function showTooltip(event, d) {
   }
 
   if (d.data.vestingSchedule) {
-    html += `<div class="tooltip-row"><span class="tooltip-label">Vesting:</span> <span>${d.data.vestingSchedule}</span></div>`;
+    html += `<div class="tooltip-row"><span class="tooltip-label">Vesting:</span> <span>${escapeHtml(d.data.vestingSchedule)}</span></div>`;
   }
 
   content.innerHTML = html;
@@ -946,7 +2193,7 @@ function capTableToTree(capTable, mode) {
     })),
   }));
 
-  const fullyDiluted = calculateFullyDilutedShares();
+  const fullyDiluted = calculateFullyDilutedShares(capTable);
 
   // Auto-calculate authorized shares: fully diluted + 20% buffer
   const authorized = Math.ceil(fullyDiluted * 1.2);
@@ -976,6 +2223,15 @@ function calculatePercentage(part, total) {
   return ((part / total) * 100).toFixed(2) + "%";
 }
 
+// Action button for a rounds or allocations list item
+function listButton(label, className, onClick) {
+  const button = document.createElement("button");
+  button.className = className;
+  button.textContent = label;
+  button.addEventListener("click", onClick);
+  return button;
+}
+
 // Rounds Management
 function renderRoundsList() {
   const container = document.getElementById("rounds-list");
@@ -989,13 +2245,38 @@ function renderRoundsList() {
     let roundDetails = `${formatNumber(totalShares)} shares • ${round.allocations.length} allocations`;
 
     if (round.type === "safe") {
-      if (round.valuationCap) {
-        roundDetails += ` • $${formatNumber(round.valuationCap)} cap`;
+      const safeType = round.safeType || "pre-money";
+      if (safeType === "mfn") {
+        roundDetails += ` • MFN`;
+      } else if (round.valuationCap && safeType !== "discount-only") {
+        roundDetails += ` • $${formatNumber(round.valuationCap)} ${safeType} cap`;
+      }
+      if (round.discountRate) {
+        roundDetails += ` • ${(round.discountRate * 100).toFixed(0)}% discount`;
       }
       if (round.investmentAmount) {
         const totalInvested = round.allocations.reduce((sum, a) => sum + (a.investmentAmount || 0), 0);
         roundDetails += ` • $${formatNumber(totalInvested)}/$${formatNumber(round.investmentAmount)} raised`;
       }
+    } else if (round.type === "convertible-note") {
+      roundDetails += ` • Note`;
+      if (round.valuationCap) {
+        roundDetails += ` • $${formatNumber(round.valuationCap)} cap`;
+      }
+      if (round.discountRate) {
+        roundDetails += ` • ${(round.discountRate * 100).toFixed(0)}% discount`;
+      }
+      if (round.interestRate) {
+        roundDetails += ` • ${+(round.interestRate * 100).toFixed(2)}% ${round.interestType || "simple"} interest`;
+      }
+      if (round.maturityDate) {
+        const matured = !round.converted && new Date(round.maturityDate) <= new Date();
+        roundDetails += ` • ${matured ? "matured" : "matures"} ${round.maturityDate}`;
+      }
+      if (round.investmentAmount) {
+        const totalPrincipal = round.allocations.reduce((sum, a) => sum + (a.investmentAmount || 0), 0);
+        roundDetails += ` • $${formatNumber(totalPrincipal)}/$${formatNumber(round.investmentAmount)} raised`;
+      }
     } else if (round.type === "equity-pool") {
       roundDetails += ` • Equity Pool`;
       if (round.authorizedShares) {
@@ -1003,7 +2284,13 @@ function renderRoundsList() {
       }
     } else if (round.type === "priced") {
       if (round.pricePerShare) {
-        roundDetails += ` • $${round.pricePerShare}/share`;
+        roundDetails += ` • $${+round.pricePerShare.toFixed(4)}/share`;
+      }
+      if (round.entryMode === "valuation" && round.preMoneyValuation) {
+        roundDetails += ` • ${formatCurrency(round.preMoneyValuation)} pre-money`;
+      }
+      if (round.adjustedConversionPrice) {
+        roundDetails += ` • converts at $${round.adjustedConversionPrice.toFixed(4)} (anti-dilution)`;
       }
       if (round.moneyRaised) {
         const targetShares = Math.round(round.moneyRaised / round.pricePerShare);
@@ -1011,17 +2298,26 @@ function renderRoundsList() {
       }
     }
 
-    item.innerHTML = `
-      <div class="list-item-info">
-        <div class="list-item-title" style="color: ${round.color}; text-shadow: 0 0 10px ${round.color}40;">${round.name}</div>
-        <div class="list-item-details">${roundDetails}</div>
-      </div>
-      <div class="list-item-actions">
-        <button class="secondary" onclick="editRound('${round.id}')">Edit</button>
-        <button class="secondary" onclick="manageAllocations('${round.id}')">Allocations</button>
-        <button class="danger" onclick="deleteRound('${round.id}')">Delete</button>
-      </div>
-    `;
+    const title = document.createElement("div");
+    title.className = "list-item-title";
+    title.style.color = round.color;
+    title.style.textShadow = `0 0 10px ${round.color}40`;
+    title.textContent = round.name;
+    const details = document.createElement("div");
+    details.className = "list-item-details";
+    details.textContent = roundDetails;
+    const info = document.createElement("div");
+    info.className = "list-item-info";
+    info.append(title, details);
+
+    const actions = document.createElement("div");
+    actions.className = "list-item-actions";
+    actions.append(
+      listButton("Edit", "secondary edit-control", () => openRoundModal(round.id)),
+      listButton("Allocations", "secondary", () => manageAllocations(round.id)),
+      listButton("Delete", "danger edit-control", () => deleteRound(round.id))
+    );
+    item.append(info, actions);
     container.appendChild(item);
   });
 }
@@ -1032,13 +2328,45 @@ function toggleRoundTypeFields() {
   const moneyRaisedGroup = document.getElementById("money-raised-group");
   const capGroup = document.getElementById("valuation-cap-group");
   const investmentGroup = document.getElementById("investment-amount-group");
+  const safeTermsGroup = document.getElementById("safe-terms-group");
+  const noteTermsGroup = document.getElementById("note-terms-group");
+  const discountGroup = document.getElementById("discount-group");
   const poolAuthorizedGroup = document.getElementById("pool-authorized-group");
+  const preferenceGroup = document.getElementById("preference-group");
+  const antiDilutionGroup = document.getElementById("anti-dilution-group");
+  const roundDesignerGroup = document.getElementById("round-designer-group");
   const dilutionPreview = document.getElementById("dilution-preview");
 
+  // Liquidation preference terms apply to preferred stock (priced rounds, SAFEs and notes)
+  preferenceGroup.style.display = (type === "priced" || type === "safe" || type === "convertible-note") ? "block" : "none";
+  antiDilutionGroup.style.display = type === "priced" ? "block" : "none";
+  // The designer resizes a pool on save, so it is only offered when adding a round
+  roundDesignerGroup.style.display = type === "priced" && !editingRound ? "block" : "none";
+  togglePriceEntryFields();
+  toggleParticipationCapField();
+
+  safeTermsGroup.style.display = type === "safe" ? "block" : "none";
+  noteTermsGroup.style.display = type === "convertible-note" ? "block" : "none";
+  discountGroup.style.display = "none";
+  // A note's round date is its issue date
+  document.getElementById("round-date-label").textContent = type === "convertible-note" ? "Issue Date" : "Date";
+
   if (type === "safe") {
+    // Only capped flavors take a valuation cap; MFN SAFEs inherit terms from later SAFEs
+    const safeType = document.getElementById("round-safe-type").value;
+    const usesCap = safeType === "pre-money" || safeType === "post-money";
+    priceGroup.style.display = "none";
+    moneyRaisedGroup.style.display = "none";
+    capGroup.style.display = usesCap ? "block" : "none";
+    discountGroup.style.display = safeType === "mfn" ? "none" : "block";
+    investmentGroup.style.display = "block";
+    poolAuthorizedGroup.style.display = "none";
+    dilutionPreview.style.display = "none";
+  } else if (type === "convertible-note") {
     priceGroup.style.display = "none";
     moneyRaisedGroup.style.display = "none";
     capGroup.style.display = "block";
+    discountGroup.style.display = "block";
     investmentGroup.style.display = "block";
     poolAuthorizedGroup.style.display = "none";
     dilutionPreview.style.display = "none";
@@ -1069,7 +2397,138 @@ function toggleRoundTypeFields() {
   }
 }
 
+function isRoundDesignerActive() {
+  return document.getElementById("round-type").value === "priced" &&
+    !editingRound &&
+    document.getElementById("round-designer-mode").checked;
+}
+
+function isValuationEntryActive() {
+  return document.getElementById("round-type").value === "priced" &&
+    !isRoundDesignerActive() &&
+    document.getElementById("round-entry-mode").value === "valuation";
+}
+
+function togglePriceEntryFields() {
+  const designerActive = isRoundDesignerActive();
+  const valuationActive = isValuationEntryActive();
+  const priced = document.getElementById("round-type").value === "priced";
+  document.getElementById("round-designer-fields").style.display = designerActive ? "block" : "none";
+  // The designer solves the price itself, so the entry mode only applies without it
+  document.getElementById("entry-mode-group").style.display = priced && !designerActive ? "block" : "none";
+  document.getElementById("valuation-entry-group").style.display = valuationActive ? "block" : "none";
+  // Price is derived in designer and valuation modes; the designer also sets money raised
+  document.getElementById("round-price").readOnly = designerActive || valuationActive;
+  document.getElementById("round-money-raised").readOnly = designerActive;
+}
+
+// Derive price per share from the pre-money valuation inputs (null until one is entered)
+function solveEntryPrice() {
+  const preMoneyValuation = parseFloat(document.getElementById("round-pre-money").value);
+  if (isNaN(preMoneyValuation) || preMoneyValuation <= 0) return null;
+
+  return solvePriceFromPreMoney(capTable, {
+    preMoneyValuation,
+    includeUnissuedPool: document.getElementById("round-pre-money-pool").checked,
+    includeConverting: document.getElementById("round-pre-money-converting").checked,
+    date: document.getElementById("round-date").value,
+    excludeRoundId: editingRound,
+  });
+}
+
+// Fill the pool picker with existing equity pools plus the option to create a new one
+function populateDesignerPoolOptions() {
+  const select = document.getElementById("designer-pool-round");
+  const pools = getRoundsSortedByDate(capTable.rounds).filter(r => r.type === "equity-pool");
+  select.innerHTML = "";
+  pools.forEach(pool => {
+    const option = document.createElement("option");
+    option.value = pool.id;
+    option.textContent = `${pool.name} (${formatNumber(pool.authorizedShares || 0)} authorized)`;
+    select.appendChild(option);
+  });
+  const newOption = document.createElement("option");
+  newOption.value = "__new__";
+  newOption.textContent = "Create new pool";
+  select.appendChild(newOption);
+  // Default to topping up the most recent pool
+  select.value = pools.length > 0 ? pools[pools.length - 1].id : "__new__";
+}
+
+// Solve the option pool shuffle from the designer inputs (null until they are complete)
+function solveRoundDesigner() {
+  const preMoneyValuation = parseFloat(document.getElementById("designer-pre-money").value);
+  const investment = parseFloat(document.getElementById("designer-investment").value);
+  const poolPct = parseFloat(document.getElementById("designer-pool-pct").value);
+  if (isNaN(preMoneyValuation) || isNaN(investment) || isNaN(poolPct) ||
+      preMoneyValuation <= 0 || investment <= 0 || poolPct < 0 || poolPct >= 100) {
+    return null;
+  }
+
+  return solveOptionPoolShuffle(capTable, {
+    preMoneyValuation,
+    investment,
+    targetPoolPct: poolPct / 100,
+    date: document.getElementById("round-date").value,
+  });
+}
+
+function toggleParticipationCapField() {
+  const participation = document.getElementById("round-participation").value;
+  document.getElementById("participation-cap-group").style.display = participation === "capped" ? "block" : "none";
+}
+
 function updateDilutionPreview() {
+  const solverLines = [];
+  if (isValuationEntryActive()) {
+    const solution = solveEntryPrice();
+    if (!solution) {
+      document.getElementById("dilution-preview-content").innerHTML =
+        '<div style="color: #9ca3af;">Enter a pre-money valuation to derive the price per share</div>';
+      return;
+    }
+
+    document.getElementById("round-price").value = +solution.pricePerShare.toFixed(6);
+
+    const included = [
+      "issued shares",
+      document.getElementById("round-pre-money-pool").checked ? "unissued pool" : null,
+      document.getElementById("round-pre-money-converting").checked ? "converting SAFEs/notes" : null,
+    ].filter(Boolean).join(", ");
+    solverLines.push(`<div style="margin-bottom: 8px; padding-bottom: 8px; border-bottom: 1px solid #374151;">`);
+    solverLines.push(`  <div><strong>Price/Share:</strong> $${solution.pricePerShare.toFixed(4)}${solution.converged ? "" : " ⚠️ did not converge"}</div>`);
+    solverLines.push(`  <div><strong>Pre-Money FD Shares:</strong> ${solution.preMoneyShares.toLocaleString()} <span style="opacity: 0.7;">(${included})</span></div>`);
+    if (solution.convertingShares > 0) {
+      solverLines.push(`  <div><strong>SAFE/Note Conversion Shares:</strong> ${solution.convertingShares.toLocaleString()}</div>`);
+    }
+    solverLines.push(`</div>`);
+  }
+
+  if (isRoundDesignerActive()) {
+    const solution = solveRoundDesigner();
+    if (!solution) {
+      document.getElementById("dilution-preview-content").innerHTML =
+        '<div style="color: #9ca3af;">Enter pre-money valuation, investment and target pool % to solve the round</div>';
+      return;
+    }
+
+    document.getElementById("round-price").value = +solution.pricePerShare.toFixed(6);
+    document.getElementById("round-money-raised").value = document.getElementById("designer-investment").value.trim();
+
+    const poolSelect = document.getElementById("designer-pool-round");
+    const poolName = poolSelect.value === "__new__" ? "new pool" : poolSelect.options[poolSelect.selectedIndex].text.replace(/ \(.*\)$/, "");
+    solverLines.push(`<div style="margin-bottom: 8px; padding-bottom: 8px; border-bottom: 1px solid #374151;">`);
+    solverLines.push(`  <div style="font-weight: bold; margin-bottom: 4px;">Round Designer${solution.converged ? "" : " ⚠️ did not converge"}</div>`);
+    solverLines.push(`  <div><strong>Price/Share:</strong> $${solution.pricePerShare.toFixed(4)}</div>`);
+    solverLines.push(`  <div><strong>Investor Shares:</strong> ${solution.investorShares.toLocaleString()}</div>`);
+    solverLines.push(`  <div><strong>Pool Top-Up:</strong> ${solution.poolTopUp.toLocaleString()} (${escapeHtml(poolName)})</div>`);
+    solverLines.push(`  <div><strong>SAFE/Note Conversion Shares:</strong> ${solution.convertingShares.toLocaleString()}</div>`);
+    solverLines.push(`  <div><strong>Pre-Money FD Shares:</strong> ${solution.preMoneyShares.toLocaleString()}</div>`);
+    solverLines.push(`  <div><strong>Available Pool Post-Money:</strong> ${formatOwnership((solution.poolAvailable / solution.postMoneyShares) * 100)}</div>`);
+    solverLines.push(`  <div style="opacity: 0.7;">Solved in ${solution.iterations} iteration${solution.iterations === 1 ? "" : "s"}</div>`);
+    solverLines.push(`</div>`);
+  }
+
   const priceStr = document.getElementById("round-price").value.trim();
   const moneyRaisedStr = document.getElementById("round-money-raised").value.trim();
   const previewDiv = document.getElementById("dilution-preview-content");
@@ -1089,7 +2548,7 @@ function updateDilutionPreview() {
 
   const dilution = calculateDilution(capTable, moneyRaised, pricePerShare);
 
-  const lines = [];
+  const lines = [...solverLines];
   lines.push(`<div style="display: grid; grid-template-columns: 1fr 1fr; gap: 8px; margin-bottom: 8px;">`);
   lines.push(`  <div><strong>Pre-Money:</strong> ${formatCurrency(dilution.preMoney)}</div>`);
   lines.push(`  <div><strong>Post-Money:</strong> ${formatCurrency(dilution.postMoney)}</div>`);
@@ -1107,18 +2566,121 @@ function updateDilutionPreview() {
     sortedDilution.forEach(([holder, data]) => {
       const arrow = data.dilution > 0 ? '↓' : '';
       lines.push(`  <div style="display: flex; justify-content: space-between; margin-bottom: 2px;">`);
-      lines.push(`    <span>${holder}:</span>`);
+      lines.push(`    <span>${escapeHtml(holder)}:</span>`);
       lines.push(`    <span>${formatOwnership(data.currentOwnership)} ${arrow} ${formatOwnership(data.postMoneyOwnership)}</span>`);
       lines.push(`  </div>`);
     });
     lines.push(`</div>`);
   }
 
+  // Anti-dilution: adjustments this round would trigger for protected earlier rounds
+  const date = document.getElementById("round-date").value;
+  const previewRound = {
+    id: "__preview__",
+    name: document.getElementById("round-name").value.trim() || "This round",
+    type: "priced",
+    pricePerShare,
+    moneyRaised,
+    date,
+    allocations: [],
+  };
+  const { adjustments } = calculateAntiDilutionAdjustments({
+    ...capTable,
+    rounds: [...capTable.rounds.filter(r => r.id !== editingRound), previewRound],
+  });
+  const triggered = adjustments.filter(a => a.triggeredBy === previewRound.id);
+
+  if (triggered.length > 0) {
+    const extraShares = triggered.reduce((sum, a) => sum + a.additionalShares, 0);
+    lines.push(`<div style="margin-top: 8px; font-size: 11px; color: #fbbf24;">`);
+    lines.push(`  <div style="font-weight: bold; margin-bottom: 4px;">⚠️ Down Round – Anti-Dilution Adjustments:</div>`);
+    triggered.forEach(a => {
+      lines.push(`  <div style="display: flex; justify-content: space-between; margin-bottom: 2px;">`);
+      lines.push(`    <span>${escapeHtml(a.roundName)} (${escapeHtml(a.protection)}):</span>`);
+      lines.push(`    <span>$${a.previousConversionPrice.toFixed(4)} → $${a.adjustedConversionPrice.toFixed(4)} (+${a.additionalShares.toLocaleString()} sh)</span>`);
+      lines.push(`  </div>`);
+    });
+    lines.push(`  <div style="margin-top: 4px;"><strong>Extra as-converted shares:</strong> ${extraShares.toLocaleString()}</div>`);
+    lines.push(`</div>`);
+  }
+
   previewDiv.innerHTML = lines.join('');
 }
 
+// Inputs that show validation errors for each round/allocation field (other fields fall back to an alert)
+const ROUND_FIELD_INPUTS = {
+  name: "round-name",
+  type: "round-type",
+  date: "round-date",
+  color: "round-color",
+  pricePerShare: "round-price",
+  moneyRaised: "round-money-raised",
+  valuationCap: "round-valuation-cap",
+  safeType: "round-safe-type",
+  discountRate: "round-discount",
+  interestRate: "round-interest-rate",
+  interestType: "round-interest-type",
+  maturityDate: "round-maturity-date",
+  investmentAmount: "round-investment-amount",
+  authorizedShares: "round-pool-authorized",
+  preMoneyValuation: "round-pre-money",
+  liquidationPreference: "round-liquidation-preference",
+  seniority: "round-seniority",
+  participation: "round-participation",
+  participationCap: "round-participation-cap",
+  antiDilution: "round-anti-dilution",
+  "designer-pre-money": "designer-pre-money",
+};
+
+const ALLOCATION_FIELD_INPUTS = {
+  holderName: "allocation-holder",
+  shares: "allocation-shares",
+  investmentAmount: "allocation-shares",
+  type: "allocation-type",
+  "vesting.grantDate": "allocation-grant-date",
+  "vesting.vestingStartDate": "allocation-vesting-start",
+  "vesting.durationMonths": "allocation-vesting-months",
+  "vesting.cliffMonths": "allocation-cliff-months",
+  "vesting.frequency": "allocation-vesting-frequency",
+  "vesting.acceleration": "allocation-acceleration",
+  "vesting.terminationDate": "allocation-termination-date",
+};
+
+function clearFieldErrors(modalId) {
+  const modal = document.getElementById(modalId);
+  modal.querySelectorAll(".field-error").forEach(el => el.remove());
+  modal.querySelectorAll(".invalid").forEach(el => el.classList.remove("invalid"));
+}
+
+// Show validation errors under their inputs in a modal and focus the first one.
+// Returns true if there were any errors.
+function showFieldErrors(modalId, errors, fieldInputs) {
+  clearFieldErrors(modalId);
+  if (errors.length === 0) return false;
+
+  const unplaced = [];
+  errors.forEach(({ field, message }) => {
+    const input = fieldInputs[field] && document.getElementById(fieldInputs[field]);
+    if (!input) {
+      unplaced.push(message);
+      return;
+    }
+    input.classList.add("invalid");
+    const note = document.createElement("div");
+    note.className = "field-error";
+    note.textContent = message;
+    input.insertAdjacentElement("afterend", note);
+  });
+
+  const first = document.querySelector(`#${modalId} .invalid`);
+  if (first) first.focus();
+  if (unplaced.length > 0) alert("❌ " + unplaced.join("\n"));
+  return true;
+}
+
 function openRoundModal(roundId = null) {
   editingRound = roundId;
+  clearFieldErrors("round-modal");
   const modal = document.getElementById("round-modal");
   const title = document.getElementById("round-modal-title");
 
@@ -1137,9 +2699,23 @@ function openRoundModal(roundId = null) {
 
     document.getElementById("round-price").value = round.pricePerShare || "";
     document.getElementById("round-money-raised").value = round.moneyRaised || "";
+    document.getElementById("round-entry-mode").value = round.entryMode || "price";
+    document.getElementById("round-pre-money").value = round.preMoneyValuation || "";
+    document.getElementById("round-pre-money-pool").checked = round.preMoneyIncludesPool !== false;
+    document.getElementById("round-pre-money-converting").checked = round.preMoneyIncludesConverting !== false;
     document.getElementById("round-valuation-cap").value = round.valuationCap || "";
+    document.getElementById("round-safe-type").value = round.safeType || "pre-money";
+    document.getElementById("round-discount").value = round.discountRate ? +(round.discountRate * 100).toFixed(4) : "";
+    document.getElementById("round-interest-rate").value = round.interestRate ? +(round.interestRate * 100).toFixed(4) : "";
+    document.getElementById("round-interest-type").value = round.interestType || "simple";
+    document.getElementById("round-maturity-date").value = round.maturityDate || "";
     document.getElementById("round-investment-amount").value = round.investmentAmount || "";
     document.getElementById("round-pool-authorized").value = round.authorizedShares || "";
+    document.getElementById("round-liquidation-preference").value = round.liquidationPreference ?? "";
+    document.getElementById("round-seniority").value = round.seniority ?? "";
+    document.getElementById("round-participation").value = round.participation || "non-participating";
+    document.getElementById("round-participation-cap").value = round.participationCap ?? "";
+    document.getElementById("round-anti-dilution").value = round.antiDilution || "none";
     document.getElementById("round-date").value = round.date;
     document.getElementById("round-color").value = round.color;
   } else {
@@ -1148,13 +2724,34 @@ function openRoundModal(roundId = null) {
     document.getElementById("round-type").value = "priced";
     document.getElementById("round-price").value = "";
     document.getElementById("round-money-raised").value = "";
+    document.getElementById("round-entry-mode").value = "price";
+    document.getElementById("round-pre-money").value = "";
+    document.getElementById("round-pre-money-pool").checked = true;
+    document.getElementById("round-pre-money-converting").checked = true;
     document.getElementById("round-valuation-cap").value = "";
+    document.getElementById("round-safe-type").value = "post-money";
+    document.getElementById("round-discount").value = "";
+    document.getElementById("round-interest-rate").value = "";
+    document.getElementById("round-interest-type").value = "simple";
+    document.getElementById("round-maturity-date").value = "";
     document.getElementById("round-investment-amount").value = "";
     document.getElementById("round-pool-authorized").value = "";
+    document.getElementById("round-liquidation-preference").value = "";
+    document.getElementById("round-seniority").value = "";
+    document.getElementById("round-participation").value = "non-participating";
+    document.getElementById("round-participation-cap").value = "";
+    document.getElementById("round-anti-dilution").value = "none";
     document.getElementById("round-date").value = new Date().toISOString().split("T")[0];
     document.getElementById("round-color").value = "#" + Math.floor(Math.random() * 16777215).toString(16);
   }
 
+  document.getElementById("round-designer-mode").checked = false;
+  document.getElementById("round-reason").value = "";
+  document.getElementById("designer-pre-money").value = "";
+  document.getElementById("designer-investment").value = "";
+  document.getElementById("designer-pool-pct").value = "";
+  populateDesignerPoolOptions();
+
   toggleRoundTypeFields();
   modal.classList.add("visible");
 
@@ -1173,91 +2770,135 @@ async function saveRound() {
   const priceStr = document.getElementById("round-price").value.trim();
   const moneyRaisedStr = document.getElementById("round-money-raised").value.trim();
   const capStr = document.getElementById("round-valuation-cap").value.trim();
+  const safeTypeValue = document.getElementById("round-safe-type").value;
+  const discountStr = document.getElementById("round-discount").value.trim();
+  const interestRateStr = document.getElementById("round-interest-rate").value.trim();
+  const interestTypeValue = document.getElementById("round-interest-type").value;
+  const maturityDateValue = document.getElementById("round-maturity-date").value;
   const investmentStr = document.getElementById("round-investment-amount").value.trim();
   const poolAuthorizedStr = document.getElementById("round-pool-authorized").value.trim();
+  const preferenceStr = document.getElementById("round-liquidation-preference").value.trim();
+  const seniorityStr = document.getElementById("round-seniority").value.trim();
+  const participationValue = document.getElementById("round-participation").value;
+  const participationCapStr = document.getElementById("round-participation-cap").value.trim();
+  const antiDilutionValue = document.getElementById("round-anti-dilution").value;
   const date = document.getElementById("round-date").value;
   const color = document.getElementById("round-color").value;
 
-  if (!name) {
-    alert("❌ Round name is required");
-    document.getElementById("round-name").focus();
-    return;
-  }
-
-  if (!date) {
-    alert("❌ Date is required");
-    document.getElementById("round-date").focus();
-    return;
+  // Valuation entry: derive the exact price from the pre-money valuation
+  let entrySolution = null;
+  if (isValuationEntryActive()) {
+    entrySolution = solveEntryPrice();
+    if (!entrySolution) {
+      showFieldErrors("round-modal", [{ field: "preMoneyValuation", message: "Pre-money valuation must be greater than 0" }], ROUND_FIELD_INPUTS);
+      return;
+    }
   }
 
   // Parse values first
-  const price = priceStr ? parseFloat(priceStr) : undefined;
+  const price = entrySolution ? entrySolution.pricePerShare : (priceStr ? parseFloat(priceStr) : undefined);
   const moneyRaised = moneyRaisedStr ? parseFloat(moneyRaisedStr) : undefined;
-  const cap = capStr ? parseFloat(capStr) : undefined;
+  const isNote = type === "convertible-note";
+  const safeType = type === "safe" ? safeTypeValue : undefined;
+  const usesCap = safeType === "pre-money" || safeType === "post-money" || isNote;
+  const usesDiscount = (type === "safe" && safeType !== "mfn") || isNote;
+  const cap = capStr && usesCap ? parseFloat(capStr) : undefined;
+  const discountPct = discountStr && usesDiscount ? parseFloat(discountStr) : undefined;
+  const interestPct = interestRateStr && isNote ? parseFloat(interestRateStr) : undefined;
+  const interestRate = interestPct ? interestPct / 100 : undefined;
+  const interestType = isNote ? interestTypeValue : undefined;
+  const maturityDate = isNote && maturityDateValue ? maturityDateValue : undefined;
   const investment = investmentStr ? parseFloat(investmentStr) : undefined;
   const poolAuthorized = poolAuthorizedStr ? parseInt(poolAuthorizedStr) : undefined;
+  const liquidationPreference = preferenceStr ? parseFloat(preferenceStr) : undefined;
+  const seniority = seniorityStr ? parseInt(seniorityStr) : undefined;
+  const hasPreference = type === "priced" || type === "safe" || isNote;
+  const discountRate = discountPct ? discountPct / 100 : undefined;
+  const participation = participationValue === "non-participating" ? undefined : participationValue;
+  const participationCap = participation === "capped" && participationCapStr ? parseFloat(participationCapStr) : undefined;
+  const antiDilution = type === "priced" && antiDilutionValue !== "none" ? antiDilutionValue : undefined;
+  // Persist what was typed so editing shows the original inputs; designer rounds are
+  // recorded as a pre-money valuation that counts the (topped-up) pool and converting SAFEs
+  let entryTerms = {};
+  if (entrySolution) {
+    entryTerms = {
+      entryMode: "valuation",
+      preMoneyValuation: parseFloat(document.getElementById("round-pre-money").value),
+      preMoneyIncludesPool: document.getElementById("round-pre-money-pool").checked,
+      preMoneyIncludesConverting: document.getElementById("round-pre-money-converting").checked,
+    };
+  } else if (isRoundDesignerActive()) {
+    entryTerms = {
+      entryMode: "valuation",
+      preMoneyValuation: parseFloat(document.getElementById("designer-pre-money").value),
+      preMoneyIncludesPool: true,
+      preMoneyIncludesConverting: true,
+    };
+  }
 
-  // Validate type-specific required fields
-  if (type === "priced") {
-    if (!price || price <= 0) {
-      alert("❌ Price per share must be greater than 0 for priced rounds");
-      document.getElementById("round-price").focus();
-      return;
-    }
-  } else if (type === "safe") {
-    if (!cap || cap <= 0) {
-      alert("❌ Valuation cap must be greater than 0 for SAFE rounds");
-      document.getElementById("round-valuation-cap").focus();
-      return;
-    }
-  } else if (type === "equity-pool") {
-    if (!poolAuthorized || poolAuthorized <= 0) {
-      alert("❌ Pool authorized shares must be greater than 0");
-      document.getElementById("round-pool-authorized").focus();
+  // Round designer: re-solve so the pool top-up matches the price being saved
+  let designerSolution = null;
+  if (isRoundDesignerActive()) {
+    designerSolution = solveRoundDesigner();
+    if (!designerSolution) {
+      showFieldErrors("round-modal", [{ field: "designer-pre-money", message: "Round designer needs a pre-money valuation, an investment amount and a target pool % below 100" }], ROUND_FIELD_INPUTS);
       return;
     }
   }
 
+  const terms = {
+    name,
+    type,
+    pricePerShare: type === "priced" ? price : undefined,
+    moneyRaised: type === "priced" ? moneyRaised : undefined,
+    valuationCap: usesCap ? cap : undefined,
+    safeType,
+    discountRate: usesDiscount ? discountRate : undefined,
+    interestRate,
+    interestType,
+    maturityDate,
+    investmentAmount: (type === "safe" || isNote) ? investment : undefined,
+    authorizedShares: type === "equity-pool" ? poolAuthorized : undefined,
+    liquidationPreference: hasPreference ? liquidationPreference : undefined,
+    seniority: hasPreference ? seniority : undefined,
+    participation: hasPreference ? participation : undefined,
+    participationCap: hasPreference ? participationCap : undefined,
+    antiDilution,
+    entryMode: entryTerms.entryMode,
+    preMoneyValuation: entryTerms.preMoneyValuation,
+    preMoneyIncludesPool: entryTerms.preMoneyIncludesPool,
+    preMoneyIncludesConverting: entryTerms.preMoneyIncludesConverting,
+    date,
+    color,
+  };
+
+  // Same checks the server applies, plus the terms this round type needs
+  const existingRound = editingRound ? capTable.rounds.find((r) => r.id === editingRound) : null;
+  const candidate = { ...existingRound, ...terms, id: editingRound || "new-round", allocations: existingRound ? existingRound.allocations : [] };
+  if (showFieldErrors("round-modal", validateRound(candidate, { requireTerms: true }), ROUND_FIELD_INPUTS)) {
+    return;
+  }
+
   // Check if this is a priced round and there are unconverted SAFEs
   let shouldConvertSAFEs = false;
   if (type === "priced" && price && moneyRaised && !editingRound) {
-    const hasSAFEs = capTable.rounds.some(r => r.type === "safe" && !r.converted);
+    const hasSAFEs = capTable.rounds.some(r => isConvertible(r) && !r.converted);
     if (hasSAFEs) {
       shouldConvertSAFEs = confirm(
-        "This is your first priced round! Would you like to automatically convert SAFE notes to equity shares?\n\n" +
-        "This will calculate the conversion price based on the valuation cap and update SAFE allocations."
+        "This is your first priced round! Would you like to automatically convert SAFEs and convertible notes to equity shares?\n\n" +
+        "This will calculate each instrument's conversion price from its valuation cap or discount (whichever is better for the investor), accrue note interest up to this round's date, and update their allocations."
       );
     }
   }
 
-  if (editingRound) {
+  const before = structuredClone(capTable);
+  if (existingRound) {
     // Edit existing
-    const round = capTable.rounds.find((r) => r.id === editingRound);
-    round.name = name;
-    round.type = type;
-    round.pricePerShare = type === "priced" ? price : undefined;
-    round.moneyRaised = type === "priced" ? moneyRaised : undefined;
-    round.valuationCap = type === "safe" ? cap : undefined;
-    round.investmentAmount = type === "safe" ? investment : undefined;
-    round.authorizedShares = type === "equity-pool" ? poolAuthorized : undefined;
-    round.date = date;
-    round.color = color;
+    Object.assign(existingRound, terms);
   } else {
     // Add new
     const id = "round-" + Date.now();
-    capTable.rounds.push({
-      id,
-      name,
-      type,
-      pricePerShare: type === "priced" ? price : undefined,
-      moneyRaised: type === "priced" ? moneyRaised : undefined,
-      valuationCap: type === "safe" ? cap : undefined,
-      investmentAmount: type === "safe" ? investment : undefined,
-      authorizedShares: type === "equity-pool" ? poolAuthorized : undefined,
-      date,
-      color,
-      allocations: [],
-    });
+    capTable.rounds.push({ id, ...terms, allocations: [] });
   }
 
   // Convert SAFEs if user confirmed
@@ -1268,30 +2909,59 @@ async function saveRound() {
     const preMoney = price * totalShares;
     const postMoney = preMoney + moneyRaised;
 
-    const { conversions, updatedRounds } = convertSAFEs(capTable, postMoney, price);
+    const { conversions, updatedRounds, solution } = convertSAFEs(capTable, postMoney, price, date, moneyRaised);
     capTable.rounds = updatedRounds;
 
     // Show conversion summary
     if (conversions.length > 0) {
-      let summary = "SAFE Conversion Summary:\n\n";
+      let summary = "SAFE & Note Conversion Summary:\n\n";
+      summary += solution.converged
+        ? `Solved jointly in ${solution.iterations} iteration${solution.iterations === 1 ? "" : "s"}.\n\n`
+        : `⚠️ Conversion solver did not converge after ${solution.iterations} iterations (off by ${Math.round(solution.residual).toLocaleString()} shares) – check for valuation caps oversubscribed by their own SAFEs.\n\n`;
       conversions.forEach(c => {
         summary += `${c.holderName} (${c.roundName}):\n`;
+        if (c.accruedInterest > 0) {
+          summary += `  Principal: ${formatCurrency(c.principal)} + Interest: ${formatCurrency(c.accruedInterest)}\n`;
+        }
         summary += `  Investment: ${formatCurrency(c.investmentAmount)}\n`;
         summary += `  Conversion Price: $${c.conversionPrice.toFixed(c.conversionPrice >= 1 ? 2 : 4)}/share\n`;
         summary += `  Shares: ${c.originalShares.toLocaleString()} → ${c.convertedShares.toLocaleString()}\n`;
+        summary += `  Term applied: ${describeSAFEConversion(c)}\n`;
         if (c.discount > 0) {
-          summary += `  Discount: ${c.discount.toFixed(1)}%\n`;
+          summary += `  Effective Discount: ${c.discount.toFixed(1)}%\n`;
         }
+        summary += `  Post-Money Ownership: ${formatOwnership(c.postMoneyOwnership)}\n`;
         summary += `\n`;
       });
       alert(summary);
     }
   }
 
+  // Round designer: top up (or create) the equity pool after SAFEs convert, so the top-up
+  // stays out of their cap base as the solver assumed
+  if (designerSolution && designerSolution.poolTopUp > 0) {
+    const poolId = document.getElementById("designer-pool-round").value;
+    const pool = capTable.rounds.find(r => r.id === poolId && r.type === "equity-pool");
+    if (pool) {
+      pool.authorizedShares = (pool.authorizedShares || 0) + designerSolution.poolTopUp;
+    } else {
+      capTable.rounds.push({
+        id: "round-" + Date.now() + "-pool",
+        name: `${name} Option Pool`,
+        type: "equity-pool",
+        authorizedShares: designerSolution.poolTopUp,
+        date,
+        color: "#" + Math.floor(Math.random() * 16777215).toString(16),
+        allocations: [],
+      });
+    }
+  }
+
   // If we ended up with no priced rounds, revert any SAFE conversions
   revertSAFEConversionsIfNoPricedRounds();
 
-  await saveData();
+  await saveChangesWithReason(document.getElementById("round-reason").value.trim());
+  recordUndo(`${existingRound ? "Edit" : "Add"} round ${name}${shouldConvertSAFEs ? " and convert SAFEs" : ""}`, before);
   renderRoundsList();
   updateLegend();
   renderTreemap();
@@ -1300,22 +2970,39 @@ async function saveRound() {
   closeRoundModal();
 }
 
+// Explain which SAFE term set the conversion price (cap vs. discount vs. round price)
+function describeSAFEConversion(c) {
+  const fmt = (p) => `$${p.toFixed(p >= 1 ? 2 : 4)}`;
+  const flavor = c.mfnSource ? `MFN (adopted from ${c.mfnSource})` : c.safeType;
+  if (c.method === 'cap') {
+    const alt = c.discountPrice !== undefined ? ` beat discount price ${fmt(c.discountPrice)}` : '';
+    return `${flavor} valuation cap price ${fmt(c.capPrice)}${alt}`;
+  }
+  if (c.method === 'discount') {
+    const alt = c.capPrice !== undefined ? ` beat cap price ${fmt(c.capPrice)}` : '';
+    return `${flavor} discount price ${fmt(c.discountPrice)}${alt}`;
+  }
+  return `${flavor} – no cap or discount below the round price`;
+}
+
 async function deleteRound(roundId) {
-  if (!confirm("Delete this round and all its allocations?")) return;
+  const reason = prompt("Delete this round and all its allocations?\n\nReason (optional, kept in the audit log):", "");
+  if (reason === null) return;
 
+  const before = structuredClone(capTable);
+  const round = capTable.rounds.find((r) => r.id === roundId);
   capTable.rounds = capTable.rounds.filter((r) => r.id !== roundId);
 
   // If this removal leaves no priced rounds, revert SAFE conversions
   revertSAFEConversionsIfNoPricedRounds();
 
-  await saveData();
+  await saveChangesWithReason(reason.trim());
+  recordUndo(`Delete round ${round ? round.name : roundId}`, before);
   renderRoundsList();
   updateLegend();
   renderTreemap();
 }
 
-window.editRound = openRoundModal;
-window.deleteRound = deleteRound;
 
 // Allocations Management
 function manageAllocations(roundId) {
@@ -1339,7 +3026,7 @@ function manageAllocations(roundId) {
       item.className = "list-item";
 
       let details;
-      if (round.type === 'safe' && allocation.investmentAmount) {
+      if (isConvertible(round) && allocation.investmentAmount) {
         details = `${formatCurrency(allocation.investmentAmount)} → ${formatNumber(allocation.shares)} shares • ${allocation.type}`;
       } else {
         details = `${formatNumber(allocation.shares)} shares • ${allocation.type}`;
@@ -1347,18 +3034,38 @@ function manageAllocations(roundId) {
       if (allocation.vestingSchedule) {
         details += ` • ${allocation.vestingSchedule}`;
       }
+      const vestingStatus = calculateAllocationVesting(round, allocation, new Date(), { changeOfControlDate });
+      if (vestingStatus && vestingStatus.vesting.durationMonths) {
+        details += ` • ${vestingStatus.vestedPct.toFixed(1)}% vested`;
+        if (vestingStatus.forfeited > 0) {
+          details += ` (${formatNumber(vestingStatus.forfeited)} forfeited)`;
+        }
+      }
+
+      const info = document.createElement("div");
+      info.className = "list-item-info";
+      const title = document.createElement("div");
+      title.className = "list-item-title";
+      title.textContent = allocation.holderName;
+      const detailsLine = document.createElement("div");
+      detailsLine.className = "list-item-details";
+      detailsLine.textContent = details;
+      info.append(title, detailsLine);
+      if (allocation.notes) {
+        const notes = document.createElement("div");
+        notes.className = "list-item-details";
+        notes.style.fontStyle = "italic";
+        notes.textContent = allocation.notes;
+        info.appendChild(notes);
+      }
 
-      item.innerHTML = `
-        <div class="list-item-info">
-          <div class="list-item-title">${allocation.holderName}</div>
-          <div class="list-item-details">${details}</div>
-          ${allocation.notes ? `<div class="list-item-details" style="font-style: italic;">${allocation.notes}</div>` : ""}
-        </div>
-        <div class="list-item-actions">
-          <button class="secondary" onclick="editAllocation('${roundId}', '${allocation.id}')">Edit</button>
-          <button class="danger" onclick="deleteAllocation('${roundId}', '${allocation.id}')">Delete</button>
-        </div>
-      `;
+      const actions = document.createElement("div");
+      actions.className = "list-item-actions";
+      actions.append(
+        listButton("Edit", "secondary edit-control", () => editAllocation(roundId, allocation.id)),
+        listButton("Delete", "danger edit-control", () => deleteAllocation(roundId, allocation.id))
+      );
+      item.append(info, actions);
       container.appendChild(item);
     });
   }
@@ -1374,6 +3081,7 @@ function closeAllocationsListModal() {
 function openAllocationModal(roundId, allocationId = null) {
   editingRoundId = roundId;
   editingAllocation = allocationId;
+  clearFieldErrors("allocation-modal");
   const modal = document.getElementById("allocation-modal");
   const title = document.getElementById("allocation-modal-title");
   const round = capTable.rounds.find((r) => r.id === roundId);
@@ -1382,10 +3090,10 @@ function openAllocationModal(roundId, allocationId = null) {
   const sharesLabel = document.querySelector('label[for="allocation-shares"]');
   const fdPctGroup = document.getElementById("allocation-fd-pct").closest('.form-group');
 
-  if (round.type === 'safe') {
-    sharesLabel.textContent = 'Investment Amount ($)';
+  if (isConvertible(round)) {
+    sharesLabel.textContent = round.type === 'convertible-note' ? 'Principal ($)' : 'Investment Amount ($)';
     document.getElementById("allocation-shares").placeholder = "100000";
-    // Hide FD % field for SAFE rounds
+    // Hide FD % field for SAFE and note rounds
     fdPctGroup.style.display = 'none';
   } else {
     sharesLabel.textContent = 'Shares';
@@ -1399,18 +3107,19 @@ function openAllocationModal(roundId, allocationId = null) {
     title.textContent = "Edit Allocation";
     document.getElementById("allocation-holder").value = allocation.holderName;
     // For SAFE rounds, show investment amount; otherwise show shares
-    if (round.type === 'safe' && allocation.investmentAmount) {
+    if (isConvertible(round) && allocation.investmentAmount) {
       document.getElementById("allocation-shares").value = allocation.investmentAmount;
       document.getElementById("allocation-fd-pct").value = "";
     } else {
       document.getElementById("allocation-shares").value = allocation.shares;
       // Calculate and populate FD %
-      const fullyDiluted = calculateFullyDilutedShares();
+      const fullyDiluted = calculateFullyDilutedShares(capTable);
       const fdPct = ((allocation.shares / fullyDiluted) * 100).toFixed(4);
       document.getElementById("allocation-fd-pct").value = fdPct;
     }
     document.getElementById("allocation-type").value = allocation.type;
     document.getElementById("allocation-vesting").value = allocation.vestingSchedule || "";
+    setVestingFields(getVestingSchedule(round, allocation));
     document.getElementById("allocation-notes").value = allocation.notes || "";
   } else {
     title.textContent = `Add Allocation - ${round.name}`;
@@ -1432,8 +3141,10 @@ function openAllocationModal(roundId, allocationId = null) {
     document.getElementById("allocation-fd-pct").value = "";
     document.getElementById("allocation-type").value = "common";
     document.getElementById("allocation-vesting").value = "";
+    setVestingFields(null);
     document.getElementById("allocation-notes").value = "";
   }
+  document.getElementById("allocation-reason").value = "";
 
   modal.classList.add("visible");
 
@@ -1444,6 +3155,46 @@ function openAllocationModal(roundId, allocationId = null) {
   setTimeout(() => document.getElementById("allocation-holder").focus(), 100);
 }
 
+// Fill the structured vesting fields from a schedule (or clear them)
+function setVestingFields(vesting) {
+  const v = vesting || {};
+  document.getElementById("allocation-grant-date").value = v.grantDate || "";
+  document.getElementById("allocation-vesting-start").value = v.vestingStartDate || "";
+  document.getElementById("allocation-vesting-months").value = v.durationMonths ?? "";
+  document.getElementById("allocation-cliff-months").value = v.cliffMonths ?? "";
+  document.getElementById("allocation-vesting-frequency").value = v.frequency || "monthly";
+  document.getElementById("allocation-acceleration").value = v.acceleration || "none";
+  document.getElementById("allocation-termination-date").value = v.terminationDate || "";
+}
+
+// Structured vesting schedule from the modal fields (null when no duration is set)
+function readVestingFields() {
+  const monthsStr = document.getElementById("allocation-vesting-months").value.trim();
+  if (!monthsStr) return null;
+  return {
+    grantDate: document.getElementById("allocation-grant-date").value || undefined,
+    vestingStartDate: document.getElementById("allocation-vesting-start").value || undefined,
+    durationMonths: parseInt(monthsStr),
+    cliffMonths: parseInt(document.getElementById("allocation-cliff-months").value) || 0,
+    frequency: document.getElementById("allocation-vesting-frequency").value,
+    acceleration: document.getElementById("allocation-acceleration").value,
+    terminationDate: document.getElementById("allocation-termination-date").value || undefined,
+  };
+}
+
+// Parse the free-text vesting description into the structured fields, keeping any dates already entered
+function onVestingTextChange() {
+  const round = capTable.rounds.find((r) => r.id === editingRoundId);
+  const parsed = parseVestingSchedule(document.getElementById("allocation-vesting").value, {
+    grantDate: document.getElementById("allocation-grant-date").value || undefined,
+    vestingStartDate: document.getElementById("allocation-vesting-start").value || (round ? round.date : undefined),
+    terminationDate: document.getElementById("allocation-termination-date").value || undefined,
+  });
+  if (parsed) {
+    setVestingFields(parsed);
+  }
+}
+
 function closeAllocationModal() {
   document.getElementById("allocation-modal").classList.remove("visible");
   editingAllocation = null;
@@ -1460,7 +3211,7 @@ function onSharesInput() {
 
   if (sharesInput && !isNaN(sharesInput) && parseFloat(sharesInput) > 0) {
     const shares = parseFloat(sharesInput);
-    const fullyDiluted = calculateFullyDilutedShares();
+    const fullyDiluted = calculateFullyDilutedShares(capTable);
     const fdPct = ((shares / fullyDiluted) * 100).toFixed(4);
 
     // Update FD % field without triggering its input event
@@ -1479,7 +3230,7 @@ function onFdPctInput() {
 
   if (fdPctInput && !isNaN(fdPctInput) && parseFloat(fdPctInput) > 0) {
     const fdPct = parseFloat(fdPctInput);
-    const fullyDiluted = calculateFullyDilutedShares();
+    const fullyDiluted = calculateFullyDilutedShares(capTable);
     const shares = Math.round((fdPct / 100) * fullyDiluted);
 
     // Update shares field without triggering its input event
@@ -1496,9 +3247,9 @@ function updateOfferCalculator() {
   const sharesInput = document.getElementById("allocation-shares").value.trim();
   const calculator = document.getElementById("offer-calculator");
 
-  // Only show calculator for equity-pool and priced rounds (NOT SAFE rounds)
+  // Only show calculator for equity-pool and priced rounds (NOT SAFE or note rounds)
   const round = capTable.rounds.find((r) => r.id === editingRoundId);
-  if (!round || round.type === 'safe') {
+  if (!round || isConvertible(round)) {
     calculator.style.display = "none";
     return;
   }
@@ -1510,9 +3261,9 @@ function updateOfferCalculator() {
 
   const shares = parseFloat(sharesInput);
   const totalIssued = capTable.rounds
-    .filter(r => r.type !== 'safe' || r.converted)
+    .filter(r => !isConvertible(r) || r.converted)
     .reduce((sum, round) => sum + round.allocations.reduce((s, a) => s + a.shares, 0), 0);
-  const fullyDiluted = calculateFullyDilutedShares();
+  const fullyDiluted = calculateFullyDilutedShares(capTable);
   const effectivePrice = window._effectivePricePerShare || 0;
 
   // Calculate percentages
@@ -1538,57 +3289,58 @@ async function saveAllocation() {
   const holder = document.getElementById("allocation-holder").value.trim();
   const sharesStr = document.getElementById("allocation-shares").value.trim();
   const type = document.getElementById("allocation-type").value;
-  const vesting = document.getElementById("allocation-vesting").value.trim();
+  const vestingText = document.getElementById("allocation-vesting").value.trim();
+  const vesting = readVestingFields();
   const notes = document.getElementById("allocation-notes").value.trim();
 
-  if (!holder) {
-    alert("❌ Holder name is required");
-    document.getElementById("allocation-holder").focus();
-    return;
-  }
+  const round = capTable.rounds.find((r) => r.id === editingRoundId);
 
   if (!sharesStr) {
-    const round = capTable.rounds.find((r) => r.id === editingRoundId);
-    const fieldName = round.type === 'safe' ? 'investment amount' : 'shares';
-    alert(`❌ ${fieldName.charAt(0).toUpperCase() + fieldName.slice(1)} is required`);
-    document.getElementById("allocation-shares").focus();
+    const fieldName = round.type === 'convertible-note' ? 'principal' : (round.type === 'safe' ? 'investment amount' : 'shares');
+    showFieldErrors("allocation-modal", [{ field: "shares", message: `${fieldName.charAt(0).toUpperCase() + fieldName.slice(1)} is required` }], ALLOCATION_FIELD_INPUTS);
     return;
   }
 
-  const round = capTable.rounds.find((r) => r.id === editingRoundId);
+  if (vesting && vesting.durationMonths > 0 && !vesting.vestingStartDate && !vesting.grantDate) {
+    vesting.vestingStartDate = round.date;
+  }
+  // Keep the free text readable alongside the structured schedule
+  const vestingSchedule = vesting ? formatVestingSchedule(vesting) : vestingText;
 
-  // For SAFE rounds, treat input as investment amount and calculate shares
+  // For SAFE and note rounds, treat input as investment amount (note principal) and calculate shares
   let shares, investmentAmount;
-  if (round.type === 'safe' && round.valuationCap) {
+  if (isConvertible(round)) {
     investmentAmount = parseFloat(sharesStr);
     if (isNaN(investmentAmount) || investmentAmount <= 0) {
-      alert("❌ Investment amount must be greater than 0");
-      document.getElementById("allocation-shares").focus();
+      showFieldErrors("allocation-modal", [{ field: "investmentAmount", message: "Investment amount must be greater than 0" }], ALLOCATION_FIELD_INPUTS);
       return;
     }
-    // Calculate ownership percentage: investment / valuation cap
-    // Apply to capitalization base used for cap conversion: non-SAFE issued + authorized pool
-    const ownershipPercent = investmentAmount / round.valuationCap;
-
-    const nonPoolIssuedExclSafes = capTable.rounds
-      .filter(r => (r.type !== 'safe' || r.converted) && r.type !== 'equity-pool')
-      .reduce((sum, r) => sum + r.allocations.reduce((s, a) => s + a.shares, 0), 0);
-    const poolAuthorized = capTable.rounds
-      .filter(r => r.type === 'equity-pool')
-      .reduce((sum, r) => sum + (r.authorizedShares || 0), 0);
-    const baseCapShares = nonPoolIssuedExclSafes + poolAuthorized;
-
-    // Apply ownership % to the capitalization base
-    shares = Math.round(ownershipPercent * baseCapShares);
+    // As-if shares at the cap, priced against the capitalization for this SAFE's flavor
+    // (notes include interest accrued to date)
+    shares = getSAFEAsIfShares(capTable, round, getAsIfConversionAmount(round, investmentAmount));
   } else {
     shares = parseInt(sharesStr);
     if (isNaN(shares) || shares <= 0) {
-      alert("❌ Number of shares must be greater than 0");
-      document.getElementById("allocation-shares").focus();
+      showFieldErrors("allocation-modal", [{ field: "shares", message: "Number of shares must be greater than 0" }], ALLOCATION_FIELD_INPUTS);
       return;
     }
   }
 
+  // Same checks the server applies, including the pool's remaining authorized shares
+  const fields = {
+    holderName: holder,
+    shares,
+    investmentAmount,
+    type,
+    vestingSchedule: vestingSchedule || undefined,
+    vesting: vesting || undefined,
+    notes: notes || undefined,
+  };
+  const errors = validateAllocation({ id: editingAllocation || "new-allocation", ...fields }, round);
+  if (showFieldErrors("allocation-modal", errors, ALLOCATION_FIELD_INPUTS)) {
+    return;
+  }
+
   // Validate: For priced rounds, check if allocations exceed money raised
   if (round.type === 'priced' && round.moneyRaised && round.pricePerShare) {
     const expectedTotalShares = Math.round(round.moneyRaised / round.pricePerShare);
@@ -1610,8 +3362,8 @@ async function saveAllocation() {
     }
   }
 
-  // Validate: For SAFE rounds, check if total investment exceeds target
-  if (round.type === 'safe' && round.investmentAmount && investmentAmount) {
+  // Validate: For SAFE and note rounds, check if total investment exceeds target
+  if (isConvertible(round) && round.investmentAmount && investmentAmount) {
     const currentInvested = round.allocations
       .filter(a => !editingAllocation || a.id !== editingAllocation)
       .reduce((sum, a) => sum + (a.investmentAmount || 0), 0);
@@ -1629,30 +3381,19 @@ async function saveAllocation() {
     }
   }
 
+  const before = structuredClone(capTable);
   if (editingAllocation) {
     // Edit existing
     const allocation = round.allocations.find((a) => a.id === editingAllocation);
-    allocation.holderName = holder;
-    allocation.shares = shares;
-    allocation.investmentAmount = investmentAmount;
-    allocation.type = type;
-    allocation.vestingSchedule = vesting || undefined;
-    allocation.notes = notes || undefined;
+    Object.assign(allocation, fields);
   } else {
     // Add new
     const id = "allocation-" + Date.now();
-    round.allocations.push({
-      id,
-      holderName: holder,
-      shares,
-      investmentAmount,
-      type,
-      vestingSchedule: vesting || undefined,
-      notes: notes || undefined,
-    });
+    round.allocations.push({ id, ...fields });
   }
 
-  await saveData();
+  await saveChangesWithReason(document.getElementById("allocation-reason").value.trim());
+  recordUndo(`${editingAllocation ? "Edit" : "Add"} allocation ${holder}`, before);
   renderRoundsList();
   updateStats();
   renderTreemap();
@@ -1669,12 +3410,16 @@ function editAllocation(roundId, allocationId) {
 }
 
 async function deleteAllocation(roundId, allocationId) {
-  if (!confirm("Delete this allocation?")) return;
+  const reason = prompt("Delete this allocation?\n\nReason (optional, kept in the audit log):", "");
+  if (reason === null) return;
 
+  const before = structuredClone(capTable);
   const round = capTable.rounds.find((r) => r.id === roundId);
+  const allocation = round.allocations.find((a) => a.id === allocationId);
   round.allocations = round.allocations.filter((a) => a.id !== allocationId);
 
-  await saveData();
+  await saveChangesWithReason(reason.trim());
+  recordUndo(`Delete allocation ${allocation ? allocation.holderName : allocationId}`, before);
   renderRoundsList();
   updateStats();
   renderTreemap();
@@ -1685,10 +3430,7 @@ async function deleteAllocation(roundId, allocationId) {
   }
 }
 
-window.manageAllocations = manageAllocations;
 window.openAllocationModal = openAllocationModal;
-window.editAllocation = editAllocation;
-window.deleteAllocation = deleteAllocation;
 
 // Start
 init();
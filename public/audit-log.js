@@ -0,0 +1,75 @@
+// Audit log viewer: field-level changes with who made them, when and why
+
+import { formatRevisionDate } from "./history-panel.js";
+import { escapeHtml } from "./escape-html.js";
+
+const ACTION_LABELS = { create: "Added", update: "Changed", delete: "Removed" };
+
+// Short description of a whole company/round/allocation record (creates and deletes)
+function summarizeRecord(entity, record) {
+  if (entity === "allocation") {
+    return `${(record.shares || 0).toLocaleString()} shares${record.investmentAmount ? ` for $${record.investmentAmount.toLocaleString()}` : ""} (${record.type})`;
+  }
+  if (entity === "round") {
+    return `${record.type || "priced"} round dated ${record.date}`;
+  }
+  return `${record.companyName}, ${(record.authorizedShares || 0).toLocaleString()} authorized shares`;
+}
+
+/**
+ * An entry's before or after value as text ("—" when unset)
+ * @param {Object} entry - Audit entry
+ * @param {string} side - "before" or "after"
+ */
+export function formatAuditValue(entry, side) {
+  const value = entry[side];
+  if (value === undefined || value === null || value === "") return "—";
+  if (!entry.field) return summarizeRecord(entry.entity, value);
+  if (typeof value === "number") return value.toLocaleString();
+  if (typeof value === "object") return JSON.stringify(value);
+  return String(value);
+}
+
+// "Changed shares", "Added allocation", ...
+export function describeAuditChange(entry) {
+  return `${ACTION_LABELS[entry.action]} ${entry.field ? entry.field : entry.entity}`;
+}
+
+/**
+ * Fill the audit log table
+ * @param {Array|null} entries - Audit entries, newest first, or null when the API is unavailable
+ */
+export function renderAuditLog(entries) {
+  const container = document.getElementById("audit-log-list");
+
+  if (!entries) {
+    container.innerHTML = '<div class="list-item-details">The audit log is kept by the server, which isn\'t available.</div>';
+    return;
+  }
+  if (entries.length === 0) {
+    container.innerHTML = '<div class="list-item-details">No changes match these filters.</div>';
+    return;
+  }
+
+  container.innerHTML = `
+    <table class="data-table">
+      <thead>
+        <tr><th>When</th><th>Who</th><th>Change</th><th>Round</th><th>Holder</th><th>From</th><th>To</th><th>Reason</th></tr>
+      </thead>
+      <tbody>
+        ${entries.map(entry => `
+          <tr>
+            <td style="white-space: nowrap;">${formatRevisionDate(entry.createdAt)}</td>
+            <td>${escapeHtml(entry.actor || "anonymous")}</td>
+            <td>${escapeHtml(describeAuditChange(entry))}</td>
+            <td>${escapeHtml(entry.roundName || "—")}</td>
+            <td>${escapeHtml(entry.holderName || "—")}</td>
+            <td style="word-break: break-word;">${escapeHtml(formatAuditValue(entry, "before"))}</td>
+            <td style="word-break: break-word;">${escapeHtml(formatAuditValue(entry, "after"))}</td>
+            <td>${entry.reason ? escapeHtml(entry.reason) : '<span style="color: #64748b;">—</span>'}</td>
+          </tr>
+        `).join("")}
+      </tbody>
+    </table>
+  `;
+}
@@ -0,0 +1,79 @@
+// Structured differences between two versions of a cap table (for the revision history)
+
+// Derived on load, so differences in them aren't edits
+const DERIVED_ROUND_FIELDS = ['allocations', 'adjustedConversionPrice'];
+
+const totalShares = (capTable) => capTable.rounds.reduce(
+  (sum, round) => sum + round.allocations.reduce((s, a) => s + (a.shares || 0), 0), 0);
+
+// Fields whose values differ: [{ field, before, after }]
+function changedFields(before, after, ignore = []) {
+  return [...new Set([...Object.keys(before), ...Object.keys(after)])]
+    .filter(field => !ignore.includes(field))
+    .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+    .map(field => ({ field, before: before[field], after: after[field] }));
+}
+
+/**
+ * Compare two cap tables
+ * @param {Object} before - Earlier cap table
+ * @param {Object} after - Later cap table
+ * @returns {Object} {
+ *   company: [{ field, before, after }],
+ *   roundsAdded: [round], roundsRemoved: [round],
+ *   roundsChanged: [{ round, terms, allocationsAdded, allocationsRemoved, allocationsChanged }],
+ *   shareDelta
+ * } where allocationsChanged is [{ allocation, changes, shareDelta }]
+ */
+export function diffCapTables(before, after) {
+  const beforeRounds = new Map(before.rounds.map(r => [r.id, r]));
+  const afterIds = new Set(after.rounds.map(r => r.id));
+
+  const roundsChanged = [];
+  after.rounds.forEach(round => {
+    const previous = beforeRounds.get(round.id);
+    if (!previous) return;
+
+    const previousAllocations = new Map(previous.allocations.map(a => [a.id, a]));
+    const allocationIds = new Set(round.allocations.map(a => a.id));
+    const allocationsChanged = round.allocations
+      .filter(a => previousAllocations.has(a.id))
+      .map(a => {
+        const previousAllocation = previousAllocations.get(a.id);
+        return {
+          allocation: a,
+          changes: changedFields(previousAllocation, a),
+          shareDelta: (a.shares || 0) - (previousAllocation.shares || 0)
+        };
+      })
+      .filter(change => change.changes.length > 0);
+
+    const change = {
+      round,
+      terms: changedFields(previous, round, DERIVED_ROUND_FIELDS),
+      allocationsAdded: round.allocations.filter(a => !previousAllocations.has(a.id)),
+      allocationsRemoved: previous.allocations.filter(a => !allocationIds.has(a.id)),
+      allocationsChanged
+    };
+    if (change.terms.length || change.allocationsAdded.length || change.allocationsRemoved.length || allocationsChanged.length) {
+      roundsChanged.push(change);
+    }
+  });
+
+  return {
+    company: changedFields(
+      { companyName: before.companyName, authorizedShares: before.authorizedShares },
+      { companyName: after.companyName, authorizedShares: after.authorizedShares }
+    ),
+    roundsAdded: after.rounds.filter(r => !beforeRounds.has(r.id)),
+    roundsRemoved: before.rounds.filter(r => !afterIds.has(r.id)),
+    roundsChanged,
+    shareDelta: totalShares(after) - totalShares(before)
+  };
+}
+
+// True if the diff has no changes
+export function isEmptyDiff(diff) {
+  return diff.company.length === 0 && diff.roundsAdded.length === 0 &&
+    diff.roundsRemoved.length === 0 && diff.roundsChanged.length === 0;
+}
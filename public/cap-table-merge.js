@@ -0,0 +1,125 @@
+// Three-way merge of cap tables, for saves rejected because someone else saved first: changes
+// only one side made are combined, and records both sides changed differently are conflicts
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// A cap table as records keyed "company", "round:<id>" and "allocation:<id>": company fields,
+// round terms (without allocations or the derived conversion price) and allocations with their roundId
+function recordsOf(capTable) {
+  const records = new Map();
+  records.set('company', { entity: 'company', id: null, value: { companyName: capTable.companyName, authorizedShares: capTable.authorizedShares } });
+  capTable.rounds.forEach(round => {
+    const { allocations, adjustedConversionPrice, ...terms } = round;
+    records.set(`round:${round.id}`, { entity: 'round', id: round.id, value: terms });
+    allocations.forEach(a => {
+      records.set(`allocation:${a.id}`, { entity: 'allocation', id: a.id, value: { ...a, roundId: round.id } });
+    });
+  });
+  return records;
+}
+
+// Merge one record (null = absent/deleted). Returns { value, fields }: fields lists the fields both
+// sides changed differently, or is null when the whole record conflicts (deleted on one side and
+// changed on the other); value has my side of anything that conflicts
+function mergeRecord(base, mine, theirs) {
+  if (same(mine, theirs) || same(theirs, base)) return { value: mine, fields: [] };
+  if (same(mine, base)) return { value: theirs, fields: [] };
+  if (!base || !mine || !theirs) return { value: mine, fields: null };
+
+  const value = {};
+  const fields = [];
+  new Set([...Object.keys(base), ...Object.keys(mine), ...Object.keys(theirs)]).forEach(field => {
+    if (same(mine[field], theirs[field]) || same(theirs[field], base[field])) {
+      value[field] = mine[field];
+    } else if (same(mine[field], base[field])) {
+      value[field] = theirs[field];
+    } else {
+      value[field] = mine[field];
+      fields.push({ field, mine: mine[field], theirs: theirs[field] });
+    }
+  });
+  return { value, fields };
+}
+
+/**
+ * Merge my changes and theirs, both made to the same base version
+ * @param {Object} base - Cap table both sides started from
+ * @param {Object} mine - Cap table with my unsaved changes
+ * @param {Object} theirs - Cap table now on the server
+ * @param {Object} choices - Conflict key → "mine" or "theirs" (conflicts default to mine)
+ * @returns {Object} {
+ *   capTable: the merged cap table,
+ *   conflicts: [{ key, entity, id, name, roundName, holderName, fields, mine, theirs }]
+ * } where fields is [{ field, mine, theirs }], or null when one side deleted the record
+ * (mine/theirs are then the whole record or null). Allocations left in a round that the
+ * merge deletes make that round a conflict; if it stays deleted, they go with it
+ */
+export function mergeCapTables(base, mine, theirs, choices = {}) {
+  const sides = [recordsOf(base), recordsOf(mine), recordsOf(theirs)];
+  const [baseRecords, myRecords, theirRecords] = sides;
+  const valueOf = (records, key) => records.get(key)?.value ?? null;
+  const recordNamed = (key) => sides.map(records => records.get(key)).find(Boolean);
+
+  const merged = new Map();
+  const conflicts = [];
+  const addConflict = (key, fields) => {
+    const { entity, id } = recordNamed(key);
+    const values = sides.map(records => valueOf(records, key)).filter(Boolean);
+    const roundId = values[0].roundId;
+    conflicts.push({
+      key,
+      entity,
+      id,
+      name: entity === 'round' ? values[0].name : null,
+      roundName: roundId ? recordNamed(`round:${roundId}`)?.value.name ?? null : null,
+      holderName: entity === 'allocation' ? values[0].holderName : null,
+      fields,
+      mine: valueOf(myRecords, key),
+      theirs: valueOf(theirRecords, key)
+    });
+  };
+
+  new Set([...baseRecords.keys(), ...myRecords.keys(), ...theirRecords.keys()]).forEach(key => {
+    const { value, fields } = mergeRecord(valueOf(baseRecords, key), valueOf(myRecords, key), valueOf(theirRecords, key));
+    if (value) merged.set(key, value);
+    if (fields === null || fields.length > 0) addConflict(key, fields);
+  });
+
+  // A round one side deleted while the other still put allocations in it
+  merged.forEach((value, key) => {
+    if (!key.startsWith('allocation:')) return;
+    const roundKey = `round:${value.roundId}`;
+    if (!merged.has(roundKey) && !conflicts.some(c => c.key === roundKey)) addConflict(roundKey, null);
+  });
+
+  // Apply the choices: whole records, or the conflicting fields of records both sides changed
+  conflicts.forEach(conflict => {
+    if (choices[conflict.key] !== 'theirs') {
+      if (!conflict.fields && !merged.has(conflict.key) && conflict.mine) merged.set(conflict.key, conflict.mine);
+      return;
+    }
+    if (!conflict.fields) {
+      if (conflict.theirs) merged.set(conflict.key, conflict.theirs);
+      else merged.delete(conflict.key);
+      return;
+    }
+    const value = { ...merged.get(conflict.key) };
+    conflict.fields.forEach(({ field, theirs: theirValue }) => { value[field] = theirValue; });
+    merged.set(conflict.key, value);
+  });
+
+  // Their order first, then what only I have
+  const order = (entity) => [...new Set([theirs, mine].flatMap(capTable =>
+    entity === 'round' ? capTable.rounds.map(r => r.id) : capTable.rounds.flatMap(r => r.allocations.map(a => a.id))))];
+  const allocations = order('allocation').map(id => merged.get(`allocation:${id}`)).filter(Boolean);
+  const rounds = order('round')
+    .filter(id => merged.has(`round:${id}`))
+    .map(id => ({
+      ...merged.get(`round:${id}`),
+      allocations: allocations.filter(a => a.roundId === id).map(({ roundId, ...allocation }) => allocation)
+    }));
+
+  // Round trip through JSON to drop fields left undefined
+  const capTable = JSON.parse(JSON.stringify({ ...theirs, ...merged.get('company'), rounds }));
+  return { capTable, conflicts };
+}
@@ -0,0 +1,247 @@
+// Cap table validation shared by the browser and the server
+// Every check returns a list of field-level errors: [{ field, message }] (empty = valid)
+
+export const ROUND_TYPES = ['common', 'priced', 'safe', 'convertible-note', 'equity-pool'];
+export const ALLOCATION_TYPES = ['common', 'preferred', 'option', 'rsu'];
+const SAFE_TYPES = ['pre-money', 'post-money', 'discount-only', 'mfn'];
+const INTEREST_TYPES = ['simple', 'compound'];
+const PARTICIPATION_TYPES = ['non-participating', 'full', 'capped'];
+const ANTI_DILUTION_TYPES = ['none', 'broad-based', 'narrow-based', 'full-ratchet'];
+const VESTING_FREQUENCIES = ['monthly', 'quarterly', 'annually'];
+const ACCELERATION_TYPES = ['none', 'single', 'double'];
+
+// Dollar and share amounts on a round that can't be negative
+const ROUND_AMOUNT_FIELDS = {
+  pricePerShare: 'Price per share',
+  moneyRaised: 'Money raised',
+  valuationCap: 'Valuation cap',
+  investmentAmount: 'Investment amount',
+  authorizedShares: 'Pool authorized shares',
+  preMoneyValuation: 'Pre-money valuation',
+  liquidationPreference: 'Liquidation preference',
+  participationCap: 'Participation cap',
+};
+
+const isPresent = (value) => value !== undefined && value !== null && value !== '';
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+const isValidDate = (value) => isNonEmptyString(value) && !isNaN(new Date(value).getTime());
+const isAmount = (value) => typeof value === 'number' && isFinite(value) && value >= 0;
+const isWholeNumber = (value) => Number.isInteger(value) && value >= 0;
+// Ids and colors end up in DOM attributes and styles, so only safe characters are allowed
+const isId = (value) => typeof value === 'string' && /^[A-Za-z0-9_-]+$/.test(value);
+const isHexColor = (value) => typeof value === 'string' && /^#[0-9a-f]{3,8}$/i.test(value);
+
+/**
+ * Check a round's terms (not its allocations, see validateAllocation).
+ * Stored rounds may predate some terms (e.g. a priced "Common Shares" round without a price),
+ * so type-specific required terms are only enforced with `requireTerms` (the round editor).
+ * @param {Object} round - Round to check
+ * @param {Object} options - { requireTerms, prefix } (prefix is prepended to field names)
+ * @returns {Array} Field errors
+ */
+export function validateRound(round, { requireTerms = false, prefix = '' } = {}) {
+  const errors = [];
+  const error = (field, message) => errors.push({ field: prefix + field, message });
+
+  if (!isNonEmptyString(round.id)) error('id', 'Round id is required');
+  else if (!isId(round.id)) error('id', 'Round id may only contain letters, numbers, - and _');
+  if (!isNonEmptyString(round.name)) error('name', 'Round name is required');
+  if (isPresent(round.type) && !ROUND_TYPES.includes(round.type)) {
+    error('type', `Round type must be one of ${ROUND_TYPES.join(', ')}`);
+  }
+  if (!isValidDate(round.date)) error('date', 'Date is required');
+  if (!isNonEmptyString(round.color)) error('color', 'Color is required');
+  else if (!isHexColor(round.color)) error('color', 'Color must be a hex color like #3b82f6');
+  if (!Array.isArray(round.allocations)) error('allocations', 'Allocations must be a list');
+
+  for (const [field, label] of Object.entries(ROUND_AMOUNT_FIELDS)) {
+    if (isPresent(round[field]) && !isAmount(round[field])) error(field, `${label} cannot be negative`);
+  }
+
+  const type = round.type || 'priced';
+  const isNote = type === 'convertible-note';
+  const safeType = round.safeType || 'pre-money';
+
+  if (type === 'priced') {
+    if (isPresent(round.pricePerShare) ? !(round.pricePerShare > 0) : requireTerms) {
+      error('pricePerShare', 'Price per share must be greater than 0 for priced rounds');
+    }
+  }
+
+  if (type === 'safe') {
+    if (isPresent(round.safeType) && !SAFE_TYPES.includes(round.safeType)) {
+      error('safeType', `SAFE type must be one of ${SAFE_TYPES.join(', ')}`);
+    }
+    const needsCap = safeType === 'pre-money' || safeType === 'post-money';
+    if (needsCap && (isPresent(round.valuationCap) ? !(round.valuationCap > 0) : requireTerms)) {
+      error('valuationCap', `Valuation cap must be greater than 0 for ${safeType} SAFE rounds`);
+    }
+    if (safeType === 'discount-only' && !(round.discountRate > 0)) {
+      error('discountRate', 'Discount-only SAFEs need a discount greater than 0%');
+    }
+  }
+
+  if (type === 'safe' || isNote) {
+    if (isPresent(round.discountRate) && !(isAmount(round.discountRate) && round.discountRate < 1)) {
+      error('discountRate', 'Discount must be between 0% and 100%');
+    }
+  }
+
+  if (isNote) {
+    if (isPresent(round.valuationCap) && !(round.valuationCap > 0)) {
+      error('valuationCap', 'Valuation cap must be greater than 0');
+    }
+    if (isPresent(round.interestRate) && !isAmount(round.interestRate)) {
+      error('interestRate', 'Interest rate cannot be negative');
+    }
+    if (isPresent(round.interestType) && !INTEREST_TYPES.includes(round.interestType)) {
+      error('interestType', `Interest type must be one of ${INTEREST_TYPES.join(', ')}`);
+    }
+    if (isPresent(round.maturityDate)) {
+      if (!isValidDate(round.maturityDate)) error('maturityDate', 'Maturity date must be a valid date');
+      else if (isValidDate(round.date) && round.maturityDate <= round.date) {
+        error('maturityDate', 'Maturity date must be after the issue date');
+      }
+    }
+  }
+
+  if (type === 'equity-pool') {
+    if (isPresent(round.authorizedShares) ? !(round.authorizedShares > 0) : requireTerms) {
+      error('authorizedShares', 'Pool authorized shares must be greater than 0');
+    } else if (round.authorizedShares > 0 && Array.isArray(round.allocations)) {
+      const granted = round.allocations.reduce((sum, a) => sum + (a.shares || 0), 0);
+      if (granted > round.authorizedShares) {
+        error('authorizedShares', `Pool authorized shares (${round.authorizedShares.toLocaleString()}) are less than the ${granted.toLocaleString()} shares already granted`);
+      }
+    }
+  }
+
+  if (isPresent(round.seniority) && !(Number.isInteger(round.seniority) && round.seniority >= 1)) {
+    error('seniority', 'Seniority rank must be 1 or greater');
+  }
+  if (isPresent(round.participation) && !PARTICIPATION_TYPES.includes(round.participation)) {
+    error('participation', `Participation must be one of ${PARTICIPATION_TYPES.join(', ')}`);
+  }
+  if (round.participation === 'capped') {
+    const minCap = round.liquidationPreference ?? 1;
+    if (!(round.participationCap >= minCap)) {
+      error('participationCap', `Participation cap must be at least the ${minCap}x liquidation preference`);
+    }
+  }
+  if (isPresent(round.antiDilution) && !ANTI_DILUTION_TYPES.includes(round.antiDilution)) {
+    error('antiDilution', `Anti-dilution must be one of ${ANTI_DILUTION_TYPES.join(', ')}`);
+  }
+
+  return errors;
+}
+
+/**
+ * Check an allocation, including its vesting schedule and whether it fits in its pool
+ * @param {Object} allocation - Allocation to check
+ * @param {Object|null} round - Round it belongs (or is being added) to, with its other allocations
+ *   (null skips the pool capacity check)
+ * @param {Object} options - { prefix } prepended to field names
+ * @returns {Array} Field errors
+ */
+export function validateAllocation(allocation, round, { prefix = '' } = {}) {
+  const errors = [];
+  const error = (field, message) => errors.push({ field: prefix + field, message });
+
+  if (!isNonEmptyString(allocation.id)) error('id', 'Allocation id is required');
+  else if (!isId(allocation.id)) error('id', 'Allocation id may only contain letters, numbers, - and _');
+  if (!isNonEmptyString(allocation.holderName)) error('holderName', 'Holder name is required');
+  if (!isWholeNumber(allocation.shares)) error('shares', 'Shares must be a whole number of 0 or more');
+  if (!ALLOCATION_TYPES.includes(allocation.type)) {
+    error('type', `Allocation type must be one of ${ALLOCATION_TYPES.join(', ')}`);
+  }
+  if (isPresent(allocation.investmentAmount) && !isAmount(allocation.investmentAmount)) {
+    error('investmentAmount', 'Investment amount cannot be negative');
+  }
+
+  const vesting = allocation.vesting;
+  if (vesting) {
+    if (!isWholeNumber(vesting.durationMonths)) {
+      error('vesting.durationMonths', 'Vesting duration must be 0 or more months');
+    } else if (isPresent(vesting.cliffMonths) && !(isWholeNumber(vesting.cliffMonths) && vesting.cliffMonths <= vesting.durationMonths)) {
+      error('vesting.cliffMonths', 'Cliff must be between 0 and the vesting duration');
+    }
+    if (isPresent(vesting.frequency) && !VESTING_FREQUENCIES.includes(vesting.frequency)) {
+      error('vesting.frequency', `Vesting frequency must be one of ${VESTING_FREQUENCIES.join(', ')}`);
+    }
+    if (isPresent(vesting.acceleration) && !ACCELERATION_TYPES.includes(vesting.acceleration)) {
+      error('vesting.acceleration', `Acceleration must be one of ${ACCELERATION_TYPES.join(', ')}`);
+    }
+    for (const field of ['grantDate', 'vestingStartDate', 'terminationDate']) {
+      if (isPresent(vesting[field]) && !isValidDate(vesting[field])) error(`vesting.${field}`, 'Must be a valid date');
+    }
+    const start = vesting.vestingStartDate || vesting.grantDate;
+    if (isValidDate(vesting.terminationDate) && isValidDate(start) && vesting.terminationDate < start) {
+      error('vesting.terminationDate', 'Termination date must be on or after the vesting start date');
+    }
+  }
+
+  // Grants can't exceed the pool's authorized shares
+  if (round && round.type === 'equity-pool' && round.authorizedShares > 0 && isWholeNumber(allocation.shares)) {
+    const others = (round.allocations || [])
+      .filter(a => a.id !== allocation.id)
+      .reduce((sum, a) => sum + (a.shares || 0), 0);
+    const available = Math.max(0, round.authorizedShares - others);
+    if (allocation.shares > available) {
+      error('shares', `Only ${available.toLocaleString()} of the pool's ${round.authorizedShares.toLocaleString()} authorized shares are available`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Check a whole cap table: company fields, every round and allocation, and unique ids
+ * (allocation ids must be unique across rounds, the stock ledger keys positions by them)
+ * @param {Object} capTable - Cap table to check
+ * @returns {Array} Field errors, named by path (e.g. "rounds[1].allocations[0].shares")
+ */
+export function validateCapTable(capTable) {
+  const errors = [];
+  if (!capTable || typeof capTable !== 'object') {
+    return [{ field: '', message: 'Cap table must be an object' }];
+  }
+  if (!isNonEmptyString(capTable.companyName)) {
+    errors.push({ field: 'companyName', message: 'Company name is required' });
+  }
+  if (!(Number.isInteger(capTable.authorizedShares) && capTable.authorizedShares > 0)) {
+    errors.push({ field: 'authorizedShares', message: 'Authorized shares must be a whole number greater than 0' });
+  }
+  if (!Array.isArray(capTable.rounds)) {
+    errors.push({ field: 'rounds', message: 'Rounds must be a list' });
+    return errors;
+  }
+
+  const roundIds = new Set();
+  const allocationIds = new Set();
+  capTable.rounds.forEach((round, i) => {
+    const prefix = `rounds[${i}].`;
+    if (!round || typeof round !== 'object') {
+      errors.push({ field: `rounds[${i}]`, message: 'Round must be an object' });
+      return;
+    }
+    errors.push(...validateRound(round, { prefix }));
+    if (roundIds.has(round.id)) errors.push({ field: `${prefix}id`, message: `Round id ${round.id} is used more than once` });
+    roundIds.add(round.id);
+
+    (Array.isArray(round.allocations) ? round.allocations : []).forEach((allocation, j) => {
+      const allocationPrefix = `${prefix}allocations[${j}].`;
+      if (!allocation || typeof allocation !== 'object') {
+        errors.push({ field: `${prefix}allocations[${j}]`, message: 'Allocation must be an object' });
+        return;
+      }
+      // Pool capacity is checked once per round by validateRound
+      errors.push(...validateAllocation(allocation, null, { prefix: allocationPrefix }));
+      if (allocationIds.has(allocation.id)) {
+        errors.push({ field: `${allocationPrefix}id`, message: `Allocation id ${allocation.id} is used more than once` });
+      }
+      allocationIds.add(allocation.id);
+    });
+  });
+
+  return errors;
+}
@@ -0,0 +1,134 @@
+// Company workspace management
+// Lists companies (from the API, or this browser's localStorage), tracks which one is open,
+// and scopes localStorage keys to it
+
+import { changeHeaders } from "./api-client.js";
+
+export const DEFAULT_COMPANY_ID = "default"; // Workspace single-company data is migrated into
+export const NEW_COMPANY_OPTION = "__new__";
+const DEFAULT_AUTHORIZED_SHARES = 10000000;
+
+let currentCompanyId = localStorage.getItem("currentCompanyId") || DEFAULT_COMPANY_ID;
+
+export function getCurrentCompanyId() {
+  return currentCompanyId;
+}
+
+export function setCurrentCompanyId(id) {
+  currentCompanyId = id;
+  localStorage.setItem("currentCompanyId", id);
+}
+
+// localStorage key for one company's data, e.g. "capTable:default"
+export function storageKey(name, companyId = currentCompanyId) {
+  return `${name}:${companyId}`;
+}
+
+// Move single-company data ("capTable" and "scenarios" keys) into the default workspace
+export function migrateLegacyStorage() {
+  ["capTable", "scenarios"].forEach(name => {
+    const legacy = localStorage.getItem(name);
+    if (legacy === null) return;
+    if (localStorage.getItem(storageKey(name, DEFAULT_COMPANY_ID)) === null) {
+      localStorage.setItem(storageKey(name, DEFAULT_COMPANY_ID), legacy);
+    }
+    localStorage.removeItem(name);
+  });
+}
+
+// Companies with a cap table saved in this browser
+function getLocalCompanies() {
+  const companies = [];
+  for (let i = 0; i < localStorage.length; i++) {
+    const key = localStorage.key(i);
+    if (!key.startsWith("capTable:")) continue;
+    const capTable = JSON.parse(localStorage.getItem(key));
+    companies.push({ id: key.slice("capTable:".length), name: capTable.companyName, authorizedShares: capTable.authorizedShares });
+  }
+  return companies.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Companies to switch between: the server's, or this browser's when the API is unavailable
+ * @returns {Promise<Array>} [{ id, name, authorizedShares }]
+ */
+export async function listCompanies() {
+  try {
+    const response = await fetch("/api/companies");
+    if (response.ok) {
+      return await response.json();
+    }
+  } catch (error) {
+    console.warn("API not available, using localStorage companies:", error);
+  }
+  return getLocalCompanies();
+}
+
+/**
+ * Create a company with an empty cap table
+ * @param {string} name - Company name
+ * @param {number} authorizedShares - Total authorized shares
+ * @returns {Promise<Object>} The new company { id, name, authorizedShares }
+ */
+export async function createCompany(name, authorizedShares = DEFAULT_AUTHORIZED_SHARES) {
+  const capTable = { companyName: name, authorizedShares, rounds: [] };
+  let company = null;
+  try {
+    const response = await fetch("/api/companies", {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...changeHeaders() },
+      body: JSON.stringify(capTable),
+    });
+    if (response.ok) {
+      company = await response.json();
+    }
+  } catch (error) {
+    console.warn("API not available, creating company in localStorage only:", error);
+  }
+  if (!company) {
+    company = { id: "company-" + Date.now(), name, authorizedShares };
+  }
+  localStorage.setItem(storageKey("capTable", company.id), JSON.stringify(capTable));
+  return company;
+}
+
+// Delete a company and everything saved for it in this browser
+export async function deleteCompany(id) {
+  try {
+    await fetch(`/api/companies/${encodeURIComponent(id)}`, { method: "DELETE", headers: changeHeaders() });
+  } catch (error) {
+    console.warn("API not available, deleting company from localStorage only:", error);
+  }
+  localStorage.removeItem(storageKey("capTable", id));
+  localStorage.removeItem(storageKey("scenarios", id));
+}
+
+/**
+ * Fill the header company switcher
+ * @param {Array} companies - [{ id, name }]
+ * @param {string} currentName - Name of the open company (it may not be in the list yet)
+ * @param {boolean} canCreate - Offer the "New company" option
+ */
+export function renderCompanySwitcher(companies, currentName, canCreate = true) {
+  const select = document.getElementById("company-switcher");
+  select.innerHTML = "";
+
+  const options = companies.some(c => c.id === currentCompanyId)
+    ? companies
+    : [...companies, { id: currentCompanyId, name: currentName }];
+  options.forEach(company => {
+    const option = document.createElement("option");
+    option.value = company.id;
+    option.textContent = company.id === currentCompanyId ? currentName : company.name;
+    select.appendChild(option);
+  });
+
+  if (canCreate) {
+    const newOption = document.createElement("option");
+    newOption.value = NEW_COMPANY_OPTION;
+    newOption.textContent = "➕ New company…";
+    select.appendChild(newOption);
+  }
+
+  select.value = currentCompanyId;
+}
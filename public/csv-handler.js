@@ -1,4 +1,5 @@
 // CSV Import/Export functionality
+import { parseVestingSchedule } from './vesting-calculator.js';
 
 // Helper function to parse a CSV line (handles quoted fields)
 function parseLine(line) {
@@ -39,8 +40,9 @@ function normalizeRoundType(rt, name, authorizedShares) {
   if (raw === 'common' || raw === 'common stock' || raw === 'founder' || raw === 'founder common' || raw === 'founder common stock') {
     return 'common';
   }
+  if (raw === 'convertible note' || raw === 'convertible' || raw === 'note') return 'convertible-note';
 
-  if (raw === 'safe' || raw === 'priced' || raw === 'equity-pool') {
+  if (raw === 'safe' || raw === 'priced' || raw === 'equity-pool' || raw === 'convertible-note') {
     // Guard: equity-pool rows without an authorized cap are almost certainly mislabeled
     if (raw === 'equity-pool' && (!auth || isNaN(auth) || auth <= 0)) {
       return 'priced';
@@ -57,6 +59,196 @@ function normalizeRoundType(rt, name, authorizedShares) {
   return 'common';
 }
 
+// Normalize participation terms from CSV (undefined = non-participating default)
+function normalizeParticipation(value) {
+  const raw = (value || '').trim().toLowerCase();
+  if (!raw) return undefined;
+  if (raw === 'full' || raw === 'participating' || raw === 'full participation') return 'full';
+  if (raw === 'capped' || raw === 'capped participation') return 'capped';
+  return 'non-participating';
+}
+
+// Normalize anti-dilution protection from CSV (undefined = no protection)
+function normalizeAntiDilution(value) {
+  const raw = (value || '').trim().toLowerCase();
+  if (!raw || raw === 'none') return undefined;
+  if (raw.includes('ratchet')) return 'full-ratchet';
+  if (raw.includes('narrow')) return 'narrow-based';
+  return 'broad-based';
+}
+
+// Normalize SAFE flavor from CSV (undefined = legacy pre-money behaviour)
+function normalizeSafeType(value) {
+  const raw = (value || '').trim().toLowerCase();
+  if (!raw) return undefined;
+  if (raw.startsWith('post')) return 'post-money';
+  if (raw.startsWith('pre')) return 'pre-money';
+  if (raw.includes('mfn')) return 'mfn';
+  if (raw.includes('discount') || raw.includes('uncapped')) return 'discount-only';
+  return undefined;
+}
+
+// Normalize note interest type from CSV (undefined = simple interest default)
+function normalizeInterestType(value) {
+  const raw = (value || '').trim().toLowerCase();
+  if (!raw) return undefined;
+  return raw.startsWith('compound') ? 'compound' : 'simple';
+}
+
+// Parse yes/no style flags from CSV (undefined = use the default)
+function parseYesNo(value) {
+  const raw = (value || '').trim().toLowerCase();
+  if (!raw) return undefined;
+  return raw === 'yes' || raw === 'y' || raw === 'true' || raw === '1';
+}
+
+// Accept discount and interest rates as fractions (0.2) or percentages (20 / 20%)
+function parseRate(value) {
+  const raw = (value || '').trim().replace('%', '');
+  if (!raw) return undefined;
+  const parsed = parseFloat(raw);
+  if (isNaN(parsed) || parsed <= 0) return undefined;
+  return parsed >= 1 ? parsed / 100 : parsed;
+}
+
+// Structured vesting from CSV columns, falling back to parsing the free-text schedule
+// (legacy CSVs only have the text). Undefined when the allocation doesn't vest.
+function parseVesting(columns, vestingSchedule, roundDate) {
+  const clean = (value) => (value && value.trim()) || undefined;
+  const months = parseInt(columns.vestingMonths);
+  if (!isNaN(months)) {
+    const frequency = (columns.vestingFrequency || '').trim().toLowerCase();
+    const acceleration = (columns.acceleration || '').trim().toLowerCase();
+    return {
+      grantDate: clean(columns.grantDate),
+      vestingStartDate: clean(columns.vestingStartDate) || clean(columns.grantDate) || roundDate,
+      durationMonths: Math.max(0, months),
+      cliffMonths: Math.max(0, parseInt(columns.cliffMonths) || 0),
+      frequency: frequency.startsWith('quarter') ? 'quarterly' : (frequency.startsWith('annual') ? 'annually' : 'monthly'),
+      acceleration: acceleration.startsWith('single') ? 'single' : (acceleration.startsWith('double') ? 'double' : 'none'),
+      terminationDate: clean(columns.terminationDate)
+    };
+  }
+  const parsed = parseVestingSchedule(vestingSchedule, {
+    grantDate: clean(columns.grantDate),
+    vestingStartDate: clean(columns.vestingStartDate) || clean(columns.grantDate) || roundDate,
+    terminationDate: clean(columns.terminationDate)
+  });
+  return parsed || undefined;
+}
+
+// Column order for round/allocation rows (new columns are appended so older CSVs still parse)
+const CSV_HEADERS = [
+  'Round Name',
+  'Round Type',
+  'Price Per Share',
+  'Money Raised',
+  'Valuation Cap',
+  'Investment Amount',
+  'Authorized Shares',
+  'Date',
+  'Color',
+  'Holder Name',
+  'Shares',
+  'Allocation Investment Amount',
+  'Allocation Type',
+  'Vesting Schedule',
+  'Notes',
+  'Liquidation Preference',
+  'Seniority',
+  'Participation',
+  'Participation Cap',
+  'Anti-Dilution',
+  'SAFE Type',
+  'Discount Rate',
+  'Interest Rate',
+  'Interest Type',
+  'Maturity Date',
+  'Entry Mode',
+  'Pre-Money Valuation',
+  'Pre-Money Includes Pool',
+  'Pre-Money Includes SAFEs',
+  'Grant Date',
+  'Vesting Start Date',
+  'Vesting Months',
+  'Cliff Months',
+  'Vesting Frequency',
+  'Acceleration',
+  'Termination Date'
+];
+
+// Build one CSV row for a round and (optionally) one of its allocations
+function buildRow(round, allocation = null) {
+  const vesting = allocation ? allocation.vesting : undefined;
+  return [
+    round.name,
+    round.type || 'common',
+    round.pricePerShare || '',
+    round.moneyRaised || '',
+    round.valuationCap || '',
+    round.investmentAmount || '',
+    round.authorizedShares || '',
+    round.date,
+    round.color,
+    allocation ? allocation.holderName : '',
+    allocation ? allocation.shares : '',
+    allocation ? (allocation.investmentAmount || '') : '',
+    allocation ? allocation.type : '',
+    allocation ? (allocation.vestingSchedule || '') : '',
+    allocation ? (allocation.notes || '') : '',
+    round.liquidationPreference != null ? round.liquidationPreference : '',
+    round.seniority != null ? round.seniority : '',
+    round.participation || '',
+    round.participationCap != null ? round.participationCap : '',
+    round.antiDilution || '',
+    round.safeType || '',
+    round.discountRate || '',
+    round.interestRate || '',
+    round.interestType || '',
+    round.maturityDate || '',
+    round.entryMode || '',
+    round.preMoneyValuation || '',
+    round.preMoneyIncludesPool == null ? '' : (round.preMoneyIncludesPool ? 'yes' : 'no'),
+    round.preMoneyIncludesConverting == null ? '' : (round.preMoneyIncludesConverting ? 'yes' : 'no'),
+    vesting ? (vesting.grantDate || '') : '',
+    vesting ? (vesting.vestingStartDate || '') : '',
+    vesting ? vesting.durationMonths : '',
+    vesting ? (vesting.cliffMonths || 0) : '',
+    vesting ? (vesting.frequency || 'monthly') : '',
+    vesting ? (vesting.acceleration || 'none') : '',
+    vesting ? (vesting.terminationDate || '') : ''
+  ];
+}
+
+// Rows as CSV text (cells with commas, quotes or newlines are quoted)
+function toCSVContent(rows) {
+  return rows.map(row =>
+    row.map(cell => {
+      const str = String(cell);
+      if (str.includes(',') || str.includes('"') || str.includes('\n')) {
+        return '"' + str.replace(/"/g, '""') + '"';
+      }
+      return str;
+    }).join(',')
+  ).join('\n');
+}
+
+// Append header and data rows for every round in a cap table
+function pushRoundRows(rows, capTable) {
+  rows.push([...CSV_HEADERS]);
+
+  capTable.rounds.forEach(round => {
+    if (round.allocations.length === 0) {
+      // Round with no allocations
+      rows.push(buildRow(round));
+    } else {
+      round.allocations.forEach(allocation => {
+        rows.push(buildRow(round, allocation));
+      });
+    }
+  });
+}
+
 export function exportToCSV(capTable, allScenarios = null) {
   // If allScenarios provided, export multi-scenario CSV
   if (allScenarios && allScenarios.length > 1) {
@@ -71,81 +263,10 @@ export function exportToCSV(capTable, allScenarios = null) {
   rows.push(['Exported On', new Date().toISOString()]);
   rows.push(['']); // Blank line separator
 
-  // Header
-  rows.push([
-    'Round Name',
-    'Round Type',
-    'Price Per Share',
-    'Money Raised',
-    'Valuation Cap',
-    'Investment Amount',
-    'Authorized Shares',
-    'Date',
-    'Color',
-    'Holder Name',
-    'Shares',
-    'Allocation Investment Amount',
-    'Allocation Type',
-    'Vesting Schedule',
-    'Notes'
-  ]);
-
-  // Data rows
-  capTable.rounds.forEach(round => {
-    if (round.allocations.length === 0) {
-      // Round with no allocations
-      rows.push([
-        round.name,
-        round.type || 'common',
-        round.pricePerShare || '',
-        round.moneyRaised || '',
-        round.valuationCap || '',
-        round.investmentAmount || '',
-        round.authorizedShares || '',
-        round.date,
-        round.color,
-        '',
-        '',
-        '',
-        '',
-        '',
-        ''
-      ]);
-    } else {
-      // Round with allocations
-      round.allocations.forEach(allocation => {
-        rows.push([
-          round.name,
-          round.type || 'common',
-          round.pricePerShare || '',
-          round.moneyRaised || '',
-          round.valuationCap || '',
-          round.investmentAmount || '',
-          round.authorizedShares || '',
-          round.date,
-          round.color,
-          allocation.holderName,
-          allocation.shares,
-          allocation.investmentAmount || '',
-          allocation.type,
-          allocation.vestingSchedule || '',
-          allocation.notes || ''
-        ]);
-      });
-    }
-  });
+  pushRoundRows(rows, capTable);
 
   // Convert to CSV string
-  const csvContent = rows.map(row =>
-    row.map(cell => {
-      // Escape quotes and wrap in quotes if contains comma
-      const str = String(cell);
-      if (str.includes(',') || str.includes('"') || str.includes('\n')) {
-        return '"' + str.replace(/"/g, '""') + '"';
-      }
-      return str;
-    }).join(',')
-  ).join('\n');
+  const csvContent = toCSVContent(rows);
 
   // Download
   const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
@@ -179,67 +300,7 @@ function exportMultiScenarioCSV(scenarios) {
     rows.push(['Scenario Name', scenario.name]);
     rows.push(['']); // Blank line
 
-    // Data header
-    rows.push([
-      'Round Name',
-      'Round Type',
-      'Price Per Share',
-      'Money Raised',
-      'Valuation Cap',
-      'Investment Amount',
-      'Authorized Shares',
-      'Date',
-      'Color',
-      'Holder Name',
-      'Shares',
-      'Allocation Investment Amount',
-      'Allocation Type',
-      'Vesting Schedule',
-      'Notes'
-    ]);
-
-    // Data rows for this scenario
-    capTable.rounds.forEach(round => {
-      if (round.allocations.length === 0) {
-        rows.push([
-          round.name,
-          round.type || 'common',
-          round.pricePerShare || '',
-          round.moneyRaised || '',
-          round.valuationCap || '',
-          round.investmentAmount || '',
-          round.authorizedShares || '',
-          round.date,
-          round.color,
-          '',
-          '',
-          '',
-          '',
-          '',
-          ''
-        ]);
-      } else {
-        round.allocations.forEach(allocation => {
-          rows.push([
-            round.name,
-            round.type || 'common',
-            round.pricePerShare || '',
-            round.moneyRaised || '',
-            round.valuationCap || '',
-            round.investmentAmount || '',
-            round.authorizedShares || '',
-            round.date,
-            round.color,
-            allocation.holderName,
-            allocation.shares,
-            allocation.investmentAmount || '',
-            allocation.type,
-            allocation.vestingSchedule || '',
-            allocation.notes || ''
-          ]);
-        });
-      }
-    });
+    pushRoundRows(rows, capTable);
 
     // Blank line between scenarios
     if (index < scenarios.length - 1) {
@@ -248,15 +309,7 @@ function exportMultiScenarioCSV(scenarios) {
   });
 
   // Convert to CSV string
-  const csvContent = rows.map(row =>
-    row.map(cell => {
-      const str = String(cell);
-      if (str.includes(',') || str.includes('"') || str.includes('\n')) {
-        return '"' + str.replace(/"/g, '""') + '"';
-      }
-      return str;
-    }).join(',')
-  ).join('\n');
+  const csvContent = toCSVContent(rows);
 
   // Download
   const companyName = scenarios[0]?.data?.companyName || 'company';
@@ -353,7 +406,28 @@ function parseSingleScenario(lines, startIndex) {
       allocationInvestmentAmount,
       type,
       vestingSchedule,
-      notes
+      notes,
+      liquidationPreference,
+      seniority,
+      participation,
+      participationCap,
+      antiDilution,
+      safeType,
+      discountRate,
+      interestRate,
+      interestType,
+      maturityDate,
+      entryMode,
+      preMoneyValuation,
+      preMoneyIncludesPool,
+      preMoneyIncludesConverting,
+      grantDate,
+      vestingStartDate,
+      vestingMonths,
+      cliffMonths,
+      vestingFrequency,
+      acceleration,
+      terminationDate
     ] = cells;
 
     if (!roundName) continue;
@@ -363,6 +437,9 @@ function parseSingleScenario(lines, startIndex) {
       // Pre-parse numeric fields needed for normalization
       const _authorizedParsed = authorizedShares && authorizedShares.trim() ? parseInt(authorizedShares) : undefined;
       const _normalizedType = normalizeRoundType(roundType, roundName, _authorizedParsed);
+      const _isValuationEntry = _normalizedType === 'priced' &&
+        (entryMode || '').trim().toLowerCase() === 'valuation' &&
+        !isNaN(parseFloat(preMoneyValuation));
 
       roundsMap.set(roundName, {
         id: 'round-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9),
@@ -372,6 +449,20 @@ function parseSingleScenario(lines, startIndex) {
         moneyRaised: moneyRaised && moneyRaised.trim() ? parseFloat(moneyRaised) : undefined,
         valuationCap: valuationCap && valuationCap.trim() ? parseFloat(valuationCap) : undefined,
         investmentAmount: investmentAmount && investmentAmount.trim() ? parseFloat(investmentAmount) : undefined,
+        liquidationPreference: liquidationPreference && liquidationPreference.trim() ? parseFloat(liquidationPreference) : undefined,
+        seniority: seniority && seniority.trim() ? parseInt(seniority) : undefined,
+        participation: normalizeParticipation(participation),
+        participationCap: participationCap && participationCap.trim() ? parseFloat(participationCap) : undefined,
+        antiDilution: normalizeAntiDilution(antiDilution),
+        safeType: _normalizedType === 'safe' ? normalizeSafeType(safeType) : undefined,
+        discountRate: parseRate(discountRate),
+        interestRate: _normalizedType === 'convertible-note' ? parseRate(interestRate) : undefined,
+        interestType: _normalizedType === 'convertible-note' ? normalizeInterestType(interestType) : undefined,
+        maturityDate: _normalizedType === 'convertible-note' && maturityDate && maturityDate.trim() ? maturityDate.trim() : undefined,
+        entryMode: _isValuationEntry ? 'valuation' : undefined,
+        preMoneyValuation: _isValuationEntry ? parseFloat(preMoneyValuation) : undefined,
+        preMoneyIncludesPool: _isValuationEntry ? parseYesNo(preMoneyIncludesPool) : undefined,
+        preMoneyIncludesConverting: _isValuationEntry ? parseYesNo(preMoneyIncludesConverting) : undefined,
         authorizedShares: _normalizedType === 'equity-pool' ? _authorizedParsed : undefined,
         date: (date && date.trim()) || new Date().toISOString().split('T')[0],
         color: (color && color.trim()) || '#' + Math.floor(Math.random() * 16777215).toString(16).padStart(6, '0'),
@@ -390,6 +481,11 @@ function parseSingleScenario(lines, startIndex) {
         investmentAmount: allocationInvestmentAmount ? parseFloat(allocationInvestmentAmount) : undefined,
         type: type || 'common',
         vestingSchedule: vestingSchedule || undefined,
+        vesting: parseVesting(
+          { grantDate, vestingStartDate, vestingMonths, cliffMonths, vestingFrequency, acceleration, terminationDate },
+          vestingSchedule,
+          round.date
+        ),
         notes: notes || undefined
       });
     }
@@ -440,22 +536,75 @@ function parseMultiScenarioCSV(lines) {
   };
 }
 
+/**
+ * Download audit log entries as CSV (before/after values in full, as JSON)
+ * @param {Array} entries - Audit entries from the server
+ * @param {string} companyName - Used in the file name
+ */
+export function exportAuditLogCSV(entries, companyName) {
+  const rows = [
+    ['Timestamp (UTC)', 'Actor', 'Action', 'Entity', 'Entity ID', 'Round ID', 'Round', 'Holder', 'Field', 'Before', 'After', 'Reason'],
+    ...entries.map(entry => [
+      entry.createdAt,
+      entry.actor || '',
+      entry.action,
+      entry.entity,
+      entry.entityId || '',
+      entry.roundId || '',
+      entry.roundName || '',
+      entry.holderName || '',
+      entry.field || '',
+      entry.before === undefined ? '' : JSON.stringify(entry.before),
+      entry.after === undefined ? '' : JSON.stringify(entry.after),
+      entry.reason || ''
+    ])
+  ];
+
+  const csvContent = toCSVContent(rows);
+
+  const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
+  const link = document.createElement('a');
+  const url = URL.createObjectURL(blob);
+  link.setAttribute('href', url);
+  link.setAttribute('download', `${companyName}_audit_log_${new Date().toISOString().split('T')[0]}.csv`);
+  link.style.visibility = 'hidden';
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+}
+
 export function downloadCSVTemplate() {
+  // An example cap table written like an export, so every row has every column
+  const safeTerms = { valuationCap: 10000000, investmentAmount: 800000, liquidationPreference: 1, seniority: 1 };
+  const example = {
+    rounds: [
+      { name: 'Common Shares', type: 'common', date: '2020-01-01', color: '#3b82f6', allocations: [
+        { holderName: 'Founder 1', shares: 5000000, type: 'common', notes: 'CEO' },
+        { holderName: 'Founder 2', shares: 3000000, type: 'common', notes: 'CTO' }
+      ] },
+      { name: 'Pre-Seed SAFE', type: 'safe', ...safeTerms, date: '2023-01-01', color: '#10b981', allocations: [
+        { holderName: 'Angel Investor 1', shares: 400000, investmentAmount: 400000, type: 'preferred' },
+        { holderName: 'Angel Investor 2', shares: 400000, investmentAmount: 400000, type: 'preferred' }
+      ] },
+      { name: 'Bridge Note', type: 'convertible-note', ...safeTerms, valuationCap: 12000000, investmentAmount: 250000, discountRate: 0.2, interestRate: 0.06, interestType: 'simple', maturityDate: '2025-06-01', date: '2023-06-01', color: '#8b5cf6', allocations: [
+        { holderName: 'Angel Investor 3', shares: 250000, investmentAmount: 250000, type: 'preferred' }
+      ] },
+      { name: '2024 Equity Plan', type: 'equity-pool', authorizedShares: 10000000, date: '2024-01-01', color: '#f59e0b', allocations: [
+        { holderName: 'Employee 1', shares: 500000, type: 'option', vestingSchedule: '4 year vest, 1 year cliff' },
+        { holderName: 'Employee 2', shares: 500000, type: 'option', vestingSchedule: '4 year vest, 1 year cliff' }
+      ] }
+    ]
+  };
+
   const template = [
     ['# METADATA'],
     ['Company Name', 'My Startup Inc'],
     ['Exported On', new Date().toISOString()],
-    [''],
-    ['Round Name', 'Round Type', 'Price Per Share', 'Money Raised', 'Valuation Cap', 'Investment Amount', 'Authorized Shares', 'Date', 'Color', 'Holder Name', 'Shares', 'Allocation Investment Amount', 'Allocation Type', 'Vesting Schedule', 'Notes'],
-    ['Common Shares', 'common', '', '', '', '', '', '2020-01-01', '#3b82f6', 'Founder 1', '5000000', '', 'common', '', 'CEO'],
-    ['Common Shares', 'common', '', '', '', '', '', '2020-01-01', '#3b82f6', 'Founder 2', '3000000', '', 'common', '', 'CTO'],
-    ['Pre-Seed SAFE', 'safe', '', '', '10000000', '800000', '', '2023-01-01', '#10b981', 'Angel Investor 1', '400000', '400000', 'preferred', '', ''],
-    ['Pre-Seed SAFE', 'safe', '', '', '10000000', '800000', '', '2023-01-01', '#10b981', 'Angel Investor 2', '400000', '400000', 'preferred', '', ''],
-    ['2024 Equity Plan', 'equity-pool', '', '', '', '', '10000000', '2024-01-01', '#f59e0b', 'Employee 1', '500000', '', 'option', '4 year vest, 1 year cliff', ''],
-    ['2024 Equity Plan', 'equity-pool', '', '', '', '', '10000000', '2024-01-01', '#f59e0b', 'Employee 2', '500000', '', 'option', '4 year vest, 1 year cliff', ''],
+    ['']
   ];
+  pushRoundRows(template, example);
 
-  const csvContent = template.map(row => row.join(',')).join('\n');
+  const csvContent = toCSVContent(template);
   const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
   const link = document.createElement('a');
   const url = URL.createObjectURL(blob);
@@ -1,5 +1,5 @@
 // Dilution calculator for cap table scenarios
-// Handles ownership %, SAFE conversion, and dilution impact
+// Handles ownership %, SAFE and convertible note conversion, and dilution impact
 
 /**
  * Calculate ownership percentages for all holders
@@ -38,54 +38,302 @@ export function calculateValuation(pricePerShare, sharesBeforeRound, moneyRaised
   return { preMoney, postMoney, newShares };
 }
 
+// Sum of shares across a round's allocations
+function sumShares(round) {
+  return round.allocations.reduce((sum, a) => sum + a.shares, 0);
+}
+
+/**
+ * Whether a round is a convertible instrument (SAFE or convertible note) that holds
+ * as-if shares until a priced round converts it
+ */
+export function isConvertible(round) {
+  return round.type === 'safe' || round.type === 'convertible-note';
+}
+
+/**
+ * Interest accrued on a convertible note's principal from its issue date to a given date.
+ * Compound interest compounds annually; interest keeps accruing past maturity until conversion.
+ * @param {Object} round - The convertible note round (date = issue date)
+ * @param {number} principal - Principal in dollars
+ * @param {string|Date} asOfDate - Date to accrue up to (e.g. the priced round's date)
+ * @returns {number} Accrued interest in dollars (0 if dates are missing or out of order)
+ */
+export function calculateAccruedInterest(round, principal, asOfDate) {
+  const rate = round.interestRate || 0;
+  const issued = new Date(round.date).getTime();
+  const asOf = new Date(asOfDate).getTime();
+  if (!rate || !principal || isNaN(issued) || isNaN(asOf) || asOf <= issued) return 0;
+
+  const years = (asOf - issued) / (365 * 24 * 60 * 60 * 1000);
+  if (round.interestType === 'compound') {
+    return principal * (Math.pow(1 + rate, years) - 1);
+  }
+  return principal * rate * years;
+}
+
+/**
+ * Pre-money capitalization base for SAFE caps (market standard):
+ * issued shares excluding unconverted SAFEs and notes PLUS the authorized equity pool
+ * @param {Object} capTable - The cap table data
+ * @returns {number} Share count (at least 1)
+ */
+export function getPreMoneyCapShares(capTable) {
+  const nonPoolIssuedExclSafes = capTable.rounds
+    .filter(r => (!isConvertible(r) || r.converted) && r.type !== 'equity-pool')
+    .reduce((sum, r) => sum + sumShares(r), 0);
+  const authorizedPool = capTable.rounds
+    .filter(r => r.type === 'equity-pool')
+    .reduce((sum, r) => sum + (r.authorizedShares || 0), 0);
+  return Math.max(nonPoolIssuedExclSafes + authorizedPool, 1);
+}
+
 /**
- * Convert SAFE notes to shares when a priced round is added
+ * Resolve the terms an MFN SAFE adopts: those of the single most favorable SAFE issued after it
+ * (an MFN takes one later instrument's terms as a whole, not the best cap and discount of different ones)
+ * @param {Object} capTable - The cap table data
+ * @param {Object} round - The MFN SAFE round
+ * @returns {Object|null} { safeType, valuationCap, discountRate, sourceName } or null if nothing to adopt
+ */
+export function resolveMFNTerms(capTable, round) {
+  const issued = new Date(round.date).getTime();
+  const later = capTable.rounds.filter(r =>
+    r.type === 'safe' && r.id !== round.id && (r.safeType || 'pre-money') !== 'mfn' &&
+    !(new Date(r.date).getTime() <= issued)
+  );
+  if (later.length === 0) return null;
+
+  // Lowest cap wins; ties broken by the larger discount
+  const best = [...later].sort((a, b) => {
+    const capA = a.valuationCap || Infinity;
+    const capB = b.valuationCap || Infinity;
+    if (capA !== capB) return capA - capB;
+    return (b.discountRate || 0) - (a.discountRate || 0);
+  })[0];
+
+  return {
+    safeType: best.safeType === 'post-money' ? 'post-money' : 'pre-money',
+    valuationCap: best.valuationCap,
+    discountRate: best.discountRate || 0,
+    sourceName: best.name
+  };
+}
+
+/**
+ * Effective conversion terms for a SAFE round (MFN SAFEs inherit from later SAFEs).
+ * Convertible notes convert like pre-money SAFEs against their own cap and discount.
+ * @returns {Object} { safeType, valuationCap, discountRate, mfnSource }
+ */
+export function getSAFETerms(capTable, round) {
+  if (round.type === 'convertible-note') {
+    return { safeType: 'pre-money', valuationCap: round.valuationCap, discountRate: round.discountRate || 0, mfnSource: undefined };
+  }
+  const safeType = round.safeType || 'pre-money';
+  if (safeType === 'mfn') {
+    const adopted = resolveMFNTerms(capTable, round);
+    return adopted
+      ? { safeType: adopted.safeType, valuationCap: adopted.valuationCap, discountRate: adopted.discountRate, mfnSource: adopted.sourceName }
+      : { safeType, valuationCap: undefined, discountRate: 0, mfnSource: undefined };
+  }
+  return {
+    safeType,
+    valuationCap: safeType === 'discount-only' ? undefined : round.valuationCap,
+    discountRate: round.discountRate || 0,
+    mfnSource: undefined
+  };
+}
+
+/**
+ * Price one converting round at the current solver state.
+ * The cap is divided by the pre-money base for pre-money SAFEs and notes, and by the
+ * post-money capitalization (base plus every converting instrument) for post-money SAFEs.
+ * With no priced round, instruments convert at their cap price ("as-if" shares).
+ */
+function priceConvertingRound(plan, preMoneyBase, postMoneyCapitalization, pricePerShare, asOf) {
+  const { round, terms } = plan;
+  const capitalization = terms.safeType === 'post-money' ? postMoneyCapitalization : preMoneyBase;
+  const capPrice = terms.valuationCap ? terms.valuationCap / capitalization : undefined;
+  const discountPrice = pricePerShare && terms.discountRate > 0 ? pricePerShare * (1 - terms.discountRate) : undefined;
+
+  let conversionPrice = pricePerShare || capPrice;
+  let method = pricePerShare ? 'round price' : 'cap';
+  if (pricePerShare && capPrice !== undefined && capPrice < conversionPrice) {
+    conversionPrice = capPrice;
+    method = 'cap';
+  }
+  if (discountPrice !== undefined && discountPrice < conversionPrice) {
+    conversionPrice = discountPrice;
+    method = 'discount';
+  }
+
+  const allocations = round.allocations.map(alloc => {
+    // Use investment amount if available, otherwise estimate from as-if shares at the cap price
+    const principal = alloc.investmentAmount || alloc.shares * (capPrice || conversionPrice || 0);
+    const accruedInterest = round.type === 'convertible-note' ? calculateAccruedInterest(round, principal, asOf) : 0;
+    const amount = principal + accruedInterest;
+    return { alloc, principal, accruedInterest, amount, shares: conversionPrice ? amount / conversionPrice : 0 };
+  });
+
+  return {
+    round,
+    terms,
+    capitalization,
+    capPrice,
+    discountPrice,
+    conversionPrice,
+    method,
+    allocations,
+    shares: allocations.reduce((sum, a) => sum + a.shares, 0)
+  };
+}
+
+/**
+ * Solve how every unconverted SAFE and convertible note converts, jointly.
+ * Post-money SAFEs divide their cap by a capitalization that includes the shares of every
+ * converting instrument (including their own and any discount-priced ones), so conversions
+ * depend on each other; the solver iterates to a fixed point on total converting shares.
+ * Without a price it returns "as-if converted" shares at each cap (uncapped instruments are
+ * estimated at the highest cap in the cap table).
+ * @param {Object} capTable - The cap table data
+ * @param {Object} round - Optional priced round: { pricePerShare, newMoney, date }
+ * @param {Object} options - { tolerance (shares), maxIterations }
+ * @returns {Object} { rounds: Map roundId -> conversion, preMoneyBase, postMoneyCapitalization,
+ *   convertingShares, newShares, postMoneyShares, iterations, converged, residual }
+ */
+export function solveSAFEConversions(capTable, { pricePerShare, newMoney = 0, date } = {}, { tolerance = 0.5, maxIterations = 100 } = {}) {
+  const priced = pricePerShare > 0;
+  const asOf = date || new Date();
+  const preMoneyBase = getPreMoneyCapShares(capTable);
+
+  const capped = capTable.rounds.filter(r => isConvertible(r) && r.valuationCap);
+  const highest = capped.length > 0 ? capped.reduce((a, b) => (b.valuationCap > a.valuationCap ? b : a)) : null;
+
+  const plans = capTable.rounds
+    .filter(r => isConvertible(r) && !r.converted)
+    .map(round => {
+      const terms = getSAFETerms(capTable, round);
+      if (!priced && !terms.valuationCap && highest) {
+        const estimated = getSAFETerms(capTable, highest);
+        return { round, terms: { ...terms, safeType: estimated.safeType, valuationCap: estimated.valuationCap } };
+      }
+      return { round, terms };
+    });
+
+  let convertingShares = 0;
+  let results = [];
+  let iterations = 0;
+  let residual = Infinity;
+  let converged = false;
+  while (iterations < maxIterations) {
+    iterations++;
+    const postMoneyCapitalization = preMoneyBase + convertingShares;
+    results = plans.map(plan => priceConvertingRound(plan, preMoneyBase, postMoneyCapitalization, priced ? pricePerShare : undefined, asOf));
+    const next = results.reduce((sum, r) => sum + r.shares, 0);
+    residual = Math.abs(next - convertingShares);
+    convertingShares = next;
+    if (residual <= tolerance) {
+      converged = true;
+      break;
+    }
+  }
+
+  const newShares = priced ? newMoney / pricePerShare : 0;
+  return {
+    rounds: new Map(results.map(r => [r.round.id, r])),
+    preMoneyBase,
+    postMoneyCapitalization: preMoneyBase + convertingShares,
+    convertingShares,
+    newShares,
+    postMoneyShares: preMoneyBase + convertingShares + newShares,
+    iterations,
+    converged,
+    residual
+  };
+}
+
+/**
+ * Capitalization a SAFE's valuation cap is divided by to get its cap price
+ * Pre-money SAFEs: the pre-money base (excludes all SAFEs and notes)
+ * Post-money SAFEs: the base plus the as-if shares of every converting instrument
+ * @param {Object} capTable - The cap table data
+ * @param {string} safeType - "pre-money" or "post-money"
+ * @returns {number} Share count
+ */
+export function getSAFECapitalization(capTable, safeType) {
+  if (safeType !== 'post-money') return getPreMoneyCapShares(capTable);
+  return solveSAFEConversions(capTable).postMoneyCapitalization;
+}
+
+/**
+ * Pre-priced "as-if converted" shares for a SAFE investment, priced at its cap
+ * Uncapped SAFEs (discount-only, or MFN with nothing to adopt) have no cap price yet,
+ * so they are estimated at the highest cap in the cap table (0 if there is none)
+ * @param {Object} capTable - The cap table data
+ * @param {Object} round - The SAFE round
+ * @param {number} investmentAmount - Dollars invested
+ * @returns {number} Estimated shares
+ */
+export function getSAFEAsIfShares(capTable, round, investmentAmount) {
+  const conversion = solveSAFEConversions(capTable).rounds.get(round.id);
+  if (!conversion || !conversion.capPrice) return 0;
+  return Math.round(investmentAmount / conversion.capPrice);
+}
+
+/**
+ * Best conversion price for a SAFE in a priced round: the lowest of cap price, discounted
+ * round price and the round price itself
+ * @returns {Object} { conversionPrice, method, capPrice, discountPrice, terms }
+ */
+export function getSAFEConversionPrice(capTable, round, pricePerShare) {
+  const { conversionPrice, method, capPrice, discountPrice, terms } =
+    solveSAFEConversions(capTable, { pricePerShare }).rounds.get(round.id);
+  return { conversionPrice, method, capPrice, discountPrice, terms };
+}
+
+/**
+ * Convert SAFEs and convertible notes to shares when a priced round is added.
+ * Notes convert principal plus interest accrued up to the priced round's date.
  * @param {Object} capTable - The cap table with all rounds
  * @param {number} postMoneyValuation - Post-money valuation of the priced round
  * @param {number} pricePerShare - Price per share in the priced round
- * @returns {Object} { conversions: Array, updatedRounds: Array }
+ * @param {string} conversionDate - Date of the priced round (interest accrues up to it)
+ * @param {number} newMoney - Money raised in the priced round (for post-money share counts)
+ * @returns {Object} { conversions: Array, updatedRounds: Array, solution: Object }
  */
-export function convertSAFEs(capTable, postMoneyValuation, pricePerShare) {
+export function convertSAFEs(capTable, postMoneyValuation, pricePerShare, conversionDate, newMoney = 0) {
   const conversions = [];
   const updatedRounds = [];
+  const solution = solveSAFEConversions(capTable, { pricePerShare, newMoney, date: conversionDate });
 
   capTable.rounds.forEach(round => {
-    if (round.type !== 'safe' || !round.valuationCap) {
+    const conversion = solution.rounds.get(round.id);
+    if (!conversion) {
       updatedRounds.push(round);
       return;
     }
 
-    // SAFE conversion price per share is the better of cap-based price and round price:
-    // capPrice = valuationCap / preMoneyCapShares; conversionPrice = Math.min(pricePerShare, capPrice)
-    // Where preMoneyCapShares includes non-SAFE issued shares PLUS authorized equity pool (market-standard capitalization base)
-    const nonPoolIssuedExclSafes = capTable.rounds
-      .filter(r => (r.type !== 'safe' || r.converted) && r.type !== 'equity-pool')
-      .reduce((sum, r) => sum + r.allocations.reduce((s, a) => s + a.shares, 0), 0);
-    const authorizedPool = capTable.rounds
-      .filter(r => r.type === 'equity-pool')
-      .reduce((sum, r) => sum + (r.authorizedShares || 0), 0);
-    const preMoneyCapShares = Math.max(nonPoolIssuedExclSafes + authorizedPool, 1);
-    const capPrice = round.valuationCap / preMoneyCapShares;
-    const conversionPrice = Math.min(pricePerShare, capPrice);
+    const isNote = round.type === 'convertible-note';
+    const { conversionPrice, method, capPrice, discountPrice, terms } = conversion;
     const conversionDiscount = Math.max(0, 1 - (conversionPrice / pricePerShare));
 
-    const updatedAllocations = round.allocations.map(alloc => {
-      // Use investment amount if available, otherwise estimate from shares and cap
-      let investmentAmount = alloc.investmentAmount;
-      if (!investmentAmount) {
-        // Back-calculate from pre-priced as-if shares formula using the same capitalization base
-        investmentAmount = alloc.shares * (round.valuationCap / preMoneyCapShares);
-      }
-
-      const convertedShares = Math.round(investmentAmount / conversionPrice);
+    const updatedAllocations = conversion.allocations.map(({ alloc, principal, accruedInterest, amount, shares }) => {
+      const convertedShares = Math.round(shares);
 
       conversions.push({
         holderName: alloc.holderName,
         originalShares: alloc.shares,
         convertedShares: convertedShares,
-        investmentAmount: investmentAmount,
+        investmentAmount: amount,
+        principal: principal,
+        accruedInterest: accruedInterest,
         conversionPrice: conversionPrice,
         discount: conversionDiscount * 100,
+        method: method,
+        safeType: isNote ? 'convertible note' : (round.safeType || 'pre-money'),
+        capPrice: capPrice,
+        discountPrice: discountPrice,
+        mfnSource: terms.mfnSource,
+        postMoneyOwnership: solution.postMoneyShares > 0 ? (convertedShares / solution.postMoneyShares) * 100 : 0,
         roundName: round.name
       });
 
@@ -93,9 +341,10 @@ export function convertSAFEs(capTable, postMoneyValuation, pricePerShare) {
       return {
         ...alloc,
         shares: convertedShares,
-        convertedFrom: 'SAFE',
+        convertedFrom: isNote ? 'Convertible Note' : 'SAFE',
         originalShares: alloc.shares,
-        conversionPrice: conversionPrice
+        conversionPrice: conversionPrice,
+        accruedInterest: isNote ? accruedInterest : undefined
       };
     });
 
@@ -104,11 +353,111 @@ export function convertSAFEs(capTable, postMoneyValuation, pricePerShare) {
       ...round,
       allocations: updatedAllocations,
       converted: true,
-      conversionPrice: conversionPrice
+      conversionPrice: conversionPrice,
+      conversionMethod: method,
+      conversionDate: conversionDate
     });
   });
 
-  return { conversions, updatedRounds };
+  return { conversions, updatedRounds, solution };
+}
+
+/**
+ * As-converted common shares for a preferred allocation, after any anti-dilution adjustment
+ * @param {Object} round - The round the allocation belongs to
+ * @param {Object} alloc - The allocation
+ * @returns {number} Shares on an as-converted basis
+ */
+export function getAsConvertedShares(round, alloc) {
+  if (round.type === 'priced' && round.adjustedConversionPrice && round.pricePerShare) {
+    return Math.round(alloc.shares * (round.pricePerShare / round.adjustedConversionPrice));
+  }
+  return alloc.shares;
+}
+
+// Date helper shared by the anti-dilution calculation (missing/invalid dates sort last)
+function toTime(d) {
+  const t = d ? new Date(d).getTime() : NaN;
+  return isNaN(t) ? Infinity : t;
+}
+
+/**
+ * Recompute anti-dilution adjusted conversion prices for protected priced rounds.
+ * Replays priced rounds in date order; whenever a round prices below a protected earlier
+ * round's current conversion price, that conversion price is reduced:
+ *   full-ratchet:  CP2 = new price
+ *   weighted avg:  CP2 = CP1 * (A + B) / (A + C)
+ *     A = shares outstanding before the new round (broad-based: fully diluted incl. pool and SAFEs;
+ *         narrow-based: preferred only), B = new money / CP1, C = new shares issued
+ * Idempotent - adjustments are always derived from original issue prices.
+ * @param {Object} capTable - The cap table with all rounds
+ * @returns {Object} { adjustments: Array, updatedRounds: Array }
+ */
+export function calculateAntiDilutionAdjustments(capTable) {
+  const adjustments = [];
+  const updatedRounds = capTable.rounds.map(round => (
+    round.type === 'priced' ? { ...round, adjustedConversionPrice: undefined } : round
+  ));
+
+  const ordered = [...updatedRounds].sort((a, b) => toTime(a.date) - toTime(b.date));
+  const currentPrice = (round) => round.adjustedConversionPrice || round.pricePerShare;
+  const roundShares = (round) => round.allocations.reduce((sum, a) => sum + getAsConvertedShares(round, a), 0);
+
+  ordered.forEach((newRound, index) => {
+    if (newRound.type !== 'priced' || !newRound.pricePerShare) return;
+
+    const newPrice = newRound.pricePerShare;
+    const allocatedShares = newRound.allocations.reduce((sum, a) => sum + a.shares, 0);
+    const newShares = allocatedShares || (newRound.moneyRaised ? newRound.moneyRaised / newPrice : 0);
+    const newMoney = newShares * newPrice;
+    if (newShares <= 0) return;
+
+    const earlier = ordered.slice(0, index).filter(r => toTime(r.date) < toTime(newRound.date));
+
+    // Snapshot outstanding shares before applying this round's adjustments
+    const broadBase = earlier.reduce((sum, r) => (
+      sum + (r.type === 'equity-pool' ? (r.authorizedShares || 0) : roundShares(r))
+    ), 0);
+    const narrowBase = earlier
+      .filter(r => r.type === 'priced')
+      .reduce((sum, r) => sum + roundShares(r), 0);
+
+    earlier.forEach(protectedRound => {
+      const protection = protectedRound.antiDilution;
+      if (protectedRound.type !== 'priced' || !protection || protection === 'none') return;
+
+      const oldPrice = currentPrice(protectedRound);
+      if (!oldPrice || newPrice >= oldPrice) return;
+
+      let adjustedPrice;
+      if (protection === 'full-ratchet') {
+        adjustedPrice = newPrice;
+      } else {
+        const A = protection === 'narrow-based' ? narrowBase : broadBase;
+        const B = newMoney / oldPrice;
+        const C = newShares;
+        adjustedPrice = oldPrice * ((A + B) / (A + C));
+      }
+
+      const sharesBefore = roundShares(protectedRound);
+      protectedRound.adjustedConversionPrice = adjustedPrice;
+      const sharesAfter = roundShares(protectedRound);
+
+      adjustments.push({
+        roundId: protectedRound.id,
+        roundName: protectedRound.name,
+        triggeredBy: newRound.id,
+        triggeredByName: newRound.name,
+        protection,
+        originalPrice: protectedRound.pricePerShare,
+        previousConversionPrice: oldPrice,
+        adjustedConversionPrice: adjustedPrice,
+        additionalShares: sharesAfter - sharesBefore
+      });
+    });
+  });
+
+  return { adjustments, updatedRounds };
 }
 
 /**
@@ -154,6 +503,261 @@ export function calculateDilution(capTable, moneyRaised, pricePerShare) {
   };
 }
 
+/**
+ * Round designer: solve an option pool shuffle. Given the pre-money valuation, the new money
+ * and a target post-money available pool %, find the price per share, the pool top-up (carved
+ * out of the pre-money) and the investor shares at the same time.
+ * Unconverted SAFEs and notes convert in the round and count in the pre-money share count, but
+ * their conversion price depends on the round price, so the system is circular; it is solved
+ * by fixed-point iteration on the price. The top-up is excluded from the SAFE cap base.
+ * @param {Object} capTable - Cap table before the new round
+ * @param {Object} terms - { preMoneyValuation, investment, targetPoolPct (fraction), date }
+ * @param {number} maxIterations - Iteration limit
+ * @returns {Object} { pricePerShare, investorShares, poolTopUp, poolAvailable, convertingShares,
+ *   preMoneyShares, postMoneyShares, iterations, converged }
+ */
+export function solveOptionPoolShuffle(capTable, { preMoneyValuation, investment, targetPoolPct, date }, maxIterations = 100) {
+  const pools = capTable.rounds.filter(r => r.type === 'equity-pool');
+  const poolAuthorized = pools.reduce((sum, r) => sum + (r.authorizedShares || 0), 0);
+  const poolUnallocated = pools.reduce((sum, r) => sum + Math.max(0, (r.authorizedShares || 0) - sumShares(r)), 0);
+
+  // Outstanding shares that don't depend on the price: issued stock (as-converted) plus the pool
+  const outstanding = capTable.rounds
+    .filter(r => (!isConvertible(r) || r.converted) && r.type !== 'equity-pool')
+    .reduce((sum, r) => sum + r.allocations.reduce((s, a) => s + getAsConvertedShares(r, a), 0), 0)
+    + poolAuthorized;
+
+  const solveAt = (price) => {
+    // Notes accrue interest up to the round date
+    const { convertingShares } = solveSAFEConversions(capTable, { pricePerShare: price, newMoney: investment, date });
+    const investorShares = investment / price;
+    // Available pool after the round = targetPoolPct of post-money, with the top-up in the pre-money
+    const poolTopUp = Math.max(0,
+      (targetPoolPct * (outstanding + convertingShares + investorShares) - poolUnallocated) / (1 - targetPoolPct)
+    );
+    return { convertingShares, investorShares, poolTopUp };
+  };
+
+  let price = preMoneyValuation / Math.max(outstanding, 1);
+  let state = solveAt(price);
+  let iterations = 0;
+  let converged = false;
+  while (iterations < maxIterations) {
+    iterations++;
+    const next = preMoneyValuation / Math.max(outstanding + state.convertingShares + state.poolTopUp, 1);
+    const delta = Math.abs(next - price);
+    price = next;
+    state = solveAt(price);
+    if (delta <= price * 1e-9) {
+      converged = true;
+      break;
+    }
+  }
+
+  const preMoneyShares = outstanding + state.convertingShares + state.poolTopUp;
+  return {
+    pricePerShare: price,
+    investorShares: Math.round(state.investorShares),
+    poolTopUp: Math.ceil(state.poolTopUp),
+    poolAvailable: Math.round(poolUnallocated + state.poolTopUp),
+    convertingShares: Math.round(state.convertingShares),
+    preMoneyShares: Math.round(preMoneyShares),
+    postMoneyShares: Math.round(preMoneyShares + state.investorShares),
+    iterations,
+    converged
+  };
+}
+
+/**
+ * Cap table as it stands before a priced round: drops the round itself (when editing) and
+ * rounds dated after it
+ */
+function getTableBeforeRound(capTable, date, excludeRoundId) {
+  const cutoff = toTime(date);
+  return {
+    ...capTable,
+    rounds: capTable.rounds.filter(r => {
+      if (r.id === excludeRoundId) return false;
+      const t = toTime(r.date);
+      return cutoff === Infinity || t === Infinity || t <= cutoff;
+    })
+  };
+}
+
+/**
+ * Derive a priced round's price per share from a pre-money valuation.
+ * Price = pre-money valuation / fully-diluted pre-money shares, where the share count always
+ * includes issued stock (as-converted) and granted pool awards, and optionally the unissued
+ * pool and the SAFEs/notes converting in the round. Converting shares depend on the price, so
+ * with them included the price is solved by fixed-point iteration.
+ * @param {Object} capTable - The cap table data
+ * @param {Object} terms - { preMoneyValuation, includeUnissuedPool, includeConverting, date, excludeRoundId }
+ * @param {number} maxIterations - Iteration limit
+ * @returns {Object} { pricePerShare, preMoneyShares, unissuedPoolShares, convertingShares, iterations, converged }
+ */
+export function solvePriceFromPreMoney(capTable, { preMoneyValuation, includeUnissuedPool = true, includeConverting = true, date, excludeRoundId }, maxIterations = 100) {
+  const table = getTableBeforeRound(capTable, date, excludeRoundId);
+
+  let fixedShares = 0;
+  let unissuedPoolShares = 0;
+  table.rounds.forEach(r => {
+    if (r.type === 'equity-pool') {
+      const granted = sumShares(r);
+      fixedShares += granted;
+      unissuedPoolShares += Math.max(0, (r.authorizedShares || 0) - granted);
+    } else if (!isConvertible(r) || r.converted) {
+      fixedShares += r.allocations.reduce((sum, a) => sum + getAsConvertedShares(r, a), 0);
+    }
+  });
+  if (includeUnissuedPool) fixedShares += unissuedPoolShares;
+
+  let price = preMoneyValuation / Math.max(fixedShares, 1);
+  let convertingShares = 0;
+  let iterations = 0;
+  let converged = !includeConverting;
+  while (includeConverting && iterations < maxIterations) {
+    iterations++;
+    convertingShares = solveSAFEConversions(table, { pricePerShare: price, date }).convertingShares;
+    const next = preMoneyValuation / Math.max(fixedShares + convertingShares, 1);
+    const delta = Math.abs(next - price);
+    price = next;
+    if (delta <= price * 1e-9) {
+      converged = true;
+      break;
+    }
+  }
+
+  return {
+    pricePerShare: price,
+    preMoneyShares: Math.round(fixedShares + convertingShares),
+    unissuedPoolShares,
+    convertingShares: Math.round(convertingShares),
+    iterations,
+    converged
+  };
+}
+
+/**
+ * The cap table as it stood on a date: rounds dated later are dropped, SAFEs and notes that
+ * converted after the date are unconverted back to as-if shares (interest accrued to the date),
+ * and anti-dilution adjustments are recomputed from the remaining rounds.
+ * Conversions saved without a conversion date are dated by the first priced round on or after
+ * the instrument. Rounds without a valid date are always included.
+ * @param {Object} capTable - The cap table data
+ * @param {string|Date} asOfDate - Date to view the cap table at
+ * @returns {Object} Cap table snapshot (the input is not modified)
+ */
+export function getCapTableAsOf(capTable, asOfDate) {
+  const cutoff = toTime(asOfDate);
+  const pricedDates = capTable.rounds
+    .filter(r => r.type === 'priced')
+    .map(r => toTime(r.date))
+    .sort((a, b) => a - b);
+  const convertedOn = (round) => {
+    if (round.conversionDate) return toTime(round.conversionDate);
+    const issued = toTime(round.date);
+    return pricedDates.find(t => t >= issued) ?? -Infinity;
+  };
+
+  const rounds = capTable.rounds
+    .filter(r => cutoff === Infinity || toTime(r.date) === Infinity || toTime(r.date) <= cutoff)
+    .map(r => {
+      if (!isConvertible(r) || !r.converted || convertedOn(r) <= cutoff) return r;
+      return {
+        ...r,
+        converted: false,
+        conversionPrice: undefined,
+        conversionMethod: undefined,
+        conversionDate: undefined,
+        allocations: r.allocations.map(a => ({
+          ...a,
+          shares: a.originalShares ?? a.shares,
+          conversionPrice: undefined,
+          convertedFrom: undefined,
+          originalShares: undefined,
+          accruedInterest: undefined
+        }))
+      };
+    });
+
+  const snapshot = { ...capTable, rounds };
+
+  // Re-solve as-if shares for everything unconverted at the date
+  const asIf = solveSAFEConversions(snapshot, { date: asOfDate });
+  snapshot.rounds = snapshot.rounds.map(r => {
+    const conversion = asIf.rounds.get(r.id);
+    if (!conversion) return r;
+    return {
+      ...r,
+      allocations: r.allocations.map((a, i) => ({ ...a, shares: Math.round(conversion.allocations[i].shares) }))
+    };
+  });
+
+  snapshot.rounds = calculateAntiDilutionAdjustments(snapshot).updatedRounds;
+  return snapshot;
+}
+
+/**
+ * Effective price per share: the latest priced round's price, or before any priced round,
+ * the highest SAFE/note valuation cap spread over issued shares
+ * @param {Object} table - The cap table
+ * @returns {number} Price per share (0 if nothing prices the company yet)
+ */
+export function getEffectivePricePerShare(table) {
+  const totalIssued = table.rounds
+    .filter(r => !isConvertible(r) || r.converted)
+    .reduce((sum, round) => sum + round.allocations.reduce((s, a) => s + a.shares, 0), 0);
+
+  // Find the most recent priced round
+  const pricedRounds = table.rounds.filter(r => r.type === 'priced' && r.pricePerShare);
+  if (pricedRounds.length > 0) {
+    // Use the last priced round's price
+    const lastPricedRound = pricedRounds[pricedRounds.length - 1];
+    return lastPricedRound.pricePerShare;
+  } else {
+    // No priced rounds yet - use SAFE/note valuation cap if available
+    const safeRounds = table.rounds.filter(r => isConvertible(r) && r.valuationCap);
+    if (safeRounds.length > 0) {
+      // Use the highest SAFE valuation cap as proxy
+      const highestCap = Math.max(...safeRounds.map(r => r.valuationCap));
+      return totalIssued > 0 ? highestCap / totalIssued : 0;
+    }
+  }
+  return 0;
+}
+
+/**
+ * Calculate true fully diluted shares:
+ * = All issued shares (common + priced rounds)
+ * + All equity pool shares (allocated + unallocated reserved)
+ * + All SAFE and convertible note shares as if converted at their cap
+ * @param {Object} table - The cap table
+ * @returns {number} Fully diluted shares
+ */
+export function calculateFullyDilutedShares(table) {
+  let fullyDiluted = 0;
+  // SAFEs affect each other (post-money caps include every converting instrument), so the
+  // as-if shares are solved jointly
+  const asIf = solveSAFEConversions(table);
+
+  table.rounds.forEach(round => {
+    if (round.type === 'equity-pool') {
+      // For equity pools, count the full authorized amount (allocated + unallocated)
+      fullyDiluted += round.authorizedShares || 0;
+    } else if (isConvertible(round) && !round.converted) {
+      // For unconverted SAFEs and notes, count shares as if converted at cap
+      fullyDiluted += Math.round(asIf.rounds.get(round.id).shares);
+    } else if (isConvertible(round)) {
+      fullyDiluted += round.allocations.reduce((sum, a) => sum + a.shares, 0);
+    } else {
+      // For priced rounds and common stock, count issued shares (as-converted after anti-dilution)
+      fullyDiluted += round.allocations.reduce((sum, a) => sum + getAsConvertedShares(round, a), 0);
+    }
+  });
+
+  return fullyDiluted;
+}
+
 /**
  * Format ownership percentage for display
  */
@@ -0,0 +1,9 @@
+// HTML escaping for values interpolated into innerHTML templates
+// Names, messages and field values are typed by other users, so every one goes through this
+
+/**
+ * Escape text for use in HTML content or a quoted attribute
+ * @param {*} text - Value to escape (converted to a string)
+ * @returns {string} Escaped text
+ */
+export const escapeHtml = (text) => String(text).replace(/[&<>"']/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
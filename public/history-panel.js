@@ -0,0 +1,135 @@
+// Revision history panel: the sidebar list of saved revisions and the diff shown for one
+
+import { isEmptyDiff } from "./cap-table-diff.js";
+import { escapeHtml } from "./escape-html.js";
+
+const formatShares = (num) => num.toLocaleString();
+const formatDelta = (num) => `${num > 0 ? "+" : num < 0 ? "−" : "±"}${formatShares(Math.abs(num))}`;
+const deltaColor = (num) => num > 0 ? "#10b981" : num < 0 ? "#f87171" : "#94a3b8";
+
+// Field values as shown in the diff ("—" when unset), escaped for HTML
+function formatValue(value) {
+  if (value === undefined || value === null || value === "") return "—";
+  if (typeof value === "number") return value.toLocaleString();
+  if (typeof value === "object") return escapeHtml(JSON.stringify(value));
+  return escapeHtml(value);
+}
+
+// A round's name in its color
+const roundLabel = (round) => `<span style="color: ${escapeHtml(round.color)};">${escapeHtml(round.name)}</span>`;
+
+// Revision timestamps are stored in UTC ("YYYY-MM-DD HH:MM:SS")
+export function formatRevisionDate(createdAt) {
+  return new Date(createdAt.replace(" ", "T") + "Z").toLocaleString();
+}
+
+/**
+ * Fill the sidebar history list, newest first
+ * @param {Array|null} revisions - [{ id, author, message, createdAt }], or null when the API is unavailable
+ * @param {Function} onView - Called with a revision id when its "View" button is clicked
+ */
+export function renderHistoryList(revisions, onView) {
+  const container = document.getElementById("history-list");
+  container.innerHTML = "";
+
+  if (!revisions) {
+    container.innerHTML = '<div class="list-item-details">Revision history is kept by the server, which isn\'t available - changes are only saved in this browser.</div>';
+    return;
+  }
+  if (revisions.length === 0) {
+    container.innerHTML = '<div class="list-item-details">No saved revisions yet.</div>';
+    return;
+  }
+
+  revisions.forEach((revision, i) => {
+    const item = document.createElement("div");
+    item.className = "list-item";
+    item.innerHTML = `
+      <div class="list-item-info">
+        <div class="list-item-title" style="font-size: 0.9375rem;">${escapeHtml(revision.message || `Revision ${revision.id}`)}${i === 0 ? ' <span style="font-size: 0.75rem; color: #10b981;">(current)</span>' : ""}</div>
+        <div class="list-item-details">#${escapeHtml(revision.id)} • ${escapeHtml(formatRevisionDate(revision.createdAt))} • ${escapeHtml(revision.author || "anonymous")}</div>
+      </div>
+      <div class="list-item-actions">
+        <button class="secondary">View Changes</button>
+      </div>
+    `;
+    item.querySelector("button").addEventListener("click", () => onView(revision.id));
+    container.appendChild(item);
+  });
+}
+
+function fieldChangeRows(changes) {
+  return changes.map(c => `
+    <li><code>${escapeHtml(c.field)}</code>: ${formatValue(c.before)} → ${formatValue(c.after)}</li>
+  `).join("");
+}
+
+function roundTotal(round) {
+  return round.allocations.reduce((sum, a) => sum + (a.shares || 0), 0);
+}
+
+/**
+ * HTML for a diff from diffCapTables: company changes, rounds added/removed, and per-round
+ * term and allocation changes with share deltas
+ * @param {Object} diff - Result of diffCapTables
+ * @returns {string} HTML
+ */
+export function renderDiff(diff) {
+  if (isEmptyDiff(diff)) {
+    return '<p style="color: #94a3b8;">No changes to the cap table.</p>';
+  }
+
+  const sections = [];
+  const section = (title, body) => sections.push(`
+    <h3 style="font-size: 1rem; font-weight: 600; margin: 1rem 0 0.5rem 0; color: #f1f5f9;">${title}</h3>
+    ${body}
+  `);
+
+  if (diff.company.length > 0) {
+    section("Company", `<ul style="padding-left: 20px;">${fieldChangeRows(diff.company)}</ul>`);
+  }
+
+  if (diff.roundsAdded.length > 0) {
+    section("Rounds added", `<ul style="padding-left: 20px;">${diff.roundsAdded.map(r => `
+      <li>${roundLabel(r)} - ${r.allocations.length} allocations,
+        <span style="color: ${deltaColor(roundTotal(r))};">${formatDelta(roundTotal(r))}</span> shares</li>
+    `).join("")}</ul>`);
+  }
+
+  if (diff.roundsRemoved.length > 0) {
+    section("Rounds removed", `<ul style="padding-left: 20px;">${diff.roundsRemoved.map(r => `
+      <li>${roundLabel(r)} - ${r.allocations.length} allocations,
+        <span style="color: ${deltaColor(-roundTotal(r))};">${formatDelta(-roundTotal(r))}</span> shares</li>
+    `).join("")}</ul>`);
+  }
+
+  diff.roundsChanged.forEach(change => {
+    const rows = [
+      ...change.terms.map(c => `<li>Term <code>${escapeHtml(c.field)}</code>: ${formatValue(c.before)} → ${formatValue(c.after)}</li>`),
+      ...change.allocationsAdded.map(a => `
+        <li>Added ${escapeHtml(a.holderName)}: <span style="color: ${deltaColor(a.shares)};">${formatDelta(a.shares)}</span> shares</li>
+      `),
+      ...change.allocationsRemoved.map(a => `
+        <li>Removed ${escapeHtml(a.holderName)}: <span style="color: ${deltaColor(-a.shares)};">${formatDelta(-a.shares)}</span> shares</li>
+      `),
+      ...change.allocationsChanged.map(c => {
+        const other = c.changes.filter(f => f.field !== "shares");
+        return `
+          <li>${escapeHtml(c.allocation.holderName)}: ${c.shareDelta !== 0
+            ? `<span style="color: ${deltaColor(c.shareDelta)};">${formatDelta(c.shareDelta)}</span> shares (${formatShares(c.allocation.shares - c.shareDelta)} → ${formatShares(c.allocation.shares)})`
+            : "shares unchanged"}
+            ${other.length > 0 ? `<ul style="padding-left: 20px;">${fieldChangeRows(other)}</ul>` : ""}
+          </li>
+        `;
+      })
+    ];
+    section(roundLabel(change.round), `<ul style="padding-left: 20px;">${rows.join("")}</ul>`);
+  });
+
+  sections.push(`
+    <p style="margin-top: 1rem; padding-top: 0.75rem; border-top: 1px solid #374151;">
+      Total shares: <strong style="color: ${deltaColor(diff.shareDelta)};">${formatDelta(diff.shareDelta)}</strong>
+    </p>
+  `);
+  return sections.join("");
+}
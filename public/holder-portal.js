@@ -0,0 +1,85 @@
+// Holder view: one holder's portfolio (from calculateHolderPortfolio) in place of the treemap
+
+import { formatOwnership, formatCurrency } from "./dilution-calculator.js";
+import { escapeHtml } from "./escape-html.js";
+
+const formatShares = (num) => Math.round(num).toLocaleString();
+const formatDate = (date) => date ? new Date(date + "T00:00:00").toLocaleDateString() : "—";
+
+function statCard(label, value, detail = "") {
+  return `
+    <div class="stat-card">
+      <div class="stat-label">${label}</div>
+      <div class="stat-value">${value}</div>
+      ${detail ? `<div style="font-size: 11px; opacity: 0.7; margin-top: 4px;">${detail}</div>` : ""}
+    </div>
+  `;
+}
+
+function vestingCell(vesting) {
+  if (!vesting) return '<span style="color: #94a3b8;">Fully vested</span>';
+  return `
+    ${formatShares(vesting.vested)} vested (${vesting.vestedPct.toFixed(0)}%)
+    <div style="font-size: 11px; color: #94a3b8;">${escapeHtml(vesting.schedule)}${vesting.fullyVestedDate ? ` • fully vested ${formatDate(vesting.fullyVestedDate)}` : ""}${vesting.forfeited > 0 ? ` • ${formatShares(vesting.forfeited)} forfeited` : ""}</div>
+  `;
+}
+
+/**
+ * HTML for a holder's portfolio: summary cards, holdings by round and what-if exit payouts
+ * @param {Object} portfolio - Result of calculateHolderPortfolio
+ * @returns {string} HTML
+ */
+export function renderHolderPortfolio(portfolio) {
+  const { vesting } = portfolio;
+  const vestingDetail = vesting.shares > 0
+    ? `${formatShares(vesting.unvested)} unvested${vesting.forfeited > 0 ? `, ${formatShares(vesting.forfeited)} forfeited` : ""}`
+    : "No vesting schedules";
+  const vestedShares = portfolio.shares - vesting.unvested - vesting.forfeited;
+
+  const holdingRows = portfolio.allocations.map(a => `
+    <tr>
+      <td>${escapeHtml(a.roundName)}<div style="font-size: 11px; color: #94a3b8;">${formatDate(a.date)}</div></td>
+      <td>${escapeHtml(a.type)}</td>
+      <td class="number">${formatShares(a.shares)}${a.asIfConverted ? ' <span title="Not converted yet - shares if it converted today" style="color: #fbbf24;">*</span>' : ""}</td>
+      <td class="number">${formatOwnership(a.ownershipPct)}</td>
+      <td class="number">${a.investmentAmount ? formatCurrency(a.investmentAmount) : "—"}</td>
+      <td class="number">${formatCurrency(a.value)}</td>
+      <td>${vestingCell(a.vesting)}</td>
+    </tr>
+  `).join("");
+
+  const exitRows = portfolio.exitScenarios.map(s => `
+    <tr${s.custom ? ' style="color: #60a5fa;"' : ""}>
+      <td class="number">${formatCurrency(s.exitValue)}</td>
+      <td class="number">${formatCurrency(s.payout)}</td>
+      <td class="number">${formatOwnership(s.payoutPct)}</td>
+    </tr>
+  `).join("");
+
+  return `
+    <div class="stats-grid" style="grid-template-columns: repeat(4, 1fr); margin-bottom: 1.5rem;">
+      ${statCard("Shares", formatShares(portfolio.shares), `of ${formatShares(portfolio.fullyDilutedShares)} fully diluted`)}
+      ${statCard("Fully Diluted Ownership", formatOwnership(portfolio.ownershipPct))}
+      ${statCard("Estimated Value", formatCurrency(portfolio.value), portfolio.pricePerShare > 0 ? `at $${portfolio.pricePerShare.toFixed(4)}/share (latest round)` : "No priced round yet")}
+      ${statCard("Vested", formatShares(vestedShares), vestingDetail)}
+    </div>
+
+    <h3 style="font-size: 1rem; font-weight: 600; margin-bottom: 0.5rem; color: #f1f5f9;">Holdings</h3>
+    <table class="data-table" style="margin-bottom: 1.5rem;">
+      <thead>
+        <tr><th>Round</th><th>Type</th><th class="number">Shares</th><th class="number">Fully Diluted</th><th class="number">Invested</th><th class="number">Est. Value</th><th>Vesting (as of ${formatDate(portfolio.asOfDate)}${portfolio.changeOfControlDate ? `, change of control ${formatDate(portfolio.changeOfControlDate)}` : ""})</th></tr>
+      </thead>
+      <tbody>${holdingRows}</tbody>
+    </table>
+    ${portfolio.allocations.some(a => a.asIfConverted) ? '<p style="font-size: 12px; color: #94a3b8; margin: -1rem 0 1.5rem 0;"><span style="color: #fbbf24;">*</span> SAFEs and notes that haven\'t converted are shown as the shares they would convert into today.</p>' : ""}
+
+    <h3 style="font-size: 1rem; font-weight: 600; margin-bottom: 0.5rem; color: #f1f5f9;">What-If Exits</h3>
+    <p style="font-size: 12px; color: #94a3b8; margin-bottom: 0.5rem;">Your payout after liquidation preferences, for exits around the implied valuation${portfolio.impliedValuation > 0 ? ` of ${formatCurrency(portfolio.impliedValuation)}` : ""}.</p>
+    <table class="data-table">
+      <thead>
+        <tr><th class="number">Exit Value</th><th class="number">Your Payout</th><th class="number">% of Exit</th></tr>
+      </thead>
+      <tbody>${exitRows}</tbody>
+    </table>
+  `;
+}
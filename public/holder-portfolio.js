@@ -0,0 +1,126 @@
+// One holder's equity across all rounds: ownership, vesting, estimated value and exit payouts.
+// The result carries nothing about other holders, so the server can send it to stakeholders
+// (shared by the browser and the server's /holdings route)
+
+import { calculateAntiDilutionAdjustments, calculateFullyDilutedShares, getEffectivePricePerShare, getAsConvertedShares, isConvertible, solveSAFEConversions } from "./dilution-calculator.js";
+import { calculateWaterfall } from "./waterfall-calculator.js";
+import { calculateAllocationVesting, formatVestingSchedule } from "./vesting-calculator.js";
+
+// Default what-if exits, as multiples of the valuation implied by the effective price
+const EXIT_MULTIPLES = [0.5, 1, 2, 5, 10];
+// ...or these, before anything prices the company
+const DEFAULT_EXIT_VALUES = [10000000, 50000000, 100000000, 500000000, 1000000000];
+
+// Holder names match ignoring case and surrounding spaces
+export function isSameHolder(a, b) {
+  return !!a && !!b && a.trim().toLowerCase() === b.trim().toLowerCase();
+}
+
+// Everyone holding an allocation, sorted by name
+export function listHolders(capTable) {
+  const names = new Map();
+  capTable.rounds.forEach(round => round.allocations.forEach(a => {
+    const key = a.holderName.trim().toLowerCase();
+    if (!names.has(key)) names.set(key, a.holderName.trim());
+  }));
+  return [...names.values()].sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * A holder's portfolio
+ * @param {Object} capTable - The full cap table
+ * @param {string} holderName - Holder to report on
+ * @param {Object} options - { asOfDate (vesting date, default today), changeOfControlDate (triggers acceleration), exitValues (extra what-if exits) }
+ * @returns {Object|null} {
+ *   holderName, companyName, asOfDate, changeOfControlDate, pricePerShare, fullyDilutedShares, impliedValuation,
+ *   shares, ownershipPct, value,
+ *   vesting: { shares, vested, unvested, forfeited },
+ *   allocations: [{ id, roundName, roundType, date, type, shares, asIfConverted, investmentAmount, ownershipPct, value, vesting }],
+ *   exitScenarios: [{ exitValue, payout, payoutPct, custom }]
+ * } or null if the holder has no allocations
+ */
+export function calculateHolderPortfolio(capTable, holderName, { asOfDate = new Date(), changeOfControlDate, exitValues = [] } = {}) {
+  // Anti-dilution conversion prices are derived, so work from a table with them applied
+  const table = { ...capTable, rounds: calculateAntiDilutionAdjustments(capTable).updatedRounds };
+  const asIf = solveSAFEConversions(table);
+  const fullyDilutedShares = calculateFullyDilutedShares(table);
+  const pricePerShare = getEffectivePricePerShare(table);
+  const percentOfFullyDiluted = (shares) => (fullyDilutedShares > 0 ? (shares / fullyDilutedShares) * 100 : 0);
+
+  const allocations = [];
+  let matchedName = null; // the name as written on the cap table
+  table.rounds.forEach(round => {
+    round.allocations.forEach((allocation, i) => {
+      if (!isSameHolder(allocation.holderName, holderName)) return;
+      matchedName = matchedName ?? allocation.holderName.trim();
+
+      // Unconverted SAFEs and notes count as if converted, like the fully diluted total
+      const asIfConverted = isConvertible(round) && !round.converted;
+      const shares = asIfConverted
+        ? Math.round(asIf.rounds.get(round.id).allocations[i].shares)
+        : getAsConvertedShares(round, allocation);
+      const status = calculateAllocationVesting(round, allocation, asOfDate, { changeOfControlDate });
+      const vesting = status && status.vesting.durationMonths
+        ? {
+            schedule: formatVestingSchedule(status.vesting),
+            vested: status.vested,
+            unvested: status.unvested,
+            forfeited: status.forfeited,
+            vestedPct: status.vestedPct,
+            fullyVestedDate: status.fullyVestedDate
+          }
+        : null;
+
+      allocations.push({
+        id: allocation.id,
+        roundName: round.name,
+        roundType: round.type || 'priced',
+        date: round.date,
+        type: allocation.type,
+        shares,
+        asIfConverted,
+        investmentAmount: allocation.investmentAmount,
+        ownershipPct: percentOfFullyDiluted(shares),
+        value: shares * pricePerShare,
+        vesting
+      });
+    });
+  });
+  if (allocations.length === 0) return null;
+
+  const shares = allocations.reduce((sum, a) => sum + a.shares, 0);
+  const vesting = allocations.filter(a => a.vesting).reduce((totals, a) => ({
+    shares: totals.shares + a.vesting.vested + a.vesting.unvested + a.vesting.forfeited,
+    vested: totals.vested + a.vesting.vested,
+    unvested: totals.unvested + a.vesting.unvested,
+    forfeited: totals.forfeited + a.vesting.forfeited
+  }), { shares: 0, vested: 0, unvested: 0, forfeited: 0 });
+
+  // What the holder walks away with at each exit, through the full preference stack
+  const impliedValuation = pricePerShare * fullyDilutedShares;
+  const defaults = impliedValuation > 0 ? EXIT_MULTIPLES.map(m => Math.round(impliedValuation * m)) : DEFAULT_EXIT_VALUES;
+  const custom = exitValues.filter(v => Number.isFinite(v) && v > 0);
+  const exitScenarios = [...new Set([...defaults, ...custom])]
+    .sort((a, b) => a - b)
+    .map(exitValue => {
+      const { payouts } = calculateWaterfall(table, exitValue);
+      const payout = [...payouts].reduce((sum, [name, amount]) => sum + (isSameHolder(name, holderName) ? amount : 0), 0);
+      return { exitValue, payout, payoutPct: (payout / exitValue) * 100, custom: custom.includes(exitValue) };
+    });
+
+  return {
+    holderName: matchedName,
+    companyName: table.companyName,
+    asOfDate: new Date(asOfDate).toISOString().slice(0, 10),
+    changeOfControlDate,
+    pricePerShare,
+    fullyDilutedShares,
+    impliedValuation,
+    shares,
+    ownershipPct: percentOfFullyDiluted(shares),
+    value: shares * pricePerShare,
+    vesting,
+    allocations,
+    exitScenarios
+  };
+}
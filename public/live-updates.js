@@ -0,0 +1,43 @@
+// Live updates from the server: changes other people save to the open company's cap table,
+// who else is viewing it (header avatars), and companies being added or deleted
+
+/**
+ * Listen to a company's event stream (the browser reconnects by itself if the connection drops)
+ * @param {string} companyId - Company being viewed
+ * @param {Object} handlers - { onChange({ version, etag, actor, clientId, capTable, changes }), onPresence(usernames),
+ *   onCompanies({ action: "create" | "delete", companyId, name, actor, clientId }) }
+ * @returns {Function} Stops listening
+ */
+export function connectLiveUpdates(companyId, { onChange, onPresence, onCompanies }) {
+  const source = new EventSource(`/api/companies/${encodeURIComponent(companyId)}/events`);
+  source.addEventListener("change", (e) => onChange(JSON.parse(e.data)));
+  source.addEventListener("presence", (e) => onPresence(JSON.parse(e.data).viewers));
+  source.addEventListener("companies", (e) => onCompanies(JSON.parse(e.data)));
+  return () => source.close();
+}
+
+// Round and allocation ids a change touched (deleted ones included - they're simply not drawn)
+export function changedIds(changes) {
+  return changes
+    .filter(c => c.entity !== "company")
+    .map(c => c.entityId);
+}
+
+/**
+ * Show who else is viewing the company in the header
+ * @param {Array} usernames - Everyone viewing it, including the signed-in user
+ * @param {string} currentUsername - Left out of the list
+ */
+export function renderPresence(usernames, currentUsername) {
+  const container = document.getElementById("presence");
+  container.innerHTML = "";
+  usernames.filter(name => name !== currentUsername).forEach(name => {
+    const avatar = document.createElement("span");
+    avatar.className = "presence-avatar";
+    avatar.title = `${name} is viewing this cap table`;
+    avatar.textContent = name.charAt(0).toUpperCase();
+    // A steady color per user
+    avatar.style.background = `hsl(${[...name].reduce((hue, c) => hue + c.charCodeAt(0) * 37, 0) % 360}, 55%, 45%)`;
+    container.appendChild(avatar);
+  });
+}
@@ -0,0 +1,67 @@
+// Merge dialog: the conflicts from mergeCapTables, each with a choice of my version or theirs
+
+import { escapeHtml } from "./escape-html.js";
+
+// Field values as shown side by side ("—" when unset)
+function formatValue(value) {
+  if (value === undefined || value === null || value === "") return "—";
+  if (typeof value === "number") return value.toLocaleString();
+  if (typeof value === "object") return JSON.stringify(value);
+  return String(value);
+}
+
+// One side of a conflict where the record was deleted on one side
+function summarizeRecord(entity, record) {
+  if (!record) return '<em style="color: #f87171;">Deleted</em>';
+  if (entity === "allocation") {
+    return escapeHtml(`${(record.shares || 0).toLocaleString()} shares${record.investmentAmount ? ` for $${record.investmentAmount.toLocaleString()}` : ""} (${record.type})`);
+  }
+  return escapeHtml(`${record.type || "priced"} round dated ${record.date}`);
+}
+
+function conflictTitle(conflict) {
+  if (conflict.entity === "company") return "Company details";
+  if (conflict.entity === "round") return `Round: ${conflict.name}`;
+  return `${conflict.holderName} in ${conflict.roundName || "another round"}`;
+}
+
+/**
+ * Fill the merge dialog's conflict list (every choice starts on "Keep mine")
+ * @param {Array} conflicts - Conflicts from mergeCapTables
+ */
+export function renderMergeConflicts(conflicts) {
+  const container = document.getElementById("merge-conflicts");
+  container.innerHTML = conflicts.map((conflict, i) => {
+    const rows = conflict.fields
+      ? conflict.fields.map(f => `
+          <tr>
+            <td><code>${escapeHtml(f.field)}</code></td>
+            <td>${escapeHtml(formatValue(f.mine))}</td>
+            <td>${escapeHtml(formatValue(f.theirs))}</td>
+          </tr>
+        `).join("")
+      : `<tr><td></td><td>${summarizeRecord(conflict.entity, conflict.mine)}</td><td>${summarizeRecord(conflict.entity, conflict.theirs)}</td></tr>`;
+
+    return `
+      <div class="list-item" style="display: block;">
+        <div class="list-item-title" style="font-size: 0.9375rem; margin-bottom: 0.5rem;">${escapeHtml(conflictTitle(conflict))}</div>
+        <table class="data-table">
+          <thead><tr><th></th><th>Mine</th><th>Theirs</th></tr></thead>
+          <tbody>${rows}</tbody>
+        </table>
+        <div style="display: flex; gap: 1.5rem; margin-top: 0.5rem; font-size: 0.875rem;">
+          <label><input type="radio" name="merge-choice-${i}" value="mine" checked> Keep mine</label>
+          <label><input type="radio" name="merge-choice-${i}" value="theirs"> Keep theirs</label>
+        </div>
+      </div>
+    `;
+  }).join("");
+}
+
+// The choices made in the dialog: conflict key → "mine" or "theirs" (for mergeCapTables)
+export function readMergeChoices(conflicts) {
+  return Object.fromEntries(conflicts.map((conflict, i) => [
+    conflict.key,
+    document.querySelector(`input[name="merge-choice-${i}"]:checked`).value
+  ]));
+}
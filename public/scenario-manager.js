@@ -1,7 +1,119 @@
 // Scenario management for cap table
-// Allows saving/loading different future scenarios
+// Allows saving/loading different future scenarios (each company has its own). With the server
+// they're saved there, per user, and can be shared by link; localStorage keeps a copy either way
 
-let currentScenario = "current"; // "current" or scenario name
+import { storageKey, getCurrentCompanyId } from "./company-manager.js";
+import { ApiError, listScenarios, createScenario, updateScenario, deleteScenario as deleteSavedScenario, shareScenario, unshareScenario } from "./api-client.js";
+
+// Marks a scenario someone shared by link as the open one (read-only). A symbol, so no saved
+// scenario name can be mistaken for it; its option in the scenario list has a data-shared attribute
+export const SHARED_SCENARIO = Symbol("shared scenario");
+
+let currentScenario = "current"; // "current", scenario name or SHARED_SCENARIO
+// The open scenario as this tab last loaded or saved it - if the stored copy differs, another tab changed it
+let currentScenarioBaseline = null;
+// Server version of the open scenario as this tab loaded it (sent with saves to catch changes made elsewhere)
+let currentScenarioVersion;
+// The signed-in user's scenarios on the server by name ({ id, version, shareToken, capTable, ... }),
+// or null when they're kept in this browser only
+let serverScenarios = null;
+// Scenario shared by link that's open read-only ({ name, owner, capTable, ... })
+let sharedScenario = null;
+
+function readScenarios() {
+  return JSON.parse(localStorage.getItem(storageKey("scenarios")) || "{}");
+}
+
+function writeScenarios(scenarios) {
+  localStorage.setItem(storageKey("scenarios"), JSON.stringify(scenarios));
+}
+
+// Copy the server's scenarios to localStorage, sorted by name so every tab writes the same string
+// (storage events then stop at the first tab with nothing new); extra adds ones only kept here
+function mirrorServerScenarios(extra = {}) {
+  const saved = [...serverScenarios.values()].sort((a, b) => a.name.localeCompare(b.name));
+  writeScenarios({ ...extra, ...Object.fromEntries(saved.map(s => [s.name, JSON.stringify(s.capTable)])) });
+}
+
+// Remember a scenario as this tab loaded or saved it
+function markLoaded(name) {
+  currentScenarioBaseline = readScenarios()[name] ?? null;
+  currentScenarioVersion = serverScenarios?.get(name)?.version;
+}
+
+// Save a scenario under a name, replacing any with that name (on the server when there is one);
+// with a version, the server refuses to replace a newer one (409 ApiError with .scenario)
+async function storeScenario(name, capTable, version) {
+  if (!serverScenarios) {
+    const scenarios = readScenarios();
+    scenarios[name] = JSON.stringify(capTable);
+    writeScenarios(scenarios);
+    return;
+  }
+  const existing = serverScenarios.get(name);
+  const saved = existing
+    ? await updateScenario(getCurrentCompanyId(), existing.id, version === undefined ? { capTable } : { capTable, version })
+    : await createScenario(getCurrentCompanyId(), name, capTable);
+  serverScenarios.set(name, saved);
+  mirrorServerScenarios();
+}
+
+/**
+ * Load the signed-in user's scenarios from the server. The first time in this browser, the
+ * company's scenarios saved here are moved there (a name that's taken gets " (from this browser)");
+ * any that can't be are kept here and tried again next time
+ * @param {boolean} useServer - Whether the server is available (otherwise scenarios stay in localStorage)
+ */
+export async function syncScenarios(useServer) {
+  if (!useServer) {
+    serverScenarios = null;
+    return;
+  }
+  const companyId = getCurrentCompanyId();
+  let scenarios;
+  try {
+    scenarios = await listScenarios(companyId);
+  } catch (error) {
+    console.warn("Scenarios not available from the server, using localStorage:", error);
+    serverScenarios = null;
+    return;
+  }
+
+  const unmoved = {};
+  if (!localStorage.getItem(storageKey("scenariosMigrated"))) {
+    for (const [name, json] of Object.entries(readScenarios())) {
+      const moved = scenarios.some(s => (s.name === name || s.name === `${name} (from this browser)`) && JSON.stringify(s.capTable) === json);
+      if (moved) continue;
+      const freeName = scenarios.some(s => s.name === name) ? `${name} (from this browser)` : name;
+      try {
+        scenarios.push(await createScenario(companyId, freeName, JSON.parse(json)));
+      } catch (error) {
+        unmoved[name] = json;
+        console.warn(`Could not move scenario "${name}" to the server:`, error);
+      }
+    }
+    if (Object.keys(unmoved).length === 0) {
+      localStorage.setItem(storageKey("scenariosMigrated"), "1");
+    }
+  }
+
+  serverScenarios = new Map(scenarios.map(s => [s.name, s]));
+  mirrorServerScenarios(unmoved);
+  if (currentScenario !== "current" && currentScenario !== SHARED_SCENARIO) {
+    currentScenarioVersion = serverScenarios.get(currentScenario)?.version;
+  }
+}
+
+// Reload the signed-in user's scenarios after another tab saved some (they're mirrored already)
+export async function refreshScenarios() {
+  if (!serverScenarios) return;
+  try {
+    serverScenarios = new Map((await listScenarios(getCurrentCompanyId())).map(s => [s.name, s]));
+    mirrorServerScenarios();
+  } catch (error) {
+    console.warn("Could not reload scenarios from the server:", error);
+  }
+}
 
 export function getCurrentScenario() {
   return currentScenario;
@@ -9,25 +121,59 @@ export function getCurrentScenario() {
 
 export function setCurrentScenario(name) {
   currentScenario = name;
+  markLoaded(name);
+}
+
+/**
+ * Whether another tab changed the open scenario since this tab loaded or saved it
+ * @returns {string|null} "changed", "deleted", or null if it's unchanged (or live data or a
+ *   shared scenario is open)
+ */
+export function getCurrentScenarioChange() {
+  if (currentScenario === "current" || currentScenario === SHARED_SCENARIO) return null;
+  const stored = readScenarios()[currentScenario];
+  if (stored === undefined) return "deleted";
+  return stored !== currentScenarioBaseline ? "changed" : null;
 }
 
 export function loadScenariosList() {
-  const scenarios = JSON.parse(localStorage.getItem("scenarios") || "{}");
+  const scenarios = readScenarios();
   const select = document.getElementById("scenario-select");
   
   // Clear existing options except "current"
   select.innerHTML = '<option value="current">Current (Live Data)</option>';
   
-  // Add saved scenarios
-  Object.keys(scenarios).forEach(name => {
+  // Add saved scenarios, and the open one if another tab deleted it (it's still on screen here)
+  const names = Object.keys(scenarios);
+  if (currentScenario !== "current" && currentScenario !== SHARED_SCENARIO && !names.includes(currentScenario)) names.push(currentScenario);
+  if (sharedScenario) {
+    const option = document.createElement("option");
+    option.dataset.shared = "";
+    option.textContent = `${sharedScenario.name} (shared by ${sharedScenario.owner}, read-only)`;
+    select.appendChild(option);
+  }
+  names.forEach(name => {
     const option = document.createElement("option");
     option.value = name;
-    option.textContent = name;
+    option.textContent = scenarios[name] === undefined ? `${name} (deleted in another tab)` : name;
     select.appendChild(option);
   });
   
   // Set current selection
-  select.value = currentScenario;
+  if (currentScenario === SHARED_SCENARIO) {
+    select.querySelector("option[data-shared]").selected = true;
+  } else {
+    select.value = currentScenario;
+  }
+}
+
+/**
+ * The scenario an option in the scenario list stands for
+ * @param {HTMLOptionElement} option - Selected option
+ * @returns {string|symbol} "current", a saved scenario's name, or SHARED_SCENARIO
+ */
+export function getOptionScenario(option) {
+  return option.dataset.shared !== undefined ? SHARED_SCENARIO : option.value;
 }
 
 export async function loadScenario(scenarioName, onLoad) {
@@ -35,11 +181,17 @@ export async function loadScenario(scenarioName, onLoad) {
     // Load live data
     currentScenario = "current";
     await onLoad(); // Callback to reload from API/localStorage
+  } else if (scenarioName === SHARED_SCENARIO) {
+    if (sharedScenario) {
+      currentScenario = SHARED_SCENARIO;
+      return structuredClone(sharedScenario.capTable);
+    }
   } else {
     // Load saved scenario
-    const scenarios = JSON.parse(localStorage.getItem("scenarios") || "{}");
+    const scenarios = readScenarios();
     if (scenarios[scenarioName]) {
       currentScenario = scenarioName;
+      markLoaded(scenarioName);
       const capTable = JSON.parse(scenarios[scenarioName]);
       return capTable;
     }
@@ -47,33 +199,58 @@ export async function loadScenario(scenarioName, onLoad) {
   return null;
 }
 
-export function saveScenario(capTable) {
+export async function saveScenario(capTable) {
   const name = prompt("Enter scenario name:");
   if (!name || name === "current") {
     alert("Invalid scenario name. Cannot use 'current' as a name.");
     return false;
   }
 
-  const scenarios = JSON.parse(localStorage.getItem("scenarios") || "{}");
-  scenarios[name] = JSON.stringify(capTable);
-  localStorage.setItem("scenarios", JSON.stringify(scenarios));
+  try {
+    await storeScenario(name, capTable);
+  } catch (error) {
+    alert(`❌ Could not save scenario "${name}": ${error.message}`);
+    return false;
+  }
 
   currentScenario = name;
+  markLoaded(name);
   loadScenariosList();
   alert(`Scenario "${name}" saved!`);
   return true;
 }
 
-export function quickSaveScenario(capTable) {
-  if (currentScenario === "current") {
-    // If on "current", prompt for name (same as Save As)
+export async function quickSaveScenario(capTable) {
+  if (currentScenario === "current" || currentScenario === SHARED_SCENARIO) {
+    // If on "current" (or someone else's shared scenario), prompt for name (same as Save As)
     return saveScenario(capTable);
   }
 
-  // Save to existing scenario without prompting
-  const scenarios = JSON.parse(localStorage.getItem("scenarios") || "{}");
-  scenarios[currentScenario] = JSON.stringify(capTable);
-  localStorage.setItem("scenarios", JSON.stringify(scenarios));
+  // Another tab may have saved a newer version since this one loaded it
+  const change = getCurrentScenarioChange();
+  if (change === "changed" && !confirm(`Scenario "${currentScenario}" was changed in another tab since you opened it. Replace that version with yours?`)) {
+    return false;
+  }
+
+  // Save to existing scenario without prompting (the server also catches changes made in other browsers)
+  try {
+    await storeScenario(currentScenario, capTable, change === "changed" ? undefined : currentScenarioVersion);
+  } catch (error) {
+    if (!(error instanceof ApiError && error.scenario)) {
+      alert(`❌ Could not save scenario "${currentScenario}": ${error.message}`);
+      return false;
+    }
+    if (!confirm(`Scenario "${currentScenario}" was changed somewhere else since you opened it. Replace that version with yours?`)) {
+      return false;
+    }
+    try {
+      await storeScenario(currentScenario, capTable);
+    } catch (retryError) {
+      alert(`❌ Could not save scenario "${currentScenario}": ${retryError.message}`);
+      return false;
+    }
+  }
+  markLoaded(currentScenario);
 
   // Show brief success indicator without blocking alert
   showToast(`✓ Saved to "${currentScenario}"`);
@@ -113,17 +290,33 @@ function showToast(message) {
   }, 2000);
 }
 
-export function deleteScenario(onDelete) {
+export async function deleteScenario(onDelete) {
   if (currentScenario === "current") {
     alert("Cannot delete current live data");
     return false;
   }
+  if (currentScenario === SHARED_SCENARIO) {
+    alert(`Cannot delete a scenario ${sharedScenario.owner} shared with you`);
+    return false;
+  }
   
   if (!confirm(`Delete scenario "${currentScenario}"?`)) return false;
   
-  const scenarios = JSON.parse(localStorage.getItem("scenarios") || "{}");
-  delete scenarios[currentScenario];
-  localStorage.setItem("scenarios", JSON.stringify(scenarios));
+  const saved = serverScenarios?.get(currentScenario);
+  if (saved) {
+    try {
+      await deleteSavedScenario(getCurrentCompanyId(), saved.id);
+    } catch (error) {
+      alert(`❌ Could not delete scenario "${currentScenario}": ${error.message}`);
+      return false;
+    }
+    serverScenarios.delete(currentScenario);
+    mirrorServerScenarios();
+  } else {
+    const scenarios = readScenarios();
+    delete scenarios[currentScenario];
+    writeScenarios(scenarios);
+  }
   
   // Switch back to current
   currentScenario = "current";
@@ -131,12 +324,100 @@ export function deleteScenario(onDelete) {
   loadScenariosList();
   
   // Callback to reload current data
-  if (onDelete) onDelete();
+  if (onDelete) await onDelete();
   
   return true;
 }
 
 export function getAllScenarios() {
-  return JSON.parse(localStorage.getItem("scenarios") || "{}");
+  return readScenarios();
+}
+
+// Replace all of the current company's saved scenarios (e.g. from a multi-scenario CSV import)
+export async function replaceAllScenarios(scenarios) {
+  if (!serverScenarios) {
+    writeScenarios(scenarios);
+    return;
+  }
+  const companyId = getCurrentCompanyId();
+  for (const saved of serverScenarios.values()) {
+    await deleteSavedScenario(companyId, saved.id);
+  }
+  serverScenarios.clear();
+  for (const [name, json] of Object.entries(scenarios)) {
+    serverScenarios.set(name, await createScenario(companyId, name, JSON.parse(json)));
+  }
+  mirrorServerScenarios();
+}
+
+/**
+ * Show a scenario someone shared by link, read-only. It stays in the list until another company
+ * is opened (see closeSharedScenario)
+ * @param {Object} scenario - From getSharedScenario: { name, owner, capTable, ... }
+ * @returns {Object} A copy of its cap table
+ */
+export function openSharedScenario(scenario) {
+  sharedScenario = scenario;
+  currentScenario = SHARED_SCENARIO;
+  currentScenarioBaseline = null;
+  loadScenariosList();
+  return structuredClone(scenario.capTable);
+}
+
+export function closeSharedScenario() {
+  sharedScenario = null;
+  if (currentScenario === SHARED_SCENARIO) currentScenario = "current";
+}
+
+export function isViewingSharedScenario() {
+  return currentScenario === SHARED_SCENARIO;
+}
+
+/**
+ * Save a scenario someone shared by link as one of the signed-in user's own, named
+ * "<name> (from <owner>)", and open it
+ * @returns {Promise<Object>} Its cap table
+ */
+export async function saveSharedScenarioCopy(scenario) {
+  const names = Object.keys(readScenarios());
+  let name = `${scenario.name} (from ${scenario.owner})`;
+  for (let n = 2; names.includes(name); n++) name = `${scenario.name} (from ${scenario.owner}, ${n})`;
+
+  await storeScenario(name, scenario.capTable);
+  currentScenario = name;
+  markLoaded(name);
+  loadScenariosList();
+  showToast(`✓ Saved a copy as "${name}"`);
+  return JSON.parse(readScenarios()[name]);
+}
+
+// The open scenario as saved on the server ({ id, name, shareToken, ... }), or null if there isn't one
+export function getCurrentSavedScenario() {
+  return serverScenarios?.get(currentScenario) ?? null;
+}
+
+// Links to a shared scenario: one opens it read-only, the other saves a copy
+export function shareLinks(token) {
+  const url = new URL(location.pathname, location.origin);
+  url.searchParams.set("scenario", token);
+  const readOnly = url.href;
+  url.searchParams.set("copy", "1");
+  return { readOnly, copy: url.href };
+}
+
+/**
+ * Share the open scenario by link (keeping its links if it's shared already)
+ * @returns {Promise<Object>} { readOnly, copy } links
+ */
+export async function shareCurrentScenario() {
+  const saved = await shareScenario(getCurrentCompanyId(), getCurrentSavedScenario().id);
+  serverScenarios.set(saved.name, saved);
+  return shareLinks(saved.shareToken);
+}
+
+// Stop sharing the open scenario: its links no longer open it
+export async function unshareCurrentScenario() {
+  const saved = await unshareScenario(getCurrentCompanyId(), getCurrentSavedScenario().id);
+  serverScenarios.set(saved.name, saved);
 }
 
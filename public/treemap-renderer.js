@@ -1,4 +1,12 @@
 import * as d3 from "https://cdn.jsdelivr.net/npm/d3@7/+esm";
+import { getAsConvertedShares, getSAFETerms, isConvertible, calculateAccruedInterest, solveSAFEConversions } from "./dilution-calculator.js";
+import { calculateAllocationVesting } from "./vesting-calculator.js";
+import { escapeHtml } from "./escape-html.js";
+
+// Whether a round node holds SAFE/note as-if shares that are not issued yet
+function isUnconvertedNode(roundData) {
+  return isConvertible({ type: roundData.roundType }) && !roundData.converted;
+}
 
 // Helper function to truncate text to fit within a given width
 function truncateText(text, width, fontSize) {
@@ -15,7 +23,9 @@ function truncateText(text, width, fontSize) {
 }
 
 // Render treemap with nested allocations visible (WinDirStat style)
-export function renderTreemap(capTable, viewMode, zoomNode, onNodeClick, unallocColorMode = "grey") {
+// Vesting is evaluated as of asOfDate (defaults to today), accelerated on vestingOptions.changeOfControlDate; rounds and allocations whose ids are
+// in highlightIds (changed by someone else a moment ago) get a pulsing outline
+export function renderTreemap(capTable, viewMode, zoomNode, onNodeClick, unallocColorMode = "grey", asOfDate = new Date(), highlightIds = new Set(), vestingOptions = {}) {
   const container = document.getElementById("treemap");
   const width = container.clientWidth;
   const height = container.clientHeight;
@@ -35,7 +45,7 @@ export function renderTreemap(capTable, viewMode, zoomNode, onNodeClick, unalloc
     .style("font", "10px sans-serif");
 
   // Convert to tree
-  const root = capTableToTree(capTable, viewMode);
+  const root = capTableToTree(capTable, viewMode, asOfDate, vestingOptions);
 
   // Create treemap layout
   const treemap = d3
@@ -266,6 +276,44 @@ export function renderTreemap(capTable, viewMode, zoomNode, onNodeClick, unalloc
       }
     });
 
+  // Shade the unvested portion of vesting allocations; the undimmed left part is vested
+  leaf
+    .filter((d) => d.depth === 2 && d.data.vestedPct !== undefined && d.data.vestedPct < 100)
+    .append("rect")
+    .attr("x", (d) => Math.max(0, d.x1 - d.x0) * (d.data.vestedPct / 100))
+    .attr("width", (d) => Math.max(0, d.x1 - d.x0) * (1 - d.data.vestedPct / 100))
+    .attr("height", (d) => Math.max(0, d.y1 - d.y0))
+    .attr("fill", "#000")
+    .attr("fill-opacity", 0.35)
+    .style("pointer-events", "none");
+
+  // Vested boundary line
+  leaf
+    .filter((d) => d.depth === 2 && d.data.vestedPct > 0 && d.data.vestedPct < 100)
+    .append("line")
+    .attr("x1", (d) => Math.max(0, d.x1 - d.x0) * (d.data.vestedPct / 100))
+    .attr("x2", (d) => Math.max(0, d.x1 - d.x0) * (d.data.vestedPct / 100))
+    .attr("y1", 0)
+    .attr("y2", (d) => Math.max(0, d.y1 - d.y0))
+    .attr("stroke", "#fff")
+    .attr("stroke-opacity", 0.6)
+    .attr("stroke-dasharray", "3,2")
+    .style("pointer-events", "none");
+
+  // Outline recently changed rounds and allocations
+  leaf
+    .filter((d) => d.data.id !== undefined && highlightIds.has(d.data.id))
+    .append("rect")
+    .attr("class", "recent-change")
+    .attr("x", 1)
+    .attr("y", 1)
+    .attr("width", (d) => Math.max(0, d.x1 - d.x0 - 2))
+    .attr("height", (d) => Math.max(0, d.y1 - d.y0 - 2))
+    .attr("fill", "none")
+    .attr("stroke", "#facc15")
+    .attr("stroke-width", 3)
+    .style("pointer-events", "none");
+
   // Add text labels - ALWAYS show for rounds (depth 1)
   // For allocations (depth 2), only show if there's space
   // IMPORTANT: pointer-events none so clicks go through to the rect
@@ -295,9 +343,9 @@ export function renderTreemap(capTable, viewMode, zoomNode, onNodeClick, unalloc
     .style("pointer-events", "none")
     .style("user-select", "none"); // Prevent text selection on click
 
-  // Calculate issued shares (exclude unallocated and SAFEs)
+  // Calculate issued shares (exclude unallocated, SAFEs and unconverted notes)
   const issuedTotalShares = hierarchy.leaves()
-    .filter((n) => !n.data.isUnallocated && n.parent && (n.parent.data.roundType !== 'safe' || n.parent.data.converted))
+    .filter((n) => !n.data.isUnallocated && n.parent && !isUnconvertedNode(n.parent.data))
     .reduce((sum, n) => sum + n.data.shares, 0);
   const fullyDiluted = window._fullyDilutedShares || issuedTotalShares;
 
@@ -323,7 +371,7 @@ export function renderTreemap(capTable, viewMode, zoomNode, onNodeClick, unalloc
         }
         const fdOwnership = fullyDiluted > 0 ? (roundFDShares / fullyDiluted) * 100 : 0;
 
-        const roundIssuedShares = (d.data.roundType === 'safe' && !d.data.converted)
+        const roundIssuedShares = isUnconvertedNode(d.data)
           ? 0
           : (d.children || []).filter(c => !c.data.isUnallocated).reduce((sum, c) => sum + c.data.shares, 0);
         const issuedOwnership = issuedTotalShares > 0 ? (roundIssuedShares / issuedTotalShares) * 100 : 0;
@@ -480,44 +528,70 @@ function getRoundsSortedByDate(rounds) {
   });
 }
 
-function capTableToTree(capTable, mode) {
+function capTableToTree(capTable, mode, asOfDate = new Date(), vestingOptions = {}) {
   // Helper to get value based on mode
   const getValue = (shares, round) => {
     if (mode === "shares") return shares;
 
     // For valuation mode:
     // - Priced rounds: use price per share
-    // - SAFE rounds: use valuation cap to estimate current value
+    // - SAFE and note rounds: use valuation cap to estimate current value
     // - Equity pools: use 0 (no price yet)
     if (round.type === "priced" && round.pricePerShare) {
       return shares * round.pricePerShare;
-    } else if (round.type === "safe" && round.valuationCap) {
+    } else if (isConvertible(round)) {
       // Estimate SAFE value using valuation cap
       // SAFE converts at: min(valuation cap, next round valuation - money raised)
       // For display purposes, use valuation cap as implied share price
-      const impliedPricePerShare = round.valuationCap / capTable.authorizedShares;
+      const { valuationCap } = getSAFETerms(capTable, round);
+      if (!valuationCap) return 0;
+      const impliedPricePerShare = valuationCap / capTable.authorizedShares;
       return shares * impliedPricePerShare;
     }
     return 0;
   };
 
+  // Unconverted SAFEs and notes are sized by their jointly solved as-if converted shares
+  const asIf = solveSAFEConversions(capTable);
+
   const sortedRounds = getRoundsSortedByDate(capTable.rounds);
   const children = sortedRounds.map((round) => {
-    const roundChildren = round.allocations.map((allocation) => ({
-      name: allocation.holderName,
-      value: getValue(allocation.shares, round),
-      round: round.name,
-      roundId: round.id,
-      roundColor: round.color,
-      type: allocation.type,
-      id: allocation.id,
-      pricePerShare: round.pricePerShare,
-      valuationCap: round.valuationCap,
-      holderName: allocation.holderName,
-      shares: allocation.shares,
-      vestingSchedule: allocation.vestingSchedule,
-      notes: allocation.notes,
-    }));
+    const conversion = asIf.rounds.get(round.id);
+    const roundChildren = round.allocations.map((allocation, i) => {
+      // Size preferred holdings by as-converted shares so anti-dilution top-ups are visible
+      const shares = conversion
+        ? Math.round(conversion.allocations[i].shares)
+        : getAsConvertedShares(round, allocation);
+      const vesting = calculateAllocationVesting(round, allocation, asOfDate, vestingOptions);
+      const vestingFraction = vesting && allocation.shares > 0 ? vesting.vested / allocation.shares : 1;
+      return {
+        name: allocation.holderName,
+        value: getValue(shares, round),
+        round: round.name,
+        roundId: round.id,
+        roundColor: round.color,
+        type: allocation.type,
+        id: allocation.id,
+        pricePerShare: round.pricePerShare,
+        adjustedConversionPrice: round.adjustedConversionPrice,
+        valuationCap: round.valuationCap,
+        holderName: allocation.holderName,
+        shares,
+        issuedShares: allocation.shares,
+        investmentAmount: allocation.investmentAmount,
+        accruedInterest: round.type === "convertible-note" && allocation.investmentAmount
+          ? (round.converted
+            ? (allocation.accruedInterest || 0)
+            : calculateAccruedInterest(round, allocation.investmentAmount, new Date()))
+          : undefined,
+        vestingSchedule: allocation.vestingSchedule,
+        vestedShares: vesting ? Math.round(shares * vestingFraction) : undefined,
+        vestedPct: vesting ? vesting.vestedPct : undefined,
+        forfeitedShares: vesting ? vesting.forfeited : undefined,
+        fullyVestedDate: vesting ? vesting.fullyVestedDate : undefined,
+        notes: allocation.notes,
+      };
+    });
 
     // For equity pool rounds, calculate unallocated shares within the pool
     if (round.type === "equity-pool") {
@@ -539,23 +613,17 @@ function capTableToTree(capTable, mode) {
       }
     }
 
-    // For SAFE rounds with investmentAmount, show unallocated investment capacity
-    if (round.type === "safe" && round.investmentAmount) {
+    // For SAFE and note rounds with investmentAmount, show unallocated investment capacity
+    if (isConvertible(round) && round.investmentAmount) {
       const totalInvested = round.allocations.reduce((sum, a) => sum + (a.investmentAmount || 0), 0);
       const remainingCapacity = round.investmentAmount - totalInvested;
 
-      if (remainingCapacity > 0 && round.valuationCap) {
-        // Calculate shares for unallocated portion using same formula as allocations
-        const ownershipPercent = remainingCapacity / round.valuationCap;
-        const nonPoolIssued = capTable.rounds
-          .filter(r => r.type !== 'safe' && r.type !== 'equity-pool')
-          .reduce((sum, r) => sum + r.allocations.reduce((s, a) => s + a.shares, 0), 0);
-        const poolAuthorized = capTable.rounds
-          .filter(r => r.type === 'equity-pool')
-          .reduce((sum, r) => sum + (r.authorizedShares || 0), 0);
-        const baseCapShares = nonPoolIssued + poolAuthorized;
-        const unallocatedShares = Math.round(ownershipPercent * baseCapShares);
+      // Calculate shares for unallocated portion at the same cap price as allocations
+      const unallocatedShares = remainingCapacity > 0 && conversion && conversion.capPrice
+        ? Math.round(remainingCapacity / conversion.capPrice)
+        : 0;
 
+      if (unallocatedShares > 0) {
         roundChildren.push({
           name: "Unallocated",
           value: getValue(unallocatedShares, round),
@@ -596,6 +664,13 @@ function capTableToTree(capTable, mode) {
       round: round.name,
       roundColor: round.color,
       roundType: round.type,
+      pricePerShare: round.pricePerShare,
+      adjustedConversionPrice: round.adjustedConversionPrice,
+      valuationCap: round.valuationCap,
+      asIfPrice: conversion ? conversion.capPrice : undefined,
+      interestRate: round.interestRate,
+      interestType: round.interestType,
+      maturityDate: round.maturityDate,
       converted: !!round.converted,
       value: 0,
       children: roundChildren,
@@ -616,8 +691,8 @@ function createTooltipHTML(d, capTable, viewMode) {
 
   if (d.depth === 1) {
     // Round
-    lines.push(`<div style="font-weight: bold; margin-bottom: 4px;">${d.data.name}</div>`);
-    lines.push(`<div>Round: ${d.data.name}</div>`);
+    lines.push(`<div style="font-weight: bold; margin-bottom: 4px;">${escapeHtml(d.data.name)}</div>`);
+    lines.push(`<div>Round: ${escapeHtml(d.data.name)}</div>`);
 
     const allocatedShares = d.children ? d.children.filter(c => !c.data.isUnallocated).reduce((sum, c) => sum + c.data.shares, 0) : 0;
     const totalRoundShares = d.children ? d.children.reduce((sum, c) => sum + c.data.shares, 0) : 0;
@@ -626,27 +701,48 @@ function createTooltipHTML(d, capTable, viewMode) {
 
     const roundFDShares = d.data.roundType === 'equity-pool' ? totalRoundShares : allocatedShares;
     const fdOwnership = ((roundFDShares / fullyDiluted) * 100).toFixed(4);
-    const roundIssuedShares = (d.data.roundType === 'safe' && !d.data.converted) ? 0 : allocatedShares;
+    const roundIssuedShares = isUnconvertedNode(d.data) ? 0 : allocatedShares;
     const issuedOwnership = ((roundIssuedShares / totalIssued) * 100).toFixed(2);
     lines.push(`<div style="font-weight: bold;">${fdOwnership}% fully diluted</div>`);
     if (Math.abs(parseFloat(fdOwnership) - parseFloat(issuedOwnership)) > 0.01) {
       lines.push(`<div style="opacity: 0.8; font-size: 11px;">(${issuedOwnership}% of issued)</div>`);
     }
 
-    if (d.data.roundType === 'safe' && d.data.valuationCap) {
+    if (isConvertible({ type: d.data.roundType }) && d.data.valuationCap) {
       lines.push(`<div>Valuation Cap: $${formatNumber(d.data.valuationCap)}</div>`);
+      if (d.data.asIfPrice) {
+        lines.push(`<div>As-if conversion price: $${d.data.asIfPrice.toFixed(4)}</div>`);
+      }
     } else if (d.data.pricePerShare) {
       lines.push(`<div>Price/Share: $${d.data.pricePerShare}</div>`);
     }
+    if (d.data.roundType === 'convertible-note') {
+      if (d.data.interestRate) {
+        lines.push(`<div>Interest: ${+(d.data.interestRate * 100).toFixed(2)}% ${d.data.interestType || 'simple'}</div>`);
+      }
+      if (d.data.maturityDate) {
+        const matured = !d.data.converted && new Date(d.data.maturityDate) <= new Date();
+        lines.push(`<div${matured ? ' style="color: #fbbf24;"' : ''}>Maturity: ${escapeHtml(d.data.maturityDate)}${matured ? ' (matured)' : ''}</div>`);
+      }
+    }
+    if (d.data.adjustedConversionPrice) {
+      lines.push(`<div style="color: #fbbf24;">Conversion Price: $${d.data.adjustedConversionPrice.toFixed(4)} (anti-dilution)</div>`);
+    }
   } else if (d.depth === 2) {
     // Allocation
-    lines.push(`<div style="font-weight: bold; margin-bottom: 4px;">${d.data.holderName}</div>`);
-    lines.push(`<div>Round: ${d.data.round}</div>`);
-    lines.push(`<div>Type: ${d.data.type}</div>`);
+    lines.push(`<div style="font-weight: bold; margin-bottom: 4px;">${escapeHtml(d.data.holderName)}</div>`);
+    lines.push(`<div>Round: ${escapeHtml(d.data.round)}</div>`);
+    lines.push(`<div>Type: ${escapeHtml(d.data.type)}</div>`);
     lines.push(`<div>Shares: ${formatNumber(d.data.shares)}</div>`);
+    if (d.data.accruedInterest !== undefined) {
+      lines.push(`<div>Principal: $${formatNumber(Math.round(d.data.investmentAmount))} + Interest: $${formatNumber(Math.round(d.data.accruedInterest))}</div>`);
+    }
+    if (d.data.adjustedConversionPrice && d.data.shares !== d.data.issuedShares) {
+      lines.push(`<div style="color: #fbbf24;">Anti-dilution: ${formatNumber(d.data.issuedShares)} preferred → ${formatNumber(d.data.shares)} as-converted (+${formatNumber(d.data.shares - d.data.issuedShares)})</div>`);
+    }
 
     const fdOwnership = ((d.data.shares / fullyDiluted) * 100).toFixed(4);
-    const isSafe = d.parent && d.parent.data && d.parent.data.roundType === 'safe' && !d.parent.data.converted;
+    const isSafe = d.parent && d.parent.data && isUnconvertedNode(d.parent.data);
     const issuedOwnership = isSafe ? '0.0000' : ((d.data.shares / totalIssued) * 100).toFixed(4);
     lines.push(`<div style="font-weight: bold;">${fdOwnership}% fully diluted</div>`);
     if (Math.abs(parseFloat(fdOwnership) - parseFloat(issuedOwnership)) > 0.01) {
@@ -661,7 +757,15 @@ function createTooltipHTML(d, capTable, viewMode) {
     }
 
     if (d.data.vestingSchedule) {
-      lines.push(`<div>Vesting: ${d.data.vestingSchedule}</div>`);
+      lines.push(`<div>Vesting: ${escapeHtml(d.data.vestingSchedule)}</div>`);
+    }
+    if (d.data.vestedPct !== undefined) {
+      lines.push(`<div>Vested: ${formatNumber(d.data.vestedShares)} (${d.data.vestedPct.toFixed(1)}%)</div>`);
+      if (d.data.forfeitedShares > 0) {
+        lines.push(`<div style="color: #f87171;">Forfeited: ${formatNumber(d.data.forfeitedShares)}</div>`);
+      } else if (d.data.vestedPct < 100 && d.data.fullyVestedDate) {
+        lines.push(`<div style="opacity: 0.8; font-size: 11px;">Fully vested ${escapeHtml(d.data.fullyVestedDate)}</div>`);
+      }
     }
     if (d.data.notes) {
       lines.push(`<div style="font-style: italic; margin-top: 4px;">${d.data.notes}</div>`);
@@ -0,0 +1,49 @@
+// Undo/redo history for cap table edits
+// Each entry is one change with snapshots of the cap table before and after it
+
+const MAX_ENTRIES = 100;
+
+let undoStack = [];
+let redoStack = [];
+
+/**
+ * Remember a change (clears anything that could be redone)
+ * @param {string} label - What the change did, e.g. "Delete round Seed"
+ * @param {Object} before - Cap table before the change (not modified afterwards)
+ * @param {Object} after - Cap table after the change
+ */
+export function recordChange(label, before, after) {
+  undoStack.push({ label, before, after });
+  if (undoStack.length > MAX_ENTRIES) undoStack.shift();
+  redoStack = [];
+}
+
+// Step back: returns the change to undo (apply its `before`), or null
+export function undo() {
+  const entry = undoStack.pop();
+  if (!entry) return null;
+  redoStack.push(entry);
+  return entry;
+}
+
+// Step forward again: returns the change to redo (apply its `after`), or null
+export function redo() {
+  const entry = redoStack.pop();
+  if (!entry) return null;
+  undoStack.push(entry);
+  return entry;
+}
+
+// Labels of the next change to undo and to redo (null when there is none)
+export function peek() {
+  return {
+    undo: undoStack.length > 0 ? undoStack[undoStack.length - 1].label : null,
+    redo: redoStack.length > 0 ? redoStack[redoStack.length - 1].label : null
+  };
+}
+
+// Forget all changes (another company or scenario was opened)
+export function clear() {
+  undoStack = [];
+  redoStack = [];
+}
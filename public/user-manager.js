@@ -0,0 +1,47 @@
+// User accounts list for admins (sidebar "Users" section)
+
+import { escapeHtml } from "./escape-html.js";
+
+export const ROLE_LABELS = {
+  admin: "Admin",
+  editor: "Editor",
+  viewer: "Viewer",
+  stakeholder: "Stakeholder"
+};
+
+/**
+ * Fill the users list
+ * @param {Array} users - [{ id, username, role, holderName }]
+ * @param {number} currentUserId - The signed-in admin (can't delete themselves)
+ * @param {Object} handlers - { onRoleChange(user, role), onHolderName(user), onResetPassword(user), onDelete(user) }
+ */
+export function renderUsersList(users, currentUserId, handlers) {
+  const container = document.getElementById("users-list");
+  container.innerHTML = "";
+
+  users.forEach(user => {
+    const item = document.createElement("div");
+    item.className = "list-item";
+    item.innerHTML = `
+      <div class="list-item-info">
+        <div class="list-item-title" style="font-size: 0.9375rem;">${escapeHtml(user.username)}${user.id === currentUserId ? ' <span style="font-size: 0.75rem; color: #10b981;">(you)</span>' : ""}</div>
+        <div class="list-item-details">${user.role === "stakeholder" ? `Holdings of ${escapeHtml(user.holderName || "— (no holder name set)")}` : ROLE_LABELS[user.role]}</div>
+      </div>
+      <div class="list-item-actions">
+        <select class="user-role" style="padding: 0.375rem; border-radius: 0.375rem; border: 1px solid #334155; background: #0f172a; color: #e2e8f0;">
+          ${Object.entries(ROLE_LABELS).map(([role, label]) => `<option value="${role}"${role === user.role ? " selected" : ""}>${label}</option>`).join("")}
+        </select>
+        ${user.role === "stakeholder" ? '<button class="secondary user-holder">Holder Name</button>' : ""}
+        <button class="secondary user-password">Reset Password</button>
+        ${user.id === currentUserId ? "" : '<button class="danger user-delete">Delete</button>'}
+      </div>
+    `;
+
+    const roleSelect = item.querySelector(".user-role");
+    roleSelect.addEventListener("change", () => handlers.onRoleChange(user, roleSelect.value));
+    item.querySelector(".user-holder")?.addEventListener("click", () => handlers.onHolderName(user));
+    item.querySelector(".user-password").addEventListener("click", () => handlers.onResetPassword(user));
+    item.querySelector(".user-delete")?.addEventListener("click", () => handlers.onDelete(user));
+    container.appendChild(item);
+  });
+}
@@ -0,0 +1,181 @@
+// Vesting calculator for cap table allocations
+// Structured vesting schedules, vested/unvested shares as of any date, and legacy text parsing
+
+const DEFAULT_DURATION_MONTHS = 48;
+const FREQUENCY_MONTHS = { monthly: 1, quarterly: 3, annually: 12 };
+
+// Robust date to timestamp (NaN for missing/invalid dates)
+function toTime(d) {
+  if (!d) return NaN;
+  const t = new Date(d).getTime();
+  return isNaN(t) ? NaN : t;
+}
+
+// Whole calendar months elapsed between two dates (negative if `to` is before `from`)
+function monthsBetween(from, to) {
+  const a = new Date(from);
+  const b = new Date(to);
+  let months = (b.getUTCFullYear() - a.getUTCFullYear()) * 12 + (b.getUTCMonth() - a.getUTCMonth());
+  if (b.getUTCDate() < a.getUTCDate()) months--;
+  return months;
+}
+
+// Add whole months to an ISO date, returning an ISO date string
+function addMonths(date, months) {
+  const d = new Date(date);
+  d.setUTCMonth(d.getUTCMonth() + months);
+  return d.toISOString().split("T")[0];
+}
+
+/**
+ * Parse a legacy free-text vesting string into a structured schedule.
+ * Understands phrases like "4 year vest, 1 year cliff", "48 months monthly, 12 month cliff",
+ * "4y/1y", "quarterly", "single trigger" / "double trigger acceleration" and "fully vested".
+ * @param {string} text - Free-text vesting description
+ * @param {Object} defaults - Fields to fill in (e.g. { vestingStartDate } from the round date)
+ * @returns {Object|null} Structured schedule, or null if the text doesn't describe vesting
+ */
+export function parseVestingSchedule(text, defaults = {}) {
+  const raw = (text || "").trim().toLowerCase();
+  if (!raw) return null;
+
+  if (/fully vested|immediate|100% vested|no vesting/.test(raw)) {
+    return { ...defaults, durationMonths: 0, cliffMonths: 0, frequency: "monthly", acceleration: "none" };
+  }
+
+  // Amounts paired with a unit: "4 year", "48 months", "4y", "1 yr"
+  const spans = [...raw.matchAll(/(\d+(?:\.\d+)?)\s*-?\s*(years?|yrs?|y|months?|mos?|m)\b/g)].map(m => ({
+    months: Math.round(parseFloat(m[1]) * (m[2].startsWith("y") ? 12 : 1)),
+    index: m.index,
+    end: m.index + m[0].length,
+  }));
+
+  // A span followed (or preceded) by "cliff" is the cliff; the longest other span is the duration
+  const cliffIndex = raw.indexOf("cliff");
+  let cliff = null;
+  if (cliffIndex >= 0 && spans.length > 0) {
+    cliff = spans.reduce((best, s) => {
+      const distance = s.end <= cliffIndex ? cliffIndex - s.end : s.index - (cliffIndex + 5);
+      return distance >= 0 && (!best || distance < best.distance) ? { ...s, distance } : best;
+    }, null);
+  } else if (spans.length === 2 && raw.includes("/")) {
+    // Shorthand "4y/1y": duration then cliff
+    cliff = spans[1];
+  }
+  const others = spans.filter(s => !cliff || s.index !== cliff.index);
+  if (others.length === 0 && !cliff && !/vest/.test(raw)) return null;
+
+  const durationMonths = others.length > 0 ? Math.max(...others.map(s => s.months)) : DEFAULT_DURATION_MONTHS;
+  let frequency = "monthly";
+  if (raw.includes("quarter")) frequency = "quarterly";
+  else if (raw.includes("annual") || raw.includes("yearly")) frequency = "annually";
+
+  let acceleration = "none";
+  if (raw.includes("double")) acceleration = "double";
+  else if (raw.includes("single") || raw.includes("acceleration")) acceleration = "single";
+
+  return {
+    ...defaults,
+    durationMonths,
+    cliffMonths: cliff ? cliff.months : 0,
+    frequency,
+    acceleration,
+  };
+}
+
+/**
+ * Short human-readable description of a structured schedule
+ * @param {Object} vesting - Structured schedule
+ * @returns {string} e.g. "4 year vest, 1 year cliff, monthly, double trigger"
+ */
+export function formatVestingSchedule(vesting) {
+  if (!vesting) return "";
+  if (!vesting.durationMonths) return "Fully vested";
+  const span = (months) => (months % 12 === 0 ? `${months / 12} year` : `${months} month`);
+  const parts = [`${span(vesting.durationMonths)} vest`];
+  if (vesting.cliffMonths) parts.push(`${span(vesting.cliffMonths)} cliff`);
+  parts.push(vesting.frequency || "monthly");
+  if (vesting.acceleration && vesting.acceleration !== "none") parts.push(`${vesting.acceleration} trigger`);
+  if (vesting.terminationDate) parts.push(`terminated ${vesting.terminationDate}`);
+  return parts.join(", ");
+}
+
+/**
+ * Structured schedule for an allocation: its own `vesting` field, or the legacy
+ * `vestingSchedule` text parsed with the round date as the vesting start
+ * @param {Object} round - The round the allocation belongs to
+ * @param {Object} allocation - The allocation
+ * @returns {Object|null} Structured schedule, or null if the allocation doesn't vest
+ */
+export function getVestingSchedule(round, allocation) {
+  if (allocation.vesting) return allocation.vesting;
+  return parseVestingSchedule(allocation.vestingSchedule, { vestingStartDate: round.date });
+}
+
+/**
+ * Vested and unvested shares of a grant as of a date.
+ * Nothing vests before the cliff; at the cliff the elapsed portion vests at once, then shares
+ * vest every period (monthly/quarterly/annually) until the duration ends. Vesting stops at the
+ * termination date and the unvested remainder is forfeited. On a change of control, single
+ * trigger acceleration vests the remainder immediately; double trigger vests it only when the
+ * holder is also terminated on or after the change of control.
+ * @param {number} shares - Total shares granted
+ * @param {Object} vesting - Structured schedule
+ * @param {string|Date} asOfDate - Date to evaluate
+ * @param {Object} options - { changeOfControlDate }
+ * @returns {Object} { vested, unvested, forfeited, vestedPct, cliffReached, fullyVestedDate }
+ */
+export function calculateVestedShares(shares, vesting, asOfDate, { changeOfControlDate } = {}) {
+  const total = shares || 0;
+  if (!vesting || !vesting.durationMonths) {
+    return { vested: total, unvested: 0, forfeited: 0, vestedPct: 100, cliffReached: true, fullyVestedDate: undefined };
+  }
+
+  const start = vesting.vestingStartDate || vesting.grantDate;
+  const asOf = toTime(asOfDate);
+  const terminated = toTime(vesting.terminationDate);
+  const fullyVestedDate = start ? addMonths(start, vesting.durationMonths) : undefined;
+  if (isNaN(toTime(start)) || isNaN(asOf)) {
+    return { vested: 0, unvested: total, forfeited: 0, vestedPct: 0, cliffReached: false, fullyVestedDate };
+  }
+
+  // Vesting stops at termination
+  const stopsAt = !isNaN(terminated) && terminated < asOf ? terminated : asOf;
+  const elapsed = monthsBetween(start, new Date(stopsAt));
+  const step = FREQUENCY_MONTHS[vesting.frequency] || 1;
+  const cliffReached = elapsed >= (vesting.cliffMonths || 0);
+  const vestedMonths = cliffReached ? Math.min(vesting.durationMonths, Math.max(0, Math.floor(elapsed / step) * step)) : 0;
+  let vested = Math.floor((total * vestedMonths) / vesting.durationMonths);
+
+  // Acceleration on change of control
+  const control = toTime(changeOfControlDate);
+  if (!isNaN(control) && control <= asOf && vesting.acceleration && vesting.acceleration !== "none") {
+    const singleTrigger = vesting.acceleration === "single" && (isNaN(terminated) || terminated >= control);
+    const doubleTrigger = vesting.acceleration === "double" && !isNaN(terminated) && terminated >= control && terminated <= asOf;
+    if (singleTrigger || doubleTrigger) vested = total;
+  }
+
+  const forfeited = !isNaN(terminated) && terminated <= asOf ? total - vested : 0;
+  return {
+    vested,
+    unvested: total - vested - forfeited,
+    forfeited,
+    vestedPct: total > 0 ? (vested / total) * 100 : 0,
+    cliffReached,
+    fullyVestedDate,
+  };
+}
+
+/**
+ * Vesting status of an allocation as of a date (null if it has no vesting schedule)
+ * @param {Object} round - The round the allocation belongs to
+ * @param {Object} allocation - The allocation
+ * @param {string|Date} asOfDate - Date to evaluate
+ * @param {Object} options - { changeOfControlDate }
+ * @returns {Object|null} Result of calculateVestedShares plus the schedule used
+ */
+export function calculateAllocationVesting(round, allocation, asOfDate, options = {}) {
+  const vesting = getVestingSchedule(round, allocation);
+  if (!vesting) return null;
+  return { ...calculateVestedShares(allocation.shares, vesting, asOfDate, options), vesting };
+}
@@ -0,0 +1,287 @@
+// Exit waterfall calculator for cap table scenarios
+// Distributes exit proceeds through liquidation preferences, then to common
+
+import { getAsConvertedShares, isConvertible, calculateAccruedInterest } from "./dilution-calculator.js";
+
+/**
+ * Invested capital behind a single allocation (basis for its liquidation preference)
+ * @param {Object} round - The round the allocation belongs to
+ * @param {Object} alloc - The allocation
+ * @returns {number} Amount invested in dollars
+ */
+function getInvestedAmount(round, alloc) {
+  if (round.type === 'convertible-note' && alloc.investmentAmount) {
+    // Notes are owed principal plus interest (accrued to conversion, or to today if still outstanding)
+    const interest = round.converted
+      ? (alloc.accruedInterest || 0)
+      : calculateAccruedInterest(round, alloc.investmentAmount, new Date());
+    return alloc.investmentAmount + interest;
+  }
+  if (isConvertible(round)) {
+    if (alloc.investmentAmount) return alloc.investmentAmount;
+    const price = alloc.conversionPrice || round.conversionPrice || 0;
+    return alloc.shares * price;
+  }
+  return alloc.shares * (round.pricePerShare || 0);
+}
+
+/**
+ * Whether a round issues preferred stock that carries a liquidation preference
+ */
+function isPreferredRound(round) {
+  return round.type === 'priced' || isConvertible(round) || (!round.type && !!round.pricePerShare);
+}
+
+/**
+ * Split the cap table into preferred series and common-equivalent holdings
+ * @param {Object} capTable - The cap table data
+ * @returns {Object} { series: Array, common: Array, commonShares: number }
+ */
+export function getWaterfallClasses(capTable) {
+  const series = [];
+  const common = [];
+
+  capTable.rounds.forEach(round => {
+    const preferred = [];
+    round.allocations.forEach(alloc => {
+      if (isPreferredRound(round) && alloc.type === 'preferred') {
+        preferred.push(alloc);
+      } else {
+        // Common, options and RSUs all share in the residual as common equivalents
+        common.push({ holderName: alloc.holderName, roundName: round.name, shares: alloc.shares });
+      }
+    });
+
+    if (preferred.length === 0) return;
+
+    const multiple = round.liquidationPreference != null ? round.liquidationPreference : 1;
+    const participation = round.participation || 'non-participating';
+    const allocations = preferred.map(alloc => {
+      const invested = getInvestedAmount(round, alloc);
+      return {
+        holderName: alloc.holderName,
+        shares: getAsConvertedShares(round, alloc),
+        invested,
+        preferenceAmount: invested * multiple
+      };
+    });
+
+    series.push({
+      roundId: round.id,
+      roundName: round.name,
+      seniority: round.seniority != null ? round.seniority : 1,
+      multiple,
+      participation,
+      participationCap: participation === 'capped' ? (round.participationCap || multiple) : undefined,
+      shares: allocations.reduce((sum, a) => sum + a.shares, 0),
+      invested: allocations.reduce((sum, a) => sum + a.invested, 0),
+      preferenceAmount: allocations.reduce((sum, a) => sum + a.preferenceAmount, 0),
+      allocations
+    });
+  });
+
+  const commonShares = common.reduce((sum, c) => sum + c.shares, 0);
+  return { series, common, commonShares };
+}
+
+/**
+ * Pay preferences by seniority stack, then split the residual across common, converted series
+ * and participating preferred. Rank 1 is most senior; series sharing a rank are pari passu
+ * (pro rata to preference amount). Capped participation stops once a series has received
+ * participationCap x invested in total; the excess is shared among the remaining participants.
+ * @param {Array} series - Preferred series from getWaterfallClasses
+ * @param {number} commonShares - Common-equivalent shares
+ * @param {number} exitValue - Proceeds available to equity holders
+ * @param {Set} converting - Round ids of series converting to common
+ * @returns {Object} { preferencePayouts: Map, participationPayouts: Map, commonPricePerShare, residual }
+ */
+function distribute(series, commonShares, exitValue, converting) {
+  let remaining = Math.max(0, exitValue);
+  const preferencePayouts = new Map();
+
+  const ranks = [...new Set(series.filter(s => !converting.has(s.roundId)).map(s => s.seniority))]
+    .sort((a, b) => a - b);
+
+  ranks.forEach(rank => {
+    const stack = series.filter(s => s.seniority === rank && !converting.has(s.roundId));
+    const claim = stack.reduce((sum, s) => sum + s.preferenceAmount, 0);
+    const paid = Math.min(remaining, claim);
+    stack.forEach(s => {
+      preferencePayouts.set(s.roundId, claim > 0 ? paid * (s.preferenceAmount / claim) : 0);
+    });
+    remaining -= paid;
+  });
+
+  const residual = remaining;
+  const participationPayouts = new Map();
+
+  // Shares sharing in the residual: common, converted series and participating preferred
+  let participatingShares = commonShares;
+  let uncapped = [];
+  series.forEach(s => {
+    if (converting.has(s.roundId)) {
+      participatingShares += s.shares;
+    } else if (s.participation !== 'non-participating') {
+      participatingShares += s.shares;
+      uncapped.push(s);
+    }
+  });
+
+  // Pin capped series at their cap one at a time until the per-share price stabilises
+  let commonPricePerShare = participatingShares > 0 ? remaining / participatingShares : 0;
+  let pinned = true;
+  while (pinned) {
+    pinned = false;
+    for (const s of uncapped) {
+      if (s.participation !== 'capped') continue;
+      const headroom = Math.max(0, s.participationCap * s.invested - (preferencePayouts.get(s.roundId) || 0));
+      if (commonPricePerShare * s.shares > headroom) {
+        participationPayouts.set(s.roundId, headroom);
+        remaining -= headroom;
+        participatingShares -= s.shares;
+        uncapped = uncapped.filter(u => u !== s);
+        commonPricePerShare = participatingShares > 0 ? remaining / participatingShares : 0;
+        pinned = true;
+        break;
+      }
+    }
+  }
+  uncapped.forEach(s => participationPayouts.set(s.roundId, commonPricePerShare * s.shares));
+
+  return { preferencePayouts, participationPayouts, commonPricePerShare, residual };
+}
+
+/**
+ * Total proceeds a non-converting series receives (preference plus any participation)
+ */
+function getSeriesPayout(result, roundId) {
+  return (result.preferencePayouts.get(roundId) || 0) + (result.participationPayouts.get(roundId) || 0);
+}
+
+/**
+ * Calculate exit proceeds for every holder through the liquidation preference stack.
+ * Each series takes the greater of its preference (plus participation, if any) or its
+ * as-converted share; series convert one at a time (largest gain first) until no series
+ * is better off converting. Fully participating series never convert.
+ * @param {Object} capTable - The cap table data
+ * @param {number} exitValue - Net proceeds available to equity holders at exit
+ * @returns {Object} Waterfall analysis
+ */
+export function calculateWaterfall(capTable, exitValue) {
+  const { series, common, commonShares } = getWaterfallClasses(capTable);
+  const converting = new Set();
+
+  let result = distribute(series, commonShares, exitValue, converting);
+  for (let i = 0; i < series.length; i++) {
+    let best = null;
+    let bestGain = 1e-9;
+
+    series.forEach(s => {
+      if (converting.has(s.roundId)) return;
+      const trial = distribute(series, commonShares, exitValue, new Set([...converting, s.roundId]));
+      const gain = trial.commonPricePerShare * s.shares - getSeriesPayout(result, s.roundId);
+      if (gain > bestGain) {
+        best = s;
+        bestGain = gain;
+      }
+    });
+
+    if (!best) break;
+    converting.add(best.roundId);
+    result = distribute(series, commonShares, exitValue, converting);
+  }
+
+  const { preferencePayouts, participationPayouts, commonPricePerShare } = result;
+  const payouts = new Map();
+  const allocations = [];
+  const addPayout = (holderName, roundName, shares, payout) => {
+    payouts.set(holderName, (payouts.get(holderName) || 0) + payout);
+    allocations.push({ holderName, roundName, shares, payout });
+  };
+
+  const seriesResults = series.map(s => {
+    const converts = converting.has(s.roundId);
+    const preferencePayout = converts ? 0 : (preferencePayouts.get(s.roundId) || 0);
+    const participationPayout = converts ? 0 : (participationPayouts.get(s.roundId) || 0);
+    const seriesPayout = converts ? s.shares * commonPricePerShare : preferencePayout + participationPayout;
+
+    s.allocations.forEach(a => {
+      let share;
+      if (converts) {
+        share = a.shares * commonPricePerShare;
+      } else {
+        // Preference splits by preference amount, participation by shares held
+        share = (s.preferenceAmount > 0 ? preferencePayout * (a.preferenceAmount / s.preferenceAmount) : 0)
+          + (s.shares > 0 ? participationPayout * (a.shares / s.shares) : 0);
+      }
+      addPayout(a.holderName, s.roundName, a.shares, share);
+    });
+
+    return {
+      roundId: s.roundId,
+      roundName: s.roundName,
+      seniority: s.seniority,
+      multiple: s.multiple,
+      participation: s.participation,
+      participationCap: s.participationCap,
+      shares: s.shares,
+      invested: s.invested,
+      preferenceAmount: s.preferenceAmount,
+      decision: converts ? 'convert' : 'preference',
+      preferencePayout,
+      participationPayout,
+      payout: seriesPayout
+    };
+  });
+
+  common.forEach(c => addPayout(c.holderName, c.roundName, c.shares, c.shares * commonPricePerShare));
+
+  return {
+    exitValue,
+    totalPreference: series.reduce((sum, s) => sum + s.preferenceAmount, 0),
+    commonPricePerShare,
+    commonShares,
+    series: seriesResults,
+    allocations,
+    payouts
+  };
+}
+
+/**
+ * Find the exit value above which a series would rather convert to common than take its
+ * preference (for capped participation: the point where its cap stops binding).
+ * @param {Object} capTable - The cap table data
+ * @param {string} roundId - Round id of the preferred series
+ * @param {number} tolerance - Dollar precision of the search
+ * @returns {number|null} Break-even exit value, or null if the series never converts
+ */
+export function calculateConversionBreakEven(capTable, roundId, tolerance = 1) {
+  const converts = (exitValue) => {
+    const s = calculateWaterfall(capTable, exitValue).series.find(r => r.roundId === roundId);
+    return !!s && s.decision === 'convert';
+  };
+
+  const series = getWaterfallClasses(capTable).series.find(s => s.roundId === roundId);
+  if (!series || series.participation === 'full') return null;
+
+  // Grow the upper bound until the series converts (bail out for pathological tables)
+  let lo = 0;
+  let hi = Math.max(series.preferenceAmount, 1);
+  let attempts = 0;
+  while (!converts(hi)) {
+    lo = hi;
+    hi *= 2;
+    if (++attempts > 60) return null;
+  }
+
+  while (hi - lo > tolerance) {
+    const mid = (lo + hi) / 2;
+    if (converts(mid)) {
+      hi = mid;
+    } else {
+      lo = mid;
+    }
+  }
+
+  return hi;
+}
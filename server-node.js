@@ -2,81 +2,71 @@
  * Node.js HTTP Server for Cap Table Visualizer
  * 
  * This is a fallback server for when Elide's HTTP serving is broken (beta10).
- * Implements the same logic as server.ts but using Node.js http module.
+ * Mounts the same app as server.ts (app.ts: API, SQLite storage and static files) on Node's
+ * http module. Needs Node 22.18+ for node:sqlite and running the .ts modules directly.
  */
 
 import { createServer } from "http";
-import { readFileSync, existsSync } from "fs";
-import { join, dirname } from "path";
-import { fileURLToPath } from "url";
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
+import { createApp } from "./app.ts";
+import { openNodeDatabase } from "./sqlite-node.ts";
 
 const PORT = process.env.PORT || 8080;
 
-const MIME_TYPES = {
-  ".html": "text/html",
-  ".js": "application/javascript",
-  ".css": "text/css",
-  ".json": "application/json",
-  ".png": "image/png",
-  ".jpg": "image/jpeg",
-  ".svg": "image/svg+xml",
-};
-
-function getMimeType(path) {
-  const ext = path.substring(path.lastIndexOf("."));
-  return MIME_TYPES[ext] || "application/octet-stream";
-}
+const app = createApp(openNodeDatabase("captable.db"));
 
-function serveStaticFile(res, path) {
-  try {
-    const filePath = join(__dirname, "public", path);
-    
-    if (!existsSync(filePath)) {
-      res.writeHead(404, { "Content-Type": "text/plain" });
-      res.end("Not Found");
-      return;
+// Node's request as a fetch Request for the app
+async function toRequest(req) {
+  const headers = new Headers();
+  for (const [name, value] of Object.entries(req.headers)) {
+    for (const item of Array.isArray(value) ? value : [value]) {
+      if (item !== undefined) headers.append(name, item);
     }
+  }
 
-    const content = readFileSync(filePath);
-    const mimeType = getMimeType(path);
+  const chunks = [];
+  for await (const chunk of req) chunks.push(chunk);
 
-    res.writeHead(200, {
-      "Content-Type": mimeType,
-      "Cache-Control": "no-cache, no-store, must-revalidate",
-      "Pragma": "no-cache",
-      "Expires": "0",
-    });
-    res.end(content);
-  } catch (error) {
-    console.error("Error serving file:", error);
-    res.writeHead(500, { "Content-Type": "text/plain" });
-    res.end("Internal Server Error");
-  }
+  return new Request(new URL(req.url, `http://${req.headers.host}`), {
+    method: req.method,
+    headers,
+    body: chunks.length > 0 ? Buffer.concat(chunks) : undefined,
+  });
 }
 
-const server = createServer((req, res) => {
-  const url = new URL(req.url, `http://${req.headers.host}`);
-  const path = url.pathname;
-
-  console.log(`[Node.js] ${req.method} ${path}`);
+// Write the app's Response back through Node (each Set-Cookie as its own header)
+async function sendResponse(res, response) {
+  const headers = {};
+  response.headers.forEach((value, name) => {
+    if (name !== "set-cookie") headers[name] = value;
+  });
+  const cookies = response.headers.getSetCookie();
+  if (cookies.length > 0) headers["set-cookie"] = cookies;
 
-  // Serve index.html for root
-  if (path === "/") {
-    serveStaticFile(res, "index.html");
+  res.writeHead(response.status, headers);
+  if (!response.body) {
+    res.end();
     return;
   }
 
-  // Serve static files
-  if (path.startsWith("/")) {
-    serveStaticFile(res, path.substring(1));
-    return;
+  // Streamed, so event streams reach the browser as they're written
+  const reader = response.body.getReader();
+  res.on("close", () => reader.cancel());
+  for (let chunk = await reader.read(); !chunk.done; chunk = await reader.read()) {
+    res.write(chunk.value);
   }
+  res.end();
+}
+
+const server = createServer(async (req, res) => {
+  console.log(`[Node.js] ${req.method} ${req.url}`);
 
-  res.writeHead(404, { "Content-Type": "text/plain" });
-  res.end("Not Found");
+  try {
+    await sendResponse(res, await app.fetch(await toRequest(req)));
+  } catch (error) {
+    console.error("Error handling request:", error);
+    res.writeHead(500, { "Content-Type": "text/plain" });
+    res.end("Internal Server Error");
+  }
 });
 
 server.listen(PORT, () => {
@@ -85,4 +75,3 @@ server.listen(PORT, () => {
   console.log(`Running on: Node.js (Elide fallback)`);
   console.log(`Note: This uses Node.js because elide serve is broken in beta10\n`);
 });
-
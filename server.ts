@@ -2,63 +2,19 @@
  * Elide HTTP Server for Cap Table Visualizer
  * 
  * This is the primary server implementation using Elide's native HTTP serving.
+ * Routes, API and SQLite storage are shared with the other entrypoints (app.ts); the database
+ * is opened through Elide's Node APIs (node:sqlite).
  * Falls back to server-node.js when elide serve has issues (beta10).
  */
 
-import { readFileSync } from "node:fs";
-import { join } from "node:path";
+import { createApp } from "./app.ts";
+import { openNodeDatabase } from "./sqlite-node.ts";
 
-const MIME_TYPES: Record<string, string> = {
-  ".html": "text/html",
-  ".js": "application/javascript",
-  ".css": "text/css",
-  ".json": "application/json",
-  ".png": "image/png",
-  ".jpg": "image/jpeg",
-  ".svg": "image/svg+xml",
-};
-
-function getMimeType(path: string): string {
-  const ext = path.substring(path.lastIndexOf("."));
-  return MIME_TYPES[ext] || "application/octet-stream";
-}
-
-function serveStaticFile(path: string): Response {
-  try {
-    const filePath = join(process.cwd(), "public", path);
-    const content = readFileSync(filePath);
-    const mimeType = getMimeType(path);
-
-    return new Response(content, {
-      status: 200,
-      headers: {
-        "Content-Type": mimeType,
-        "Cache-Control": "public, max-age=3600",
-      },
-    });
-  } catch (error) {
-    return new Response("Not Found", { status: 404 });
-  }
-}
+const app = createApp(openNodeDatabase("captable.db"));
 
 export default {
   async fetch(request: Request): Promise<Response> {
-    const url = new URL(request.url);
-    const path = url.pathname;
-
-    console.log(`[Elide] ${request.method} ${path}`);
-
-    // Serve index.html for root
-    if (path === "/") {
-      return serveStaticFile("index.html");
-    }
-
-    // Serve static files
-    if (path.startsWith("/")) {
-      return serveStaticFile(path.substring(1));
-    }
-
-    return new Response("Not Found", { status: 404 });
+    console.log(`[Elide] ${request.method} ${new URL(request.url).pathname}`);
+    return app.fetch(request);
   },
 };
-
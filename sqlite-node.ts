@@ -0,0 +1,47 @@
+// SqlDatabase on Node's built-in node:sqlite (Node 22.13+), for server-node.js and server.ts
+
+import { DatabaseSync } from "node:sqlite";
+import type { SqlDatabase, SqlValue } from "./sqlite.ts";
+
+// node:sqlite binds neither booleans nor undefined
+const bindable = (params: SqlValue[]) =>
+  params.map((value) => (value === undefined ? null : typeof value === "boolean" ? (value ? 1 : 0) : value));
+
+export function openNodeDatabase(path: string): SqlDatabase {
+  const database = new DatabaseSync(path);
+  let depth = 0;
+
+  return {
+    exec: (sql) => database.exec(sql),
+
+    prepare(sql) {
+      const statement = database.prepare(sql);
+      return {
+        run: (...params) => statement.run(...bindable(params)),
+        get: (...params) => statement.get(...bindable(params)),
+        all: (...params) => statement.all(...bindable(params)),
+      };
+    },
+
+    transaction(fn) {
+      return () => {
+        if (depth > 0) return fn();
+        database.exec("BEGIN");
+        depth++;
+        try {
+          fn();
+          database.exec("COMMIT");
+        } catch (error) {
+          database.exec("ROLLBACK");
+          throw error;
+        } finally {
+          depth--;
+        }
+      };
+    },
+
+    get lastInsertRowId() {
+      return Number((database.prepare("SELECT last_insert_rowid() AS id").get() as { id: number | bigint }).id);
+    },
+  };
+}
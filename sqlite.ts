@@ -0,0 +1,19 @@
+// The SQLite connection db.ts keeps everything in. Every runtime supplies one: Deno uses
+// jsr:@db/sqlite directly, and Node (and Elide's Node APIs) wrap node:sqlite (sqlite-node.ts)
+
+export type SqlValue = string | number | bigint | boolean | null | undefined | Uint8Array;
+
+export interface SqlStatement {
+  run(...params: SqlValue[]): unknown;
+  get(...params: SqlValue[]): unknown;
+  all(...params: SqlValue[]): unknown[];
+}
+
+export interface SqlDatabase {
+  exec(sql: string): unknown;
+  prepare(sql: string): SqlStatement;
+  // Wrap fn so it runs in one transaction (rolled back if it throws); nested calls join the outer one
+  transaction(fn: () => void): () => void;
+  // Row id of the last INSERT on this connection
+  readonly lastInsertRowId: number;
+}
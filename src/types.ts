@@ -7,6 +7,51 @@
  *     └── Allocations (Individual holdings)
  */
 
+/**
+ * A company workspace (each has its own cap table, ledger and scenarios)
+ */
+export interface Company {
+  id: string; // URL-friendly slug; data from before workspaces lives in "default"
+  name: string;
+  authorizedShares: number;
+}
+
+export type Role = "admin" | "editor" | "viewer" | "stakeholder";
+
+export interface User {
+  id: number;
+  username: string;
+  role: Role;
+  holderName?: string; // Stakeholders see allocations held under this name
+}
+
+// Saved snapshot of a company's cap table (the server keeps one per save)
+export interface Revision {
+  id: number;
+  author?: string;
+  message?: string;
+  createdAt: string; // UTC, "YYYY-MM-DD HH:MM:SS"
+  capTable?: CapTable; // Only when a single revision is requested
+}
+
+// One audit log entry: a field of the company, a round or an allocation changed, or a whole
+// round or allocation created or deleted (before/after then hold the record)
+export interface AuditEntry {
+  id: number;
+  actor?: string;
+  reason?: string;
+  action: "create" | "update" | "delete";
+  entity: "company" | "round" | "allocation";
+  entityId?: string;
+  roundId?: string;
+  roundName?: string;
+  holderName?: string;
+  field?: string;
+  before?: unknown;
+  after?: unknown;
+  createdAt: string; // UTC, "YYYY-MM-DD HH:MM:SS"
+}
+
 export interface CapTable {
   companyName: string;
   authorizedShares: number;
@@ -16,11 +61,26 @@ export interface CapTable {
 export interface Round {
   id: string;
   name: string; // "Common Stock", "Seed", "Series A", etc.
-  type?: "priced" | "safe" | "equity-pool"; // Round type (defaults to priced)
+  type?: "common" | "priced" | "safe" | "convertible-note" | "equity-pool"; // Round type (defaults to priced)
   pricePerShare?: number; // For priced rounds
-  valuationCap?: number; // For SAFE rounds
+  valuationCap?: number; // For SAFE and convertible note rounds
+  safeType?: "pre-money" | "post-money" | "discount-only" | "mfn"; // SAFE flavor (defaults to pre-money)
+  discountRate?: number; // SAFE/note discount as a fraction, e.g. 0.2 = 20% off the priced round
+  interestRate?: number; // Convertible note annual interest as a fraction, e.g. 0.06 = 6%
+  interestType?: "simple" | "compound"; // Note interest accrual (defaults to simple; compound = annually)
+  maturityDate?: string; // Convertible note maturity (ISO date); the round date is the issue date
   moneyRaised?: number; // Amount raised in this round (for priced rounds)
-  investmentAmount?: number; // Investment amount (for SAFE rounds)
+  entryMode?: "price" | "valuation"; // How the priced round was entered (defaults to price per share)
+  preMoneyValuation?: number; // Valuation entry: pre-money valuation the price was derived from
+  preMoneyIncludesPool?: boolean; // Valuation entry: pre-money shares count the unissued pool (defaults to true)
+  preMoneyIncludesConverting?: boolean; // Valuation entry: pre-money shares count converting SAFEs/notes (defaults to true)
+  investmentAmount?: number; // Investment amount (for SAFE rounds) or note principal target
+  liquidationPreference?: number; // Preference multiple, e.g. 1 = 1x (defaults to 1x for preferred)
+  seniority?: number; // Preference seniority rank: 1 is paid first, equal ranks are pari passu (defaults to 1)
+  participation?: "non-participating" | "full" | "capped"; // Participation after preference (defaults to non-participating)
+  participationCap?: number; // Total return cap as a multiple of invested capital (capped participation only)
+  antiDilution?: "none" | "broad-based" | "narrow-based" | "full-ratchet"; // Down-round protection (priced rounds)
+  adjustedConversionPrice?: number; // Derived: conversion price after anti-dilution adjustments
   date: string; // ISO date string
   allocations: Allocation[];
   color: string; // Hex color for this round
@@ -31,10 +91,42 @@ export interface Allocation {
   holderName: string;
   shares: number;
   type: "common" | "preferred" | "option" | "rsu";
-  vestingSchedule?: string;
+  vestingSchedule?: string; // Free-text description (legacy; parsed into `vesting` when structured fields are absent)
+  vesting?: VestingSchedule;
   notes?: string;
 }
 
+/**
+ * Structured vesting schedule for an allocation
+ */
+export interface VestingSchedule {
+  grantDate?: string;
+  vestingStartDate?: string; // Defaults to the grant date, then the round date
+  durationMonths: number; // 0 = fully vested
+  cliffMonths?: number;
+  frequency?: "monthly" | "quarterly" | "annually";
+  acceleration?: "none" | "single" | "double"; // Change-of-control acceleration trigger
+  terminationDate?: string; // Vesting stops; unvested shares are forfeited
+}
+
+/**
+ * One entry in the append-only stock ledger (allocations are derived by replaying these in seq order)
+ */
+export interface LedgerTransaction {
+  seq?: number; // Assigned by the database, increasing
+  companyId?: string; // Company whose ledger this belongs to
+  type: "issuance" | "transfer" | "cancellation" | "exercise" | "conversion" | "split" | "amendment";
+  roundId?: string;
+  allocationId?: string;
+  holderName?: string; // Holder after the transaction
+  fromHolder?: string; // Transfers: previous holder
+  shares?: number; // Shares moved (conversion/amendment: resulting position size)
+  ratio?: number; // Splits: new shares per old share
+  details?: Record<string, unknown>; // Allocation terms, toAllocationId, reason, ...
+  effectiveDate: string; // ISO date the movement takes effect
+  recordedAt?: string; // When it was written to the ledger
+}
+
 /**
  * Hierarchical data structure for D3 treemap
  */
@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createApp } from '../app.ts';
+import { db } from '../db.ts';
+import { openNodeDatabase } from '../sqlite-node.ts';
+
+const app = createApp(openNodeDatabase(':memory:'));
+
+function send(method, path, { cookie = '', body, headers = {} } = {}) {
+  return app.fetch(new Request(`http://localhost${path}`, {
+    method,
+    headers: { cookie, 'content-type': 'application/json', ...headers },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  }));
+}
+
+// Session cookie of a response that signed someone in
+const sessionOf = (response) => response.headers.get('Set-Cookie').split(';')[0];
+
+async function signIn(username, password = 'password123') {
+  const response = await send('POST', '/api/auth/login', { body: { username, password } });
+  assert.equal(response.status, 200);
+  return sessionOf(response);
+}
+
+let admin = '';
+let holders = [];
+
+test('the first account is an admin, and only one can be set up', async () => {
+  const response = await send('POST', '/api/auth/setup', { body: { username: 'admin', password: 'password123' } });
+  assert.equal(response.status, 201);
+  assert.equal((await response.json()).role, 'admin');
+  admin = sessionOf(response);
+
+  const again = await send('POST', '/api/auth/setup', { body: { username: 'other', password: 'password123' } });
+  assert.equal(again.status, 409);
+
+  const capTable = await (await send('GET', '/api/companies/default/captable', { cookie: admin })).json();
+  holders = [...new Set(capTable.rounds.flatMap(r => r.allocations.map(a => a.holderName)))];
+  assert.ok(holders.length >= 2);
+
+  for (const user of [
+    { username: 'viewer', role: 'viewer' },
+    { username: 'holder', role: 'stakeholder', holderName: holders[0] }
+  ]) {
+    const created = await send('POST', '/api/users', { cookie: admin, body: { ...user, password: 'password123' } });
+    assert.equal(created.status, 201);
+  }
+});
+
+test('the API needs a session', async () => {
+  assert.equal((await send('GET', '/api/companies/default/captable')).status, 401);
+});
+
+test('duplicate usernames get 409', async () => {
+  const response = await send('POST', '/api/users', { cookie: admin, body: { username: 'viewer', password: 'password123', role: 'viewer' } });
+  assert.equal(response.status, 409);
+});
+
+test('viewers and stakeholders can\'t change the cap table', async () => {
+  const { headers } = await send('GET', '/api/companies/default/captable', { cookie: admin });
+  for (const username of ['viewer', 'holder']) {
+    const cookie = await signIn(username);
+    const response = await send('POST', '/api/companies/default/split', { cookie, body: { ratio: 2 }, headers: { 'If-Match': headers.get('ETag') } });
+    assert.equal(response.status, 403, username);
+    assert.equal((await send('GET', '/api/users', { cookie })).status, 403, username);
+  }
+
+  // Viewers can still read it
+  assert.equal((await send('GET', '/api/companies/default/captable', { cookie: await signIn('viewer') })).status, 200);
+});
+
+test('stakeholders only see their own holdings', async () => {
+  const cookie = await signIn('holder');
+  assert.equal((await send('GET', '/api/companies/default/captable', { cookie })).status, 403);
+  assert.equal((await send('GET', '/api/companies/default/ledger', { cookie })).status, 403);
+  assert.equal((await send('GET', '/api/companies/default/audit', { cookie })).status, 403);
+
+  // Asking for someone else's still answers with their own
+  const response = await send('GET', `/api/companies/default/holdings?holder=${encodeURIComponent(holders[1])}`, { cookie });
+  assert.equal(response.status, 200);
+  const portfolio = await response.json();
+  assert.equal(portfolio.holderName, holders[0]);
+  assert.ok(!JSON.stringify(portfolio).includes(holders[1]));
+});
+
+test('expired sessions are signed out', async () => {
+  const cookie = await signIn('viewer');
+  assert.equal((await send('GET', '/api/auth/me', { cookie })).status, 200);
+
+  db.prepare("UPDATE sessions SET expires_at = datetime('now', '-1 minute') WHERE token = ?").run(cookie.slice('session='.length));
+  const response = await send('GET', '/api/auth/me', { cookie });
+  assert.equal(response.status, 401);
+  assert.equal((await send('GET', '/api/companies/default/captable', { cookie })).status, 401);
+});
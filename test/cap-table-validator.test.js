@@ -0,0 +1,100 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { validateRound, validateAllocation, validateCapTable } from '../public/cap-table-validator.js';
+
+function round(overrides = {}) {
+  return { id: 'seed', name: 'Seed', type: 'priced', date: '2024-01-01', color: '#000', pricePerShare: 1, allocations: [], ...overrides };
+}
+
+function allocation(overrides = {}) {
+  return { id: 'alloc-1', holderName: 'Alice', shares: 1000, type: 'common', ...overrides };
+}
+
+// Field names of the errors, for compact assertions
+const fields = (errors) => errors.map(e => e.field);
+
+test('a complete cap table is valid', () => {
+  const capTable = {
+    companyName: 'Acme',
+    authorizedShares: 10_000_000,
+    rounds: [
+      round({ id: 'common', name: 'Common', type: 'common', pricePerShare: undefined, allocations: [allocation()] }),
+      round({ allocations: [allocation({ id: 'alloc-2', holderName: 'Fund', type: 'preferred' })] })
+    ]
+  };
+  assert.deepEqual(validateCapTable(capTable), []);
+});
+
+test('rejects negative amounts and a zero price on priced rounds', () => {
+  assert.deepEqual(fields(validateRound(round({ moneyRaised: -5 }))), ['moneyRaised']);
+  const errors = validateRound(round({ pricePerShare: 0 }));
+  assert.deepEqual(errors, [{ field: 'pricePerShare', message: 'Price per share must be greater than 0 for priced rounds' }]);
+});
+
+test('only requires missing terms in the round editor', () => {
+  const noPrice = round({ pricePerShare: undefined });
+  assert.deepEqual(validateRound(noPrice), []);
+  assert.deepEqual(fields(validateRound(noPrice, { requireTerms: true })), ['pricePerShare']);
+
+  const noCap = round({ type: 'safe', safeType: 'post-money', pricePerShare: undefined });
+  assert.deepEqual(fields(validateRound(noCap, { requireTerms: true })), ['valuationCap']);
+});
+
+test('rejects invalid SAFE and note terms', () => {
+  assert.deepEqual(fields(validateRound(round({ type: 'safe', safeType: 'discount-only' }))), ['discountRate']);
+  assert.deepEqual(fields(validateRound(round({ type: 'safe', safeType: 'pre-money', valuationCap: 5e6, discountRate: 1.2 }))), ['discountRate']);
+  assert.deepEqual(fields(validateRound(round({ type: 'convertible-note', maturityDate: '2023-06-01' }))), ['maturityDate']);
+});
+
+test('rejects a participation cap below the liquidation preference', () => {
+  const errors = validateRound(round({ participation: 'capped', liquidationPreference: 2, participationCap: 1.5 }));
+  assert.deepEqual(errors, [{ field: 'participationCap', message: 'Participation cap must be at least the 2x liquidation preference' }]);
+});
+
+test('rejects pool grants beyond the authorized shares', () => {
+  const pool = round({
+    id: 'pool', type: 'equity-pool', authorizedShares: 1000, pricePerShare: undefined,
+    allocations: [allocation({ id: 'grant-1', type: 'option', shares: 800 })]
+  });
+  const errors = validateAllocation(allocation({ id: 'grant-2', type: 'option', shares: 300 }), pool);
+  assert.deepEqual(errors, [{ field: 'shares', message: "Only 200 of the pool's 1,000 authorized shares are available" }]);
+
+  pool.allocations.push(allocation({ id: 'grant-2', type: 'option', shares: 300 }));
+  assert.deepEqual(fields(validateRound(pool)), ['authorizedShares']);
+});
+
+test('rejects fractional shares, unknown types and bad vesting', () => {
+  assert.deepEqual(fields(validateAllocation(allocation({ shares: 10.5, type: 'warrant' }), null)), ['shares', 'type']);
+  const vesting = { durationMonths: 48, cliffMonths: 60, frequency: 'weekly', vestingStartDate: '2024-01-01', terminationDate: '2023-01-01' };
+  assert.deepEqual(fields(validateAllocation(allocation({ vesting }), null)), [
+    'vesting.cliffMonths',
+    'vesting.frequency',
+    'vesting.terminationDate'
+  ]);
+});
+
+test('names errors by path and rejects ids used more than once', () => {
+  const capTable = {
+    companyName: '',
+    authorizedShares: 0,
+    rounds: [
+      round({ allocations: [allocation()] }),
+      round({ name: 'Seed 2', allocations: [allocation({ shares: -1 })] })
+    ]
+  };
+  assert.deepEqual(fields(validateCapTable(capTable)), [
+    'companyName',
+    'authorizedShares',
+    'rounds[1].id',
+    'rounds[1].allocations[0].shares',
+    'rounds[1].allocations[0].id'
+  ]);
+});
+
+test('rejects ids and colors that could break out of markup', () => {
+  assert.deepEqual(fields(validateRound(round({ id: "');fetch('/api/users');('" }))), ['id']);
+  assert.deepEqual(fields(validateRound(round({ color: 'red;background:url(x)' }))), ['color']);
+  assert.deepEqual(fields(validateRound(round({ color: '#3B82F6' }))), []);
+  assert.deepEqual(fields(validateAllocation(allocation({ id: 'a"><img src=x onerror=alert(1)>' }), null)), ['id']);
+});
@@ -0,0 +1,153 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  getPreMoneyCapShares,
+  resolveMFNTerms,
+  getSAFETerms,
+  solveSAFEConversions,
+  getSAFEConversionPrice,
+} from '../public/dilution-calculator.js';
+
+// 8M founder shares plus a 2M share authorized pool: a 10M share pre-money base
+function baseRounds() {
+  return [
+    {
+      id: 'common', name: 'Common', type: 'common', date: '2023-01-01', color: '#000',
+      allocations: [{ id: 'founder', holderName: 'Founder', shares: 8_000_000, type: 'common' }]
+    },
+    {
+      id: 'pool', name: 'Pool', type: 'equity-pool', date: '2023-01-01', color: '#111',
+      authorizedShares: 2_000_000, allocations: []
+    }
+  ];
+}
+
+function safe(id, date, terms, investmentAmount = 1_000_000) {
+  return {
+    id, name: id, type: 'safe', date, color: '#222', ...terms,
+    allocations: [{ id: `${id}-alloc`, holderName: `${id} investor`, shares: 0, type: 'preferred', investmentAmount }]
+  };
+}
+
+test('pre-money cap base counts issued shares and the authorized pool but not SAFEs', () => {
+  const capTable = { rounds: [...baseRounds(), safe('seed', '2024-01-01', { safeType: 'pre-money', valuationCap: 10_000_000 })] };
+  assert.equal(getPreMoneyCapShares(capTable), 10_000_000);
+});
+
+test('pre-money SAFE converts at cap / pre-money base', () => {
+  const capTable = { rounds: [...baseRounds(), safe('seed', '2024-01-01', { safeType: 'pre-money', valuationCap: 10_000_000 })] };
+  const solution = solveSAFEConversions(capTable);
+  const seed = solution.rounds.get('seed');
+
+  assert.equal(seed.capPrice, 1);
+  assert.equal(seed.shares, 1_000_000);
+  // $1M on a $10M pre-money cap ends up with 1/11 of the company, not 10%
+  assert.ok(Math.abs(seed.shares / solution.postMoneyCapitalization - 1 / 11) < 1e-9);
+});
+
+test('post-money SAFE owns investment / cap of the post-money capitalization', () => {
+  const capTable = { rounds: [...baseRounds(), safe('seed', '2024-01-01', { safeType: 'post-money', valuationCap: 10_000_000 })] };
+  const solution = solveSAFEConversions(capTable);
+  const seed = solution.rounds.get('seed');
+
+  assert.equal(solution.converged, true);
+  // S = 0.1 * (10M + S)  =>  S = 1,111,111.1
+  assert.ok(Math.abs(seed.shares - 10_000_000 / 9) < 1);
+  assert.ok(Math.abs(seed.shares / solution.postMoneyCapitalization - 0.1) < 1e-6);
+});
+
+test('post-money SAFEs dilute each other but not their own stake', () => {
+  const capTable = {
+    rounds: [
+      ...baseRounds(),
+      safe('a', '2024-01-01', { safeType: 'post-money', valuationCap: 10_000_000 }),
+      safe('b', '2024-02-01', { safeType: 'post-money', valuationCap: 20_000_000 }, 2_000_000)
+    ]
+  };
+  const solution = solveSAFEConversions(capTable, {}, { tolerance: 0.01 });
+  const total = solution.postMoneyCapitalization;
+
+  // Each holds investment / cap (10%) of the capitalization; founders keep the other 80% of it
+  assert.ok(Math.abs(solution.rounds.get('a').shares / total - 0.1) < 1e-6);
+  assert.ok(Math.abs(solution.rounds.get('b').shares / total - 0.1) < 1e-6);
+  assert.ok(Math.abs(total - 12_500_000) < 1);
+});
+
+test('priced round converts a SAFE at the lowest of round, cap and discount price', () => {
+  const capTable = {
+    rounds: [...baseRounds(), safe('seed', '2024-01-01', { safeType: 'pre-money', valuationCap: 10_000_000, discountRate: 0.2 })]
+  };
+  const seed = capTable.rounds[2];
+
+  // $2.00 round: cap price $1.00 beats the $1.60 discount price
+  const capped = getSAFEConversionPrice(capTable, seed, 2);
+  assert.equal(capped.method, 'cap');
+  assert.equal(capped.conversionPrice, 1);
+  // $1.10 round: the $0.88 discount price beats the cap
+  const discounted = getSAFEConversionPrice(capTable, seed, 1.1);
+  assert.equal(discounted.method, 'discount');
+  assert.ok(Math.abs(discounted.conversionPrice - 0.88) < 1e-9);
+  // $0.50 round below the cap price: the discount still applies to the round price
+  assert.equal(getSAFEConversionPrice(capTable, seed, 0.5).conversionPrice, 0.4);
+
+  const solution = solveSAFEConversions(capTable, { pricePerShare: 2, newMoney: 4_000_000 });
+  assert.equal(solution.rounds.get('seed').shares, 1_000_000);
+  assert.equal(solution.newShares, 2_000_000);
+  assert.equal(solution.postMoneyShares, 13_000_000);
+});
+
+test('MFN SAFE adopts the later SAFE with the lowest cap, including its discount and type', () => {
+  const capTable = {
+    rounds: [
+      ...baseRounds(),
+      safe('early', '2023-06-01', { safeType: 'pre-money', valuationCap: 4_000_000, discountRate: 0.3 }),
+      safe('mfn', '2024-01-01', { safeType: 'mfn' }),
+      safe('low-cap', '2024-03-01', { safeType: 'post-money', valuationCap: 8_000_000 }),
+      safe('discounted', '2024-06-01', { safeType: 'pre-money', valuationCap: 12_000_000, discountRate: 0.25 })
+    ]
+  };
+  const mfn = capTable.rounds.find(r => r.id === 'mfn');
+
+  // The earlier $4M cap is ignored and the 25% discount is not mixed in from another SAFE
+  assert.deepEqual(resolveMFNTerms(capTable, mfn), {
+    safeType: 'post-money',
+    valuationCap: 8_000_000,
+    discountRate: 0,
+    sourceName: 'low-cap'
+  });
+  assert.deepEqual(getSAFETerms(capTable, mfn), {
+    safeType: 'post-money',
+    valuationCap: 8_000_000,
+    discountRate: 0,
+    mfnSource: 'low-cap'
+  });
+});
+
+test('MFN ties on cap go to the larger discount', () => {
+  const capTable = {
+    rounds: [
+      ...baseRounds(),
+      safe('mfn', '2024-01-01', { safeType: 'mfn' }),
+      safe('plain', '2024-02-01', { safeType: 'pre-money', valuationCap: 8_000_000, discountRate: 0.1 }),
+      safe('better', '2024-03-01', { safeType: 'pre-money', valuationCap: 8_000_000, discountRate: 0.2 })
+    ]
+  };
+  const terms = resolveMFNTerms(capTable, capTable.rounds[2]);
+  assert.equal(terms.sourceName, 'better');
+  assert.equal(terms.discountRate, 0.2);
+  assert.equal(terms.safeType, 'pre-money');
+});
+
+test('MFN SAFE with no later SAFE has nothing to adopt', () => {
+  const capTable = {
+    rounds: [
+      ...baseRounds(),
+      safe('earlier', '2023-06-01', { safeType: 'pre-money', valuationCap: 6_000_000 }),
+      safe('mfn', '2024-01-01', { safeType: 'mfn' })
+    ]
+  };
+  const mfn = capTable.rounds[3];
+  assert.equal(resolveMFNTerms(capTable, mfn), null);
+  assert.deepEqual(getSAFETerms(capTable, mfn), { safeType: 'mfn', valuationCap: undefined, discountRate: 0, mfnSource: undefined });
+});
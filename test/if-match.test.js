@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createApp } from '../app.ts';
+import { openNodeDatabase } from '../sqlite-node.ts';
+
+const app = createApp(openNodeDatabase(':memory:'));
+let cookie = '';
+
+function send(method, path, { body, headers = {} } = {}) {
+  return app.fetch(new Request(`http://localhost${path}`, {
+    method,
+    headers: { cookie, 'content-type': 'application/json', ...headers },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  }));
+}
+
+// The first round of the sample company, with the cap table's ETag
+async function sampleRound() {
+  const response = await send('GET', '/api/companies/default/captable');
+  assert.equal(response.status, 200);
+  const capTable = await response.json();
+  return { round: capTable.rounds[0], etag: response.headers.get('ETag') };
+}
+
+test('sign in as the first admin', async () => {
+  const response = await send('POST', '/api/auth/setup', { body: { username: 'admin', password: 'password123' } });
+  assert.equal(response.status, 201);
+  cookie = response.headers.get('Set-Cookie').split(';')[0];
+});
+
+test('writes without If-Match get 428 and change nothing', async () => {
+  const { round, etag } = await sampleRound();
+  const response = await send('PATCH', `/api/companies/default/rounds/${round.id}`, { body: { name: 'Renamed' } });
+  assert.equal(response.status, 428);
+  assert.equal((await response.json()).details[0].field, 'If-Match');
+
+  const after = await sampleRound();
+  assert.equal(after.round.name, round.name);
+  assert.equal(after.etag, etag);
+});
+
+test('a write with the current ETag succeeds and returns the next version', async () => {
+  const { round, etag } = await sampleRound();
+  const response = await send('PATCH', `/api/companies/default/rounds/${round.id}`, { body: { name: 'Renamed' }, headers: { 'If-Match': etag } });
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get('ETag'), `"${Number(JSON.parse(etag)) + 1}"`);
+
+  const after = await sampleRound();
+  assert.equal(after.round.name, 'Renamed');
+  assert.equal(after.etag, response.headers.get('ETag'));
+});
+
+test('a write with an older ETag gets 409 with the current cap table', async () => {
+  const { round, etag } = await sampleRound();
+  const stale = `"${Number(JSON.parse(etag)) - 1}"`;
+  const response = await send('PATCH', `/api/companies/default/rounds/${round.id}`, { body: { name: 'Lost' }, headers: { 'If-Match': stale } });
+  assert.equal(response.status, 409);
+  assert.equal(response.headers.get('ETag'), etag);
+
+  const body = await response.json();
+  assert.equal(body.version, Number(JSON.parse(etag)));
+  assert.equal(body.capTable.rounds.find(r => r.id === round.id).name, 'Renamed');
+  assert.equal((await sampleRound()).round.name, 'Renamed');
+});
+
+test('unknown write paths get 404 or 405 before If-Match is checked', async () => {
+  assert.equal((await send('PATCH', '/api/companies/default/nothing-here', { body: {} })).status, 404);
+  assert.equal((await send('PUT', '/api/companies/default/captable', { body: {} })).status, 405);
+  assert.equal((await send('PATCH', '/api/companies/default/rounds/missing', { body: {} })).status, 404);
+});
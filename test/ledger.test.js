@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { openDatabase, createCompany, getCapTable, saveCapTable, splitStock, appendTransaction, getLedger, db } from '../db.ts';
+import { openNodeDatabase } from '../sqlite-node.ts';
+
+openDatabase(openNodeDatabase(':memory:'));
+
+// Common founders, a pool with an option grant and a priced seed round
+function capTable() {
+  return {
+    companyName: 'Ledger Co',
+    authorizedShares: 20_000_000,
+    rounds: [
+      {
+        id: 'common', name: 'Common', type: 'common', date: '2020-01-01', color: '#000',
+        allocations: [{ id: 'founders', holderName: 'Founders', shares: 8_000_000, type: 'common' }]
+      },
+      {
+        id: 'pool', name: 'Pool', type: 'equity-pool', date: '2020-01-01', color: '#111', authorizedShares: 2_000_000,
+        allocations: [{ id: 'grant', holderName: 'Alice', shares: 100_000, type: 'option', vestingSchedule: '4 year vest, 1 year cliff' }]
+      },
+      {
+        id: 'seed', name: 'Seed', type: 'priced', date: '2021-01-01', color: '#222', pricePerShare: 2,
+        allocations: [{ id: 'fund', holderName: 'Fund', shares: 1_000_000, type: 'preferred', investmentAmount: 2_000_000 }]
+      }
+    ]
+  };
+}
+
+// Allocations by id, as the old allocations table stored them
+function allocations(table) {
+  return Object.fromEntries(table.rounds.flatMap(r => r.allocations.map(a => [a.id, { roundId: r.id, ...a }])));
+}
+
+test('replaying the ledger gives back the allocations that were saved', () => {
+  const { id } = createCompany('Ledger Co', 20_000_000);
+  const table = capTable();
+  saveCapTable(id, table);
+  assert.deepEqual(allocations(getCapTable(id)), allocations(table));
+
+  // Resize, transfer, exercise and new grants, all in one save
+  const [common, pool, seed] = table.rounds;
+  common.allocations[0].shares = 7_500_000;
+  pool.allocations[0].type = 'common';
+  pool.allocations[0].holderName = 'Alice Smith';
+  seed.allocations.push({ ...common.allocations[0], id: 'secondary', shares: 500_000 });
+  common.allocations.push({ id: 'extra', holderName: 'Bob', shares: 10_000, type: 'common' });
+  saveCapTable(id, table);
+  assert.deepEqual(allocations(getCapTable(id)), allocations(table));
+
+  common.allocations.pop();
+  saveCapTable(id, table);
+  assert.deepEqual(allocations(getCapTable(id)), allocations(table));
+
+  const types = getLedger(id).map(t => t.type);
+  assert.ok(['issuance', 'transfer', 'exercise', 'cancellation'].every(type => types.includes(type)), types.join(', '));
+});
+
+test('a split multiplies every position and restates prices per share', () => {
+  const { id } = createCompany('Split Co', 20_000_000);
+  saveCapTable(id, capTable());
+  splitStock(id, 2);
+
+  const split = getCapTable(id);
+  const positions = allocations(split);
+  assert.equal(positions.founders.shares, 16_000_000);
+  assert.equal(positions.grant.shares, 200_000);
+  assert.equal(positions.fund.shares, 2_000_000);
+  assert.equal(positions.fund.investmentAmount, 2_000_000);
+  assert.equal(split.authorizedShares, 40_000_000);
+  assert.equal(split.rounds.find(r => r.id === 'pool').authorizedShares, 4_000_000);
+  assert.equal(split.rounds.find(r => r.id === 'seed').pricePerShare, 1);
+});
+
+test('cached positions are replayed again when the latest seq changes', () => {
+  const { id } = createCompany('Cache Co', 20_000_000);
+  saveCapTable(id, capTable());
+  assert.equal(allocations(getCapTable(id)).founders.shares, 8_000_000);
+
+  // A row written behind the cache's back (not through appendTransaction) advances the seq
+  db.prepare(`
+    INSERT INTO transactions (company_id, type, round_id, allocation_id, holder_name, shares, effective_date)
+    VALUES (?, 'cancellation', 'common', 'founders', 'Founders', 1000000, '2024-01-01')
+  `).run(id);
+  assert.equal(allocations(getCapTable(id)).founders.shares, 7_000_000);
+
+  // Rows rolled back after being read take the seq back down again
+  assert.throws(() => db.transaction(() => {
+    appendTransaction(id, { type: 'cancellation', roundId: 'common', allocationId: 'founders', holderName: 'Founders', shares: 7_000_000, effectiveDate: '2024-01-02' });
+    assert.equal(allocations(getCapTable(id)).founders, undefined);
+    throw new Error('roll back');
+  })(), /roll back/);
+  assert.equal(allocations(getCapTable(id)).founders.shares, 7_000_000);
+});
@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseVestingSchedule, calculateVestedShares } from '../public/vesting-calculator.js';
+
+// Standard 4 year grant with a 1 year cliff, vesting monthly from 2020-01-01
+function schedule(overrides = {}) {
+  return {
+    vestingStartDate: '2020-01-01',
+    durationMonths: 48,
+    cliffMonths: 12,
+    frequency: 'monthly',
+    acceleration: 'none',
+    ...overrides
+  };
+}
+
+test('nothing vests before the cliff', () => {
+  const result = calculateVestedShares(4800, schedule(), '2020-12-31');
+  assert.equal(result.vested, 0);
+  assert.equal(result.unvested, 4800);
+  assert.equal(result.cliffReached, false);
+});
+
+test('the first year vests at once on the cliff, then monthly', () => {
+  const atCliff = calculateVestedShares(4800, schedule(), '2021-01-01');
+  assert.equal(atCliff.vested, 1200);
+  assert.equal(atCliff.cliffReached, true);
+
+  assert.equal(calculateVestedShares(4800, schedule(), '2021-07-15').vested, 1800);
+
+  const done = calculateVestedShares(4800, schedule(), '2024-06-01');
+  assert.equal(done.vested, 4800);
+  assert.equal(done.vestedPct, 100);
+  assert.equal(done.fullyVestedDate, '2024-01-01');
+});
+
+test('quarterly schedules only vest on quarter boundaries', () => {
+  // 14 months elapsed rounds down to 12
+  assert.equal(calculateVestedShares(4800, schedule({ frequency: 'quarterly' }), '2021-03-01').vested, 1200);
+  assert.equal(calculateVestedShares(4800, schedule({ frequency: 'quarterly' }), '2021-04-01').vested, 1500);
+});
+
+test('termination stops vesting and forfeits the unvested remainder', () => {
+  const result = calculateVestedShares(4800, schedule({ terminationDate: '2021-06-15' }), '2022-01-01');
+  assert.equal(result.vested, 1700);
+  assert.equal(result.forfeited, 3100);
+  assert.equal(result.unvested, 0);
+});
+
+test('single trigger accelerates everything on change of control, even before the cliff', () => {
+  const result = calculateVestedShares(4800, schedule({ acceleration: 'single' }), '2020-07-01', { changeOfControlDate: '2020-06-01' });
+  assert.equal(result.vested, 4800);
+  assert.equal(result.unvested, 0);
+});
+
+test('double trigger needs a termination on or after the change of control', () => {
+  const options = { changeOfControlDate: '2022-01-01' };
+
+  // Change of control alone: normal vesting, 29 of 48 months
+  assert.equal(calculateVestedShares(4800, schedule({ acceleration: 'double' }), '2022-06-01', options).vested, 2900);
+
+  const terminatedAfter = calculateVestedShares(4800, schedule({ acceleration: 'double', terminationDate: '2022-03-01' }), '2022-06-01', options);
+  assert.equal(terminatedAfter.vested, 4800);
+  assert.equal(terminatedAfter.forfeited, 0);
+
+  // Terminated before the change of control: vesting stopped at 20 months and the rest is forfeited
+  const terminatedBefore = calculateVestedShares(4800, schedule({ acceleration: 'double', terminationDate: '2021-09-01' }), '2022-06-01', options);
+  assert.equal(terminatedBefore.vested, 2000);
+  assert.equal(terminatedBefore.forfeited, 2800);
+});
+
+test('legacy vesting text parses into a structured schedule', () => {
+  assert.deepEqual(parseVestingSchedule('4 year vest, 1 year cliff'), {
+    durationMonths: 48, cliffMonths: 12, frequency: 'monthly', acceleration: 'none'
+  });
+  assert.deepEqual(parseVestingSchedule('4y/1y quarterly, double trigger', { vestingStartDate: '2020-01-01' }), {
+    vestingStartDate: '2020-01-01', durationMonths: 48, cliffMonths: 12, frequency: 'quarterly', acceleration: 'double'
+  });
+  assert.equal(parseVestingSchedule('Fully vested').durationMonths, 0);
+  assert.equal(parseVestingSchedule('founder shares'), null);
+});
@@ -0,0 +1,99 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { calculateWaterfall, calculateConversionBreakEven } from '../public/waterfall-calculator.js';
+
+// 90M common shares and a $10M Series A at $1.00 (10M shares, 10% as converted)
+function capTable(seriesTerms = {}) {
+  return {
+    rounds: [
+      {
+        id: 'common', name: 'Common', type: 'common', date: '2020-01-01', color: '#000',
+        allocations: [{ id: 'founders', holderName: 'Founders', shares: 90_000_000, type: 'common' }]
+      },
+      {
+        id: 'series-a', name: 'Series A', type: 'priced', date: '2022-01-01', color: '#111',
+        pricePerShare: 1, ...seriesTerms,
+        allocations: [{ id: 'fund', holderName: 'Fund', shares: 10_000_000, type: 'preferred' }]
+      }
+    ]
+  };
+}
+
+const near = (actual, expected, tolerance = 1e-6) =>
+  assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${actual} to be within ${tolerance} of ${expected}`);
+
+test('1x non-participating takes its preference below break-even and converts above it', () => {
+  const table = capTable();
+
+  const low = calculateWaterfall(table, 50_000_000);
+  assert.equal(low.series[0].decision, 'preference');
+  near(low.payouts.get('Fund'), 10_000_000);
+  near(low.payouts.get('Founders'), 40_000_000);
+
+  const high = calculateWaterfall(table, 200_000_000);
+  assert.equal(high.series[0].decision, 'convert');
+  near(high.payouts.get('Fund'), 20_000_000);
+  near(high.payouts.get('Founders'), 180_000_000);
+});
+
+test('1x non-participating breaks even where 10% as converted equals the $10M preference', () => {
+  near(calculateConversionBreakEven(capTable(), 'series-a'), 100_000_000, 2);
+});
+
+test('preference is paid in full before common when the exit is small', () => {
+  const result = calculateWaterfall(capTable({ liquidationPreference: 2 }), 15_000_000);
+  near(result.payouts.get('Fund'), 15_000_000);
+  near(result.payouts.get('Founders'), 0);
+});
+
+test('fully participating preferred takes its preference and its pro rata share, and never converts', () => {
+  const table = capTable({ participation: 'full' });
+  const result = calculateWaterfall(table, 110_000_000);
+  // $10M preference plus 10% of the remaining $100M
+  near(result.payouts.get('Fund'), 20_000_000);
+  near(result.payouts.get('Founders'), 90_000_000);
+  assert.equal(calculateConversionBreakEven(table, 'series-a'), null);
+});
+
+test('3x capped participation stops at 3x invested and the excess goes to common', () => {
+  const table = capTable({ participation: 'capped', participationCap: 3 });
+
+  // Below the cap: $10M preference plus 10% of the remaining $90M
+  const uncapped = calculateWaterfall(table, 100_000_000);
+  assert.equal(uncapped.series[0].decision, 'preference');
+  near(uncapped.payouts.get('Fund'), 19_000_000);
+  near(uncapped.payouts.get('Founders'), 81_000_000);
+
+  // The cap binds from a $210M exit: the fund is pinned at $30M
+  const capped = calculateWaterfall(table, 250_000_000);
+  assert.equal(capped.series[0].decision, 'preference');
+  near(capped.series[0].preferencePayout, 10_000_000);
+  near(capped.series[0].participationPayout, 20_000_000);
+  near(capped.payouts.get('Founders'), 220_000_000);
+
+  // Above $300M, 10% as converted beats the $30M cap
+  const converted = calculateWaterfall(table, 400_000_000);
+  assert.equal(converted.series[0].decision, 'convert');
+  near(converted.payouts.get('Fund'), 40_000_000);
+});
+
+test('3x capped participation breaks even where 10% as converted equals the $30M cap', () => {
+  const table = capTable({ participation: 'capped', participationCap: 3 });
+  near(calculateConversionBreakEven(table, 'series-a'), 300_000_000, 2);
+});
+
+test('senior series is paid before junior series', () => {
+  const table = capTable({ seniority: 2 });
+  table.rounds.push({
+    id: 'series-b', name: 'Series B', type: 'priced', date: '2023-01-01', color: '#222',
+    pricePerShare: 2, seniority: 1,
+    allocations: [{ id: 'growth', holderName: 'Growth Fund', shares: 5_000_000, type: 'preferred' }]
+  });
+
+  // $12M exit: Series B's $10M preference first, Series A gets what's left
+  const result = calculateWaterfall(table, 12_000_000);
+  near(result.payouts.get('Growth Fund'), 10_000_000);
+  near(result.payouts.get('Fund'), 2_000_000);
+  near(result.payouts.get('Founders'), 0);
+});